@@ -0,0 +1,1011 @@
+import { Level } from './level.js';
+import { LevelFormat } from './levelformat.js';
+
+/**
+ * Class Name: EditorScene
+ * Description: An in-browser visual level editor. Designers place every kind of shape Level.spawnShape() knows, draw architecture polygons,
+ * give shapes velocity and scale keyframes, oscillation and orbits at the time on the timeline, and scrub or play the timeline to preview
+ * the level: every shape is the real game class, moved by its ShapeMotion to the previewed time. The level can be test-played in GameScene
+ * and exported as a level pack in the LevelFormat (see LevelPack).
+ * The view is zoomed out so the area above the screen, where shapes spawn, is visible; the playfield is outlined. The wheel scrolls it.
+ * The preview runs at Hard speed, where times and speeds are exactly the values written in the level format, and is drawn with the game's palette (see Palette).
+ * Expected Inputs: Mouse clicks and drags on the level, the toolbar and the timeline; Space (play/pause), Left/Right (step, Shift for
+ * a second), Delete (remove the selected entry), Enter (finish architecture) and Esc (cancel).
+ * Expected Outputs: The edited level, previewed on screen, test-played or downloaded as a JSON level pack.
+ * Called By: GameScene.openEditor() (from the escape menu) and GameScene.finishTestLevel() after a test play.
+ * Will Call: Level.createShape() and Architecture for the preview, LevelFormat to validate and export entries, and GameScene to test-play.
+ * @class
+ * @author Braeden Ruff
+ */
+class EditorScene extends Phaser.Scene {
+	/**
+	 * The editing tools: selecting (and dragging), placing each shape type, and drawing architecture.
+	 */
+	static TOOLS = [
+		{ id: 'select', label: 'Select' },
+		{ id: 'triangle', label: 'Triangle' },
+		{ id: 'square', label: 'Square' },
+		{ id: 'stealth', label: 'Stealth' },
+		{ id: 'armored', label: 'Armored' },
+		{ id: 'area', label: 'Area' },
+		{ id: 'clear-friendlies', label: 'Clear Friendlies' },
+		{ id: 'intangible', label: 'Intangible' },
+		{ id: 'slowtime', label: 'Slow Time' },
+		{ id: 'architecture', label: 'Architecture' },
+	];
+
+	/**
+	 * Vertical speed that new shapes and architecture fall at, in pixels per second.
+	 */
+	static DEFAULT_SPEED = 150;
+
+	/**
+	 * Shortest timeline, in milliseconds. It grows to cover the level's last keyframe.
+	 */
+	static MIN_TIMELINE_LENGTH = 30000;
+
+	/**
+	 * Milliseconds the Left and Right keys step the timeline by (a second with Shift).
+	 */
+	static STEP = 100;
+
+	/**
+	 * Zoom of the level view.
+	 */
+	static VIEW_ZOOM = 0.55;
+
+	/**
+	 * Screen area of the timeline bar.
+	 */
+	static TIMELINE = { x: 70, y: 556, width: 720, height: 36 };
+
+	/**
+	 * Initializes the editor with an empty level.
+	 * @constructor
+	 */
+	constructor()
+	{
+		super({ key: 'EditorScene' }); // Initialize with a unique key for Phaser.
+		this.gameScene = null; // The game scene, for the level pack and test plays.
+		this.palette = null; // The game scene's palette, which the preview shapes are drawn with (see Palette).
+		this.levelName = 'Custom Level'; // Name of the level being edited.
+		this.entries = []; // The level's normalized entries (see LevelFormat).
+		this.previewShapes = []; // The preview shape of each entry, or null for entries that aren't shapes.
+		this.selectedIndex = -1; // Index of the selected entry, or -1.
+		this.tool = 'select'; // The active tool (see EditorScene.TOOLS).
+		this.architecturePoints = []; // Points of the architecture being drawn.
+		this.previewTime = 0; // The previewed level time.
+		this.previewPlaying = false; // Flag indicating whether the preview is playing.
+		this.timelineLength = EditorScene.MIN_TIMELINE_LENGTH; // Level time the timeline covers.
+		this.difficultyAdjustment = 1; // Shapes read it for their motion. The preview runs at Hard speed.
+		this.dragging = null; // The drag of the selected entry in progress: where it started and the entry before it.
+		this.scrubbing = false; // Flag indicating whether the timeline is being dragged.
+		this.uiCamera = null; // Unzoomed camera that draws the toolbar and timeline over the level view.
+		this.uiObjects = []; // Objects drawn by the UI camera only.
+		this.toolButtons = []; // The tool buttons, to highlight the active one.
+		this.overlayGraphics = null; // Draws the selection, the selected shape's path and the architecture being drawn.
+		this.timelineGraphics = null; // Draws the timeline.
+		this.infoText = null; // Describes the selection and the active tool.
+		this.timeText = null; // Shows the previewed time.
+		this.playButton = null; // Plays and pauses the preview.
+	}
+
+	/**
+	 * Sets up the views, toolbar, timeline and input, and opens the level that was being played.
+	 */
+	create()
+	{
+		this.gameScene = this.scene.get('GameScene');
+		this.palette = this.gameScene.palette;
+		const width = this.sys.game.config.width;
+		const height = this.sys.game.config.height;
+
+		// Zoom the level view out to show where shapes spawn above the screen, and draw the UI with its own camera.
+		this.cameras.main.setZoom(EditorScene.VIEW_ZOOM).centerOn(width / 2, height / 5).setBackgroundColor(this.palette.getColors().background);
+		this.uiCamera = this.cameras.add(0, 0, width, height);
+		const field = this.add.graphics().lineStyle(2, 0xFFFFFF, 0.5).strokeRect(0, 0, width, height); // The playfield.
+		this.overlayGraphics = this.add.graphics().setDepth(9000);
+		this.uiCamera.ignore([field, this.overlayGraphics]);
+
+		this.createToolbar();
+		this.createTimeline();
+		this.infoText = this.addUI(this.add.text(8, 480, '', { font: '14px Arial', fill: '#fff' }).setDepth(10001));
+
+		this.input.on('pointerdown', (pointer, over) => this.handlePointerDown(pointer, over));
+		this.input.on('pointermove', pointer => this.handlePointerMove(pointer));
+		this.input.on('pointerup', () => {
+			this.dragging = null;
+			this.scrubbing = false;
+		});
+		this.input.on('wheel', (pointer, over, deltaX, deltaY) => {
+			this.cameras.main.scrollY += deltaY / EditorScene.VIEW_ZOOM;
+		});
+		this.input.keyboard.on('keydown-SPACE', () => this.togglePreview());
+		this.input.keyboard.on('keydown-LEFT', event => this.scrubTo(this.previewTime - (event.shiftKey ? 1000 : EditorScene.STEP)));
+		this.input.keyboard.on('keydown-RIGHT', event => this.scrubTo(this.previewTime + (event.shiftKey ? 1000 : EditorScene.STEP)));
+		this.input.keyboard.on('keydown-DELETE', () => this.deleteSelected());
+		this.input.keyboard.on('keydown-BACKSPACE', () => this.deleteSelected());
+		this.input.keyboard.on('keydown-ENTER', () => this.finishArchitecture());
+		this.input.keyboard.on('keydown-ESC', () => this.cancel());
+
+		this.openPackLevel(this.gameScene.currentLevelIndex);
+	}
+
+	/**
+	 * Plays the preview forward while it's playing.
+	 * @param {number} time - The current time.
+	 * @param {number} delta - The time elapsed since the last update.
+	 */
+	update(time, delta)
+	{
+		if (!this.previewPlaying) return;
+		if (this.previewTime + delta >= this.timelineLength)
+		{
+			this.previewPlaying = false;
+			this.playButton.setText('Play');
+		}
+		this.scrubTo(this.previewTime + delta);
+	}
+
+	/**
+	 * Adds an object to the UI, which the zoomed level view doesn't draw.
+	 * @param {Phaser.GameObjects.GameObject} object - The object.
+	 * @returns {Phaser.GameObjects.GameObject} The object.
+	 */
+	addUI(object)
+	{
+		this.uiObjects.push(object);
+		this.cameras.main.ignore(object);
+		return object;
+	}
+
+	/**
+	 * Adds a text button to the UI.
+	 * @param {number} x - The x-coordinate on screen.
+	 * @param {number} y - The y-coordinate on screen.
+	 * @param {string} label - The button's text.
+	 * @param {function} action - Called when the button is clicked.
+	 * @returns {Phaser.GameObjects.Text} The button.
+	 */
+	addButton(x, y, label, action)
+	{
+		return this.addUI(this.add.text(x, y, label, { font: '14px Arial', fill: '#fff' }).setInteractive().on('pointerdown', action).setDepth(10001));
+	}
+
+	/**
+	 * Creates the toolbar: a row of tools, a row of actions on the selected entry and the level, and a row of file actions.
+	 */
+	createToolbar()
+	{
+		this.addUI(this.add.rectangle(0, 0, this.sys.game.config.width, 70, 0x000000, 0.6).setOrigin(0, 0).setDepth(10000).setInteractive()); // Interactive so we can't click shapes behind it
+
+		let x = 8;
+		EditorScene.TOOLS.forEach((tool) => {
+			const button = this.addButton(x, 6, tool.label, () => this.setTool(tool.id));
+			this.toolButtons.push({ id: tool.id, button: button });
+			x += button.width + 10;
+		});
+
+		const rows = [
+			[
+				{ label: 'Edit', action: () => this.editSelected() },
+				{ label: 'Velocity Key', action: () => this.addVelocityKey() },
+				{ label: 'Scale Key', action: () => this.addScaleKey() },
+				{ label: 'Oscillation', action: () => this.addOscillation() },
+				{ label: 'Orbit', action: () => this.setOrbit() },
+				{ label: 'Clear Motion', action: () => this.clearMotion() },
+				{ label: 'Delete', action: () => this.deleteSelected() },
+				{ label: 'Passing Score', action: () => this.editPassingScore() },
+				{ label: 'Blackout', action: () => this.editBlackout() },
+			],
+			[
+				{ label: 'New', action: () => this.newLevel() },
+				{ label: 'Open Level', action: () => this.promptPackLevel() },
+				{ label: 'Import', action: () => this.importFromFile() },
+				{ label: 'Export', action: () => this.exportToFile() },
+				{ label: 'Test Play', action: () => this.testPlay() },
+				{ label: 'Back to Game', action: () => this.backToGame() },
+			],
+		];
+		rows.forEach((row, rowIndex) => {
+			let rowX = 8;
+			row.forEach((option) => {
+				const button = this.addButton(rowX, 28 + 22 * rowIndex, option.label, option.action);
+				rowX += button.width + 14;
+			});
+		});
+		this.highlightTool();
+	}
+
+	/**
+	 * Creates the timeline bar, the play button and the time display.
+	 */
+	createTimeline()
+	{
+		const { x, y, width, height } = EditorScene.TIMELINE;
+		this.timelineGraphics = this.addUI(this.add.graphics().setDepth(10000));
+		this.timeText = this.addUI(this.add.text(x, y - 20, '', { font: '14px Arial', fill: '#fff' }).setDepth(10001));
+		this.playButton = this.addButton(14, y + 10, 'Play', () => this.togglePreview());
+		this.addUI(this.add.zone(x, y, width, height).setOrigin(0, 0).setInteractive().on('pointerdown', (pointer) => {
+			this.scrubbing = true;
+			this.scrubTo(this.timeAtScreenX(pointer.x));
+		}));
+	}
+
+	/**
+	 * Handles a click on the level: selects (and starts dragging) a shape, places a shape, or adds an architecture point, depending on the tool.
+	 * @param {Phaser.Input.Pointer} pointer - The pointer.
+	 * @param {Array<Phaser.GameObjects.GameObject>} over - The interactive objects under the pointer.
+	 */
+	handlePointerDown(pointer, over)
+	{
+		if (over.some(object => this.uiObjects.includes(object))) return; // The toolbar and timeline handle their own clicks.
+		const world = this.cameras.main.getWorldPoint(pointer.x, pointer.y);
+		if (this.tool === 'select')
+		{
+			const index = this.previewShapes.findIndex(shape => shape && over.includes(shape.graphics));
+			this.select(index);
+			if (index !== -1)
+			{
+				this.dragging = { x: world.x, y: world.y, entry: JSON.parse(JSON.stringify(this.entries[index])) };
+			}
+		}
+		else if (this.tool === 'architecture')
+		{
+			this.architecturePoints.push({ x: Math.round(world.x), y: Math.round(world.y) });
+			this.updatePreview();
+		}
+		else
+		{
+			this.placeShape(this.tool, world.x, world.y);
+		}
+	}
+
+	/**
+	 * Scrubs the timeline or drags the selected entry while the pointer is held down.
+	 * @param {Phaser.Input.Pointer} pointer - The pointer.
+	 */
+	handlePointerMove(pointer)
+	{
+		if (this.scrubbing)
+		{
+			this.scrubTo(this.timeAtScreenX(pointer.x));
+		}
+		else if (this.dragging && pointer.isDown)
+		{
+			const world = this.cameras.main.getWorldPoint(pointer.x, pointer.y);
+			const dx = Math.round(world.x - this.dragging.x);
+			const dy = Math.round(world.y - this.dragging.y);
+			const entry = JSON.parse(JSON.stringify(this.dragging.entry));
+			if (entry.type === 'architecture')
+			{
+				entry.points = entry.points.map(point => ({ x: point.x + dx, y: point.y + dy }));
+			}
+			else
+			{
+				entry.x += dx;
+				entry.y += dy;
+			}
+			this.replaceEntry(this.selectedIndex, entry);
+		}
+	}
+
+	/**
+	 * Switches tools. Any architecture being drawn is dropped.
+	 * @param {string} tool - The tool's id (see EditorScene.TOOLS).
+	 */
+	setTool(tool)
+	{
+		this.tool = tool;
+		this.architecturePoints = [];
+		this.highlightTool();
+		this.updatePreview();
+	}
+
+	/**
+	 * Highlights the active tool's button.
+	 */
+	highlightTool()
+	{
+		this.toolButtons.forEach(({ id, button }) => button.setColor(id === this.tool ? '#ff0' : '#fff'));
+	}
+
+	/**
+	 * Opens a level of the loaded level pack.
+	 * @param {number} index - The level's index in the pack.
+	 */
+	openPackLevel(index)
+	{
+		const pack = this.gameScene.levelPack;
+		this.openLevel(pack.levels[index].name, JSON.parse(JSON.stringify(pack.levels[index].entries))); // A copy, so the pack isn't edited.
+	}
+
+	/**
+	 * Replaces the level being edited.
+	 * @param {string} name - The level's name.
+	 * @param {Array<Object>} entries - The level's normalized entries.
+	 */
+	openLevel(name, entries)
+	{
+		this.levelName = name;
+		this.entries = entries;
+		this.selectedIndex = -1;
+		this.architecturePoints = [];
+		this.previewPlaying = false;
+		this.playButton.setText('Play');
+		this.previewTime = 0;
+		this.rebuildPreview();
+	}
+
+	/**
+	 * Asks whether to drop the level being edited, then starts an empty one.
+	 */
+	newLevel()
+	{
+		if (!window.confirm('Start a new level? Unsaved changes to this one will be lost.'))
+		{
+			return;
+		}
+		this.openLevel('Custom Level', [{ type: 'score', passingScore: 0 }]);
+	}
+
+	/**
+	 * Asks which level of the loaded level pack to open.
+	 */
+	promptPackLevel()
+	{
+		const count = this.gameScene.levelPack.levels.length;
+		const answer = window.prompt(`Level to open (1-${count}):`, String(this.gameScene.currentLevelIndex + 1));
+		if (answer === null) return;
+		const levelNumber = Number(answer);
+		if (!Number.isInteger(levelNumber) || levelNumber < 1 || levelNumber > count)
+		{
+			window.alert(`Enter a level number from 1 to ${count}.`);
+			return;
+		}
+		this.openPackLevel(levelNumber - 1);
+	}
+
+	/**
+	 * Recreates the preview of every entry.
+	 */
+	rebuildPreview()
+	{
+		this.previewShapes.forEach(shape => shape && shape.destroy());
+		this.previewShapes = this.entries.map(entry => this.createPreviewShape(entry));
+		this.updateTimelineLength();
+		this.updatePreview();
+	}
+
+	/**
+	 * Creates the preview of an entry with the same classes the game uses.
+	 * @param {Object} entry - A normalized entry.
+	 * @returns {Shape|null} The shape, or null if the entry isn't a shape or architecture.
+	 */
+	createPreviewShape(entry)
+	{
+		let shape = null;
+		if (entry.type === 'architecture')
+		{
+			shape = new Architecture(this, entry.points, entry.velocity.y);
+			shape.createGraphics(entry.points);
+		}
+		else if (LevelFormat.SHAPE_TYPES.includes(entry.type))
+		{
+			shape = Level.createShape(this, entry);
+		}
+		if (shape)
+		{
+			this.uiCamera.ignore([shape.graphics, shape.centerSprite, shape.armored_sprite].filter(object => object));
+		}
+		return shape;
+	}
+
+	/**
+	 * Replaces an entry and its preview.
+	 * @param {number} index - The entry's index.
+	 * @param {Object} entry - The new entry. It's normalized, so it must be valid.
+	 */
+	replaceEntry(index, entry)
+	{
+		this.entries[index] = LevelFormat.normalizeEntry(entry);
+		if (this.previewShapes[index])
+		{
+			this.previewShapes[index].destroy();
+		}
+		this.previewShapes[index] = this.createPreviewShape(this.entries[index]);
+		this.updateTimelineLength();
+		this.updatePreview();
+	}
+
+	/**
+	 * Adds an entry, selects it and previews it.
+	 * @param {Object} entry - The new entry. It's normalized, so it must be valid.
+	 */
+	addEntry(entry)
+	{
+		this.entries.push(LevelFormat.normalizeEntry(entry));
+		this.previewShapes.push(this.createPreviewShape(this.entries[this.entries.length - 1]));
+		this.select(this.entries.length - 1);
+		this.updateTimelineLength();
+	}
+
+	/**
+	 * Places a new shape so it's at the clicked point at the previewed time.
+	 * @param {string} type - The shape type.
+	 * @param {number} x - The x-coordinate in the level.
+	 * @param {number} y - The y-coordinate in the level.
+	 */
+	placeShape(type, x, y)
+	{
+		const entry = { type: type, x: 0, y: 0, velocity: { x: 0, y: EditorScene.DEFAULT_SPEED } };
+		if (type === 'armored')
+		{
+			entry.armor = 1;
+		}
+		const offset = new ShapeMotion(entry, this.difficultyAdjustment).offsetAt(this.previewTime);
+		entry.x = Math.round(x - offset.x);
+		entry.y = Math.round(y - offset.y);
+		this.addEntry(entry);
+	}
+
+	/**
+	 * Turns the points drawn with the architecture tool into architecture, placed where it was drawn at the previewed time.
+	 */
+	finishArchitecture()
+	{
+		if (this.tool !== 'architecture') return;
+		if (this.architecturePoints.length < 3)
+		{
+			window.alert('Architecture needs at least 3 points. Click on the level to add them.');
+			return;
+		}
+		const offsetY = new ShapeMotion({ velocity: { x: 0, y: EditorScene.DEFAULT_SPEED } }, this.difficultyAdjustment).offsetAt(this.previewTime).y;
+		const points = this.architecturePoints.map(point => ({ x: point.x, y: Math.round(point.y - offsetY) }));
+		this.architecturePoints = [];
+		this.addEntry({ type: 'architecture', points: points, velocity: { y: EditorScene.DEFAULT_SPEED } });
+	}
+
+	/**
+	 * Cancels what the Esc key can cancel: the architecture being drawn, or else the selection.
+	 */
+	cancel()
+	{
+		if (this.architecturePoints.length > 0)
+		{
+			this.architecturePoints = [];
+			this.updatePreview();
+			return;
+		}
+		this.select(-1);
+	}
+
+	/**
+	 * Selects an entry.
+	 * @param {number} index - The entry's index, or -1 for none.
+	 */
+	select(index)
+	{
+		this.selectedIndex = index;
+		this.updatePreview();
+	}
+
+	/**
+	 * Gets the selected entry if it's a shape, the only kind of entry with motion keyframes. Tells the designer otherwise.
+	 * @returns {Object|null} The selected shape entry, or null.
+	 */
+	getSelectedShape()
+	{
+		const entry = this.entries[this.selectedIndex];
+		if (!entry || !LevelFormat.SHAPE_TYPES.includes(entry.type))
+		{
+			window.alert('Select a shape first. Architecture only falls at its speed; use Edit to change it.');
+			return null;
+		}
+		return entry;
+	}
+
+	/**
+	 * Gets the previewed time as a level format delay, in milliseconds.
+	 * @returns {number} The delay.
+	 */
+	getDelay()
+	{
+		return Math.round(this.previewTime * this.difficultyAdjustment);
+	}
+
+	/**
+	 * Asks for some numbers, separated by commas.
+	 * @param {string} message - What to ask.
+	 * @param {Array<number>} defaults - The suggested numbers. The answer must have as many.
+	 * @returns {Array<number>|null} The numbers, or null if the designer cancelled or the answer wasn't valid (which is reported).
+	 */
+	promptNumbers(message, defaults)
+	{
+		const answer = window.prompt(message, defaults.join(', '));
+		if (answer === null) return null;
+		const values = answer.split(',').map(value => value.trim());
+		const numbers = values.map(Number);
+		if (values.length !== defaults.length || values.some(value => value === '') || numbers.some(number => !Number.isFinite(number)))
+		{
+			window.alert(`Enter ${defaults.length} numbers separated by commas.`);
+			return null;
+		}
+		return numbers;
+	}
+
+	/**
+	 * Lets the designer edit the selected entry's JSON, for anything the other tools don't cover (e.g. armor or angular velocity).
+	 */
+	editSelected()
+	{
+		const entry = this.entries[this.selectedIndex];
+		if (!entry)
+		{
+			window.alert('Select a shape or architecture first.');
+			return;
+		}
+		const answer = window.prompt('Edit the entry (see levelformat.js for the fields):', JSON.stringify(LevelFormat.compactEntry(entry)));
+		if (answer === null) return;
+		let edited;
+		try
+		{
+			edited = LevelFormat.normalizeEntry(JSON.parse(answer));
+		}
+		catch (error)
+		{
+			window.alert('That entry is not valid. ' + error.message);
+			return;
+		}
+		this.replaceEntry(this.selectedIndex, edited);
+	}
+
+	/**
+	 * Adds a velocity change to the selected shape, starting at the previewed time.
+	 */
+	addVelocityKey()
+	{
+		const entry = this.getSelectedShape();
+		if (!entry) return;
+		const numbers = this.promptNumbers(`New velocity x, y (pixels per second) and how long the change takes (ms), starting at ${this.formatTime(this.previewTime)}:`, [entry.velocity.x, entry.velocity.y, 500]);
+		if (!numbers) return;
+		const [x, y, duration] = numbers;
+		entry.velocityChanges.push({ delay: this.getDelay(), velocity: { x: x, y: y }, duration: duration });
+		this.replaceEntry(this.selectedIndex, entry);
+	}
+
+	/**
+	 * Adds a scale change to the selected shape, starting at the previewed time.
+	 */
+	addScaleKey()
+	{
+		const entry = this.getSelectedShape();
+		if (!entry) return;
+		const numbers = this.promptNumbers(`New scale and how long the change takes (ms), starting at ${this.formatTime(this.previewTime)}:`, [2, 500]);
+		if (!numbers) return;
+		const [scale, duration] = numbers;
+		entry.scaling.push({ delay: this.getDelay(), duration: duration, scale: scale });
+		this.replaceEntry(this.selectedIndex, entry);
+	}
+
+	/**
+	 * Adds an oscillation to the selected shape, starting at the previewed time. It replaces any earlier oscillation from then on.
+	 */
+	addOscillation()
+	{
+		const entry = this.getSelectedShape();
+		if (!entry) return;
+		const numbers = this.promptNumbers(`Oscillation speed x, y (pixels per second), time to sweep from -speed to +speed (ms) and repeats (-1 for forever), starting at ${this.formatTime(this.previewTime)}:`, [300, 0, 1000, -1]);
+		if (!numbers) return;
+		const [speedX, speedY, duration, repeat] = numbers;
+		entry.oscillation.push({ delay: this.getDelay(), duration: duration, repeat: repeat, speed: { x: speedX, y: speedY } });
+		this.replaceEntry(this.selectedIndex, entry);
+	}
+
+	/**
+	 * Gives the selected shape an orbit starting at the previewed time, replacing its orbit if it has one.
+	 */
+	setOrbit()
+	{
+		const entry = this.getSelectedShape();
+		if (!entry) return;
+		const numbers = this.promptNumbers(`Orbit radius (pixels), period (ms), duration (ms, -1 for forever) and start angle (radians), starting at ${this.formatTime(this.previewTime)}:`, [100, 2000, -1, 0]);
+		if (!numbers) return;
+		const [radius, period, duration, startAngle] = numbers;
+		entry.orbit = { delay: this.getDelay(), duration: duration, radius: radius, period: period, startAngle: startAngle };
+		this.replaceEntry(this.selectedIndex, entry);
+	}
+
+	/**
+	 * Removes every velocity change, scale change, oscillation and orbit from the selected shape.
+	 */
+	clearMotion()
+	{
+		const entry = this.getSelectedShape();
+		if (!entry) return;
+		this.replaceEntry(this.selectedIndex, Object.assign(entry, { velocityChanges: [], scaling: [], oscillation: [], orbit: null }));
+	}
+
+	/**
+	 * Removes the selected entry from the level.
+	 */
+	deleteSelected()
+	{
+		if (this.selectedIndex === -1) return;
+		if (this.previewShapes[this.selectedIndex])
+		{
+			this.previewShapes[this.selectedIndex].destroy();
+		}
+		this.entries.splice(this.selectedIndex, 1);
+		this.previewShapes.splice(this.selectedIndex, 1);
+		this.selectedIndex = -1;
+		this.updateTimelineLength();
+		this.updatePreview();
+	}
+
+	/**
+	 * Asks for the score needed to clear the level: a whole number from 0 to the level's max score.
+	 */
+	editPassingScore()
+	{
+		const index = this.entries.findIndex(entry => entry.type === 'score');
+		const maxScore = LevelFormat.computeMaxScore(this.entries);
+		const current = index === -1 ? maxScore : this.entries[index].passingScore;
+		const numbers = this.promptNumbers(`Score needed to clear the level (the max score is ${maxScore}):`, [current]);
+		if (!numbers) return;
+		let entry;
+		try
+		{
+			entry = LevelFormat.normalizeEntry({ type: 'score', passingScore: numbers[0] });
+		}
+		catch (error)
+		{
+			window.alert('That passing score is not valid. ' + error.message);
+			return;
+		}
+		if (!Number.isInteger(entry.passingScore) || entry.passingScore < 0 || entry.passingScore > maxScore)
+		{
+			window.alert(`The passing score must be a whole number from 0 to ${maxScore}.`);
+			return;
+		}
+		if (index === -1)
+		{
+			this.entries.unshift(entry);
+			this.previewShapes.unshift(null);
+			this.selectedIndex = this.selectedIndex === -1 ? -1 : this.selectedIndex + 1;
+		}
+		else
+		{
+			this.entries[index] = entry;
+		}
+		this.updatePreview();
+	}
+
+	/**
+	 * Lets the designer edit the level's blackout fades. A new level is offered a fade at the previewed time; an empty list removes the blackout.
+	 */
+	editBlackout()
+	{
+		const fades = [].concat(...this.entries.filter(entry => entry.type === 'blackout').map(entry => entry.fades));
+		const suggestion = fades.length > 0 ? fades : [{ delay: this.getDelay(), duration: 500, repeat: 0 }];
+		const answer = window.prompt('Blackout fades as a list of { delay, duration, repeat } (see levelformat.js), or [] for none:', JSON.stringify(suggestion));
+		if (answer === null) return;
+		let blackout;
+		try
+		{
+			blackout = LevelFormat.normalizeEntry({ type: 'blackout', fades: JSON.parse(answer) });
+		}
+		catch (error)
+		{
+			window.alert('Those fades are not valid. ' + error.message);
+			return;
+		}
+		// Keep every blackout in one entry, so there is a single list to edit.
+		const selected = this.entries[this.selectedIndex];
+		const kept = this.entries.map((entry, index) => ({ entry: entry, shape: this.previewShapes[index] })).filter(({ entry }) => entry.type !== 'blackout');
+		if (blackout.fades.length > 0)
+		{
+			kept.push({ entry: blackout, shape: null });
+		}
+		this.entries = kept.map(({ entry }) => entry);
+		this.previewShapes = kept.map(({ shape }) => shape);
+		this.selectedIndex = this.entries.indexOf(selected);
+		this.updateTimelineLength();
+		this.updatePreview();
+	}
+
+	/**
+	 * Sets the timeline's length to cover every keyframe and blackout in the level, with a few seconds to spare.
+	 */
+	updateTimelineLength()
+	{
+		let end = 0;
+		this.entries.forEach((entry) => {
+			(entry.velocityChanges || []).concat(entry.scaling || []).forEach(change => end = Math.max(end, change.delay + change.duration));
+			(entry.oscillation || []).forEach(movement => end = Math.max(end, movement.delay + 2 * movement.duration * Math.max(1, movement.repeat)));
+			if (entry.orbit)
+			{
+				end = Math.max(end, entry.orbit.delay + Math.max(entry.orbit.duration, entry.orbit.period));
+			}
+			(entry.fades || []).forEach(fade => end = Math.max(end, fade.delay + 2 * fade.duration));
+		});
+		this.timelineLength = Math.max(EditorScene.MIN_TIMELINE_LENGTH, Math.ceil((end / this.difficultyAdjustment + 5000) / 1000) * 1000);
+		this.previewTime = Math.min(this.previewTime, this.timelineLength);
+	}
+
+	/**
+	 * Moves the preview to a time.
+	 * @param {number} time - The level time, clamped to the timeline.
+	 */
+	scrubTo(time)
+	{
+		this.previewTime = Phaser.Math.Clamp(time, 0, this.timelineLength);
+		this.updatePreview();
+	}
+
+	/**
+	 * Gets the level time under a point of the timeline.
+	 * @param {number} x - The x-coordinate on screen.
+	 * @returns {number} The level time.
+	 */
+	timeAtScreenX(x)
+	{
+		const { x: left, width } = EditorScene.TIMELINE;
+		return (x - left) / width * this.timelineLength;
+	}
+
+	/**
+	 * Plays or pauses the preview. Playing from the end starts over.
+	 */
+	togglePreview()
+	{
+		this.previewPlaying = !this.previewPlaying;
+		if (this.previewPlaying && this.previewTime >= this.timelineLength)
+		{
+			this.previewTime = 0;
+		}
+		this.playButton.setText(this.previewPlaying ? 'Pause' : 'Play');
+	}
+
+	/**
+	 * Formats a level time for display.
+	 * @param {number} time - The level time in milliseconds.
+	 * @returns {string} The time in seconds.
+	 */
+	formatTime(time)
+	{
+		return (time / 1000).toFixed(2) + 's';
+	}
+
+	/**
+	 * Moves every shape to the previewed time and redraws the overlay, timeline and info.
+	 */
+	updatePreview()
+	{
+		this.previewShapes.forEach(shape => shape && shape.update(this.previewTime));
+		this.drawOverlay();
+		this.drawTimeline();
+		this.updateInfo();
+	}
+
+	/**
+	 * Draws the architecture being drawn, and the selected shape's path and outline.
+	 */
+	drawOverlay()
+	{
+		const graphics = this.overlayGraphics;
+		graphics.clear();
+
+		if (this.architecturePoints.length > 0)
+		{
+			graphics.lineStyle(2, 0xFFFF00, 1);
+			graphics.fillStyle(0xFFFF00, 1);
+			this.architecturePoints.forEach((point, index) => {
+				graphics.fillCircle(point.x, point.y, 4);
+				if (index > 0)
+				{
+					const previous = this.architecturePoints[index - 1];
+					graphics.lineBetween(previous.x, previous.y, point.x, point.y);
+				}
+			});
+		}
+
+		const shape = this.previewShapes[this.selectedIndex];
+		if (!shape) return;
+		graphics.lineStyle(2, 0xFFFF00, 1);
+		if (shape instanceof Architecture)
+		{
+			graphics.strokePoints(shape.points.map(point => ({ x: point.x + shape.x, y: point.y + shape.y })), true);
+			return;
+		}
+		graphics.strokeCircle(shape.x, shape.y, 40 * shape.scaleFactor);
+
+		// The whole path over the timeline, so the designer can see where the shape goes.
+		const path = [];
+		for (let time = 0; time <= this.timelineLength; time += 50)
+		{
+			const offset = shape.motion.offsetAt(time);
+			path.push({ x: shape.startX + offset.x, y: shape.startY + offset.y });
+		}
+		graphics.lineStyle(2, 0xFFFFFF, 0.4);
+		graphics.strokePoints(path);
+	}
+
+	/**
+	 * Draws the timeline: second ticks, the level's blackouts, the selected shape's keyframes (one lane each for velocity changes,
+	 * scale changes, oscillations and the orbit) and the playhead.
+	 */
+	drawTimeline()
+	{
+		const { x, y, width, height } = EditorScene.TIMELINE;
+		const graphics = this.timelineGraphics;
+		const toX = time => x + width * Phaser.Math.Clamp(time / this.difficultyAdjustment, 0, this.timelineLength) / this.timelineLength; // Level format times are at Hard speed.
+		const span = (start, end, laneY, color) => {
+			graphics.fillStyle(color, 1);
+			graphics.fillRect(toX(start), laneY, Math.max(2, toX(end) - toX(start)), 5);
+		};
+		graphics.clear();
+		graphics.fillStyle(0x000000, 0.6);
+		graphics.fillRect(x, y, width, height);
+
+		graphics.lineStyle(1, 0xFFFFFF, 0.3);
+		for (let time = 0; time <= this.timelineLength; time += 1000)
+		{
+			graphics.lineBetween(toX(time), y + height - 5, toX(time), y + height);
+		}
+
+		this.entries.filter(entry => entry.type === 'blackout').forEach((entry) => {
+			entry.fades.forEach(fade => span(fade.delay, fade.delay + 2 * fade.duration, y + 1, 0x888888));
+		});
+
+		const entry = this.entries[this.selectedIndex];
+		if (entry && LevelFormat.SHAPE_TYPES.includes(entry.type))
+		{
+			entry.velocityChanges.forEach(change => span(change.delay, change.delay + change.duration, y + 8, 0xFFFF00));
+			entry.scaling.forEach(scale => span(scale.delay, scale.delay + scale.duration, y + 14, 0x00FFFF));
+			entry.oscillation.forEach(movement => span(movement.delay, movement.repeat === -1 ? Infinity : movement.delay + 2 * movement.duration * movement.repeat, y + 20, 0xFF00FF));
+			if (entry.orbit)
+			{
+				span(entry.orbit.delay, entry.orbit.duration === -1 ? Infinity : entry.orbit.delay + entry.orbit.duration, y + 26, 0xFF8800);
+			}
+		}
+
+		const playheadX = x + width * this.previewTime / this.timelineLength;
+		graphics.lineStyle(2, 0xFFFFFF, 1);
+		graphics.lineBetween(playheadX, y, playheadX, y + height);
+		this.timeText.setText(`${this.formatTime(this.previewTime)} / ${this.formatTime(this.timelineLength)}`);
+	}
+
+	/**
+	 * Describes the level, the selected entry and how to use the active tool.
+	 */
+	updateInfo()
+	{
+		const lines = [`${this.levelName}: ${this.entries.length} entries, max score ${LevelFormat.computeMaxScore(this.entries)}`];
+		const entry = this.entries[this.selectedIndex];
+		if (entry && entry.type === 'architecture')
+		{
+			lines.push(`Architecture with ${entry.points.length} points, falling at ${entry.velocity.y}`);
+		}
+		else if (entry)
+		{
+			lines.push(`${entry.type} spawning at (${entry.x}, ${entry.y}) with velocity (${entry.velocity.x}, ${entry.velocity.y}): ` +
+				`${entry.velocityChanges.length} velocity keys (yellow), ${entry.scaling.length} scale keys (cyan), ` +
+				`${entry.oscillation.length} oscillations (magenta)${entry.orbit ? ', an orbit (orange)' : ''}`);
+		}
+		if (this.tool === 'architecture')
+		{
+			lines.push('Click to add points, Enter to finish, Esc to cancel.');
+		}
+		else if (this.tool !== 'select')
+		{
+			lines.push('Click to place it where it should be at the previewed time.');
+		}
+		this.infoText.setText(lines.join('\n'));
+	}
+
+	/**
+	 * Gets the level as a level pack holding just this level.
+	 * @returns {Object} The level pack JSON (see LevelPack).
+	 */
+	toLevelPack()
+	{
+		return {
+			name: this.levelName,
+			author: '',
+			version: 1,
+			levels: [{ name: this.levelName, entries: this.entries.map(entry => LevelFormat.compactEntry(entry)) }],
+		};
+	}
+
+	/**
+	 * Downloads the level as a level pack JSON file. It can be played with the "pack" URL parameter or its level copied into another pack.
+	 */
+	exportToFile()
+	{
+		const blob = new Blob([JSON.stringify(this.toLevelPack(), null, '\t')], { type: 'application/json' });
+		const url = URL.createObjectURL(blob);
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = `CursorCombat-level-${this.levelName.replace(/[^A-Za-z0-9]+/g, '-')}.json`;
+		link.click();
+		URL.revokeObjectURL(url);
+	}
+
+	/**
+	 * Asks for a level file and opens it: a level pack (asking which level if it has several), a single level with a name and entries,
+	 * or a bare list of entries. Invalid files are reported and ignored.
+	 */
+	importFromFile()
+	{
+		const input = document.createElement('input');
+		input.type = 'file';
+		input.accept = '.json,application/json';
+		input.addEventListener('change', () => {
+			if (input.files.length === 0)
+			{
+				return;
+			}
+			const reader = new FileReader();
+			reader.onload = () => {
+				try
+				{
+					let level = JSON.parse(reader.result);
+					if (Array.isArray(level))
+					{
+						level = { name: 'Custom Level', entries: level };
+					}
+					else if (level && Array.isArray(level.levels))
+					{
+						const count = level.levels.length;
+						const levelNumber = count === 1 ? 1 : Number(window.prompt(`This level pack has ${count} levels. Level to open (1-${count}):`, '1'));
+						if (!Number.isInteger(levelNumber) || levelNumber < 1 || levelNumber > count)
+						{
+							throw new Error(`There is no level ${levelNumber}.`);
+						}
+						level = level.levels[levelNumber - 1];
+					}
+					if (!level || typeof level !== 'object')
+					{
+						throw new Error('The file must hold a level pack, a level or a list of entries.');
+					}
+					this.openLevel(level.name || 'Custom Level', LevelFormat.normalizeLevel(level.entries, 1));
+				}
+				catch (error)
+				{
+					window.alert('That file is not a valid Cursor Combat level. ' + error.message);
+				}
+			};
+			reader.readAsText(input.files[0]);
+		});
+		input.click();
+	}
+
+	/**
+	 * Plays the level in the game, at the game's difficulty. The editor comes back once the level ends or on ESC.
+	 */
+	testPlay()
+	{
+		if (!this.entries.some(entry => entry.type === 'architecture' || LevelFormat.SHAPE_TYPES.includes(entry.type)))
+		{
+			window.alert('Place some shapes first.');
+			return;
+		}
+		this.previewPlaying = false;
+		this.playButton.setText('Play');
+		this.scene.switch('GameScene');
+		this.gameScene.playTestLevel(JSON.parse(JSON.stringify(this.entries)));
+	}
+
+	/**
+	 * Leaves the editor and restarts the level that was being played. The edited level stays in the editor for next time.
+	 */
+	backToGame()
+	{
+		this.previewPlaying = false;
+		this.playButton.setText('Play');
+		this.scene.switch('GameScene');
+		this.gameScene.returnFromEditor();
+	}
+}
+export default EditorScene;
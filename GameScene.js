@@ -1,5 +1,9 @@
-import { level1, level2, level3, level4, level5, level6, level7, level8, level9, level10, level11, level12, level13, level14, level15, level16, level17, level18, level19, level20 } from './levels.js';
 import { Level } from './level.js';
+import { LevelPack } from './levelpack.js';
+import { DebugTimeline } from './debugtimeline.js';
+import { EndlessMode } from './endless.js';
+import { DailyChallenge } from './dailychallenge.js';
+import { CampaignRun } from './campaign.js';
 
 /**
  * Class Name: GameScene
@@ -7,7 +11,8 @@ import { Level } from './level.js';
  * Expected Inputs: User interactions (mouse clicks, keyboard inputs).
  * Expected Outputs: Game progression, visual updates, and achievement unlocks.
  * Called By: Phaser Game Framework during game initialization and runtime.
- * Will Call: Level class methods for level loading and updating; Phaser library methods for input handling and rendering.
+ * Will Call: Level class methods for level loading and updating; GameEvents to announce the start of a level and activated upgrades,
+ * and to subscribe to the gameplay events; Palette for the colors the level is drawn in; Phaser library methods for input handling and rendering.
  * @class
  * @param {Phaser.Scene} scene
  * @author Braeden Ruff
@@ -20,41 +25,107 @@ class GameScene extends Phaser.Scene {
     constructor() {
         super({ key: 'GameScene' }); // Initialize with a unique key for Phaser.
         this.score = 0; // Track the current score.
-        // Array containing all level data, imported from levels.js.
-        this.levels = [level1, level2, level3, level4, level5, level6, level7, level8, level9, level10, level11, level12, level13, level14, level15, level16, level17, level18, level19, level20 ]; // Array of levels.
+        this.levelPack = null; // The level pack being played, loaded from JSON in preload().
+        this.levels = []; // Array containing all level data, filled from the level pack in create().
         this.currentLevelIndex = 0; // Index of the currently loaded level.
 		this.loadLevelStartTime = 0; // Time when the current level was loaded. Used for debugging and helping make new levels
-		this.achievements = { // Track achievements.
-			"Win-0": false, // Winning at easy difficulty
-			"Win-1": false, // Winning at medium difficulty
-			"Win-2": false, // Winning at hard difficulty
-			"Win-3": false, // Winning at insane difficulty
-			"Max-0": false, // Achieving the max score on easy difficulty
-			"Max-1": false, // Achieving the max score on medium difficulty
-			"Max-2": false, // Achieving the max score on hard difficulty
-			"Max-3": false, // Achieving the max score on insane difficulty
-			"Friendly-Fire": false, // Killing all squares and architecture
-			"Destructive": false, // Killing all squares, triangles, and architecture
-		};
+		this.achievements = {}; // Whether each achievement is unlocked, by id (see Achievements.LIST).
+		Achievements.LIST.forEach(achievement => this.achievements[achievement.id] = false);
 		this.healthBar = null; // Represents the player's health bar object.
 		this.intangibleEffectTweenIn = null; // Tween for the intangible effect appearing animation.
 		this.intangibleEffectTweenOut = null; // Tween for the intangible effect disappearing animation.
 		this.intangibleEffect = null; // Object for the intangible effect visualization.
 		this.slowtimeFactor = 1; // Controls the game's time scaling factor, 1 being normal speed.
-		this.fadeTween = null; // Tween for black screen fade effect (for making levels harder).
+		this.blackBackground = null; // Black rectangle covering the screen for the level's blackout (for making levels harder).
+		this.blackoutFades = []; // The level's blackout fades, evaluated at the level time every frame.
 		this.mainMenu = null; // Reference to the main menu object, used for navigation and game settings.
 		this.difficulty = null; // Current difficulty setting of the game.
 		this.difficultyAdjustment = 0; // Numeric representation of the difficulty adjustment. 
 		this.cutsceneText = null; // Text displayed during cutscenes.
 		this.escMenu = null; // Reference to the escape menu object.
 		this.escMenuOpen = false; // Flag to track if the escape menu is currently open.
-		this.achievedScores = [[],[0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],[],[]]; // Arrays to track scores achieved in each level at different difficulties.
-		this.maxScores = [6, 6, 4, 8, 7, 24, 6, 7, 13, 7, 20, 10, 10, 9, 19, 21, 14, 25, 20, 38]; // Predefined max scores for each level to determine level completion and achievement unlocking.
+		this.activeMenu = null; // The menu screen the keyboard and gamepad navigate (see Menu), or null.
+		this.achievedScores = [[],[],[],[]]; // Arrays to track scores achieved in each level at different difficulties.
+		this.bestRuns = [[],[],[],[]]; // Ghosts of the best cleared run of each level at different difficulties.
+		this.stars = [[],[],[],[]]; // Stars earned in each level at different difficulties, as flags (see StarRating).
+		this.stats = [[],[],[],[]]; // Stats of each level at different difficulties (see LevelStats).
+		this.maxScores = []; // Max scores for each level, derived from the level pack's entries, to determine level completion and achievement unlocking.
 		this.levelSelect = null; // Reference to the level selection menu object.
 		this.difficultyIndex = 0; // Index representing the current difficulty level.
 		this.instructions = null; // Instructions class reference.
+		this.statsScreen = null; // Stats screen class reference.
+		this.achievementsScreen = null; // Achievements screen class reference.
 		this.isMuted = false; // Flag to track if the game sound is muted. Used when refocusing screen
+		this.saveData = null; // Persists scores, achievements and settings in localStorage.
+		this.lastDifficulty = null; // The difficulty the player last chose, restored from the save data.
+		this.recording = null; // Replay recording the current run of the level.
+		this.lastReplay = null; // Replay of the last finished run, to watch or export from the escape menu.
+		this.replayPlayer = new ReplayPlayer(this); // Plays replays back.
+		this.replayReturnDifficulty = null; // The difficulty to go back to after watching a replay.
+		this.recordedScore = 0; // The score last recorded in the replay, to record only changes.
+		this.sought = false; // Flag indicating whether the current run was jumped into in debug mode (see seekLevel()). Like a replay, it earns nothing.
+		this.ghostEnabled = true; // Flag to track if the personal-best ghost is drawn while playing.
+		this.ghostOverlay = null; // Draws the personal-best ghost.
+		this.comboScoring = false; // Flag to track if kills build combos and combo points (see ComboScoring).
+		this.debugTimeline = null; // Pause, step and scrub controls, only in debug mode (see DebugTimeline).
+		this.testLevel = null; // Entries of the level being test-played from the level editor, or null.
+		this.endless = null; // The endless mode run being played (see EndlessMode), or null.
+		this.endlessBest = [0, 0, 0, 0]; // Longest endless mode survival time in milliseconds at each difficulty.
+		this.daily = null; // The daily challenge being played (see DailyChallenge), or null.
+		this.dailyRecord = null; // The daily challenge's best score of the day and streak, from the save data.
+		this.campaign = null; // The campaign run being played (see CampaignRun), or null.
+		this.campaignRuns = [null, null, null, null]; // The saved campaign run at each difficulty (see CampaignRun.toJSON()), or null.
+		this.bonusLevel = null; // The level pack's bonus level being played, or null.
+		this.controls = new Controls(this); // The key bound to each action, and the handlers of the actions (see Controls).
+		this.touchControls = new TouchControls(this); // Touch mode: a finger as the cursor, and on-screen buttons for the keys (see TouchControls).
+		this.gamepadControls = new GamepadControls(this); // Gamepad mode: a stick-driven cursor, and buttons for the keys (see GamepadControls).
+		this.palette = new Palette(); // The colors the shapes are drawn in, and how hostile shapes are marked (see Palette).
+		this.gameEvents = new GameEvents(); // Gameplay events, announced by the level and its shapes (see GameEvents).
+		this.subscribeToGameEvents();
+		this.achievementEngine = new Achievements(this); // Unlocks the achievements from the gameplay events. After the stats, which it reads.
     }
+	
+	/**
+	 * Subscribes the score and its display, the sounds, the level stats and endless mode's lives to the gameplay events.
+	 * The achievements subscribe themselves (see Achievements).
+	 */
+	subscribeToGameEvents()
+	{
+		// Score: a kill is worth 1 and a friendly hit costs 1. Running out of energy loses the level's score and its shapes.
+		this.gameEvents.on('shapeKilled', () => {
+			this.score += 1;
+			this.level.updateScoreText();
+		});
+		this.gameEvents.on('friendlyHit', () => {
+			this.score -= 1;
+			this.level.updateScoreText();
+		});
+		this.gameEvents.on('energyDepleted', () => {
+			this.level.clearShapesNoSound();
+			this.score = 0;
+		});
+		
+		// Sounds at the end of the level.
+		this.gameEvents.on('levelCleared', () => this.sound.play('win', {volume:0.2}));
+		this.gameEvents.on('levelFailed', () => this.sound.play('lose', {volume:0.2}));
+		
+		// Level stats.
+		this.gameEvents.on('levelStarted', () => this.recordStat('attempts'));
+		this.gameEvents.on('shapeKilled', () => this.recordStat('trianglesKilled'));
+		this.gameEvents.on('friendlyHit', () => this.recordStat('friendliesHit'));
+		this.gameEvents.on('upgradeCollected', () => this.recordStat('upgradesCollected'));
+		this.gameEvents.on('energyDepleted', () => this.recordStat('energyDeaths'));
+		this.gameEvents.on('levelCleared', event => this.recordLevelResult(true, event.time));
+		this.gameEvents.on('levelFailed', event => this.recordLevelResult(false, event.time));
+		
+		// Hitting a friendly shape costs a life in endless mode.
+		this.gameEvents.on('friendlyHit', () => {
+			if (this.endless)
+			{
+				this.endless.loseLife();
+			}
+		});
+	}
 
     /**
      * Preloads game assets.
@@ -80,6 +151,7 @@ class GameScene extends Phaser.Scene {
 		this.load.audio('win', 'mixkit-fantasy-game-success-notification-270.wav');
 		this.load.audio('lose', 'mixkit-losing-piano-2024.wav');
 		this.load.audio('background', 'Maximalism(chosic.com).mp3');
+		this.load.json(LevelPack.CACHE_KEY, LevelPack.getPath()); // The level pack (levels and max scores) to play.
     }
 
     /**
@@ -87,6 +159,15 @@ class GameScene extends Phaser.Scene {
      */
     create() 
 	{
+		// Build the levels from the level pack loaded in preload().
+		this.levelPack = new LevelPack(this.cache.json.get(LevelPack.CACHE_KEY));
+		this.levels = this.levelPack.getLevelEntries();
+		this.maxScores = this.levelPack.getMaxScores();
+		
+		// Restore the player's progress and settings.
+		this.saveData = new SaveData(this.levelPack.name);
+		this.applySaveData(this.saveData.load());
+		
 		// Cutscene sentences
 		this.sentences = [
 			"In the digital realm of Cubeville, all the shapes lived in harmony.",
@@ -106,10 +187,15 @@ class GameScene extends Phaser.Scene {
         // Display reset instructions and setup key event listeners for resetting level or game.
         this.resetText = this.add.text(this.cameras.main.width - 40, 10, '', { fontSize: '16px', fill: '#FFF' }).setOrigin(1, 0);
 		
-		// Enable pointer events only when over the canvas.
+		// Enable pointer events only when the mouse (or a hovering pen) is over the canvas. Fingers come and go with every touch,
+		// so they're followed by the touch mode instead (see TouchControls).
 		const canvas = this.sys.game.canvas;
-		canvas.addEventListener('pointerenter', () => this.input.enabled = true);
-		canvas.addEventListener('pointerleave', () => this.input.enabled = false);
+		canvas.addEventListener('pointerenter', event => {
+			if (event.pointerType !== 'touch') this.input.enabled = !this.replayPlayer.playing; // A replay's ghost cursor has the input.
+		});
+		canvas.addEventListener('pointerleave', event => {
+			if (event.pointerType !== 'touch') this.input.enabled = false;
+		});
 		this.input.setPollAlways(true);
 
         // Setup pointer down debug output.
@@ -118,98 +204,31 @@ class GameScene extends Phaser.Scene {
         //   console.log(`${pointer.x} ${pointer.y} Elapsed Time: ${elapsedTime}ms`); //only used when debugging
         //});
 
-        this.input.keyboard.on('keydown-R', () => {
-			this.time.removeAllEvents(); // Clear scheduled events.
-			this.loadCurrentLevel(); // Reload current level.
-		});
+        // Listen for the gameplay actions, on whatever keys they're bound to (see Controls).
+        this.controls.attach();
+        this.controls.on('reset', () => this.handleGameplayKey('R'));
+		this.controls.on('slowtime', () => this.handleGameplayKey('S'));
+		this.controls.on('intangible', () => this.handleGameplayKey('E'));
+		this.touchControls.create();
+		this.gamepadControls.create();
 		
-		this.input.keyboard.on('keydown-S', () => {
-			if(!this.level.slowtimeActive && !this.level.slowtime) return;
-			if(this.level.slowtime)
-			{
-				if (this.slowtimeTimerEvent) {
-					this.slowtimeTimerEvent.remove();
-					this.slowtimeTimerEvent = null; // Clear the reference
-				}
-				this.finishSlowtime();
-				return;
-			}
-			this.setSlowtimeFactor(0.1);
-			this.level.slowtime = true;
-			this.level.slowtimeActive = false;
-			this.slowtimeText.setText('Press S to cancel Slow Time');
-			this.slowtimeTimerEvent = this.time.delayedCall(3000 * this.slowtimeFactor, () => { 
-				this.finishSlowtime();
-			});
-		});
-		
-		this.input.keyboard.on('keydown-E', () => {
-			if(!this.level.intangibleActive && !this.level.intangible) return;
-			if(this.level.intangible)
-			{
-				//if it entered here, you want to instant cancel the intangible effect
-				if (this.intangibleEffectTweenIn) {
-					this.intangibleEffectTweenIn.stop();
-				}
-				if (this.intangibleEffectTweenOut) {
-					this.intangibleEffectTweenOut.stop();
-				}
-
-				// immediately hide or destroy the intangible effect
-				if (this.intangibleEffect) {
-					this.intangibleEffect.setVisible(false); // or this.intangibleEffect.destroy();
-				}
-				if (this.intangibleTimerEvent) {
-					this.intangibleTimerEvent.remove();
-					this.intangibleTimerEvent = null; // Clear the reference
-				}
-				// Reset state
-				this.finishIntangible();
-				return;
-			}
-			this.level.intangibleActive = false;
-			this.level.intangible = true;
-			this.intangibleText.setText('Press E to cancel Intangible');
-			
-			// Activate intangibility logic...
-			const pointer = this.input.activePointer;
-			this.intangibleEffect = this.add.circle(pointer.x, pointer.y, 40, 0x777777);
-			
-			this.intangibleEffect.setAlpha(0);
-
-			// Update the effect's position to follow the cursor
-			this.input.on('pointermove', (pointer) => {
-				this.intangibleEffect.setPosition(pointer.x, pointer.y);
-			});
-
-			// Fade effect in
-			this.intangibleEffectTweenIn = this.tweens.add({
-				targets: this.intangibleEffect,
-				alpha: { from: 0, to: 0.5 },
-				duration: 250,
-			});
-
-			// Fade effect out
-			this.intangibleEffectTweenOut = this.tweens.add({
-				targets: this.intangibleEffect,
-				alpha: { from: 0.5, to: 0 },
-				duration: 250,
-				delay: 750,
-			});
-			this.adjustActiveTweens();
-			// Create and store the delayed call
-			this.intangibleTimerEvent = this.time.delayedCall(1000, () => {
-				this.finishIntangible();
-			});
-		});
+		// Record clicks for the replay (pointer positions are recorded every frame in update()).
+		this.input.on('pointerdown', (pointer, currentlyOver) => this.recordClick(pointer, currentlyOver));
 		
 		this.healthBar = new HealthBar(this);
+		this.ghostOverlay = new GhostOverlay(this);
+		if (DebugTimeline.isEnabled())
+		{
+			this.debugTimeline = new DebugTimeline(this);
+		}
 		
         // Initialize the level.
         this.level = new Level(this);
 		this.mainMenu = new MainMenu(this);
 		this.escMenu = new EscapeMenu(this);
 		this.instructions = new Instructions(this);
+		this.statsScreen = new StatsScreen(this);
+		this.achievementsScreen = new AchievementsScreen(this);
 	}
 	
 	/**
@@ -219,14 +238,651 @@ class GameScene extends Phaser.Scene {
      */
     update(time, delta) 
 	{
+		this.gamepadControls.update(delta); // Move the virtual cursor before the cursor is recorded and swept.
+		this.recordPointer();
+		this.recordScore();
+		if (!this.replayPlayer.playing)
+		{
+			this.level.sweepCursor(); // Touch the shapes along the cursor's path. A replay sweeps its ghost cursor as it moves instead.
+		}
         this.level.update(time, delta); // Delegate update to the level manager.
+		this.ghostOverlay.update(this.level.clock.now);
+		if (this.endless)
+		{
+			this.endless.update();
+		}
+		if (this.debugTimeline)
+		{
+			this.debugTimeline.update();
+		}
     }
 	
+	/**
+	 * Handles a gameplay key press from the keyboard, recording it for the replay. Ignored while a replay plays, since the replay presses keys itself.
+	 * Replays record the action rather than the key it's bound to, so they play back the same with any bindings.
+	 * @param {string} key - The action's code in replays: 'R' (reset), 'S' (slow time) or 'E' (intangible).
+	 */
+	handleGameplayKey(key)
+	{
+		if (this.replayPlayer.playing) return;
+		if (this.recording) {
+			this.recording.recordKey(this.level.clock.now, key);
+		}
+		this.pressGameplayKey(key);
+	}
+	
+	/**
+	 * Performs a gameplay key's action, for the player or a replay.
+	 * @param {string} key - 'R' (reset), 'S' (slow time) or 'E' (intangible).
+	 */
+	pressGameplayKey(key)
+	{
+		if (key === 'R') {
+			this.resetLevel();
+		} else if (key === 'S') {
+			this.toggleSlowtime();
+		} else if (key === 'E') {
+			this.toggleIntangible();
+		}
+	}
+	
+	/**
+	 * Records the pointer position for the replay. While the pointer is off the canvas or a menu covers the level,
+	 * it's recorded off the canvas since it can't touch any shape.
+	 */
+	recordPointer()
+	{
+		if (!this.recording) return;
+		const cursor = this.getLevelCursor();
+		this.recording.recordPointer(this.level.clock.now, cursor.x, cursor.y);
+	}
+	
+	/**
+	 * Records the score for the replay if it changed, so the run's ghost can show it.
+	 */
+	recordScore()
+	{
+		if (this.recording && this.score !== this.recordedScore) {
+			this.recording.recordScore(this.level.clock.now, this.score);
+			this.recordedScore = this.score;
+		}
+	}
+	
+	/**
+	 * Records a click (or tap) for the replay. Taps on the touch mode's buttons aren't clicks on the level; their actions are recorded as keys.
+	 * @param {Phaser.Input.Pointer} pointer - The pointer that was pressed.
+	 * @param {Array<Phaser.GameObjects.GameObject>} currentlyOver - The interactive objects under the pointer.
+	 */
+	recordClick(pointer, currentlyOver = [])
+	{
+		if (currentlyOver.some(gameObject => this.touchControls.isButton(gameObject))) return;
+		if (this.recording && !this.escMenuOpen) {
+			this.recording.recordClick(this.level.clock.now, pointer.x, pointer.y);
+		}
+	}
+	
+	/**
+	 * Gets where the cursor is: the ghost cursor while a replay plays, otherwise the real pointer.
+	 * @returns {{x: number, y: number}} The cursor position.
+	 */
+	getPointerPosition()
+	{
+		if (this.replayPlayer.playing) {
+			return this.replayPlayer.getPosition();
+		}
+		return { x: this.input.activePointer.x, y: this.input.activePointer.y };
+	}
+	
+	/**
+	 * Gets where the cursor can touch the level's shapes: like getPointerPosition(), but off the canvas (-1, -1) while the real
+	 * pointer is off the canvas or a menu covers the level, and in touch mode while no finger is down on the level. In gamepad mode
+	 * it's the virtual cursor.
+	 * Replays record this position (see recordPointer()).
+	 * @returns {{x: number, y: number}} The cursor position, or (-1, -1).
+	 */
+	getLevelCursor()
+	{
+		if (this.replayPlayer.playing) {
+			return this.replayPlayer.getPosition();
+		}
+		if (this.escMenuOpen) {
+			return { x: -1, y: -1 };
+		}
+		if (this.gamepadControls.enabled) {
+			return this.gamepadControls.getCursor(); // Even while the mouse is outside the canvas.
+		}
+		if (!this.input.enabled) {
+			return { x: -1, y: -1 };
+		}
+		if (this.touchControls.enabled) {
+			return this.touchControls.getCursor();
+		}
+		return this.getPointerPosition();
+	}
+	
+	/**
+	 * Starts recording a run of the current level.
+	 */
+	startRecording()
+	{
+		this.recording = new Replay({
+			pack: this.levelPack.name,
+			level: this.currentLevelIndex + 1,
+			levelName: this.levelPack.levels[this.currentLevelIndex].name,
+			difficulty: this.difficulty,
+		});
+		this.recordedScore = 0;
+	}
+	
+	/**
+	 * Completes the recording once the level ends and keeps it as the last replay. A cleared run that beats the best one becomes the new ghost.
+	 * @param {boolean} cleared - Whether the level was cleared.
+	 */
+	finishRecording(cleared)
+	{
+		this.ghostOverlay.hide(); // The run is over.
+		if (!this.recording) return;
+		this.recordScore(); // The last frame's score change hasn't been recorded yet.
+		this.recording.finish(this.score, cleared);
+		if (cleared) {
+			this.recordBestRun(this.recording);
+		}
+		this.lastReplay = this.recording;
+		this.recording = null;
+	}
+	
+	/**
+	 * Keeps a cleared run as the ghost of its level and difficulty if it scored higher than the best run so far.
+	 * @param {Replay} replay - The finished run.
+	 */
+	recordBestRun(replay)
+	{
+		const best = this.bestRuns[this.difficultyIndex][this.currentLevelIndex];
+		if (best && best.score >= replay.score) return;
+		this.bestRuns[this.difficultyIndex][this.currentLevelIndex] = Ghost.fromReplay(replay);
+		this.saveProgress();
+	}
+	
+	/**
+	 * Shows the ghost of the best run of the current level and difficulty, unless ghosts are turned off or a replay plays.
+	 */
+	showGhost()
+	{
+		const ghost = this.bestRuns[this.difficultyIndex][this.currentLevelIndex] || null;
+		this.ghostOverlay.show(this.ghostEnabled && !this.replayPlayer.playing && !this.testLevel && !this.endless && !this.daily && !this.bonusLevel ? ghost : null);
+	}
+	
+	/**
+	 * Turns the personal-best ghost on or off (from the escape menu) and remembers the choice.
+	 * @param {boolean} enabled - Whether to draw the ghost.
+	 */
+	setGhostEnabled(enabled)
+	{
+		this.ghostEnabled = enabled;
+		this.saveProgress();
+		if (this.recording) {
+			this.showGhost(); // Only while a run is in progress; between levels there's nothing to race.
+		}
+	}
+	
+	/**
+	 * Changes the shapes' color scheme and marking (from the escape menu), remembers the choice and redraws the level with it.
+	 * @param {string} scheme - The color scheme, one of Palette.SCHEMES.
+	 * @param {string} marking - How hostile shapes are marked, one of Palette.MARKINGS.
+	 */
+	setPalette(scheme, marking)
+	{
+		this.palette.setSettings({ scheme, marking });
+		this.saveProgress();
+		this.applyPalette();
+	}
+	
+	/**
+	 * Draws the background and the shapes on screen in the palette's colors.
+	 */
+	applyPalette()
+	{
+		this.cameras.main.setBackgroundColor(this.palette.getColors().background);
+		if (this.level) {
+			this.level.redrawShapes();
+		}
+	}
+	
+	/**
+	 * Turns combo scoring on or off (from the main menu) and remembers the choice.
+	 * @param {boolean} enabled - Whether kills build combos and combo points.
+	 */
+	setComboScoring(enabled)
+	{
+		this.comboScoring = enabled;
+		this.saveProgress();
+		this.level.combo.updateText();
+	}
+	
+	/**
+	 * Plays a replay on its level and difficulty. Progress and achievements aren't touched while it plays.
+	 * @param {Replay} replay - The replay to watch.
+	 */
+	playReplay(replay)
+	{
+		if (replay.pack !== this.levelPack.name || replay.level > this.levels.length) {
+			window.alert(`This replay is for level ${replay.level} of the level pack '${replay.pack}', which isn't loaded.`);
+			return;
+		}
+		this.replayReturnDifficulty = this.difficulty;
+		this.recording = null;
+		this.setDifficulty(replay.difficulty, false); // Watching a replay doesn't change the player's settings.
+		this.currentLevelIndex = replay.level - 1;
+		this.replayPlayer.start(replay);
+		this.loadCurrentLevel();
+	}
+	
+	/**
+	 * Stops the replay and gives the level back to the player, on their own difficulty.
+	 */
+	finishReplay()
+	{
+		this.replayPlayer.stop();
+		if (this.replayReturnDifficulty) {
+			this.setDifficulty(this.replayReturnDifficulty, false);
+		}
+		this.loadCurrentLevel();
+	}
+	
+	/**
+	 * Leaves the current run and opens the level editor (from the escape menu).
+	 */
+	openEditor()
+	{
+		this.recording = null; // The run is abandoned.
+		this.ghostOverlay.hide();
+		this.time.removeAllEvents();
+		this.scene.switch('EditorScene');
+	}
+	
+	/**
+	 * Restarts the current level after the level editor is closed.
+	 */
+	returnFromEditor()
+	{
+		this.loadCurrentLevel();
+	}
+	
+	/**
+	 * Plays a level from the level editor at the current difficulty. Progress, achievements, replays and ghosts aren't touched,
+	 * and the editor comes back once the level ends or on ESC.
+	 * @param {Array<Object>} entries - The level's entries (see LevelFormat).
+	 */
+	playTestLevel(entries)
+	{
+		this.testLevel = entries;
+		this.loadCurrentLevel();
+	}
+	
+	/**
+	 * Ends a test play and goes back to the level editor.
+	 */
+	finishTestLevel()
+	{
+		this.testLevel = null;
+		this.time.removeAllEvents(); // The level may be ending.
+		this.level.clearShapesNoSound();
+		this.scene.switch('EditorScene');
+	}
+	
+	/**
+	 * Leaves the current run and starts an endless mode run (from the escape menu).
+	 * @param {number|null} seed - The seed to generate the waves from, or null for a random one.
+	 */
+	startEndless(seed)
+	{
+		this.recording = null; // The run is abandoned.
+		this.time.removeAllEvents();
+		this.stopCampaign(); // The campaign run can be resumed from the main menu.
+		if (this.endless)
+		{
+			this.endless.destroy();
+		}
+		this.endless = new EndlessMode(this, seed === null ? Math.floor(Math.random() * 1000000) : seed);
+		this.loadCurrentLevel();
+	}
+	
+	/**
+	 * Ends the endless mode run (after the game over message, or on ESC) and goes back to the current level.
+	 */
+	finishEndless()
+	{
+		this.endless.destroy();
+		this.endless = null;
+		this.time.removeAllEvents(); // The game over message may still be showing.
+		this.loadCurrentLevel();
+	}
+	
+	/**
+	 * Starts today's daily challenge (from the main menu). If the game hasn't started yet, it's loaded once the cutscene ends.
+	 */
+	startDaily()
+	{
+		this.daily = new DailyChallenge(this);
+		if (this.levelSelect)
+		{
+			this.loadCurrentLevel();
+		}
+	}
+	
+	/**
+	 * Leaves the daily challenge (once it's cleared, or on ESC) for the level select screen.
+	 */
+	finishDaily()
+	{
+		this.daily.destroy();
+		this.daily = null;
+		this.time.removeAllEvents(); // The level cleared message may still be showing.
+		this.level.clearShapesNoSound();
+		this.level.resetLevelState();
+		this.levelSelect.show();
+	}
+	
+	/**
+	 * Starts a campaign run at the current difficulty (from the main menu), resuming the saved one from its checkpoint if there is one.
+	 * A run whose lives ran out is continued. The first level is loaded once the cutscene ends.
+	 */
+	startCampaign()
+	{
+		this.campaign = new CampaignRun(this, this.campaignRuns[this.difficultyIndex]);
+		if (this.campaign.isOver())
+		{
+			this.campaign.continueRun();
+		}
+	}
+	
+	/**
+	 * Checks whether the level being played is one of the level pack's levels, played by the player: not a replay, test play,
+	 * endless run, daily challenge, bonus level or a run jumped into in debug mode.
+	 * @returns {boolean} Whether it's a pack level.
+	 */
+	isPackLevel()
+	{
+		return !this.replayPlayer.playing && !this.sought && !this.testLevel && !this.endless && !this.daily && !this.bonusLevel;
+	}
+	
+	/**
+	 * Checks whether the level being played counts towards the campaign run: one is in progress and it's a pack level.
+	 * @returns {boolean} Whether it's a campaign run level.
+	 */
+	isCampaignLevel()
+	{
+		return !!this.campaign && this.isPackLevel();
+	}
+	
+	/**
+	 * Ends the current level and shows the campaign run's game over (or run complete) screen.
+	 */
+	showCampaignSummary()
+	{
+		this.time.removeAllEvents(); // The level failed message may still be showing.
+		this.recording = null;
+		this.ghostOverlay.hide();
+		this.level.clearShapesNoSound();
+		this.level.shapes = this.level.shapes.filter(shape => !shape.toBeRemoved); // Gone now, so they don't end the level again.
+		this.level.resetLevelState();
+		this.campaign.showSummary();
+	}
+	
+	/**
+	 * Continues the campaign run from its checkpoint with a full pool of lives (from the game over screen).
+	 */
+	continueCampaign()
+	{
+		this.campaign.hideSummary();
+		this.campaign.continueRun();
+		this.currentLevelIndex = this.campaign.checkpoint;
+		this.loadCurrentLevel();
+	}
+	
+	/**
+	 * Ends the campaign run for good (from the game over or run complete screen) and goes to the level select screen.
+	 */
+	endCampaign()
+	{
+		this.campaignRuns[this.difficultyIndex] = null;
+		this.saveProgress();
+		this.stopCampaign();
+		this.levelSelect.show();
+	}
+	
+	/**
+	 * Leaves the campaign run (from the escape menu) for the level select screen. It's still saved, so it can be resumed from its checkpoint.
+	 */
+	leaveCampaign()
+	{
+		this.stopCampaign();
+		this.levelSelect.show();
+	}
+	
+	/**
+	 * Stops playing the campaign run, if there is one, and removes its display.
+	 */
+	stopCampaign()
+	{
+		if (this.campaign)
+		{
+			this.campaign.destroy();
+			this.campaign = null;
+		}
+	}
+	
+	/**
+	 * Plays one of the level pack's bonus levels (from the level select screen, once enough stars unlock it). Like the daily challenge,
+	 * it isn't recorded and doesn't count towards progress.
+	 * @param {Object} bonusLevel - The bonus level (see LevelPack).
+	 */
+	playBonusLevel(bonusLevel)
+	{
+		this.bonusLevel = bonusLevel;
+		this.loadCurrentLevel();
+	}
+	
+	/**
+	 * Leaves the bonus level (once it's cleared, or on ESC) for the level select screen.
+	 */
+	finishBonusLevel()
+	{
+		this.bonusLevel = null;
+		this.time.removeAllEvents(); // The level cleared message may still be showing.
+		this.level.clearShapesNoSound();
+		this.level.resetLevelState();
+		this.levelSelect.show();
+	}
+	
+	/**
+	 * Gets the entries of the level being played: the endless mode, daily challenge, bonus level or test level if one is being played,
+	 * otherwise the current level of the pack.
+	 * @returns {Array<Object>} The level's entries.
+	 */
+	getLevelEntries()
+	{
+		if (this.endless)
+		{
+			return EndlessMode.LEVEL;
+		}
+		if (this.daily)
+		{
+			return this.daily.entries;
+		}
+		if (this.bonusLevel)
+		{
+			return this.bonusLevel.entries;
+		}
+		return this.testLevel || this.levels[this.currentLevelIndex];
+	}
+	
+	/**
+	 * Gets the stats of the current level at the current difficulty, starting them if the level hasn't been played yet.
+	 * @returns {Object} The level's stats (see LevelStats).
+	 */
+	getLevelStats()
+	{
+		const stats = this.stats[this.difficultyIndex];
+		if (!stats[this.currentLevelIndex])
+		{
+			stats[this.currentLevelIndex] = LevelStats.createEmpty();
+		}
+		return stats[this.currentLevelIndex];
+	}
+	
+	/**
+	 * Counts something that happened in the current run (an attempt, kill, friendly hit, upgrade or energy death) in the level's stats.
+	 * Only recorded runs count (see LevelStats). They're saved when the run ends. Called for the gameplay events.
+	 * @param {string} count - The count to add one to, one of LevelStats.COUNTS.
+	 */
+	recordStat(count)
+	{
+		if (!this.recording) return;
+		this.getLevelStats()[count] += 1;
+	}
+	
+	/**
+	 * Counts the end of the current run (a clear with its time, or a fail) in the level's stats and saves them.
+	 * @param {boolean} cleared - Whether the level was cleared.
+	 * @param {number} time - The level time the run took, in milliseconds.
+	 */
+	recordLevelResult(cleared, time)
+	{
+		if (!this.recording) return;
+		LevelStats.recordResult(this.getLevelStats(), cleared, time);
+		this.saveProgress();
+	}
+	
+	/**
+	 * Keeps an endless mode survival time as the best one of the current difficulty if it's longer.
+	 * @param {number} time - The time survived in milliseconds.
+	 * @returns {boolean} Whether it's a new best time.
+	 */
+	recordEndlessTime(time)
+	{
+		if (time <= this.endlessBest[this.difficultyIndex]) return false;
+		this.endlessBest[this.difficultyIndex] = time;
+		this.saveProgress();
+		return true;
+	}
+	
+	/**
+	 * Clears scheduled events and reloads the current level (the R key). In endless mode the run restarts with the same seed.
+	 * In a campaign run, giving up on the level costs a life like failing it; once the level is over, its result counts instead.
+	 */
+	resetLevel()
+	{
+		if (this.isCampaignLevel())
+		{
+			if (this.campaign.isSummaryShown() || this.level.messageText) return;
+			this.campaign.recordAttempt(this.currentLevelIndex, this.score, false, this.level.clock.now);
+			if (this.campaign.isOver())
+			{
+				this.showCampaignSummary();
+				return;
+			}
+		}
+		this.time.removeAllEvents(); // Clear scheduled events.
+		this.loadCurrentLevel(true); // Reload current level. The reset is part of the run, so keep recording it.
+	}
+	
+	/**
+	 * Starts slow time if the slowtime upgrade was picked up, or cancels it early if it's already running (the S key).
+	 */
+	toggleSlowtime()
+	{
+		if(!this.level.slowtimeActive && !this.level.slowtime) return;
+		if(this.level.slowtime)
+		{
+			if (this.slowtimeTimerEvent) {
+				this.slowtimeTimerEvent.remove();
+				this.slowtimeTimerEvent = null; // Clear the reference
+			}
+			this.finishSlowtime();
+			return;
+		}
+		this.setSlowtimeFactor(0.1);
+		this.level.slowtime = true;
+		this.level.slowtimeActive = false;
+		this.updateSlowtimeText();
+		this.gameEvents.emit('upgradeActivated', { type: 'slowtime' });
+		this.slowtimeTimerEvent = this.level.clock.delayedCall(3000 * this.slowtimeFactor, () => { 
+			this.finishSlowtime();
+		});
+	}
+	
+	/**
+	 * Makes the cursor intangible if the intangible upgrade was picked up, or cancels it early if it's already active (the E key).
+	 */
+	toggleIntangible()
+	{
+		if(!this.level.intangibleActive && !this.level.intangible) return;
+		if(this.level.intangible)
+		{
+			//if it entered here, you want to instant cancel the intangible effect
+			if (this.intangibleEffectTweenIn) {
+				this.intangibleEffectTweenIn.stop();
+			}
+			if (this.intangibleEffectTweenOut) {
+				this.intangibleEffectTweenOut.stop();
+			}
+
+			// immediately hide or destroy the intangible effect
+			if (this.intangibleEffect) {
+				this.intangibleEffect.setVisible(false); // or this.intangibleEffect.destroy();
+			}
+			if (this.intangibleTimerEvent) {
+				this.intangibleTimerEvent.remove();
+				this.intangibleTimerEvent = null; // Clear the reference
+			}
+			// Reset state
+			this.finishIntangible();
+			return;
+		}
+		this.level.intangibleActive = false;
+		this.level.intangible = true;
+		this.updateIntangibleText();
+		this.gameEvents.emit('upgradeActivated', { type: 'intangible' });
+		
+		// Activate intangibility logic...
+		const pointer = this.getPointerPosition();
+		this.intangibleEffect = this.add.circle(pointer.x, pointer.y, 40, 0x777777);
+		
+		this.intangibleEffect.setAlpha(0);
+
+		// Update the effect's position to follow the cursor
+		this.input.on('pointermove', (pointer) => {
+			this.intangibleEffect.setPosition(pointer.x, pointer.y);
+		});
+
+		// Fade effect in
+		this.intangibleEffectTweenIn = this.tweens.add({
+			targets: this.intangibleEffect,
+			alpha: { from: 0, to: 0.5 },
+			duration: 250,
+		});
+
+		// Fade effect out
+		this.intangibleEffectTweenOut = this.tweens.add({
+			targets: this.intangibleEffect,
+			alpha: { from: 0.5, to: 0 },
+			duration: 250,
+			delay: 750,
+		});
+		this.adjustActiveTweens();
+		// Create and store the delayed call
+		this.intangibleTimerEvent = this.level.clock.delayedCall(1000, () => {
+			this.finishIntangible();
+		});
+	}
+	
 	/**
      * Adjusts the game's difficulty based on player selection or game progression.
      * @param {string} difficulty - The selected difficulty level.
+     * @param {boolean} [remember=true] - Whether to remember it as the player's difficulty in the save data. False for temporary changes, e.g. watching a replay.
      */
-	setDifficulty(difficulty)
+	setDifficulty(difficulty, remember = true)
 	{
 		this.difficulty = difficulty;
 		
@@ -254,6 +910,11 @@ class GameScene extends Phaser.Scene {
 			this.difficultyAdjustment = 1.5;
 			this.difficultyIndex = 3;
 		}
+		if(remember)
+		{
+			this.lastDifficulty = difficulty;
+			this.saveProgress();
+		}
 	}
 	
 	/**
@@ -267,6 +928,61 @@ class GameScene extends Phaser.Scene {
 
 		// Update the button's texture based on the new mute state
 		this.soundButton.setTexture(this.sound.mute ? 'sound_on' : 'sound_off' );
+		this.saveProgress();
+	}
+	
+	/**
+	 * Restores progress and settings from save data: best scores, unlocked achievements (including the #achievementsList display), mute state and the palette.
+	 * @param {Object} data - The save data, as returned by SaveData.load().
+	 */
+	applySaveData(data)
+	{
+		// Levels past the end of the pack can't be played, so drop their scores.
+		this.achievedScores = data.bestScores.map(scores => scores.slice(0, this.levels.length));
+		this.bestRuns = data.bestRuns.map(runs => runs.slice(0, this.levels.length).map(run => run && Ghost.fromJSON(run)));
+		this.stars = data.stars.map(stars => stars.slice(0, this.levels.length));
+		this.stats = data.stats.map(stats => stats.slice(0, this.levels.length));
+		data.achievements.forEach((achievementName) => {
+			if (this.achievements.hasOwnProperty(achievementName))
+			{
+				this.achievements[achievementName] = true;
+			}
+		});
+		this.updateAchievementsDisplay();
+		this.isMuted = data.muted;
+		this.sound.mute = data.muted;
+		this.lastDifficulty = data.lastDifficulty;
+		this.ghostEnabled = data.ghostEnabled;
+		this.comboScoring = data.comboScoring;
+		this.endlessBest = data.endlessBest;
+		this.dailyRecord = data.daily;
+		this.campaignRuns = data.campaignRuns;
+		this.controls.setBindings(data.controls);
+		this.palette.setSettings(data.palette);
+		this.applyPalette();
+	}
+	
+	/**
+	 * Writes the current progress and settings to the save data.
+	 */
+	saveProgress()
+	{
+		this.saveData.save({
+			bestScores: this.achievedScores,
+			achievements: Object.keys(this.achievements).filter(achievementName => this.achievements[achievementName]),
+			muted: this.isMuted,
+			lastDifficulty: this.lastDifficulty,
+			bestRuns: this.bestRuns,
+			stars: this.stars,
+			stats: this.stats,
+			ghostEnabled: this.ghostEnabled,
+			comboScoring: this.comboScoring,
+			endlessBest: this.endlessBest,
+			daily: this.dailyRecord,
+			campaignRuns: this.campaignRuns,
+			controls: this.controls.bindings,
+			palette: this.palette.getSettings(),
+		});
 	}
 	
 	/**
@@ -277,38 +993,21 @@ class GameScene extends Phaser.Scene {
 	{
 		this.slowtimeFactor = factor;
 		this.time.timeScale = this.slowtimeFactor;
+		this.level.clock.setTimeScale(this.slowtimeFactor); // Shapes and blackouts follow the level time.
 		this.adjustActiveTweens(); 
 	}
 
 	/**
-	 * Adjusts the time scale of active tweens to synchronize with the game's current time scale.
-	 * This ensures that all moving or animating objects in the game match the speed set by `setSlowtimeFactor`.
-	 * Tweens control various aspects such as movement, growth, or fading effects of game objects.
+	 * Adjusts the time scale of the intangible effect's tweens to synchronize with the game's current time scale.
+	 * Shape motion and blackouts don't need this since they're evaluated at the level time (see LevelClock).
 	 */
 	adjustActiveTweens() {
-		this.level.shapes.forEach((shape) => {
-			// For each shape, adjust the time scale of its tweens if they exist.
-			if (shape.movementTween) {
-				shape.movementTween.timeScale = this.slowtimeFactor; // Adjusts movement speed to match game speed.
-			}
-			if (shape.growingTween) {
-				shape.growingTween.timeScale = this.slowtimeFactor; // Adjusts growing/shrinking speed to match game speed.
-			}
-			if (shape.velocityTween) {
-				shape.velocityTween.timeScale = this.slowtimeFactor; // Adjusts velocity changes to match game speed.
-			}
-		});
-		
-		// Additionally, adjust the time scale of global tweens affecting the game state, such as intangibility and fading effects.
 		if (this.intangibleEffectTweenIn) {
 			this.intangibleEffectTweenIn.timeScale = this.slowtimeFactor; // Adjusts the fade-in speed of the intangible effect.
 		}
 		if (this.intangibleEffectTweenOut) {
 			this.intangibleEffectTweenOut.timeScale = this.slowtimeFactor; // Adjusts the fade-out speed of the intangible effect.
 		}
-		if (this.fadeTween) {
-			this.fadeTween.timeScale = this.slowtimeFactor; // Adjusts the speed of any ongoing fade transitions.
-		}
 	}
 		
 	/**
@@ -347,7 +1046,7 @@ class GameScene extends Phaser.Scene {
 		this.input.once('pointerdown', this.handlePointerDown, this);
 		
         // Listen for a key press to skip the cutscene
-        this.input.keyboard.on('keydown-SPACE', this.handleSpaceDown, this);
+        this.controls.on('skip', this.handleSpaceDown, this);
 	}
 	
 	/**
@@ -360,7 +1059,7 @@ class GameScene extends Phaser.Scene {
 		this.displaySentence(this.currentSentenceIndex);
 	}
 	/**
-	 * Handles the SPACE key down event to skip the cutscene or proceed to the next part immediately.
+	 * Handles the skip key (SPACE by default) to skip the cutscene or proceed to the next part immediately.
 	 */
 	handleSpaceDown() 
 	{
@@ -392,11 +1091,11 @@ class GameScene extends Phaser.Scene {
 	endCutscene() 
 	{
 		// Remove specific listeners and reset game state as necessary to start or resume the game.
-		this.input.keyboard.off('keydown-SPACE', this.handleSpaceDown, this);
+		this.controls.off('skip', this.handleSpaceDown, this);
 		this.input.off('pointerdown', this.fadeOutCurrentSentence, this);
 		this.setSlowtimeFactor(1);
 		this.time.removeAllEvents(); // Clear scheduled events.
-		this.currentLevelIndex = 0; // Reset to first level.
+		this.currentLevelIndex = this.campaign ? this.campaign.checkpoint : 0; // Reset to first level, or where the campaign run resumes.
 		
 		// Fade out logic and level initialization happen here.
 		let black = this.add.rectangle(0, 0, this.sys.game.config.width, this.sys.game.config.height, 0x000000).setOrigin(0, 0).setDepth(10001);
@@ -434,24 +1133,25 @@ class GameScene extends Phaser.Scene {
 						// Set the text for score, level, and reset
 						this.scoreText.setText('Score: ');
 						this.levelText.setText('Level: ' + (this.currentLevelIndex + 1));
-						this.resetText.setText('Press R to Reset Level');
+						this.resetText.setText(`${this.getActionPrompt('reset')} to Reset Level`);
+						this.touchControls.setShown(true);
 						
 						// Add the sound button.
 						this.soundButton = this.add.image(this.cameras.main.width-280, 20, 'sound_on').setInteractive().setScale(0.2);
 						
-						// Click the sound icon or press M to toggle mute (muting only works after the cutscene)
+						// Click the sound icon or press the mute key (M by default) to toggle mute (muting only works after the cutscene)
 						this.soundButton.on('pointerdown', () => 
 						{
 							this.switchMute();
 						});
-						this.input.keyboard.on('keydown-M', () => 
+						this.controls.on('mute', () => 
 						{
 							this.switchMute();
 						});
 						
-						// Create the levelSelect and attach the keydwon-ESC after the cutscene (esc only works after the main-menu/cutscene)
+						// Create the levelSelect and listen for the escape menu key after the cutscene (esc only works after the main-menu/cutscene)
 						this.levelSelect = new LevelSelect(this);
-						this.input.keyboard.on('keydown-ESC', this.handleEscape, this);
+						this.controls.on('menu', this.handleEscape, this);
 						this.loadCurrentLevel();
 					},
 				});
@@ -500,6 +1200,41 @@ class GameScene extends Phaser.Scene {
 	 */
 	handleEscape()
 	{
+		// ESC stops a replay.
+		if(this.replayPlayer.playing)
+		{
+			this.finishReplay();
+			return;
+		}
+		// ESC ends a test play from the level editor.
+		if(this.testLevel)
+		{
+			this.finishTestLevel();
+			return;
+		}
+		// ESC ends an endless mode run.
+		if(this.endless)
+		{
+			this.finishEndless();
+			return;
+		}
+		// The campaign run's game over screen has to be answered.
+		if(this.campaign && this.campaign.isSummaryShown())
+		{
+			return;
+		}
+		// ESC leaves the bonus level.
+		if(this.bonusLevel)
+		{
+			this.finishBonusLevel();
+			return;
+		}
+		// ESC leaves the daily challenge.
+		if(this.daily)
+		{
+			this.finishDaily();
+			return;
+		}
 		// Checks for the current state of the escape menu and other overlays,
 		// then toggles visibility or navigates accordingly.
 		// If instructions is showing, and escape is hit, remove everything.
@@ -511,6 +1246,16 @@ class GameScene extends Phaser.Scene {
 			this.levelSelect.hide();
 			return;
 		}
+		// If the stats or achievements screen is showing, and escape is hit, remove everything.
+		if(this.statsScreen.isShown() || this.achievementsScreen.isShown())
+		{
+			this.statsScreen.hide();
+			this.achievementsScreen.hide();
+			this.escMenuOpen = false;
+			this.escMenu.hide();
+			this.levelSelect.hide();
+			return;
+		}
 		// If you're at a level select because you beat a level, you must choose a level.
 		if(this.levelSelect.background.visible && this.level.shapes.length === 0)
 		{
@@ -554,13 +1299,7 @@ class GameScene extends Phaser.Scene {
 	 */
 	finishIntangible() {
 		this.level.intangible = false; // Reset the intangible flag indicating the cursor is no longer intangible.
-		if (this.level.intangibleActive) {
-			// If the intangible power-up can be activated again, update the UI text to prompt the cursor.
-			this.intangibleText.setText('Press E to become Intangible');
-		} else {
-			// Clear the UI text if the intangible power-up is not available.
-			this.intangibleText.setText('');
-		}
+		this.updateIntangibleText(); // Prompt for the intangible power-up if it can be activated again, or clear the text.
 		// Perform a check on all shapes in case interactions were missed while intangible.
 		this.level.checkAllShapes();
 	}
@@ -572,30 +1311,162 @@ class GameScene extends Phaser.Scene {
 	finishSlowtime() {
 		this.level.slowtime = false; // Reset the slowtime flag indicating slow motion is no longer in effect.
 		this.setSlowtimeFactor(1); // Restore the game's time scale to normal speed.
-		if (this.level.slowtimeActive) {
-			// If the slowtime power-up can be activated again, update the UI text to prompt the player.
-			this.slowtimeText.setText('Press S to Slow Time');
+		this.updateSlowtimeText(); // Prompt for the slowtime power-up if it can be activated again, or clear the text.
+	}
+	
+	/**
+	 * Shows the slowtime prompt with its bound key (or button in touch mode): how to cancel slow time while it runs, how to start it once the upgrade is
+	 * picked up, or nothing.
+	 */
+	updateSlowtimeText()
+	{
+		const prompt = this.getActionPrompt('slowtime');
+		if (this.level.slowtime) {
+			this.slowtimeText.setText(`${prompt} to cancel Slow Time`);
+		} else if (this.level.slowtimeActive) {
+			this.slowtimeText.setText(`${prompt} to Slow Time`);
 		} else {
-			// Clear the UI text if the slowtime power-up is not available.
 			this.slowtimeText.setText('');
 		}
 	}
 	
+	/**
+	 * Shows the intangible prompt with its bound key (or button in touch mode): how to cancel intangibility while it's on, how to become intangible once the
+	 * upgrade is picked up, or nothing.
+	 */
+	updateIntangibleText()
+	{
+		const prompt = this.getActionPrompt('intangible');
+		if (this.level.intangible) {
+			this.intangibleText.setText(`${prompt} to cancel Intangible`);
+		} else if (this.level.intangibleActive) {
+			this.intangibleText.setText(`${prompt} to become Intangible`);
+		} else {
+			this.intangibleText.setText('');
+		}
+	}
+	
+	/**
+	 * Gets how to trigger an action, to start a prompt with: its bound key, or its button in touch or gamepad mode.
+	 * @param {string} action - The action, one of Controls.ACTIONS.
+	 * @returns {string} E.g. 'Press S', 'Tap Slow Time' in touch mode, or 'Press X' in gamepad mode.
+	 */
+	getActionPrompt(action)
+	{
+		if (this.gamepadControls.enabled) {
+			return `Press ${this.gamepadControls.getLabel(action)}`;
+		}
+		if (this.touchControls.enabled) {
+			return `Tap ${this.touchControls.getLabel(action)}`;
+		}
+		return `Press ${this.controls.getLabel(action)}`;
+	}
+	
+	/**
+	 * Shows the on-screen prompts with the keys currently bound (after the controls change), or the buttons in touch mode.
+	 * The reset prompt is only shown once the cutscene is over.
+	 */
+	updateControlPrompts()
+	{
+		if (this.resetText.text !== '') {
+			this.resetText.setText(`${this.getActionPrompt('reset')} to Reset Level`);
+		}
+		this.updateSlowtimeText();
+		this.updateIntangibleText();
+	}
+	
     /**
      * Loads the current level, resetting score and handling level setup.
+     * @param {boolean} continueRecording - Whether the run goes on in the same recording (a reset with R).
+     * @param {boolean} record - Whether to record the run (and count it in the level's stats). Only a run jumped into in debug mode
+     * isn't (see seekLevel()), and it earns nothing.
      */
-    loadCurrentLevel() 
-	{		
-		this.levelText.setText('Level: ' + (this.currentLevelIndex + 1));
+    loadCurrentLevel(continueRecording = false, record = true) 
+	{
+		this.sought = !record; // Before the level starts, so nothing counts the run.
+		if(this.endless)
+		{
+			this.levelText.setText('Level: Endless');
+		}
+		else if(this.daily)
+		{
+			this.levelText.setText('Level: Daily');
+		}
+		else if(this.bonusLevel)
+		{
+			this.levelText.setText(this.bonusLevel.name);
+		}
+		else
+		{
+			this.levelText.setText(this.testLevel ? 'Level: Test' : 'Level: ' + (this.currentLevelIndex + 1));
+		}
 		this.time.removeAllEvents();
         
         this.score = 0; // Reset score for the current level.
 		this.level.clearShapesNoSound();
 		this.level.shapes = this.level.shapes.filter(shape => !shape.toBeRemoved); // Clean up shapes.
-        this.level.loadLevel(this.levels[this.currentLevelIndex]); // Load level data.
+        this.level.loadLevel(this.getLevelEntries(), this.currentLevelIndex + 1); // Load level data (or the level being tested, endless mode's empty level, the daily challenge or the bonus level).
         this.loadLevelStartTime = this.time.now; // Capture the start time. (used for debugging)
+		
+		if(this.replayPlayer.playing)
+		{
+			this.replayPlayer.scheduleNext(); // Loading the level reset the level clock.
+		}
+		else if(this.testLevel || this.endless || this.daily || this.bonusLevel)
+		{
+			this.recording = null; // Test plays, endless runs, daily challenges and bonus levels aren't recorded; the level isn't one of the pack's levels.
+		}
+		else if(!record)
+		{
+			this.recording = null;
+		}
+		else if(!continueRecording || !this.recording)
+		{
+			this.startRecording();
+		}
+		this.gameEvents.emit('levelStarted', { levelIndex: this.currentLevelIndex });
+		this.showGhost();
+		if(this.campaign)
+		{
+			this.campaign.show();
+		}
+		if(this.daily)
+		{
+			this.daily.show();
+		}
+		if(this.endless)
+		{
+			this.endless.start(); // Loading the level reset the level clock, so the waves start over.
+		}
     }
 	
+	/**
+	 * Reloads the current level and jumps straight to a level time, with every shape where it would be then if nothing had been hit
+	 * (debug mode, see DebugTimeline). Shapes that would have fallen off the screen by then are gone. The level stays paused if it was.
+	 * The run isn't recorded, since the input before the jump never happened, and it doesn't count towards the stats, achievements,
+	 * best scores, daily challenge or campaign run; clearing or failing it starts the level over.
+	 * @param {number} time - The level time in milliseconds.
+	 */
+	seekLevel(time)
+	{
+		const paused = this.level.clock.paused;
+		this.loadCurrentLevel(false, false);
+		this.ghostOverlay.hide();
+		// Move through the level a frame at a time, so shapes that dip past the death plane and come back (orbits) are removed like in play.
+		const frame = 1000 / 60;
+		let now = 0;
+		do
+		{
+			now = Math.min(now + frame, time);
+			this.level.clock.seek(now);
+			this.level.updateShapes();
+		} while (now < time);
+		if (paused)
+		{
+			this.level.clock.pause();
+		}
+	}
+	
     /**
      * Proceeds to the next level or triggers the win screen based on game progress.
      */
@@ -603,8 +1474,11 @@ class GameScene extends Phaser.Scene {
 	{
 		// Sets the achieved score for all levels less difficult. The purpose is that if they complete it on insane, they can definitely do it on easy, medium, and hard
 		// This saves the player from having to play through the entire game on every difficulty, and can instead play on the highest difficulty and if it's too hard, switch to a lower difficulty
+		// The same goes for the stars earned.
+		const stars = StarRating.rate(this.score, this.level.levelPassableScore, this.maxScores[this.currentLevelIndex], this.level.friendliesHarmed);
 		for(let currIndex = 0; currIndex <= this.difficultyIndex; ++currIndex)
 		{
+			this.stars[currIndex][this.currentLevelIndex] = (this.stars[currIndex][this.currentLevelIndex] || 0) | stars;
 			if(this.achievedScores[currIndex][this.currentLevelIndex])
 			{
 				this.achievedScores[currIndex][this.currentLevelIndex] = Math.max(this.achievedScores[currIndex][this.currentLevelIndex], this.score);
@@ -613,22 +1487,20 @@ class GameScene extends Phaser.Scene {
 			{
 				this.achievedScores[currIndex].push(this.score);
 			}
-			// See if we got the max score
-			if (this.achievedScores[currIndex].length === this.maxScores.length && this.achievedScores[currIndex].every((val, index) => val === this.maxScores[index])) {
-				this.unlockAchievement("Max-" + currIndex);
-			}
 		}
+		this.saveProgress();
         this.currentLevelIndex += 1; // Move to next level.
 		if(this.currentLevelIndex === this.levels.length) { // Check if all levels are completed.
 			this.displayWinScreen(); // Display win screen.
-			// Unlock for every easier difficulty
-			for(let currIndex = 0; currIndex <= this.difficultyIndex; ++currIndex)
-			{
-				this.unlockAchievement("Win-" + currIndex);
-			}
 			return;
 		}
         
+		// A campaign run goes straight on to the next level.
+		if(this.isCampaignLevel())
+		{
+			this.loadCurrentLevel();
+			return;
+		}
 		// show the level select and allow selection of the next level
 		this.levelSelect.show();
     }
@@ -657,48 +1529,63 @@ class GameScene extends Phaser.Scene {
 	/**
 	 * Creates a fade-in and fade-out effect (blackout) over the entire game screen based on specified parameters.
 	 * This method is used for the black specified in levels that adds challenge by removing visibility.
-	 * @param {Array} fadeArray - An array of parameters for each fade effect, including delay before starting, duration, and repeat count.
+	 * The fades are evaluated at the level time every frame by updateBlackout().
+	 * @param {Array<{delay: number, duration: number, repeat: number}>} fadeArray - The fades from the level's blackout entry, including delay before starting, duration, and repeat count.
 	 */
 	animateBlackout(fadeArray) {
 		// Check if there's at least one set of fade parameters to process.
 		if (fadeArray.length === 0) return; // Exit the method if the fade array is empty.
 
 		// Create a black rectangle that covers the entire game screen to use for the fade effect.
-		this.blackBackground = this.add.rectangle(0, 0, this.sys.game.config.width, this.sys.game.config.height, 0x000000).setOrigin(0, 0).setDepth(10000);
+		if (!this.blackBackground) {
+			this.blackBackground = this.add.rectangle(0, 0, this.sys.game.config.width, this.sys.game.config.height, 0x000000).setOrigin(0, 0).setDepth(10000);
+		}
 		this.blackBackground.alpha = 0; // Start with the rectangle being fully transparent.
+		this.blackoutFades = this.blackoutFades.concat(fadeArray);
+	}
 
-		// Defines a function to initiate a fade animation based on given parameters.
-		const initiateFade = (delayBeforeStart, durationOfFade, repeat) => {
-			if (this.fadeTween) {
-				// If there's an existing fade tween, stop it before starting a new one.
-				this.fadeTween.stop();
-				this.fadeTween = null;
+	/**
+	 * Sets the blackout's opacity for the level time. Each fade waits for its delay, fades to black over its duration,
+	 * holds for 250ms, fades back over its duration, and then waits 1000ms before repeating (repeat -1 repeats forever).
+	 * If fades overlap, the darkest one wins.
+	 * @param {number} levelTime - The level time from the level's LevelClock.
+	 */
+	updateBlackout(levelTime) {
+		if (!this.blackBackground) return;
+		const hold = 250; // How long to hold the fade at full opacity.
+		const repeatDelay = 1000; // Delay between repeats.
+		let alpha = 0;
+		this.blackoutFades.forEach(({ delay, duration, repeat }) => {
+			const elapsed = levelTime - delay;
+			const cycle = 2 * duration + hold; // Fade in, hold, fade out.
+			const period = cycle + repeatDelay;
+			const cycles = repeat === -1 ? Infinity : repeat + 1;
+			if (elapsed < 0 || elapsed >= period * (cycles - 1) + cycle) {
+				return; // Not started yet, or finished.
 			}
-			// Schedule the fade tween to start after the specified delay.
-			this.time.delayedCall(delayBeforeStart, () => {
-				// Create a new tween for fading the black rectangle in and out.
-				this.fadeTween = this.tweens.add({
-					targets: this.blackBackground, // The black rectangle.
-					alpha: 1, // Fade to full opacity.
-					ease: 'Linear', // Use a linear easing for the fade.
-					duration: durationOfFade, // Duration for the fade to reach full opacity.
-					repeat: repeat, // Number of times to repeat the fade in/out.
-					yoyo: true, // Automatically reverse the tween, creating a fade-out effect.
-					repeatDelay: 1000, // Delay between repeats.
-					hold: 250, // How long to hold the fade at full opacity before starting the yoyo effect.
-					onComplete: () => {
-						// Once the fade is complete, reset and remove the black rectangle.
-						this.blackBackground.alpha = 0;
-						this.blackBackground.destroy();
-					},
-				});
-			});
-		};
-
-		// Iterate over each set of fade parameters in the array and initiate the fade animation.
-		fadeArray.forEach(([delayBeforeFade, durationOfFade, repeat]) => {
-			initiateFade(delayBeforeFade, durationOfFade, repeat);
+			const phase = elapsed % period;
+			let fadeAlpha = 0;
+			if (phase < duration) {
+				fadeAlpha = phase / duration;
+			} else if (phase < duration + hold) {
+				fadeAlpha = 1;
+			} else if (phase < cycle) {
+				fadeAlpha = 1 - (phase - duration - hold) / duration;
+			}
+			alpha = Math.max(alpha, fadeAlpha);
 		});
+		this.blackBackground.alpha = alpha;
+	}
+
+	/**
+	 * Removes the blackout, e.g. when a level ends or is reloaded.
+	 */
+	clearBlackout() {
+		this.blackoutFades = [];
+		if (this.blackBackground) {
+			this.blackBackground.destroy();
+			this.blackBackground = null;
+		}
 	}
 
 	/**
@@ -728,7 +1615,11 @@ class GameScene extends Phaser.Scene {
 					ease: 'Linear',
 					onComplete: () => {
 						brightBackground.destroy(); // Clean up the bright background.
-						this.levelSelect.show(); // Go back to the level select screen.
+						if (this.campaign) {
+							this.showCampaignSummary(); // Show the completed campaign run's summary.
+						} else {
+							this.levelSelect.show(); // Go back to the level select screen.
+						}
 					}
 				});
 			}
@@ -736,25 +1627,26 @@ class GameScene extends Phaser.Scene {
 	}
 
 	/**
-	 * Unlocks the specified achievement and updates the display accordingly.
-	 * @param {string} achievementName - The name of the achievement to unlock.
+	 * Unlocks the specified achievement, shows its toast and updates the display accordingly.
+	 * @param {string} achievementName - The id of the achievement to unlock (see Achievements.LIST).
 	 */
 	unlockAchievement(achievementName) {
+		if (this.replayPlayer.playing || this.sought || this.testLevel) return; // Watching a replay, jumping around a level or testing a level doesn't earn anything.
 		if (this.achievements.hasOwnProperty(achievementName) && !this.achievements[achievementName]) {
 			this.achievements[achievementName] = true; // Mark the achievement as obtained.
-			this.updateAchievementsDisplay(achievementName); // Update the achievements display.
+			this.achievementEngine.showToast(Achievements.find(achievementName));
+			this.updateAchievementsDisplay(); // Update the achievements display.
+			this.saveProgress(); // Remember it across page refreshes.
 		} else {
 			console.warn("Achievement isn't implemented or already unlocked.");
 		}
 	}
 
 	/**
-	 * Updates the display to show which achievements have been obtained.
-	 * @param {string} achievement - The name of the achievement that was unlocked.
+	 * Updates the page's achievements list to show every achievement and which have been obtained.
 	 */
-	updateAchievementsDisplay(achievement) {
-		const achievementElement = document.getElementById(achievement);
-		achievementElement.textContent += " [OBTAINED]"; // add [OBTAINED] to the HTML text.
+	updateAchievementsDisplay() {
+		Achievements.renderList(document.getElementById('achievementsList'), this.achievements);
 	}
 
 }
@@ -0,0 +1,295 @@
+/**
+ * Class Name: Achievements
+ * Description: The achievement engine. Every achievement is declared as data in Achievements.LIST: an id (kept in the save data), a name,
+ * a description, an icon, the gameplay events it's checked on (see GameEvents) and a condition. The engine subscribes to those events
+ * and, each time one is emitted, checks the condition of every achievement still locked that listens for it, unlocking the ones that
+ * are met through GameScene.unlockAchievement(). A condition gets the event's payload along with the scene, the level, the level's
+ * entries, the level stats (see LevelStats) and what happened so far in the current run (kills, friendly hits and upgrades, counted
+ * from the events since the level started). Unlocks are shown as a toast at the top of the screen, and listed on the achievements
+ * screen (see AchievementsScreen) and in the page's #achievementsList, both built from the list, so adding an achievement only takes
+ * a new entry here.
+ * Expected Inputs: The gameplay events.
+ * Expected Outputs: Unlocked achievements and their toasts.
+ * Called By: GameScene (creates it, and shows the toasts and the page's list), AchievementsScreen (the list).
+ * Will Call: GameEvents to subscribe, GameScene to unlock achievements, and Phaser library methods for the toasts.
+ * @class
+ * @author Braeden Ruff
+ */
+class Achievements
+{
+	/**
+	 * Entry types of the triangles, which are worth a point each.
+	 */
+	static TRIANGLES = ['triangle', 'stealth', 'armored'];
+
+	/**
+	 * Entry types of the friendly shapes, which cost a point when hit.
+	 */
+	static FRIENDLIES = ['square', 'architecture'];
+
+	/**
+	 * Entry types of the upgrades.
+	 */
+	static UPGRADES = ['clear-friendlies', 'intangible', 'slowtime'];
+
+	/**
+	 * Milliseconds a toast stays on screen, not counting its fade in and out.
+	 */
+	static TOAST_DURATION = 2500;
+
+	/**
+	 * Every achievement. A condition is called with { event, scene, level, entries, run } (see check()) and returns whether it's met.
+	 */
+	static LIST = [
+		...['easy', 'medium', 'hard', 'insane'].map((difficulty, index) => ({
+			id: 'Max-' + index,
+			name: ["Toddler's Triumph", 'Mild Magician', 'Hardcore Conjurer', 'Insane Incantator'][index],
+			description: 'Obtain the max score in every level on ' + difficulty,
+			icon: '💯',
+			on: ['levelCleared'],
+			// Like best scores, a max score on a harder difficulty counts on the easier ones too.
+			condition: game => game.scene.isPackLevel() && game.scene.difficultyIndex >= index &&
+				game.scene.maxScores.every((maxScore, levelIndex) => Math.max(game.scene.achievedScores[index][levelIndex] || 0,
+					levelIndex === game.event.levelIndex ? game.event.score : 0) === maxScore),
+		})),
+		...['easy', 'medium', 'hard', 'insane'].map((difficulty, index) => ({
+			id: 'Win-' + index,
+			name: ['Novice Navigator', 'Seasoned Scroller', 'Expert Executor', 'Master of Cursors'][index],
+			description: 'Beat the game on ' + difficulty,
+			icon: '🏁',
+			on: ['levelCleared'],
+			condition: game => game.scene.isPackLevel() && game.scene.difficultyIndex >= index && game.event.levelIndex === game.scene.levels.length - 1,
+		})),
+		{
+			id: 'Friendly-Fire',
+			name: 'Friendly-Fire',
+			description: 'Kill all squares and architecture in a stage they exist',
+			icon: '💥',
+			on: ['levelCleared', 'levelFailed'],
+			condition: game => !game.level.squaresSpared && !game.level.architectureSpared,
+		},
+		{
+			id: 'Destructive',
+			name: 'Destructive',
+			description: 'Kill everything in a stage where there are squares, triangles, and architecture',
+			icon: '☠️',
+			on: ['levelCleared', 'levelFailed'],
+			condition: game => !game.level.squaresSpared && !game.level.architectureSpared && !game.level.trianglesSpared,
+		},
+		{
+			id: 'No-Upgrades',
+			name: 'Purist',
+			description: 'Clear a level that has upgrades without picking any up',
+			icon: '🚫',
+			on: ['levelCleared'],
+			condition: game => Achievements.countEntries(game.entries, Achievements.UPGRADES) > 0 && game.run.upgradesCollected === 0,
+		},
+		{
+			id: 'Armor-Breaker',
+			name: 'Can Opener',
+			description: 'Clear a level with armored triangles, killing every one of them',
+			icon: '🔨',
+			on: ['levelCleared'],
+			condition: game => Achievements.countEntries(game.entries, ['armored']) > 0 &&
+				game.run.armoredKilled === Achievements.countEntries(game.entries, ['armored']),
+		},
+		{
+			id: 'Blackout-Perfect',
+			name: 'Night Vision',
+			description: 'Clear a level with a blackout without missing a triangle',
+			icon: '🌑',
+			on: ['levelCleared'],
+			condition: game => Achievements.countEntries(game.entries, ['blackout']) > 0 &&
+				game.run.trianglesKilled === Achievements.countEntries(game.entries, Achievements.TRIANGLES),
+		},
+		{
+			id: 'Untouchable',
+			name: 'Untouchable',
+			description: 'Clear a level with squares or architecture without hitting any',
+			icon: '😇',
+			on: ['levelCleared'],
+			condition: game => Achievements.countEntries(game.entries, Achievements.FRIENDLIES) > 0 && game.run.friendliesHit === 0,
+		},
+		{
+			id: 'Double-Trouble',
+			name: 'Double Trouble',
+			description: 'Become intangible while time is slowed',
+			icon: '⏳',
+			on: ['upgradeActivated'],
+			condition: game => game.level.slowtime && game.level.intangible,
+		},
+		{
+			id: 'Combo-Artist',
+			name: 'Combo Artist',
+			description: 'Reach a combo of 20 kills with combo scoring on',
+			icon: '🔥',
+			on: ['levelCleared', 'levelFailed'],
+			condition: game => game.level.combo.bestCombo >= 20,
+		},
+		{
+			id: 'Comeback',
+			name: 'Comeback',
+			description: 'Clear a level after failing it 10 times on the same difficulty',
+			icon: '💪',
+			on: ['levelCleared'],
+			condition: game => game.scene.isPackLevel() && Achievements.getLevelStats(game.scene).fails >= 10,
+		},
+		{
+			id: 'Exterminator',
+			name: 'Exterminator',
+			description: 'Kill 1000 triangles in the levels',
+			icon: '🎯',
+			on: ['shapeKilled'],
+			condition: game => Achievements.totalStat(game.scene, 'trianglesKilled') >= 1000,
+		},
+		{
+			id: 'Running-On-Empty',
+			name: 'Running on Empty',
+			description: 'Run out of energy 10 times in the levels',
+			icon: '🔋',
+			on: ['energyDepleted'],
+			condition: game => Achievements.totalStat(game.scene, 'energyDeaths') >= 10,
+		},
+	];
+
+	/**
+	 * Finds an achievement by its id.
+	 * @param {string} id - The achievement's id.
+	 * @returns {Object|undefined} The achievement, or undefined if there's none with that id.
+	 */
+	static find(id)
+	{
+		return Achievements.LIST.find(achievement => achievement.id === id);
+	}
+
+	/**
+	 * Counts a level's entries of some types.
+	 * @param {Array<Object>} entries - The level's entries (see LevelFormat).
+	 * @param {Array<string>} types - The entry types to count.
+	 * @returns {number} The number of entries of those types.
+	 */
+	static countEntries(entries, types)
+	{
+		return entries.filter(entry => types.includes(entry.type)).length;
+	}
+
+	/**
+	 * Gets the stats of the level being played at the current difficulty, without starting them.
+	 * @param {Phaser.Scene} scene - The game scene.
+	 * @returns {Object} The level's stats, or empty ones if it hasn't been played.
+	 */
+	static getLevelStats(scene)
+	{
+		return scene.stats[scene.difficultyIndex][scene.currentLevelIndex] || LevelStats.createEmpty();
+	}
+
+	/**
+	 * Adds up one of the level stats over every level and difficulty.
+	 * @param {Phaser.Scene} scene - The game scene.
+	 * @param {string} count - The count to add up, one of LevelStats.COUNTS.
+	 * @returns {number} The total.
+	 */
+	static totalStat(scene, count)
+	{
+		return scene.stats.reduce((total, stats) => total + stats.reduce((sum, level) => sum + (level ? level[count] : 0), 0), 0);
+	}
+
+	/**
+	 * Constructs the engine and subscribes it to every event an achievement is checked on.
+	 * @constructor
+	 * @param {Phaser.Scene} scene - The game scene. Its gameEvents must exist.
+	 */
+	constructor(scene)
+	{
+		this.scene = scene;
+		this.run = Achievements.createRun(); // What happened in the current run, counted from the events.
+		this.toasts = []; // The toasts on screen, top to bottom.
+
+		// Count the run first, so the conditions checked on the same event see it.
+		this.scene.gameEvents.on('levelStarted', () => this.run = Achievements.createRun());
+		this.scene.gameEvents.on('shapeKilled', event => {
+			this.run.trianglesKilled += 1;
+			if (event.type === 'armored')
+			{
+				this.run.armoredKilled += 1;
+			}
+		});
+		this.scene.gameEvents.on('friendlyHit', () => this.run.friendliesHit += 1);
+		this.scene.gameEvents.on('upgradeCollected', () => this.run.upgradesCollected += 1);
+
+		const events = new Set([].concat(...Achievements.LIST.map(achievement => achievement.on)));
+		events.forEach(name => this.scene.gameEvents.on(name, event => this.check(name, event)));
+	}
+
+	/**
+	 * Creates the counts of a run that just started.
+	 * @returns {Object} The run's kills, armored kills, friendly hits and upgrades collected, all 0.
+	 */
+	static createRun()
+	{
+		return { trianglesKilled: 0, armoredKilled: 0, friendliesHit: 0, upgradesCollected: 0 };
+	}
+
+	/**
+	 * Checks the achievements still locked that listen for an event, and unlocks the ones whose condition is met.
+	 * @param {string} name - The event's name.
+	 * @param {Object} event - The event's payload.
+	 */
+	check(name, event)
+	{
+		const game = {
+			event,
+			scene: this.scene,
+			level: this.scene.level,
+			entries: this.scene.getLevelEntries(),
+			run: this.run,
+		};
+		Achievements.LIST.forEach(achievement => {
+			if (this.scene.achievements[achievement.id] || !achievement.on.includes(name)) return;
+			if (achievement.condition(game))
+			{
+				this.scene.unlockAchievement(achievement.id);
+			}
+		});
+	}
+
+	/**
+	 * Shows a toast for an unlocked achievement at the top of the screen, below any toasts already showing. It fades in, stays for a
+	 * moment and fades out.
+	 * @param {Object} achievement - The achievement, from Achievements.LIST.
+	 */
+	showToast(achievement)
+	{
+		const toast = this.scene.add.text(this.scene.cameras.main.centerX, 20 + 44 * this.toasts.length, `${achievement.icon} Achievement unlocked: ${achievement.name}`,
+			{ font: '20px Arial', fill: '#FFD700', backgroundColor: '#000000', padding: { x: 10, y: 6 } })
+			.setOrigin(0.5, 0).setDepth(10002).setAlpha(0);
+		this.toasts.push(toast);
+		this.scene.tweens.add({
+			targets: toast,
+			alpha: 1,
+			duration: 300,
+			hold: Achievements.TOAST_DURATION,
+			yoyo: true,
+			onComplete: () => {
+				this.toasts = this.toasts.filter(current => current !== toast);
+				toast.destroy();
+			},
+		});
+	}
+
+	/**
+	 * Fills a list element of the page with every achievement, marking the unlocked ones.
+	 * @param {HTMLElement} list - The list element (#achievementsList).
+	 * @param {Object} unlocked - Whether each achievement is unlocked, by id.
+	 */
+	static renderList(list, unlocked)
+	{
+		list.innerHTML = '';
+		Achievements.LIST.forEach(achievement => {
+			const item = document.createElement('li');
+			item.id = achievement.id;
+			item.textContent = `${achievement.icon} ${achievement.name}: ${achievement.description}` + (unlocked[achievement.id] ? ' [OBTAINED]' : '');
+			list.appendChild(item);
+		});
+	}
+}
@@ -0,0 +1,89 @@
+/**
+ * Class Name: AchievementsScreen
+ * Description: The achievements screen, opened from the escape menu. It lists every achievement in Achievements.LIST with its icon,
+ * name and description, the unlocked ones in gold and the locked ones greyed out, and how many have been unlocked.
+ * Expected Inputs: Clicks on the Back button (or choosing it with the keyboard or gamepad, see Menu), or ESC to go back.
+ * Expected Outputs: The achievements list on screen.
+ * Called By: EscapeMenu (opens it), GameScene (closes it on ESC).
+ * Will Call: Achievements for the list, Phaser library methods for the text, Menu for the navigation, and EscapeMenu to go back to it.
+ * @class
+ * @author Braeden Ruff
+ */
+class AchievementsScreen
+{
+	/**
+	 * Constructs the achievements screen. It's created when it's shown.
+	 * @constructor
+	 * @param {Phaser.Scene} scene - The game scene.
+	 */
+	constructor(scene)
+	{
+		this.scene = scene;
+		this.objects = []; // The screen's game objects while it's shown.
+		this.menu = null; // Navigation of the Back button while it's shown (see Menu).
+	}
+
+	/**
+	 * Checks whether the achievements screen is shown.
+	 * @returns {boolean} Whether it's shown.
+	 */
+	isShown()
+	{
+		return this.objects.length > 0;
+	}
+
+	/**
+	 * Shows the achievements screen.
+	 */
+	show()
+	{
+		const config = this.scene.sys.game.config;
+		const centerX = this.scene.cameras.main.centerX;
+		const unlocked = Achievements.LIST.filter(achievement => this.scene.achievements[achievement.id]).length;
+
+		const background = this.scene.add.sprite(0, 0, 'background-menu').setOrigin(0, 0).setDisplaySize(config.width, config.height).setDepth(10000).setInteractive(); // Interactive so we can't click shapes
+		const title = this.scene.add.text(centerX, 30, `Achievements ${unlocked}/${Achievements.LIST.length}`, { font: '28px Arial', fill: '#fff', stroke: '#000', strokeThickness: 4 }).setOrigin(0.5, 0.5).setDepth(10001);
+		this.objects = [background, title];
+
+		// One row per achievement.
+		Achievements.LIST.forEach((achievement, index) => {
+			const obtained = this.scene.achievements[achievement.id];
+			this.objects.push(this.scene.add.text(40, 60 + 24 * index, `${achievement.icon} ${achievement.name} - ${achievement.description}`,
+				{ font: '15px Arial', fill: obtained ? '#FFD700' : '#888888', stroke: '#000', strokeThickness: 3 })
+				.setAlpha(obtained ? 1 : 0.7).setDepth(10001));
+		});
+
+		const back = this.scene.add.text(centerX, config.height - 30, 'Back', { font: '24px Arial', fill: '#fff' })
+			.setInteractive()
+			.on('pointerdown', () => this.back())
+			.setOrigin(0.5, 0.5).setDepth(10001);
+		this.objects.push(back);
+
+		this.menu = new Menu(this.scene, { onBack: () => this.back() });
+		this.menu.add(back);
+		this.menu.open();
+	}
+
+	/**
+	 * Hides the achievements screen and goes back to the escape menu.
+	 */
+	back()
+	{
+		this.hide();
+		this.scene.escMenu.create();
+	}
+
+	/**
+	 * Hides the achievements screen and removes its game objects.
+	 */
+	hide()
+	{
+		if (this.menu)
+		{
+			this.menu.close();
+			this.menu = null;
+		}
+		this.objects.forEach(object => object.destroy());
+		this.objects = [];
+	}
+}
@@ -20,12 +20,13 @@
  * - constructor(scene, points, velocityY): Initializes the architectural shape with the given parameters.
  * - createGraphics(): Sets up the graphical representation of the architecture.
  * - draw(): Draws the polygonal shape on the scene based on the vertices provided.
+ * - getOutline(), containsLocal(x, y): The polygon's geometry, for hit-testing (see Shape.containsPoint()).
  *
  * Called by:
  * This class is instantiated by the Level class when loading levels that include architectural elements as part of their design.
  *
  * Will call:
- * - Phaser's graphics and geometry systems to create and manage the polygonal shape's graphical representation.
+ * - Phaser's graphics and geometry systems to create and manage the polygonal shape's graphical representation, with the scene's Palette.
  * @class
  * @author Braeden Ruff
  */
@@ -64,12 +65,17 @@ class Architecture extends Shape
     }
 
     /**
-     * Draws the polygonal shape on the scene.
+     * Draws the polygonal shape on the scene, in the palette's colors (see Palette).
      */
     draw() {
         // Set the color and style for the architecture.
-        this.graphics.fillStyle(0x777777, 1); // A neutral grey color.
-        this.graphics.lineStyle(0, 0x000000); // Black border.
+        const colors = this.scene.palette.getColors();
+        this.graphics.fillStyle(colors.architecture, 1); // A neutral grey color.
+        if (colors.architectureOutline === null) {
+            this.graphics.lineStyle(0, 0x000000); // No border.
+        } else {
+            this.graphics.lineStyle(2, colors.architectureOutline);
+        }
 
         // Begin the path for the polygon shape.
         this.graphics.beginPath();
@@ -87,4 +93,22 @@ class Architecture extends Shape
         this.graphics.fillPath();
         this.graphics.strokePath();
     }
+
+    /**
+     * Gets the polygon's points in its own coordinates.
+     * @returns {Array.<{x: number, y: number}>} The points, in order.
+     */
+    getOutline() {
+        return this.graphics.geom.points;
+    }
+
+    /**
+     * Checks whether a point in the architecture's own coordinates is inside the polygon.
+     * @param {number} x - The x-coordinate in the architecture's coordinates.
+     * @param {number} y - The y-coordinate in the architecture's coordinates.
+     * @returns {boolean} Whether the point is inside.
+     */
+    containsLocal(x, y) {
+        return Phaser.Geom.Polygon.Contains(this.graphics.geom, x, y);
+    }
 }
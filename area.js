@@ -4,7 +4,7 @@
  *
  * Description:
  * This class is responsible for creating and managing the graphical representation of an area object within the game.
- * It uses Phaser's graphics system to draw a red square shape and sets it to be interactive, allowing for event handling such as pointerover.
+ * It uses Phaser's graphics system to draw a red (in the default palette) square shape and sets it to be interactive, allowing for event handling such as pointerover.
  *
  * Expected Inputs:
  * - scene: The current Phaser scene object where the area will be added.
@@ -18,27 +18,28 @@
  * - An area object that can be manipulated within the Phaser scene. It supports basic interactions such as clicking and hovering.
  *
  * Functions:
- * - draw(halfWidth, halfHeight): Draws a red square shape based on provided dimensions.
+ * - draw(halfWidth, halfHeight): Draws the square's outline, in the palette's area color, based on provided dimensions.
  *
  * Called by:
  * This class is instantiated by the Level class when loading a level that includes area as part of its design.
  *
  * Will call:
- * - Phaser's graphics system methods to create and manage the square's graphical representation.
+ * - Phaser's graphics system methods to create and manage the square's graphical representation, with the scene's Palette.
  * @class
  * @author Braeden Ruff
  */
 class Area extends Square
 {
     /**
-     * Draws the area on the scene.
+     * Draws the area on the scene, in the palette's colors (see Palette).
      * @param {number} halfWidth - Half of the area's width.
      * @param {number} halfHeight - Half of the area's height.
      */
     draw(halfWidth, halfHeight) {
         // Set the fill color and line style for the square.
+        const colors = this.scene.palette.getColors();
         this.graphics.fillStyle(0xFFFFFF, 0);
-        this.graphics.lineStyle(3, 0x63040A);
+        this.graphics.lineStyle(colors.areaWidth, colors.area);
         
         // Begin the path for the square shape.
         this.graphics.beginPath();
@@ -5,9 +5,9 @@
  * of armor levels and handling damage taken by the triangle.
  * Expected Inputs: Click to decrement health points.
  * Expected Outputs: Visual updates to represent current health status, removal of the shape upon depletion of health,
- * and score updates for destroying armored triangles.
+ * and the kill announced (see GameEvents) for destroying armored triangles.
  * Called By: Level class loadLevel()->spawnShape().
- * Will Call: Phaser library methods for sprite manipulation and rendering, and custom methods for health management and score updates.
+ * Will Call: Phaser library methods for sprite manipulation and rendering, custom methods for health management, and GameEvents to announce the kill.
  * @class
  * @author Braeden Ruff
  */
@@ -45,9 +45,8 @@ class ArmoredTriangle extends Triangle {
 
         // If health points are depleted
         if (this.healthPoints === 0) {
-            // Update the score display.
-			this.scene.score += 1;
-			this.scene.scoreText.setText('Score: ' + this.scene.score.toString().padStart(this.scene.level.levelPassableScore.toString().length, '0') + "/" + this.scene.level.levelPassableScore);
+            // Announce the kill (the score and its display subscribe).
+			this.scene.gameEvents.emit('shapeKilled', { type: 'armored', x: this.x, y: this.y });
 			 // Remove the shape from the game.
 			this.scene.level.shapes.forEach((shape) => {
 				if(this === shape)
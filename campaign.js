@@ -0,0 +1,219 @@
+import { TimeFormat } from './timeformat.js';
+
+/**
+ * Class Name: CampaignRun
+ * Description: A campaign run: the levels of the pack played in order with a limited pool of lives instead of unlimited retries. Failing a
+ * level or giving up on it (R) costs a life, and a cleared level goes straight on to the next one. Every few levels is a checkpoint; when
+ * the lives run out the run is over, and the game over screen shows the run's summary (levels cleared, total score and play time) with the
+ * choice to continue from the last checkpoint with a full pool of lives, or end the run. Clearing the last level completes the run.
+ * The run is kept in the save data per difficulty (GameScene.campaignRuns), so a run that's left or interrupted resumes from its last
+ * checkpoint the next time a campaign run is started on that difficulty.
+ * Expected Inputs: The saved run (if any), and each attempt's result.
+ * Expected Outputs: The lives and checkpoint on screen, the saved run, and the game over or run complete screen.
+ * Called By: GameScene (starts runs from the main menu, reports given up levels and shows the summary), Level (reports each attempt's result).
+ * Will Call: GameScene to save the run and to continue or end it, TimeFormat for the play time, and Menu for the summary's navigation.
+ * @class
+ * @author Braeden Ruff
+ */
+class CampaignRun
+{
+	/**
+	 * Lives at the start of a run, and after each continue.
+	 */
+	static LIVES = 5;
+
+	/**
+	 * Number of levels between checkpoints. Levels 1, 6, 11 and 16 are checkpoints.
+	 */
+	static CHECKPOINT_INTERVAL = 5;
+
+	/**
+	 * Gets the last checkpoint at or before a level.
+	 * @param {number} levelIndex - The index of the level.
+	 * @returns {number} The index of the checkpoint level.
+	 */
+	static checkpointFor(levelIndex)
+	{
+		return Math.floor(levelIndex / CampaignRun.CHECKPOINT_INTERVAL) * CampaignRun.CHECKPOINT_INTERVAL;
+	}
+
+	/**
+	 * Constructs a campaign run, new or resumed from the save data.
+	 * @constructor
+	 * @param {Phaser.Scene} scene - The game scene.
+	 * @param {Object|null} [saved=null] - The saved run (see toJSON()), or null to start a new one.
+	 */
+	constructor(scene, saved = null)
+	{
+		this.scene = scene;
+		this.lives = saved ? saved.lives : CampaignRun.LIVES; // Lives left.
+		this.checkpoint = saved ? Math.min(saved.checkpoint, scene.levels.length - 1) : 0; // Index of the level the run resumes from.
+		this.scores = saved ? saved.scores.slice() : []; // Best score of each level cleared in the run, by level index (null if not cleared).
+		this.time = saved ? saved.time : 0; // Level time played in milliseconds, over every attempt.
+		this.continues = saved ? saved.continues : 0; // Number of times the run was continued after running out of lives.
+		this.complete = false; // Flag indicating whether the last level was cleared.
+		this.infoText = this.scene.add.text(16, 80, '', { fontSize: '20px', fill: '#FFF' });
+		this.summary = []; // The game over or run complete screen's objects, while it's shown.
+		this.summaryMenu = null; // Navigation of the game over or run complete screen's buttons (see Menu).
+	}
+
+	/**
+	 * Gets the run in the form it's saved in.
+	 * @returns {Object} The lives, checkpoint, scores, play time and continues.
+	 */
+	toJSON()
+	{
+		return { lives: this.lives, checkpoint: this.checkpoint, scores: this.scores, time: this.time, continues: this.continues };
+	}
+
+	/**
+	 * Saves the run, or removes it from the save data once it's complete.
+	 */
+	save()
+	{
+		this.scene.campaignRuns[this.scene.difficultyIndex] = this.complete ? null : this.toJSON();
+		this.scene.saveProgress();
+	}
+
+	/**
+	 * Gets the number of levels cleared in the run.
+	 * @returns {number} The number of levels cleared.
+	 */
+	getLevelsCleared()
+	{
+		return this.scores.filter(score => score !== null && score !== undefined).length;
+	}
+
+	/**
+	 * Gets the run's total score: the best score of every level cleared in it.
+	 * @returns {number} The total score.
+	 */
+	getTotalScore()
+	{
+		return this.scores.reduce((total, score) => total + (score || 0), 0);
+	}
+
+	/**
+	 * Checks whether the lives ran out.
+	 * @returns {boolean} Whether the run is over.
+	 */
+	isOver()
+	{
+		return this.lives <= 0;
+	}
+
+	/**
+	 * Records an attempt at a level. Clearing it keeps its score and moves the checkpoint on; failing or giving up on it costs a life.
+	 * @param {number} levelIndex - The index of the level.
+	 * @param {number} score - The attempt's score.
+	 * @param {boolean} cleared - Whether the level was cleared.
+	 * @param {number} time - The level time the attempt took, in milliseconds.
+	 */
+	recordAttempt(levelIndex, score, cleared, time)
+	{
+		this.time += time;
+		if (cleared)
+		{
+			this.scores[levelIndex] = Math.max(this.scores[levelIndex] || 0, score);
+			if (levelIndex === this.scene.levels.length - 1)
+			{
+				this.complete = true;
+			}
+			else
+			{
+				this.checkpoint = Math.max(this.checkpoint, CampaignRun.checkpointFor(levelIndex + 1));
+			}
+		}
+		else
+		{
+			this.lives -= 1;
+			this.scene.cameras.main.flash(200, 255, 0, 0);
+		}
+		this.save();
+		this.show();
+	}
+
+	/**
+	 * Continues the run from its checkpoint with a full pool of lives, after they ran out.
+	 */
+	continueRun()
+	{
+		this.lives = CampaignRun.LIVES;
+		this.continues += 1;
+		this.save();
+	}
+
+	/**
+	 * Shows the lives and the checkpoint.
+	 */
+	show()
+	{
+		this.infoText.setText(`Campaign Run   Lives: ${this.lives}   Checkpoint: Level ${this.checkpoint + 1}`);
+	}
+
+	/**
+	 * Checks whether the game over or run complete screen is shown.
+	 * @returns {boolean} Whether the summary is shown.
+	 */
+	isSummaryShown()
+	{
+		return this.summary.length > 0;
+	}
+
+	/**
+	 * Shows the game over screen (or the run complete screen once the last level is cleared) with the run's summary. After a game over
+	 * the run can be continued from the checkpoint or ended; a complete run can only be ended.
+	 */
+	showSummary()
+	{
+		const centerX = this.scene.cameras.main.centerX;
+		const centerY = this.scene.cameras.main.centerY;
+		const config = this.scene.sys.game.config;
+		const background = this.scene.add.sprite(0, 0, 'background-menu').setOrigin(0, 0).setDisplaySize(config.width, config.height).setDepth(10000).setInteractive(); // Interactive so we can't click shapes
+		const title = this.scene.add.text(centerX, centerY - 160, this.complete ? 'Campaign Complete!' : 'Game Over', { font: '48px Arial', fill: this.complete ? '#0F0' : '#F00', stroke: '#000', strokeThickness: 4 })
+			.setOrigin(0.5, 0.5).setDepth(10001);
+		const details = this.scene.add.text(centerX, centerY - 60,
+			`Levels cleared: ${this.getLevelsCleared()}/${this.scene.levels.length}\n` +
+			`Total score: ${this.getTotalScore()}\n` +
+			`Time: ${TimeFormat.formatClock(this.time)}\n` +
+			`Continues: ${this.continues}`,
+			{ font: '24px Arial', fill: '#fff', align: 'center', stroke: '#000', strokeThickness: 4 })
+			.setOrigin(0.5, 0.5).setDepth(10001);
+		this.summary = [background, title, details];
+
+		const options = this.complete ? [] : [{ label: `Continue from Level ${this.checkpoint + 1}`, action: () => this.scene.continueCampaign() }];
+		options.push({ label: this.complete ? 'Level Select' : 'End Run', action: () => this.scene.endCampaign() });
+		this.summaryMenu = new Menu(this.scene); // No going back: the summary has to be answered.
+		options.forEach((option, index) => {
+			this.summary.push(this.summaryMenu.add(this.scene.add.text(centerX, centerY + 60 + (50 * index), option.label, { font: '32px Arial', fill: '#fff' })
+				.setInteractive()
+				.on('pointerdown', option.action)
+				.setOrigin(0.5, 0.5).setDepth(10001)));
+		});
+		this.summaryMenu.open();
+	}
+
+	/**
+	 * Removes the game over or run complete screen.
+	 */
+	hideSummary()
+	{
+		if (this.summaryMenu)
+		{
+			this.summaryMenu.close();
+			this.summaryMenu = null;
+		}
+		this.summary.forEach(object => object.destroy());
+		this.summary = [];
+	}
+
+	/**
+	 * Removes the run's display once it's left.
+	 */
+	destroy()
+	{
+		this.hideSummary();
+		this.infoText.destroy();
+	}
+}
+export {CampaignRun};
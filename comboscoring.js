@@ -0,0 +1,145 @@
+/**
+ * Class Name: ComboScoring
+ * Description: The optional combo scoring mode (turned on in the main menu). Triangle kills in quick succession build a combo, and the
+ * combo builds a multiplier: every kill is worth as many combo points as the multiplier at the time. The combo ends when no triangle is
+ * killed within the combo window, and hitting a square or architecture ends it too, resetting the multiplier and costing a point.
+ * Each kill's points float up from where the triangle was. Combo points are kept apart from the level's score, which still decides
+ * whether the level is cleared, so the levels are balanced the same either way.
+ * The combo window is measured in level time (see LevelClock), so slow time stretches it along with the shapes.
+ * Expected Inputs: Triangle kills and friendly hits, from the gameplay events (see GameEvents).
+ * Expected Outputs: The combo, multiplier and combo points on screen, and the floating text at each kill.
+ * Called By: GameEvents (kills, friendly hits), Level (resets when a level is loaded and every frame).
+ * Will Call: Phaser library methods for the text and its tween.
+ * @class
+ * @author Braeden Ruff
+ */
+class ComboScoring
+{
+	/**
+	 * Milliseconds of level time allowed between kills to keep the combo going.
+	 */
+	static WINDOW = 1500;
+
+	/**
+	 * Number of kills in a combo for each step up of the multiplier.
+	 */
+	static KILLS_PER_MULTIPLIER = 5;
+
+	/**
+	 * Highest the multiplier goes.
+	 */
+	static MAX_MULTIPLIER = 5;
+
+	/**
+	 * Constructs the combo scoring for a level.
+	 * @constructor
+	 * @param {Phaser.Scene} scene - The game scene.
+	 */
+	constructor(scene)
+	{
+		this.scene = scene;
+		this.combo = 0; // Number of triangles killed in the current combo.
+		this.multiplier = 1; // Combo points each kill is worth.
+		this.points = 0; // Combo points scored in the level.
+		this.bestCombo = 0; // Longest combo in the level.
+		this.lastKillTime = 0; // Level time of the last kill.
+		this.text = this.scene.add.text(16, 104, '', { fontSize: '20px', fill: '#FFF' });
+		this.scene.gameEvents.on('shapeKilled', event => this.recordKill(event.x, event.y));
+		this.scene.gameEvents.on('friendlyHit', () => this.recordFriendlyHit());
+	}
+
+	/**
+	 * Checks whether combo scoring is turned on.
+	 * @returns {boolean} Whether kills build combos.
+	 */
+	isEnabled()
+	{
+		return this.scene.comboScoring;
+	}
+
+	/**
+	 * Starts the combo and the combo points over for a new level.
+	 */
+	reset()
+	{
+		this.combo = 0;
+		this.multiplier = 1;
+		this.points = 0;
+		this.bestCombo = 0;
+		this.lastKillTime = 0;
+		this.updateText();
+	}
+
+	/**
+	 * Records a triangle kill: extends the combo (or starts a new one if the window ran out), scores the kill and floats its points up.
+	 * @param {number} x - The x-coordinate of the killed triangle.
+	 * @param {number} y - The y-coordinate of the killed triangle.
+	 */
+	recordKill(x, y)
+	{
+		if (!this.isEnabled()) return;
+		const now = this.scene.level.clock.now;
+		if (now - this.lastKillTime > ComboScoring.WINDOW)
+		{
+			this.combo = 0;
+		}
+		this.combo += 1;
+		this.lastKillTime = now;
+		this.multiplier = Math.min(ComboScoring.MAX_MULTIPLIER, 1 + Math.floor((this.combo - 1) / ComboScoring.KILLS_PER_MULTIPLIER));
+		this.points += this.multiplier;
+		this.bestCombo = Math.max(this.bestCombo, this.combo);
+		this.showPoints(x, y, (this.combo > 1 ? `Combo ${this.combo}  ` : '') + '+' + this.multiplier);
+		this.updateText();
+	}
+
+	/**
+	 * Records a square or architecture hit: ends the combo, resets the multiplier and costs a combo point.
+	 */
+	recordFriendlyHit()
+	{
+		if (!this.isEnabled()) return;
+		this.combo = 0;
+		this.multiplier = 1;
+		this.points -= 1;
+		this.updateText();
+	}
+
+	/**
+	 * Ends the combo once the window since the last kill runs out.
+	 */
+	update()
+	{
+		if (this.combo > 0 && this.scene.level.clock.now - this.lastKillTime > ComboScoring.WINDOW)
+		{
+			this.combo = 0;
+			this.multiplier = 1;
+			this.updateText();
+		}
+	}
+
+	/**
+	 * Shows the combo, the multiplier, the level's longest combo and the combo points, or nothing if combo scoring is off.
+	 */
+	updateText()
+	{
+		this.text.setText(this.isEnabled() ? `Combo: ${this.combo}   x${this.multiplier}   Best combo: ${this.bestCombo}   Combo points: ${this.points}` : '');
+	}
+
+	/**
+	 * Floats text up from a point and fades it out.
+	 * @param {number} x - The x-coordinate to start at.
+	 * @param {number} y - The y-coordinate to start at.
+	 * @param {string} message - The text to show.
+	 */
+	showPoints(x, y, message)
+	{
+		const text = this.scene.add.text(x, y, message, { fontSize: '18px', fill: '#FF0', stroke: '#000', strokeThickness: 3 }).setOrigin(0.5).setDepth(5);
+		this.scene.tweens.add({
+			targets: text,
+			y: y - 40,
+			alpha: 0,
+			duration: 800,
+			onComplete: () => text.destroy(),
+		});
+	}
+}
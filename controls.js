@@ -0,0 +1,256 @@
+/**
+ * Class Name: Controls
+ * Description: The input-action map (GameScene.controls). Every keyboard action of the game (reset the level, slow time, become
+ * intangible, mute, open the escape menu and skip the cutscene) is bound to one key, and the game listens for the actions instead of
+ * the keys: a single keydown listener looks up the action bound to the pressed key and calls its handlers. The keys can be rebound
+ * from the escape menu's controls page; binding a key that another action already uses swaps the two, after the player confirms.
+ * The bindings are saved with the rest of the progress (see SaveData), and the on-screen prompts show the bound keys. While a menu
+ * is open, the keys that navigate it (see Menu) go to the menu instead.
+ * Keys are named like Phaser's key codes ('R', 'ESC', 'SPACE', 'UP', ...).
+ * Expected Inputs: Key presses, handlers for the actions, and new bindings from the controls page.
+ * Expected Outputs: Calls to the handlers of the action bound to a pressed key, and the key bound to each action.
+ * Called By: GameScene (listens for the actions, saves and restores the bindings), EscapeMenu (the controls page), SaveData (validates the bindings),
+ * TouchControls and GamepadControls (their buttons trigger the actions).
+ * Will Call: Phaser library methods for the keyboard, the open menu, and the handlers of each action.
+ * @class
+ * @author Braeden Ruff
+ */
+class Controls
+{
+	/**
+	 * Every action, with its name on the controls page and the key it's bound to by default.
+	 */
+	static ACTIONS = {
+		reset: { label: 'Reset Level', key: 'R' },
+		slowtime: { label: 'Slow Time', key: 'S' },
+		intangible: { label: 'Intangible', key: 'E' },
+		mute: { label: 'Mute', key: 'M' },
+		menu: { label: 'Escape Menu', key: 'ESC' },
+		skip: { label: 'Skip Cutscene', key: 'SPACE' },
+	};
+
+	/**
+	 * Shorter or friendlier names for keys whose key code names aren't how they're written on the keyboard.
+	 */
+	static KEY_LABELS = {
+		ESC: 'Esc',
+		SPACE: 'Space',
+		ENTER: 'Enter',
+		BACKSPACE: 'Backspace',
+		TAB: 'Tab',
+		SHIFT: 'Shift',
+		CTRL: 'Ctrl',
+		ALT: 'Alt',
+		UP: 'Up',
+		DOWN: 'Down',
+		LEFT: 'Left',
+		RIGHT: 'Right',
+	};
+
+	/**
+	 * Gets the default bindings.
+	 * @returns {Object} The key bound to each action by default, by action.
+	 */
+	static getDefaultBindings()
+	{
+		const bindings = {};
+		Object.keys(Controls.ACTIONS).forEach(action => bindings[action] = Controls.ACTIONS[action].key);
+		return bindings;
+	}
+
+	/**
+	 * Checks that saved bindings are well formed: a key for every action, and no key bound twice.
+	 * @param {Object} bindings - The saved bindings.
+	 * @returns {boolean} Whether they're valid.
+	 */
+	static isValidBindings(bindings)
+	{
+		if (bindings === null || typeof bindings !== 'object') return false;
+		const keys = Object.keys(Controls.ACTIONS).map(action => bindings[action]);
+		return keys.every(key => typeof key === 'string' && key !== '') && new Set(keys).size === keys.length;
+	}
+
+	/**
+	 * Gets how a key is written on the screen.
+	 * @param {string} key - The key's name, like Phaser's key codes.
+	 * @returns {string} The key's label, e.g. 'Esc' for ESC or 'S' for S.
+	 */
+	static getKeyLabel(key)
+	{
+		return Controls.KEY_LABELS[key] || key;
+	}
+
+	/**
+	 * Gets the name of the key pressed in a keyboard event.
+	 * @param {KeyboardEvent} event - The keydown event.
+	 * @returns {string|null} The key's name from Phaser's key codes, or null for a key Phaser doesn't name.
+	 */
+	static getKeyName(event)
+	{
+		const keyCodes = Phaser.Input.Keyboard.KeyCodes;
+		return Object.keys(keyCodes).find(name => keyCodes[name] === event.keyCode) || null;
+	}
+
+	/**
+	 * Constructs the controls with the default bindings and no handlers. They don't listen to the keyboard until attach() is called.
+	 * @constructor
+	 * @param {Phaser.Scene} scene - The game scene.
+	 */
+	constructor(scene)
+	{
+		this.scene = scene;
+		this.bindings = Controls.getDefaultBindings(); // The key bound to each action.
+		this.handlers = {}; // The handlers of each action, with their context.
+		Object.keys(Controls.ACTIONS).forEach(action => this.handlers[action] = []);
+		this.captureCallback = null; // Gets the next key pressed instead of its action, while a key is being rebound.
+	}
+
+	/**
+	 * Starts listening to the keyboard.
+	 */
+	attach()
+	{
+		this.scene.input.keyboard.on('keydown', event => this.handleKeyDown(event));
+	}
+
+	/**
+	 * Checks that an action exists.
+	 * @param {string} action - The action, one of Controls.ACTIONS.
+	 */
+	static checkAction(action)
+	{
+		if (!Controls.ACTIONS.hasOwnProperty(action))
+		{
+			throw new Error(`'${action}' isn't a control. Expected one of: ${Object.keys(Controls.ACTIONS).join(', ')}.`);
+		}
+	}
+
+	/**
+	 * Adds a handler to an action, like Phaser's keyboard.on() for a key.
+	 * @param {string} action - The action, one of Controls.ACTIONS.
+	 * @param {Function} handler - Called with the keyboard event when the action's key is pressed.
+	 * @param {Object} context - The handler's this.
+	 */
+	on(action, handler, context = null)
+	{
+		Controls.checkAction(action);
+		this.handlers[action].push({ handler, context });
+	}
+
+	/**
+	 * Removes a handler from an action. Nothing happens if it isn't added.
+	 * @param {string} action - The action, one of Controls.ACTIONS.
+	 * @param {Function} handler - The handler given to on().
+	 * @param {Object} context - The context given to on().
+	 */
+	off(action, handler, context = null)
+	{
+		Controls.checkAction(action);
+		this.handlers[action] = this.handlers[action].filter(current => current.handler !== handler || current.context !== context);
+	}
+
+	/**
+	 * Calls the handlers of the action bound to the pressed key, or gives the key to the rebinding in progress. While a menu is open,
+	 * it gets the key first.
+	 * @param {KeyboardEvent} event - The keydown event.
+	 */
+	handleKeyDown(event)
+	{
+		const key = Controls.getKeyName(event);
+		if (key === null) return;
+		if (this.captureCallback)
+		{
+			const callback = this.captureCallback;
+			this.captureCallback = null;
+			callback(key);
+			return;
+		}
+		if (this.scene.activeMenu && this.scene.activeMenu.handleKey(key, event))
+		{
+			return; // Navigating the open menu (see Menu).
+		}
+		const action = this.getAction(key);
+		if (action)
+		{
+			this.trigger(action, event);
+		}
+	}
+
+	/**
+	 * Calls the handlers of an action, as if its key was pressed. Used by the touch and gamepad modes' buttons (see TouchControls and GamepadControls).
+	 * @param {string} action - The action, one of Controls.ACTIONS.
+	 * @param {KeyboardEvent|null} event - The keydown event, or null if the action wasn't triggered by a key.
+	 */
+	trigger(action, event = null)
+	{
+		Controls.checkAction(action);
+		this.handlers[action].slice().forEach(({ handler, context }) => handler.call(context, event)); // A handler may remove itself.
+	}
+
+	/**
+	 * Finds the action bound to a key.
+	 * @param {string} key - The key's name.
+	 * @returns {string|undefined} The action, or undefined if the key isn't bound.
+	 */
+	getAction(key)
+	{
+		return Object.keys(this.bindings).find(action => this.bindings[action] === key);
+	}
+
+	/**
+	 * Gets how the key bound to an action is written on the screen, for prompts like 'Press S to Slow Time'.
+	 * @param {string} action - The action, one of Controls.ACTIONS.
+	 * @returns {string} The key's label.
+	 */
+	getLabel(action)
+	{
+		Controls.checkAction(action);
+		return Controls.getKeyLabel(this.bindings[action]);
+	}
+
+	/**
+	 * Uses saved bindings, or the defaults if they aren't valid.
+	 * @param {Object} bindings - The key bound to each action.
+	 */
+	setBindings(bindings)
+	{
+		this.bindings = Controls.isValidBindings(bindings) ? Object.assign({}, bindings) : Controls.getDefaultBindings();
+	}
+
+	/**
+	 * Finds the other action a key would conflict with if it were bound to an action.
+	 * @param {string} action - The action to bind.
+	 * @param {string} key - The key's name.
+	 * @returns {string|null} The other action already bound to the key, or null if it's free (or already bound to this action).
+	 */
+	findConflict(action, key)
+	{
+		const other = this.getAction(key);
+		return other && other !== action ? other : null;
+	}
+
+	/**
+	 * Binds a key to an action. If another action is bound to the key, it gets this action's old key, so every key stays bound once.
+	 * @param {string} action - The action, one of Controls.ACTIONS.
+	 * @param {string} key - The key's name.
+	 */
+	rebind(action, key)
+	{
+		Controls.checkAction(action);
+		const conflict = this.findConflict(action, key);
+		if (conflict)
+		{
+			this.bindings[conflict] = this.bindings[action];
+		}
+		this.bindings[action] = key;
+	}
+
+	/**
+	 * Gives the next key pressed to a callback instead of calling its action (to rebind a key).
+	 * @param {function(string)|null} callback - Called with the key's name, or null to stop waiting for a key.
+	 */
+	captureNextKey(callback)
+	{
+		this.captureCallback = callback;
+	}
+}
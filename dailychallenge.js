@@ -0,0 +1,170 @@
+import { LevelFormat } from './levelformat.js';
+
+/**
+ * Class Name: DailyChallenge
+ * Description: The daily challenge: one generated level per calendar day, the same for every player. The day's date is hashed into the
+ * seed of a WaveGenerator, which stacks its waves into a level that plays like a hand-made one, ramping up as it goes. The best score of
+ * the day and the streak of days in a row the challenge was cleared are kept in the save data (GameScene.dailyRecord).
+ * Expected Inputs: The day (today's local date by default), and each attempt's result.
+ * Expected Outputs: The day's level entries, the updated daily record, and the date, best score and streak on screen.
+ * Called By: GameScene (starts it from the main menu and loads its level), Level (reports each attempt's result).
+ * Will Call: WaveGenerator for the level, LevelFormat to compute its passing score and validate it, and GameScene to save the record.
+ * @class
+ * @author Braeden Ruff
+ */
+class DailyChallenge
+{
+	/**
+	 * Number of waves in the day's level.
+	 */
+	static WAVES = 10;
+
+	/**
+	 * Intensity of the first wave (see WaveGenerator.nextWave()).
+	 */
+	static START_INTENSITY = 0.5;
+
+	/**
+	 * Intensity of the last wave.
+	 */
+	static END_INTENSITY = 2.5;
+
+	/**
+	 * Share of the level's max score needed to clear it.
+	 */
+	static PASSING_SHARE = 0.6;
+
+	/**
+	 * Formats a day as a date string.
+	 * @param {Date} date - Any time on the day, in local time.
+	 * @returns {string} The day as 'YYYY-MM-DD'.
+	 */
+	static dateString(date)
+	{
+		const month = (date.getMonth() + 1).toString().padStart(2, '0');
+		const day = date.getDate().toString().padStart(2, '0');
+		return `${date.getFullYear()}-${month}-${day}`;
+	}
+
+	/**
+	 * Gets the day before a day.
+	 * @param {string} day - The day as 'YYYY-MM-DD'.
+	 * @returns {string} The previous day as 'YYYY-MM-DD'.
+	 */
+	static previousDay(day)
+	{
+		const [year, month, date] = day.split('-').map(Number);
+		return DailyChallenge.dateString(new Date(year, month - 1, date - 1));
+	}
+
+	/**
+	 * Derives the seed of a day's level by hashing its date (32-bit FNV-1a).
+	 * @param {string} day - The day as 'YYYY-MM-DD'.
+	 * @returns {number} The seed.
+	 */
+	static seedFor(day)
+	{
+		let hash = 0x811C9DC5;
+		for (let i = 0; i < day.length; i++)
+		{
+			hash = Math.imul(hash ^ day.charCodeAt(i), 0x01000193) >>> 0;
+		}
+		return hash;
+	}
+
+	/**
+	 * Generates a day's level.
+	 * @param {string} day - The day as 'YYYY-MM-DD'.
+	 * @returns {Array<Object>} The level's normalized entries, starting with its passing score.
+	 */
+	static generateLevel(day)
+	{
+		const shapes = new WaveGenerator(DailyChallenge.seedFor(day)).generateLevel(DailyChallenge.WAVES, DailyChallenge.START_INTENSITY, DailyChallenge.END_INTENSITY);
+		const passingScore = Math.ceil(LevelFormat.computeMaxScore(shapes) * DailyChallenge.PASSING_SHARE);
+		return LevelFormat.normalizeLevel([{ type: 'score', passingScore }].concat(shapes), 'Daily ' + day);
+	}
+
+	/**
+	 * Constructs the challenge of a day.
+	 * @constructor
+	 * @param {Phaser.Scene} scene - The game scene.
+	 * @param {string} [day] - The day as 'YYYY-MM-DD'. Defaults to today.
+	 */
+	constructor(scene, day = DailyChallenge.dateString(new Date()))
+	{
+		this.scene = scene;
+		this.day = day; // The day the challenge is for. It stays the same if the player plays past midnight.
+		this.entries = DailyChallenge.generateLevel(day); // The day's level.
+		this.infoText = this.scene.add.text(16, 80, '', { fontSize: '20px', fill: '#FFF' });
+	}
+
+	/**
+	 * Gets the best score of the day.
+	 * @returns {number|null} The best score, or null if the day's challenge hasn't been finished yet.
+	 */
+	getBestScore()
+	{
+		const record = this.scene.dailyRecord;
+		return record.date === this.day ? record.bestScore : null;
+	}
+
+	/**
+	 * Gets the streak: the number of days in a row the challenge was cleared. It's still running if the last day cleared was the day
+	 * before, since there's time left to clear today's.
+	 * @returns {number} The streak.
+	 */
+	getStreak()
+	{
+		const record = this.scene.dailyRecord;
+		if (record.lastCleared === this.day || record.lastCleared === DailyChallenge.previousDay(this.day))
+		{
+			return record.streak;
+		}
+		return 0;
+	}
+
+	/**
+	 * Records an attempt: keeps the best score of the day and, the first time the day is cleared, extends the streak (or starts a new one).
+	 * @param {number} score - The attempt's score.
+	 * @param {boolean} cleared - Whether the level was cleared.
+	 */
+	recordResult(score, cleared)
+	{
+		const record = this.scene.dailyRecord;
+		if (record.date !== this.day)
+		{
+			record.date = this.day;
+			record.bestScore = null;
+		}
+		if (record.bestScore === null || score > record.bestScore)
+		{
+			record.bestScore = score;
+		}
+		if (cleared && record.lastCleared !== this.day)
+		{
+			record.streak = this.getStreak() + 1;
+			record.lastCleared = this.day;
+		}
+		this.scene.saveProgress();
+		this.show();
+	}
+
+	/**
+	 * Shows the day, the best score of the day and the streak.
+	 */
+	show()
+	{
+		const best = this.getBestScore();
+		const streak = this.getStreak();
+		this.infoText.setText(`Daily Challenge ${this.day}   Best today: ${best === null ? '-' : best}   Streak: ${streak} ${streak === 1 ? 'day' : 'days'}`);
+	}
+
+	/**
+	 * Removes the challenge's display once it's left.
+	 */
+	destroy()
+	{
+		this.infoText.destroy();
+	}
+}
+export {DailyChallenge};
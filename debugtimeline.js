@@ -0,0 +1,178 @@
+import { Level } from './level.js';
+
+/**
+ * Class Name: DebugTimeline
+ * Description: Debug mode controls for checking levels while designing them. Debug mode is turned on with the "debug" URL parameter
+ * (e.g. index.html?debug). It shows the level time under the game with a timeline bar covering the whole level: drag the bar to jump to
+ * any time and see every shape where it would be then (the level is reloaded and its clock jumps, see GameScene.seekLevel()),
+ * press P to pause and resume, and while paused, period steps one frame forward and comma one frame back (Shift for a second).
+ * Nothing can be hit while the level is paused, and the controls do nothing while a menu is open. Runs that were jumped around in aren't recorded.
+ * Expected Inputs: The P, comma and period keys (unless a control is bound to them, see Controls), and the pointer on the timeline bar.
+ * Expected Outputs: The level paused, stepped or moved to the chosen time, and the level time on screen.
+ * Called By: GameScene, which creates it in debug mode and updates it every frame.
+ * Will Call: Controls to name the keys and skip the bound ones, GameScene.seekLevel() and Level's clock for pausing and stepping, and Level.estimateDuration() for the timeline's length.
+ * @class
+ * @author Braeden Ruff
+ */
+class DebugTimeline
+{
+	/**
+	 * Screen area of the timeline bar.
+	 */
+	static BAR = { x: 16, y: 588, width: 768, height: 8 };
+
+	/**
+	 * Milliseconds of level time one step moves (one frame at 60fps).
+	 */
+	static STEP = 1000 / 60;
+
+	/**
+	 * Checks the "debug" URL parameter.
+	 * @returns {boolean} Whether debug mode is on.
+	 */
+	static isEnabled()
+	{
+		return new URLSearchParams(window.location.search).has('debug');
+	}
+
+	/**
+	 * Creates the timeline display and hooks up its keys and pointer.
+	 * @constructor
+	 * @param {Phaser.Scene} scene - The game scene.
+	 */
+	constructor(scene)
+	{
+		this.scene = scene;
+		this.duration = 0; // Level time the bar covers: until the last shape falls off the screen.
+		this.durationEntries = null; // The level entries the duration was worked out for.
+		this.durationAdjustment = 0; // The difficulty adjustment the duration was worked out for.
+		this.scrubbing = false; // Flag indicating whether the bar is being dragged.
+
+		const { x, y, width, height } = DebugTimeline.BAR;
+		this.graphics = this.scene.add.graphics().setDepth(10003); // Above the blackout and menus.
+		this.text = this.scene.add.text(x, y - 20, '', { fontSize: '14px', fill: '#FF0' }).setDepth(10003);
+		this.bar = this.scene.add.zone(x, y - 4, width, height + 8).setOrigin(0, 0).setInteractive().on('pointerdown', (pointer) => {
+			this.scrubbing = true;
+			this.scrubTo(pointer.x);
+		});
+		this.scene.input.on('pointermove', (pointer) => {
+			if (this.scrubbing) this.scrubTo(pointer.x);
+		});
+		this.scene.input.on('pointerup', () => this.scrubbing = false);
+
+		this.scene.input.keyboard.on('keydown', event => this.handleKeyDown(event));
+	}
+
+	/**
+	 * Handles the P, period and comma keys. A key the player bound to a control (see Controls) does that control instead, so rebinding
+	 * a control to one of these keys (which happens in Controls' listener, before this one) never also pauses or steps the level.
+	 * @param {KeyboardEvent} event - The keydown event.
+	 */
+	handleKeyDown(event)
+	{
+		const key = Controls.getKeyName(event);
+		if (key === null || this.scene.controls.getAction(key)) return;
+		if (key === 'P')
+		{
+			this.togglePause();
+		}
+		else if (key === 'PERIOD')
+		{
+			this.step(event.shiftKey ? 1000 : DebugTimeline.STEP);
+		}
+		else if (key === 'COMMA')
+		{
+			this.step(-(event.shiftKey ? 1000 : DebugTimeline.STEP));
+		}
+	}
+
+	/**
+	 * Checks whether the controls can be used: a level is loaded (not the main menu or cutscene), no menu is open (the escape menu or
+	 * any screen built on Menu), no replay is playing and it isn't endless mode (its waves are generated as it's played, so it can't be
+	 * jumped around in).
+	 * @returns {boolean} Whether the level can be paused, stepped and scrubbed.
+	 */
+	isAvailable()
+	{
+		return !!this.scene.levelSelect && !this.scene.escMenuOpen && !this.scene.activeMenu && !this.scene.replayPlayer.playing && !this.scene.endless;
+	}
+
+	/**
+	 * Pauses or resumes the level.
+	 */
+	togglePause()
+	{
+		if (!this.isAvailable()) return;
+		const clock = this.scene.level.clock;
+		if (clock.paused)
+		{
+			clock.resume();
+		}
+		else
+		{
+			clock.pause();
+		}
+	}
+
+	/**
+	 * Pauses the level and moves it by a step. Stepping forward plays the level on; stepping back jumps (see GameScene.seekLevel()).
+	 * @param {number} delta - Milliseconds of level time to move, negative to go back.
+	 */
+	step(delta)
+	{
+		if (!this.isAvailable()) return;
+		const clock = this.scene.level.clock;
+		if (delta < 0)
+		{
+			this.scene.seekLevel(Math.max(0, clock.now + delta));
+			return;
+		}
+		clock.resume();
+		this.scene.level.update(0, delta / clock.timeScale); // Level.update() takes real time.
+		clock.pause();
+	}
+
+	/**
+	 * Pauses the level and jumps to the time under a point of the bar.
+	 * @param {number} x - The x-coordinate on screen.
+	 */
+	scrubTo(x)
+	{
+		if (!this.isAvailable()) return;
+		const { x: left, width } = DebugTimeline.BAR;
+		const time = Phaser.Math.Clamp((x - left) / width, 0, 1) * this.duration;
+		this.scene.level.clock.pause();
+		this.scene.seekLevel(time);
+	}
+
+	/**
+	 * Redraws the bar and the level time. The duration is worked out again whenever another level or difficulty is loaded.
+	 */
+	update()
+	{
+		this.graphics.clear();
+		if (!this.isAvailable())
+		{
+			this.text.setText('');
+			return;
+		}
+		const entries = this.scene.getLevelEntries();
+		if (entries !== this.durationEntries || this.scene.difficultyAdjustment !== this.durationAdjustment)
+		{
+			this.durationEntries = entries;
+			this.durationAdjustment = this.scene.difficultyAdjustment;
+			this.duration = Math.max(1000, Level.estimateDuration(entries, this.scene.difficultyAdjustment, this.scene.sys.game.config.height + 50));
+		}
+
+		const clock = this.scene.level.clock;
+		const { x, y, width, height } = DebugTimeline.BAR;
+		this.graphics.fillStyle(0x000000, 0.6);
+		this.graphics.fillRect(x, y, width, height);
+		this.graphics.fillStyle(0xFFFF00, 1);
+		this.graphics.fillRect(x, y, width * Math.min(1, clock.now / this.duration), height);
+		this.text.setText(`Debug: ${(clock.now / 1000).toFixed(2)}s / ${(this.duration / 1000).toFixed(2)}s${clock.paused ? ' (paused)' : ''}` +
+			' - P pause, comma/period step (Shift for 1s), drag the bar to jump');
+	}
+}
+
+export {DebugTimeline};
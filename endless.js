@@ -0,0 +1,140 @@
+import { LevelFormat } from './levelformat.js';
+import { TimeFormat } from './timeformat.js';
+
+/**
+ * Class Name: EndlessMode
+ * Description: Runs endless mode: survive generated waves (see WaveGenerator) for as long as possible. The run is played on a level
+ * with no shapes of its own; a wave is fed through Level.processLevelData() (and so Level.spawnShape() and spawnArchitecture())
+ * whenever the previous one's delay runs out on the level clock, so slow time slows the waves down too. The waves ramp up with
+ * the time survived. A life is lost whenever a triangle falls off the screen or a square or architecture is hit; the run is over
+ * when the lives run out, and the survival time is kept as a high score per difficulty.
+ * A run is generated from a seed, so playing the same seed again (or pressing R) gives the same waves.
+ * Expected Inputs: The seed, and lost lives from Level.
+ * Expected Outputs: Waves of shapes, the lives and survival time on screen, and the game over message.
+ * Called By: GameScene (starts runs from the escape menu, restarts them on R and updates them every frame), Level (lost lives).
+ * Will Call: WaveGenerator for the waves, LevelFormat to fill in their entries, Level to spawn them, TimeFormat for the survival time, and GameScene to record the best time and end the run.
+ * @class
+ * @author Braeden Ruff
+ */
+class EndlessMode
+{
+	/**
+	 * Lives at the start of a run.
+	 */
+	static LIVES = 3;
+
+	/**
+	 * The level a run is played on: no shapes until the first wave, and no score to reach.
+	 */
+	static LEVEL = [{ type: 'score', passingScore: 0 }];
+
+	/**
+	 * Milliseconds of level time before the first wave.
+	 */
+	static FIRST_WAVE_DELAY = 1000;
+
+	/**
+	 * Constructs an endless run. It starts when the level is loaded (see start()).
+	 * @constructor
+	 * @param {Phaser.Scene} scene - The game scene.
+	 * @param {number} seed - The seed the waves are generated from.
+	 */
+	constructor(scene, seed)
+	{
+		this.scene = scene;
+		this.seed = seed; // The seed the waves are generated from.
+		this.generator = null; // Generates the waves, recreated from the seed when the run (re)starts.
+		this.lives = 0; // Lives left.
+		this.waveCount = 0; // Number of waves spawned so far.
+		this.over = false; // Flag indicating whether the lives ran out.
+		this.survivedTime = 0; // Level time survived, once the run is over.
+		this.hudText = this.scene.add.text(16, 80, '', { fontSize: '20px', fill: '#FFF' });
+	}
+
+	/**
+	 * Starts (or restarts) the run from its seed. Called once the level is loaded, since loading it cancels the level clock's timers.
+	 */
+	start()
+	{
+		this.generator = new WaveGenerator(this.seed);
+		this.lives = EndlessMode.LIVES;
+		this.waveCount = 0;
+		this.over = false;
+		this.survivedTime = 0;
+		this.scene.level.clock.delayedCall(EndlessMode.FIRST_WAVE_DELAY, () => this.spawnWave());
+	}
+
+	/**
+	 * Spawns the next wave and schedules the one after it.
+	 */
+	spawnWave()
+	{
+		if (this.over) return;
+		const level = this.scene.level;
+		const now = level.clock.now;
+		const wave = this.generator.nextWave(now / 60000); // The intensity goes up by 1 every minute.
+		this.waveCount += 1;
+		wave.entries.forEach(data => {
+			let entry = LevelFormat.normalizeEntry(data);
+			if (entry.type === 'blackout')
+			{
+				// Blackouts are timed in level time, and the wave starts now.
+				entry = { type: 'blackout', fades: entry.fades.map(fade => Object.assign({}, fade, { delay: fade.delay + now })) };
+			}
+			level.processLevelData(entry);
+		});
+		level.clock.delayedCall(wave.delay, () => this.spawnWave());
+	}
+
+	/**
+	 * Takes a life, ending the run when none are left.
+	 */
+	loseLife()
+	{
+		if (this.over) return;
+		this.lives -= 1;
+		this.scene.cameras.main.flash(200, 255, 0, 0);
+		if (this.lives <= 0)
+		{
+			this.gameOver();
+		}
+	}
+
+	/**
+	 * Ends the run: stops the waves, records the survival time and goes back to the normal game after 3 seconds.
+	 */
+	gameOver()
+	{
+		const level = this.scene.level;
+		this.over = true;
+		this.survivedTime = level.clock.now;
+		level.clock.pause(); // Freezes the time and stops the waves.
+		level.clearShapesNoSound();
+		level.resetPowerUpsAndEffects(); // Ends slow time, intangibility and blackouts.
+		this.scene.sound.play('lose', {volume:0.2});
+
+		const newBest = this.scene.recordEndlessTime(this.survivedTime);
+		const message = 'Game Over\nSurvived ' + TimeFormat.formatClock(this.survivedTime) + (newBest ? ' - New best!' : '');
+		level.messageText = this.scene.add.text(this.scene.cameras.main.centerX, this.scene.cameras.main.centerY, message, { fontSize: '40px', fill: '#FF0000', align: 'center' }).setOrigin(0.5);
+		this.scene.time.delayedCall(3000, this.scene.finishEndless, [], this.scene);
+	}
+
+	/**
+	 * Shows the lives, the survival time, the best time on this difficulty and the seed.
+	 */
+	update()
+	{
+		const time = this.over ? this.survivedTime : this.scene.level.clock.now;
+		const best = this.scene.endlessBest[this.scene.difficultyIndex];
+		this.hudText.setText(`Lives: ${this.lives}   Time: ${TimeFormat.formatClock(time)}   Best: ${TimeFormat.formatClock(best)}   Seed: ${this.seed}`);
+	}
+
+	/**
+	 * Removes the run's display once it's over.
+	 */
+	destroy()
+	{
+		this.hudText.destroy();
+	}
+}
+export {EndlessMode};
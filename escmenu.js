@@ -1,10 +1,11 @@
 /**
  * Class Name: EscapeMenu
- * Description: Manages the escape menu interface within the game, offering options such as level selection, changing difficulty, and accessing instructions. This menu is typically accessed during gameplay by pressing the escape key or through a game pause event.
+ * Description: Manages the escape menu interface within the game, offering options such as level selection, changing difficulty, accessing instructions, managing save data, watching replays, changing the settings (the personal-best ghost, the shapes' colors and markings, and the controls), opening the level editor, starting endless mode, viewing the level stats and achievements, and leaving a campaign run. This menu is typically accessed during gameplay by pressing the escape key or through a game pause event.
+ * The main buttons and each sub-menu can be navigated with the keyboard or gamepad (see Menu); going back from a sub-menu returns to the main buttons.
  * Expected Inputs: User interactions with the menu, such as clicking buttons for level selection, changing difficulty, or viewing instructions.
  * Expected Outputs: Navigation to different parts of the game or changes to the game settings based on user selection.
  * Called By: GameScene class when the escape menu needs to be displayed, in response to user input (e.g., pressing the escape key).
- * Will Call: Phaser library methods for UI elements, GameScene methods for setting game difficulty, showing instructions, or selecting levels.
+ * Will Call: Phaser library methods for UI elements, Menu for the navigation, GameScene methods for setting game difficulty, showing instructions, or selecting levels.
  * @class
  * @author Braeden Ruff
  */
@@ -25,6 +26,13 @@ class EscapeMenu
         this.displayWidth = this.scene.sys.game.config.width / 2;
         this.displayHeight = this.scene.sys.game.config.height / 3 * 2;
         this.difficultyButtons = []; // Array to hold the dynamically created difficulty selection buttons.
+        this.saveDataButtons = []; // Array to hold the dynamically created save data buttons (export, import, reset).
+        this.replayButtons = []; // Array to hold the dynamically created replay buttons (watch, export, watch from file).
+        this.progressButtons = []; // Array to hold the dynamically created progress buttons (level stats, achievements).
+        this.settingsButtons = []; // Array to hold the dynamically created settings buttons (ghost toggle, controls).
+        this.controlButtons = []; // Array to hold the dynamically created controls page buttons (one per control, then reset to defaults).
+        this.menu = null; // Navigation of the main buttons (see Menu).
+        this.pageMenu = null; // Navigation of the sub-menu shown in their place (see Menu), or null.
     }
 
     /**
@@ -35,28 +43,128 @@ class EscapeMenu
         // Add and configure the background sprite for the menu.
         this.background = this.scene.add.sprite(this.displayWidth / 2, this.displayHeight / 3, 'background-menu').setOrigin(0, 0).setDisplaySize(this.displayWidth, this.displayHeight).setDepth(10000).setInteractive(); // Interactive so we can't click shapes
 		
-        // Create and configure the Level Select button.
-        this.levelSelectButton = this.scene.add.text(this.scene.cameras.main.centerX, this.scene.cameras.main.centerY, 'Level Select', { font: '32px Arial', fill: '#fff' })
+        // Create and configure the Level Select button. During a campaign run it leaves the run instead (it stays saved to resume later).
+        this.levelSelectButton = this.scene.add.text(this.scene.cameras.main.centerX, this.scene.cameras.main.centerY - 120, this.scene.campaign ? 'Leave Campaign Run' : 'Level Select', { font: '32px Arial', fill: '#fff' })
             .setInteractive()
             .on('pointerdown', () => {
-                this.scene.levelSelect.show();
+                if (this.scene.campaign) {
+                    this.scene.leaveCampaign();
+                } else {
+                    this.scene.levelSelect.show();
+                }
                 this.hide(); // Hide the escape menu upon selection.
             }).setDepth(10001).setOrigin(0.5, 0.5);
 
 		// Create and configure the Change Difficulty button
-		this.changeDifficultyButton = this.scene.add.text(this.scene.cameras.main.centerX, this.scene.cameras.main.centerY + 40, 'Change Difficulty', { font: '32px Arial', fill: '#fff' })
+		this.changeDifficultyButton = this.scene.add.text(this.scene.cameras.main.centerX, this.scene.cameras.main.centerY - 80, 'Change Difficulty', { font: '32px Arial', fill: '#fff' })
             .setInteractive()
             .on('pointerdown', () => {
 				this.showDifficultySelection();
 			}).setDepth(10001).setOrigin(0.5, 0.5);
 			
 		// Create and configure the Instructions button
-		this.instructionButton = this.scene.add.text(this.scene.cameras.main.centerX, this.scene.cameras.main.centerY + 80, 'Instruction', { font: '32px Arial', fill: '#fff' })
+		this.instructionButton = this.scene.add.text(this.scene.cameras.main.centerX, this.scene.cameras.main.centerY - 40, 'Instruction', { font: '32px Arial', fill: '#fff' })
             .setInteractive()
             .on('pointerdown', () => {
 				this.scene.instructions.show();
 				this.hide();
 			}).setDepth(10001).setOrigin(0.5, 0.5);
+			
+		// Create and configure the Save Data button
+		this.saveDataButton = this.scene.add.text(this.scene.cameras.main.centerX, this.scene.cameras.main.centerY, 'Save Data', { font: '32px Arial', fill: '#fff' })
+            .setInteractive()
+            .on('pointerdown', () => {
+				this.showSaveDataOptions();
+			}).setDepth(10001).setOrigin(0.5, 0.5);
+			
+		// Create and configure the Replays button
+		this.replaysButton = this.scene.add.text(this.scene.cameras.main.centerX, this.scene.cameras.main.centerY + 40, 'Replays', { font: '32px Arial', fill: '#fff' })
+            .setInteractive()
+            .on('pointerdown', () => {
+				this.showReplayOptions();
+			}).setDepth(10001).setOrigin(0.5, 0.5);
+			
+		// Create and configure the Settings button
+		this.settingsButton = this.scene.add.text(this.scene.cameras.main.centerX, this.scene.cameras.main.centerY + 80, 'Settings', { font: '32px Arial', fill: '#fff' })
+            .setInteractive()
+            .on('pointerdown', () => {
+				this.showSettingsOptions();
+			}).setDepth(10001).setOrigin(0.5, 0.5);
+			
+		// Create and configure the Level Editor button
+		this.editorButton = this.scene.add.text(this.scene.cameras.main.centerX, this.scene.cameras.main.centerY + 120, 'Level Editor', { font: '32px Arial', fill: '#fff' })
+            .setInteractive()
+            .on('pointerdown', () => {
+				this.scene.escMenuOpen = false;
+				this.hide();
+				this.scene.openEditor();
+			}).setDepth(10001).setOrigin(0.5, 0.5);
+			
+		// Create and configure the Endless Mode button
+		this.endlessButton = this.scene.add.text(this.scene.cameras.main.centerX, this.scene.cameras.main.centerY + 160, 'Endless Mode', { font: '32px Arial', fill: '#fff' })
+            .setInteractive()
+            .on('pointerdown', () => {
+				this.startEndless();
+			}).setDepth(10001).setOrigin(0.5, 0.5);
+			
+		// Create and configure the Stats & Achievements button
+		this.statsButton = this.scene.add.text(this.scene.cameras.main.centerX, this.scene.cameras.main.centerY + 200, 'Stats & Achievements', { font: '32px Arial', fill: '#fff' })
+            .setInteractive()
+            .on('pointerdown', () => {
+				this.showProgressOptions();
+			}).setDepth(10001).setOrigin(0.5, 0.5);
+
+        this.menu = new Menu(this.scene);
+        this.getMainButtons().forEach(currButton => this.menu.add(currButton));
+        this.menu.open();
+    }
+
+    /**
+     * Gets the Ghost button's label for the current setting.
+     * @returns {string} The label.
+     */
+    getGhostLabel() 
+	{
+        return 'Ghost: ' + (this.scene.ghostEnabled ? 'On' : 'Off');
+    }
+
+    /**
+     * Gets the Colors button's label for the color scheme in use (see Palette).
+     * @returns {string} The label.
+     */
+    getColorsLabel() 
+	{
+        return 'Colors: ' + this.scene.palette.getSchemeLabel();
+    }
+
+    /**
+     * Gets the Shape Markings button's label for the marking in use (see Palette).
+     * @returns {string} The label.
+     */
+    getMarkingLabel() 
+	{
+        return 'Shape Markings: ' + this.scene.palette.getMarkingLabel();
+    }
+
+    /**
+     * Asks for the seed of an endless mode run, then closes the escape menu and starts it. An empty seed picks a random one.
+     */
+    startEndless() 
+	{
+        const answer = window.prompt('Seed for the endless run (the same seed always gives the same waves). Leave it empty for a random one.', '');
+        if (answer === null) 
+		{
+            return; // Cancelled.
+        }
+        const seed = answer.trim() === '' ? null : Number(answer);
+        if (seed !== null && (!Number.isInteger(seed) || seed < 0)) 
+		{
+            window.alert('The seed must be a whole number.');
+            return;
+        }
+        this.scene.escMenuOpen = false;
+        this.hide();
+        this.scene.startEndless(seed);
     }
 
     /**
@@ -65,9 +173,7 @@ class EscapeMenu
     showDifficultySelection() 
 	{
         // Hide existing buttons before showing new ones.
-        this.levelSelectButton.setVisible(false);
-        this.changeDifficultyButton.setVisible(false);
-        this.instructionButton.setVisible(false);
+        this.hideMainButtons();
 
         // Dynamically create and display buttons for each difficulty level.
         const difficulties = ['Easy', 'Medium', 'Hard', 'Insane'];
@@ -78,11 +184,336 @@ class EscapeMenu
                 .setInteractive()
                 .on('pointerdown', () => {
                     this.hide(); // Hide the escape menu.
+                    this.scene.stopCampaign(); // A campaign run is played at one difficulty; it stays saved to resume later.
                     this.scene.setDifficulty(difficulties[index]); // Set the selected difficulty.
                     this.scene.levelSelect.show(); // Show the level select screen.
                 })
                 .setOrigin(0.5, 0).setDepth(10001));
         });
+        this.openPage(this.difficultyButtons);
+    }
+
+    /**
+     * Shows the save data options (export, import and reset progress) by hiding current buttons and displaying new ones.
+     */
+    showSaveDataOptions() 
+	{
+        // Hide existing buttons before showing new ones.
+        this.hideMainButtons();
+
+        const options = [
+            { label: 'Export Progress', action: () => this.scene.saveData.exportToFile() },
+            { label: 'Import Progress', action: () => this.scene.saveData.importFromFile(() => window.location.reload()) }, // Reload so every screen picks up the imported progress.
+            { label: 'Reset Progress', action: () => this.resetProgress() },
+        ];
+        const yOffsetStart = this.scene.cameras.main.centerY - this.displayHeight / 5;
+
+        options.forEach((option, index) => {
+            this.saveDataButtons.push(this.scene.add.text(this.scene.cameras.main.centerX, yOffsetStart + (50 * index), option.label, { font: '24px Arial', fill: '#fff' })
+                .setInteractive()
+                .on('pointerdown', option.action)
+                .setOrigin(0.5, 0).setDepth(10001));
+        });
+        this.openPage(this.saveDataButtons);
+    }
+
+    /**
+     * Shows the replay options (watch or export the last finished run, or watch a replay file) by hiding current buttons and displaying new ones.
+     */
+    showReplayOptions() 
+	{
+        // Hide existing buttons before showing new ones.
+        this.hideMainButtons();
+
+        const options = [
+            { label: 'Watch Last Run', action: () => this.withLastReplay(replay => this.watchReplay(replay)) },
+            { label: 'Export Last Run', action: () => this.withLastReplay(replay => replay.exportToFile()) },
+            { label: 'Watch Replay File', action: () => Replay.importFromFile(replay => this.watchReplay(replay)) },
+        ];
+        const yOffsetStart = this.scene.cameras.main.centerY - this.displayHeight / 5;
+
+        options.forEach((option, index) => {
+            this.replayButtons.push(this.scene.add.text(this.scene.cameras.main.centerX, yOffsetStart + (50 * index), option.label, { font: '24px Arial', fill: '#fff' })
+                .setInteractive()
+                .on('pointerdown', option.action)
+                .setOrigin(0.5, 0).setDepth(10001));
+        });
+        this.openPage(this.replayButtons);
+    }
+
+    /**
+     * Shows the progress options (the level stats and achievements screens) by hiding current buttons and displaying new ones.
+     */
+    showProgressOptions() 
+	{
+        // Hide existing buttons before showing new ones.
+        this.hideMainButtons();
+
+        const options = [
+            { label: 'Level Stats', screen: this.scene.statsScreen },
+            { label: 'Achievements', screen: this.scene.achievementsScreen },
+        ];
+        const yOffsetStart = this.scene.cameras.main.centerY - this.displayHeight / 5;
+
+        options.forEach((option, index) => {
+            this.progressButtons.push(this.scene.add.text(this.scene.cameras.main.centerX, yOffsetStart + (50 * index), option.label, { font: '24px Arial', fill: '#fff' })
+                .setInteractive()
+                .on('pointerdown', () => {
+                    this.hide();
+                    option.screen.show();
+                })
+                .setOrigin(0.5, 0).setDepth(10001));
+        });
+        this.openPage(this.progressButtons);
+    }
+
+    /**
+     * Shows the settings (the ghost toggle, the color scheme and shape markings, and the controls page) by hiding current buttons and displaying new ones.
+     * Clicking the color scheme or shape markings switches to the next one, and redraws the level with it.
+     * @param {number} [focusIndex=0] - The setting to focus (3 for Controls, when coming back from the controls page).
+     */
+    showSettingsOptions(focusIndex = 0) 
+	{
+        // Hide existing buttons before showing new ones.
+        this.hideMainButtons();
+
+        const yOffsetStart = this.scene.cameras.main.centerY - this.displayHeight / 5;
+        const ghostButton = this.scene.add.text(this.scene.cameras.main.centerX, yOffsetStart, this.getGhostLabel(), { font: '24px Arial', fill: '#fff' })
+            .setInteractive()
+            .on('pointerdown', () => {
+                this.scene.setGhostEnabled(!this.scene.ghostEnabled);
+                ghostButton.setText(this.getGhostLabel());
+            })
+            .setOrigin(0.5, 0).setDepth(10001);
+        const colorsButton = this.scene.add.text(this.scene.cameras.main.centerX, yOffsetStart + 50, this.getColorsLabel(), { font: '24px Arial', fill: '#fff' })
+            .setInteractive()
+            .on('pointerdown', () => {
+                this.scene.setPalette(this.scene.palette.getNextScheme(), this.scene.palette.marking);
+                colorsButton.setText(this.getColorsLabel());
+            })
+            .setOrigin(0.5, 0).setDepth(10001);
+        const markingButton = this.scene.add.text(this.scene.cameras.main.centerX, yOffsetStart + 100, this.getMarkingLabel(), { font: '24px Arial', fill: '#fff' })
+            .setInteractive()
+            .on('pointerdown', () => {
+                this.scene.setPalette(this.scene.palette.scheme, this.scene.palette.getNextMarking());
+                markingButton.setText(this.getMarkingLabel());
+            })
+            .setOrigin(0.5, 0).setDepth(10001);
+        const controlsButton = this.scene.add.text(this.scene.cameras.main.centerX, yOffsetStart + 150, 'Controls', { font: '24px Arial', fill: '#fff' })
+            .setInteractive()
+            .on('pointerdown', () => this.showControlsOptions())
+            .setOrigin(0.5, 0).setDepth(10001);
+        this.settingsButtons.push(ghostButton, colorsButton, markingButton, controlsButton);
+        this.openPage(this.settingsButtons, () => this.showMainButtons(), focusIndex);
+    }
+
+    /**
+     * Shows the controls page: the key bound to each control, to click and rebind, and a button to go back to the default keys.
+     * Going back returns to the settings.
+     */
+    showControlsOptions() 
+	{
+        // Hide the settings before showing the controls.
+        this.settingsButtons.forEach(currButton => currButton.setVisible(false));
+
+        const yOffsetStart = this.scene.cameras.main.centerY - this.displayHeight / 5;
+        Object.keys(Controls.ACTIONS).forEach((action, index) => {
+            this.controlButtons.push(this.scene.add.text(this.scene.cameras.main.centerX, yOffsetStart + (40 * index), '', { font: '24px Arial', fill: '#fff' })
+                .setInteractive()
+                .on('pointerdown', () => this.waitForControlKey(action, index))
+                .setOrigin(0.5, 0).setDepth(10001));
+        });
+        this.controlButtons.push(this.scene.add.text(this.scene.cameras.main.centerX, yOffsetStart + (40 * Object.keys(Controls.ACTIONS).length), 'Reset to Defaults', { font: '24px Arial', fill: '#fff' })
+            .setInteractive()
+            .on('pointerdown', () => {
+                this.scene.controls.captureNextKey(null);
+                this.scene.controls.setBindings(Controls.getDefaultBindings());
+                this.controlsChanged();
+            })
+            .setOrigin(0.5, 0).setDepth(10001));
+        this.updateControlLabels();
+        this.openPage(this.controlButtons, () => {
+            this.destroyPages();
+            this.showSettingsOptions(3);
+        });
+    }
+
+    /**
+     * Shows the key bound to each control on the controls page.
+     */
+    updateControlLabels() 
+	{
+        Object.keys(Controls.ACTIONS).forEach((action, index) => {
+            this.controlButtons[index].setText(Controls.ACTIONS[action].label + ': ' + this.scene.controls.getLabel(action));
+        });
+    }
+
+    /**
+     * Waits for the next key pressed to bind it to a control. Clicking another control waits for its key instead.
+     * @param {string} action - The control to rebind.
+     * @param {number} index - The control's button on the controls page.
+     */
+    waitForControlKey(action, index) 
+	{
+        this.updateControlLabels(); // In case another control was waiting for its key.
+        this.controlButtons[index].setText(Controls.ACTIONS[action].label + ': press a key...');
+        this.scene.controls.captureNextKey(key => this.rebindControl(action, key));
+    }
+
+    /**
+     * Binds a key to a control. If another control already uses the key, asks whether to swap their keys.
+     * @param {string} action - The control to rebind.
+     * @param {string} key - The key's name.
+     */
+    rebindControl(action, key) 
+	{
+        const conflict = this.scene.controls.findConflict(action, key);
+        if (conflict && !window.confirm(`${Controls.getKeyLabel(key)} is already bound to ${Controls.ACTIONS[conflict].label}. Swap their keys?`)) 
+		{
+            this.updateControlLabels();
+            return;
+        }
+        this.scene.controls.rebind(action, key);
+        this.controlsChanged();
+    }
+
+    /**
+     * Saves the controls after they change, and shows the new keys on the controls page and in the on-screen prompts.
+     */
+    controlsChanged() 
+	{
+        this.scene.saveProgress();
+        this.scene.updateControlPrompts();
+        this.updateControlLabels();
+    }
+
+    /**
+     * Runs an action on the last finished run's replay, or tells the player there isn't one yet.
+     * @param {function(Replay)} action - What to do with the replay.
+     */
+    withLastReplay(action) 
+	{
+        if (!this.scene.lastReplay) 
+		{
+            window.alert('Finish a level first; the last run is recorded automatically.');
+            return;
+        }
+        action(this.scene.lastReplay);
+    }
+
+    /**
+     * Closes the escape menu and plays a replay.
+     * @param {Replay} replay - The replay to watch.
+     */
+    watchReplay(replay) 
+	{
+        this.scene.escMenuOpen = false;
+        this.hide();
+        this.scene.playReplay(replay);
+    }
+
+    /**
+     * Asks for confirmation, then deletes all saved progress and restarts the game from a clean state.
+     */
+    resetProgress() 
+	{
+        if (!window.confirm('Reset all progress? Your scores, unlocked levels and achievements will be lost.')) 
+		{
+            return;
+        }
+        this.scene.saveData.clear();
+        window.location.reload(); // Start over with no progress.
+    }
+
+    /**
+     * Gets the main escape menu buttons.
+     * @returns {Array<Phaser.GameObjects.Text>} The buttons, from top to bottom.
+     */
+    getMainButtons() 
+	{
+        return [this.levelSelectButton, this.changeDifficultyButton, this.instructionButton, this.saveDataButton, this.replaysButton,
+            this.settingsButton, this.editorButton, this.endlessButton, this.statsButton];
+    }
+
+    /**
+     * Hides the main escape menu buttons so a sub-menu can be shown in their place.
+     */
+    hideMainButtons() 
+	{
+        this.getMainButtons().forEach(currButton => currButton.setVisible(false));
+    }
+
+    /**
+     * Goes back from a sub-menu to the main escape menu buttons, focusing the one that opened it.
+     */
+    showMainButtons() 
+	{
+        this.destroyPages();
+        this.getMainButtons().forEach(currButton => currButton.setVisible(true));
+        this.menu.open();
+    }
+
+    /**
+     * Lets a sub-menu's buttons be navigated with the keyboard or gamepad (see Menu).
+     * @param {Array<Phaser.GameObjects.Text>} buttons - The sub-menu's buttons, in focus order.
+     * @param {Function} [onBack] - Goes back from the sub-menu. By default, to the main buttons.
+     * @param {number} [focusIndex=0] - The button to focus.
+     */
+    openPage(buttons, onBack = () => this.showMainButtons(), focusIndex = 0) 
+	{
+        this.pageMenu = new Menu(this.scene, { onBack });
+        buttons.forEach(currButton => this.pageMenu.add(currButton));
+        this.pageMenu.open(focusIndex);
+    }
+
+    /**
+     * Removes the sub-menu's buttons (whichever is shown), and stops waiting for a key to rebind.
+     */
+    destroyPages() 
+	{
+        // Clean up difficulty buttons
+		this.difficultyButtons.forEach((currButton) => {
+			currButton.destroy();
+		});			
+		this.difficultyButtons = [];
+		
+        // Clean up save data buttons
+		this.saveDataButtons.forEach((currButton) => {
+			currButton.destroy();
+		});			
+		this.saveDataButtons = [];
+		
+        // Clean up replay buttons
+		this.replayButtons.forEach((currButton) => {
+			currButton.destroy();
+		});			
+		this.replayButtons = [];
+		
+        // Clean up progress buttons
+		this.progressButtons.forEach((currButton) => {
+			currButton.destroy();
+		});			
+		this.progressButtons = [];
+		
+        // Clean up settings buttons
+		this.settingsButtons.forEach((currButton) => {
+			currButton.destroy();
+		});			
+		this.settingsButtons = [];
+		
+        // Clean up controls page buttons, and stop waiting for a key to rebind
+		this.controlButtons.forEach((currButton) => {
+			currButton.destroy();
+		});			
+		this.controlButtons = [];
+		this.scene.controls.captureNextKey(null);
+		
+        // Stop navigating the sub-menu
+		if(this.pageMenu)
+		{
+			this.pageMenu.close();
+			this.pageMenu = null;
+		}
     }
 
     /**
@@ -90,6 +521,13 @@ class EscapeMenu
      */
     hide() 
 	{
+        // Stop navigating the menu
+		if(this.menu)
+		{
+			this.menu.close();
+			this.menu = null;
+		}
+		
         // Clean up Level Select button
         if(this.levelSelectButton) 
 		{
@@ -111,11 +549,50 @@ class EscapeMenu
 			this.instructionButton = null;
 		}
 		
-        // Clean up difficulty buttons
-		this.difficultyButtons.forEach((currButton) => {
-			currButton.destroy();
-		});			
-		this.difficultyButtons = [];
+        // Clean up Save Data button
+		if(this.saveDataButton)
+		{
+			this.saveDataButton.setText('');
+			this.saveDataButton = null;
+		}
+		
+        // Clean up Replays button
+		if(this.replaysButton)
+		{
+			this.replaysButton.setText('');
+			this.replaysButton = null;
+		}
+		
+        // Clean up Settings button
+		if(this.settingsButton)
+		{
+			this.settingsButton.setText('');
+			this.settingsButton = null;
+		}
+		
+        // Clean up Level Editor button
+		if(this.editorButton)
+		{
+			this.editorButton.setText('');
+			this.editorButton = null;
+		}
+		
+        // Clean up Endless Mode button
+		if(this.endlessButton)
+		{
+			this.endlessButton.setText('');
+			this.endlessButton = null;
+		}
+		
+        // Clean up Stats & Achievements button
+		if(this.statsButton)
+		{
+			this.statsButton.setText('');
+			this.statsButton = null;
+		}
+		
+        // Clean up the sub-menu's buttons
+		this.destroyPages();
 		
         // Clean up background
         if(this.background) 
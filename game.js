@@ -6,13 +6,14 @@
  * Expected Inputs: None directly to this script. It utilizes Phaser's game configuration object.
  * Expected Outputs: An initialized Phaser game instance attached to the specified HTML container.
  * Called By: This script is typically loaded in an HTML document as a standalone script.
- * Will Call: GameScene.js for scene-specific logic and settings.
+ * Will Call: GameScene.js for scene-specific logic and settings, and EditorScene.js for the level editor.
  * @class
  * @author Braeden Ruff
  */
 
 // Import the GameScene class from the GameScene.js file. Adjust the path as necessary based on your project structure.
 import GameScene from './GameScene.js';
+import EditorScene from './EditorScene.js';
 
 // Define the game configuration object.
 var config = {
@@ -24,14 +25,19 @@ var config = {
     height: 600,
     // Set the background color of the game. Here, it's set to a dark gray color.
     backgroundColor: '#2d2d2d',
-	// Set the fps higher for better mouse tracking (less potential to miss if the mouse is going fast).
-	fps: {
-		target: 120,
-	},
+    // Scale the 800x600 game up or down to fit the game container (the viewport, see index.html), keeping its shape, so it fits phones too.
+    scale: {
+        mode: Phaser.Scale.FIT,
+        autoCenter: Phaser.Scale.CENTER_BOTH,
+    },
+    // Turn on Phaser's gamepad plugin, for gamepad mode (see GamepadControls).
+    input: {
+        gamepad: true,
+    },
     // Specify the ID of the HTML container that the game should be attached to. This is used to make achievements go underneath the game area and to center it
     parent: 'gameContainer',
-    // An array of scenes that are part of this game. You can add more scenes to this array as needed.
-    scene: [GameScene] // Use the scene class
+    // An array of scenes that are part of this game. You can add more scenes to this array as needed. Only the first one starts right away.
+    scene: [GameScene, EditorScene] // Use the scene classes
 };
 
 // Create a new Phaser game instance with the specified configuration.
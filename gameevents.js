@@ -0,0 +1,103 @@
+/**
+ * Class Name: GameEvents
+ * Description: The gameplay event bus (GameScene.gameEvents). The core classes announce what happens in a level here instead of
+ * reaching into each other: Level announces kills, friendly hits, collected upgrades and the end of the level, ArmoredTriangle its own
+ * kill, HealthBar running out of energy, and GameScene the start of a level and the upgrades it activates. The score and its display,
+ * the sounds, the achievements, the level stats, the combo and endless mode's lives subscribe to them.
+ * The events are typed: only the events in GameEvents.EVENTS can be subscribed to or emitted, and each must carry its payload fields.
+ * Listeners are called in the order they subscribed, right away (not on the next frame).
+ * Expected Inputs: Subscriptions to events, and the events emitted by the game's classes with their payloads.
+ * Expected Outputs: Calls to the subscribed listeners with each event's payload.
+ * Called By: GameScene (creates it, subscribes and emits), Level, ArmoredTriangle, HealthBar (emit) and ComboScoring (subscribes).
+ * Will Call: The subscribed listeners.
+ * @class
+ * @author Braeden Ruff
+ */
+class GameEvents
+{
+	/**
+	 * The gameplay events and the payload fields each one carries:
+	 * shapeKilled: a triangle, stealth triangle or armored triangle was killed. type is its shape type; x and y are where it was.
+	 * friendlyHit: a square or architecture was hit. type is its shape type; x and y are where it was.
+	 * upgradeCollected: a clear-friendlies, intangible or slowtime upgrade was picked up. type is its shape type.
+	 * upgradeActivated: an upgrade took effect (clear-friendlies as soon as it's collected, the others with their key). type is its shape type.
+	 * levelStarted: a level was loaded, or restarted with R. levelIndex is the index of the pack's level it was loaded at.
+	 * levelCleared: a level ended with the passing score. levelIndex as above; score is the final score; time is the level time it took.
+	 * levelFailed: a level ended without the passing score. The same payload as levelCleared.
+	 * energyDepleted: the health bar ran out away from the area, ending the run.
+	 */
+	static EVENTS = {
+		shapeKilled: ['type', 'x', 'y'],
+		friendlyHit: ['type', 'x', 'y'],
+		upgradeCollected: ['type'],
+		upgradeActivated: ['type'],
+		levelStarted: ['levelIndex'],
+		levelCleared: ['levelIndex', 'score', 'time'],
+		levelFailed: ['levelIndex', 'score', 'time'],
+		energyDepleted: [],
+	};
+
+	/**
+	 * Constructs the event bus with no listeners.
+	 * @constructor
+	 */
+	constructor()
+	{
+		this.listeners = {}; // The listeners of each event, in the order they subscribed.
+		Object.keys(GameEvents.EVENTS).forEach(name => this.listeners[name] = []);
+	}
+
+	/**
+	 * Checks that an event is one of the gameplay events.
+	 * @param {string} name - The event's name.
+	 */
+	static checkName(name)
+	{
+		if (!GameEvents.EVENTS.hasOwnProperty(name))
+		{
+			throw new Error(`'${name}' isn't a gameplay event. Expected one of: ${Object.keys(GameEvents.EVENTS).join(', ')}.`);
+		}
+	}
+
+	/**
+	 * Subscribes a listener to an event.
+	 * @param {string} name - The event's name, one of GameEvents.EVENTS.
+	 * @param {Function} listener - Called with the event's payload every time it's emitted.
+	 * @returns {GameEvents} The event bus, to chain subscriptions.
+	 */
+	on(name, listener)
+	{
+		GameEvents.checkName(name);
+		this.listeners[name].push(listener);
+		return this;
+	}
+
+	/**
+	 * Unsubscribes a listener from an event. Nothing happens if it isn't subscribed.
+	 * @param {string} name - The event's name, one of GameEvents.EVENTS.
+	 * @param {Function} listener - The listener given to on().
+	 * @returns {GameEvents} The event bus, to chain calls.
+	 */
+	off(name, listener)
+	{
+		GameEvents.checkName(name);
+		this.listeners[name] = this.listeners[name].filter(current => current !== listener);
+		return this;
+	}
+
+	/**
+	 * Emits an event, calling its listeners with the payload.
+	 * @param {string} name - The event's name, one of GameEvents.EVENTS.
+	 * @param {Object} payload - The event's payload, with every field the event carries.
+	 */
+	emit(name, payload = {})
+	{
+		GameEvents.checkName(name);
+		const missing = GameEvents.EVENTS[name].filter(field => payload[field] === undefined);
+		if (missing.length > 0)
+		{
+			throw new Error(`The '${name}' event is missing ${missing.join(', ')}.`);
+		}
+		this.listeners[name].slice().forEach(listener => listener(payload)); // A listener may unsubscribe while the event is emitted.
+	}
+}
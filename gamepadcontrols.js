@@ -0,0 +1,223 @@
+/**
+ * Class Name: GamepadControls
+ * Description: Gamepad mode (GameScene.gamepadControls), for playing on a controller. It turns on by itself when the left stick is
+ * pushed or a button is pressed, and off again when a mouse or finger is used. The left stick drives a virtual cursor, drawn as a ring:
+ * it starts slow and speeds up the longer the stick is held, and holding a shoulder button slows it down for precise moves. The virtual
+ * cursor is the cursor the level is swept with (see GameScene.getLevelCursor()), so it touches shapes like the mouse. The face buttons
+ * stand in for the mouse and keyboard (standard mapping): A clicks under the virtual cursor (damaging armored triangles), X slows time,
+ * Y becomes intangible, B resets the level, and Start opens the escape menu. While a menu is open (see Menu), the d-pad moves its
+ * focus between the buttons, A presses the focused button and B goes back (like ESC).
+ * Expected Inputs: Gamepad stick and button input from Phaser's gamepad plugin.
+ * Expected Outputs: The virtual cursor's position, clicks under it, the actions of the buttons, and menu navigation.
+ * Called By: GameScene (creates it, updates it every frame and asks it where the cursor is).
+ * Will Call: Phaser library methods for the gamepad, hit-testing and drawing, Controls to trigger the actions, the open Menu, and GameScene to record clicks.
+ * @class
+ * @author Braeden Ruff
+ */
+class GamepadControls
+{
+	/**
+	 * How far the stick must be pushed (0 to 1) before the cursor moves.
+	 */
+	static DEADZONE = 0.15;
+
+	/**
+	 * The cursor's speed in pixels per second, with the stick pushed all the way, when it starts moving.
+	 */
+	static MIN_SPEED = 200;
+
+	/**
+	 * The cursor's top speed in pixels per second, reached after the stick is held for ACCELERATION_TIME.
+	 */
+	static MAX_SPEED = 900;
+
+	/**
+	 * Milliseconds of holding the stick for the cursor to reach its top speed.
+	 */
+	static ACCELERATION_TIME = 600;
+
+	/**
+	 * The cursor's speed is multiplied by this while a shoulder button (the precision modifier) is held.
+	 */
+	static PRECISION_FACTOR = 0.3;
+
+	/**
+	 * What each button does in a level, with its index in the standard mapping and its name for the prompts.
+	 */
+	static BUTTONS = [
+		{ index: 0, name: 'A', action: 'click' },
+		{ index: 1, name: 'B', action: 'reset' },
+		{ index: 2, name: 'X', action: 'slowtime' },
+		{ index: 3, name: 'Y', action: 'intangible' },
+		{ index: 9, name: 'Start', action: 'menu' },
+	];
+
+	/**
+	 * The direction each d-pad button moves the menu focus, by its index in the standard mapping.
+	 */
+	static DPAD = { 12: { x: 0, y: -1 }, 13: { x: 0, y: 1 }, 14: { x: -1, y: 0 }, 15: { x: 1, y: 0 } };
+
+	/**
+	 * Constructs the gamepad controls, off until create() is called.
+	 * @constructor
+	 * @param {Phaser.Scene} scene - The game scene.
+	 */
+	constructor(scene)
+	{
+		this.scene = scene;
+		this.enabled = false; // Flag indicating whether gamepad mode is on.
+		this.x = 0; // The virtual cursor's position, from the middle of the screen (see create()).
+		this.y = 0;
+		this.heldTime = 0; // Milliseconds the stick has been held, for the acceleration.
+		this.pointer = null; // The pointer hit-tested at the virtual cursor for clicks.
+		this.cursor = null; // The virtual cursor drawn on screen.
+	}
+
+	/**
+	 * Listens to the gamepad, mouse and fingers, and creates the virtual cursor, hidden in the middle of the screen. Nothing happens
+	 * without Phaser's gamepad plugin (see game.js).
+	 */
+	create()
+	{
+		if (!this.scene.input.gamepad)
+		{
+			return;
+		}
+		this.x = this.scene.sys.game.config.width / 2;
+		this.y = this.scene.sys.game.config.height / 2;
+		this.pointer = new Phaser.Input.Pointer(this.scene.input.manager, 0);
+		this.cursor = this.scene.add.circle(this.x, this.y, 8).setStrokeStyle(3, 0xFFFFFF).setDepth(10003).setVisible(false);
+		this.scene.input.gamepad.on('down', (pad, button) => this.handleButton(button.index));
+
+		// The mouse or a finger takes over from the gamepad.
+		this.scene.input.on('pointermove', () => this.setEnabled(false));
+		this.scene.input.on('pointerdown', () => this.setEnabled(false));
+	}
+
+	/**
+	 * Turns gamepad mode on or off, showing or hiding the virtual cursor and updating the prompts to match.
+	 * @param {boolean} enabled - Whether gamepad mode is on.
+	 */
+	setEnabled(enabled)
+	{
+		if (this.enabled === enabled)
+		{
+			return;
+		}
+		this.enabled = enabled;
+		this.heldTime = 0;
+		this.cursor.setVisible(enabled);
+		this.scene.updateControlPrompts();
+	}
+
+	/**
+	 * Moves the virtual cursor with the left stick. Called by GameScene every frame.
+	 * @param {number} delta - Milliseconds since the last frame.
+	 */
+	update(delta)
+	{
+		const pad = this.scene.input.gamepad ? this.scene.input.gamepad.pad1 : null;
+		if (!pad)
+		{
+			return;
+		}
+		const stick = pad.leftStick;
+		const tilt = Math.hypot(stick.x, stick.y);
+		if (tilt < GamepadControls.DEADZONE)
+		{
+			this.heldTime = 0;
+			return;
+		}
+		this.setEnabled(true);
+		this.heldTime += delta;
+
+		// Speed up the longer the stick is held, and slow down while a shoulder button is held.
+		let speed = GamepadControls.MIN_SPEED + (GamepadControls.MAX_SPEED - GamepadControls.MIN_SPEED) * Math.min(1, this.heldTime / GamepadControls.ACCELERATION_TIME);
+		if (pad.L1 > 0.5 || pad.R1 > 0.5)
+		{
+			speed *= GamepadControls.PRECISION_FACTOR;
+		}
+		const push = (Math.min(1, tilt) - GamepadControls.DEADZONE) / (1 - GamepadControls.DEADZONE); // 0 at the deadzone, 1 all the way.
+		const distance = speed * push * delta / 1000;
+		const config = this.scene.sys.game.config;
+		this.x = Phaser.Math.Clamp(this.x + stick.x / tilt * distance, 0, config.width);
+		this.y = Phaser.Math.Clamp(this.y + stick.y / tilt * distance, 0, config.height);
+		this.cursor.setPosition(this.x, this.y);
+	}
+
+	/**
+	 * Handles a gamepad button: the d-pad and A and B navigate an open menu, and otherwise each button does what BUTTONS says.
+	 * @param {number} index - The button's index in the standard mapping.
+	 */
+	handleButton(index)
+	{
+		this.setEnabled(true);
+		const menu = this.scene.activeMenu;
+		if (menu && GamepadControls.DPAD[index])
+		{
+			menu.move(GamepadControls.DPAD[index]);
+			return;
+		}
+		if (menu && index === 0 && menu.getFocused())
+		{
+			menu.activate();
+			return;
+		}
+		if (menu && index === 1)
+		{
+			if (!menu.back())
+			{
+				this.scene.controls.trigger('menu'); // Like ESC where the menu has nowhere to go back to.
+			}
+			return;
+		}
+		const button = GamepadControls.BUTTONS.find(current => current.index === index);
+		if (!button)
+		{
+			return;
+		}
+		if (button.action === 'click')
+		{
+			this.scene.controls.trigger('skip'); // Also skips the cutscene, like SPACE.
+			this.click();
+		}
+		else
+		{
+			this.scene.controls.trigger(button.action);
+		}
+	}
+
+	/**
+	 * Clicks under the virtual cursor: the top interactive object gets pointerdown, as it would from the mouse (so armored triangles
+	 * take damage), and the click is recorded for the replay.
+	 */
+	click()
+	{
+		this.pointer.x = this.x;
+		this.pointer.y = this.y;
+		const input = this.scene.input;
+		const over = input.sortGameObjects(input.hitTestPointer(this.pointer).filter(gameObject => gameObject.input && gameObject.input.enabled), this.pointer).slice(0, 1);
+		this.scene.recordClick(this.pointer, over);
+		over.forEach(gameObject => gameObject.emit('pointerdown', this.pointer));
+	}
+
+	/**
+	 * Gets the name of an action's button, for prompts like 'Press X to Slow Time'.
+	 * @param {string} action - The action, one of Controls.ACTIONS.
+	 * @returns {string|null} The button's name, or null if the action has no button.
+	 */
+	getLabel(action)
+	{
+		const button = GamepadControls.BUTTONS.find(current => current.action === action);
+		return button ? button.name : null;
+	}
+
+	/**
+	 * Gets where the virtual cursor is.
+	 * @returns {{x: number, y: number}} Its position.
+	 */
+	getCursor()
+	{
+		return { x: this.x, y: this.y };
+	}
+}
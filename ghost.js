@@ -0,0 +1,171 @@
+/**
+ * Class Name: Ghost
+ * Description: The player's personal-best run on a level, cut down to what's needed to race against it: the cursor path sampled every
+ * SAMPLE_INTERVAL milliseconds of level time, and every change of the score. It's built from the run's Replay when the level is cleared,
+ * and kept in the save data per level and difficulty next to the best scores, so the full input stream (which would quickly fill
+ * localStorage) isn't stored. Only the last attempt of a run counts: input before the last R press is dropped.
+ * Samples are stored as compact arrays: [time, x, y] for the cursor, with (-1, -1) while it was off the canvas, and [time, score].
+ * Expected Inputs: A finished Replay, or a ghost loaded from the save data.
+ * Expected Outputs: Where the cursor was and what the score was at any level time.
+ * Called By: GameScene (records and stores best runs), GhostOverlay (draws them), SaveData (validates saved ghosts).
+ * Will Call: Nothing.
+ * @class
+ * @author Braeden Ruff
+ */
+class Ghost
+{
+	/**
+	 * Milliseconds of level time between cursor samples.
+	 */
+	static SAMPLE_INTERVAL = 50;
+
+	/**
+	 * Constructs a ghost.
+	 * @constructor
+	 * @param {number} score - The run's final score.
+	 * @param {Array<Array<number>>} path - The cursor samples, sorted by time.
+	 * @param {Array<Array<number>>} scores - The score changes, sorted by time.
+	 */
+	constructor(score, path, scores)
+	{
+		this.score = score; // Final score of the run.
+		this.path = path; // [time, x, y] cursor samples.
+		this.scores = scores; // [time, score] score changes.
+	}
+
+	/**
+	 * Builds a ghost from a finished run.
+	 * @param {Replay} replay - The run.
+	 * @returns {Ghost} The run's ghost.
+	 */
+	static fromReplay(replay)
+	{
+		// A reset restarts level time, so only the events after the last R belong to the attempt that finished.
+		let start = 0;
+		replay.events.forEach((event, index) => {
+			if (event[0] === 'k' && event[2] === 'R')
+			{
+				start = index + 1;
+			}
+		});
+
+		const path = [];
+		const scores = [];
+		replay.events.slice(start).forEach(event => {
+			const time = Math.round(event[1]);
+			if (event[0] === 'p' || event[0] === 'c')
+			{
+				if (path.length === 0 || time >= path[path.length - 1][0] + Ghost.SAMPLE_INTERVAL)
+				{
+					path.push([time, Math.round(event[2]), Math.round(event[3])]);
+				}
+			}
+			else if (event[0] === 's')
+			{
+				scores.push([time, event[2]]);
+			}
+		});
+		return new Ghost(replay.score, path, scores);
+	}
+
+	/**
+	 * Finds the last sample at or before a time.
+	 * @param {Array<Array<number>>} samples - Samples whose first element is the time, sorted by time.
+	 * @param {number} time - The level time.
+	 * @returns {number} The sample's index, or -1 if every sample is later.
+	 */
+	static indexAt(samples, time)
+	{
+		let low = 0;
+		let high = samples.length - 1;
+		let found = -1;
+		while (low <= high)
+		{
+			const middle = (low + high) >> 1;
+			if (samples[middle][0] <= time)
+			{
+				found = middle;
+				low = middle + 1;
+			}
+			else
+			{
+				high = middle - 1;
+			}
+		}
+		return found;
+	}
+
+	/**
+	 * Gets where the ghost's cursor was, interpolated between samples.
+	 * @param {number} time - The level time.
+	 * @returns {{x: number, y: number}|null} The cursor position, or null if it was off the canvas or the run hadn't started.
+	 */
+	positionAt(time)
+	{
+		const index = Ghost.indexAt(this.path, time);
+		if (index === -1 || this.path[index][1] < 0)
+		{
+			return null;
+		}
+		const [sampleTime, x, y] = this.path[index];
+		const next = this.path[index + 1];
+		if (!next || next[1] < 0)
+		{
+			return { x, y };
+		}
+		const progress = (time - sampleTime) / (next[0] - sampleTime);
+		return { x: x + (next[1] - x) * progress, y: y + (next[2] - y) * progress };
+	}
+
+	/**
+	 * Gets the cursor samples within a span of level time, for drawing the trail.
+	 * @param {number} from - The start of the span.
+	 * @param {number} to - The end of the span.
+	 * @returns {Array<Array<number>>} The [time, x, y] samples in the span, including those off the canvas.
+	 */
+	pathBetween(from, to)
+	{
+		return this.path.slice(Ghost.indexAt(this.path, from) + 1, Ghost.indexAt(this.path, to) + 1);
+	}
+
+	/**
+	 * Gets the ghost's score.
+	 * @param {number} time - The level time.
+	 * @returns {number} The score the run had at that time.
+	 */
+	scoreAt(time)
+	{
+		const index = Ghost.indexAt(this.scores, time);
+		return index === -1 ? 0 : this.scores[index][1];
+	}
+
+	/**
+	 * Gets the ghost as plain data for the save.
+	 * @returns {Object} The ghost's data.
+	 */
+	toJSON()
+	{
+		return { score: this.score, path: this.path, scores: this.scores };
+	}
+
+	/**
+	 * Builds a ghost from saved data, checking that it's well formed.
+	 * @param {Object} data - The saved ghost.
+	 * @returns {Ghost} The ghost.
+	 * @throws {Error} If the data isn't a valid ghost.
+	 */
+	static fromJSON(data)
+	{
+		if (data === null || typeof data !== 'object' || typeof data.score !== 'number')
+		{
+			throw new Error('Ghost must be an object with a score.');
+		}
+		const samplesValid = (samples, length) => Array.isArray(samples) &&
+			samples.every(sample => Array.isArray(sample) && sample.length === length && sample.every(value => typeof value === 'number'));
+		if (!samplesValid(data.path, 3) || !samplesValid(data.scores, 2))
+		{
+			throw new Error('Ghost path and scores must be lists of samples.');
+		}
+		return new Ghost(data.score, data.path, data.scores);
+	}
+}
@@ -0,0 +1,91 @@
+/**
+ * Class Name: GhostOverlay
+ * Description: Draws the player's personal-best run (see Ghost) over the level while they play it: a translucent cursor with a trail
+ * fading out behind it, and the best run's live score next to the score text. Both follow the level time, so slow time and resets
+ * keep the ghost in step with the level.
+ * Expected Inputs: The ghost to show when a level is loaded, and the level time every frame.
+ * Expected Outputs: The ghost cursor, its trail and its score on screen.
+ * Called By: GameScene when a level is loaded, every frame, and when the ghost is toggled from the escape menu.
+ * Will Call: Phaser library methods for drawing.
+ * @class
+ * @author Braeden Ruff
+ */
+class GhostOverlay
+{
+	/**
+	 * Milliseconds of level time the trail reaches back.
+	 */
+	static TRAIL_LENGTH = 500;
+
+	/**
+	 * Constructs the overlay, hidden until a ghost is shown.
+	 * @constructor
+	 * @param {Phaser.Scene} scene - The game scene.
+	 */
+	constructor(scene)
+	{
+		this.scene = scene;
+		this.ghost = null; // The ghost being shown, or null.
+		this.graphics = this.scene.add.graphics().setDepth(9000); // Above the shapes, below the blackout and menus.
+		this.scoreText = this.scene.add.text(0, 26, '', { fontSize: '20px', fill: '#AACCFF' }).setAlpha(0.7);
+	}
+
+	/**
+	 * Shows a ghost, or hides the overlay.
+	 * @param {Ghost|null} ghost - The ghost to show, or null for none.
+	 */
+	show(ghost)
+	{
+		this.ghost = ghost;
+		this.update(this.scene.level.clock.now);
+	}
+
+	/**
+	 * Hides the overlay.
+	 */
+	hide()
+	{
+		this.show(null);
+	}
+
+	/**
+	 * Draws the ghost as it was at a level time.
+	 * @param {number} levelTime - The level time.
+	 */
+	update(levelTime)
+	{
+		this.graphics.clear();
+		if (!this.ghost)
+		{
+			this.scoreText.setText('');
+			return;
+		}
+
+		// The trail, fading out with age. Samples off the canvas break it.
+		const samples = this.ghost.pathBetween(levelTime - GhostOverlay.TRAIL_LENGTH, levelTime);
+		const position = this.ghost.positionAt(levelTime);
+		const points = samples.concat(position ? [[levelTime, position.x, position.y]] : []);
+		for (let i = 1; i < points.length; i++)
+		{
+			const [startTime, startX, startY] = points[i - 1];
+			const [, endX, endY] = points[i];
+			if (startX < 0 || endX < 0)
+			{
+				continue;
+			}
+			const age = (levelTime - startTime) / GhostOverlay.TRAIL_LENGTH;
+			this.graphics.lineStyle(4, 0xAACCFF, 0.4 * (1 - age));
+			this.graphics.lineBetween(startX, startY, endX, endY);
+		}
+		if (position)
+		{
+			this.graphics.fillStyle(0xAACCFF, 0.5);
+			this.graphics.fillCircle(position.x, position.y, 6);
+		}
+
+		// The best run's score, just right of the player's.
+		const scoreText = this.scene.scoreText;
+		this.scoreText.setPosition(scoreText.x + scoreText.width + 16, scoreText.y + 10);
+		this.scoreText.setText('Best: ' + this.ghost.scoreAt(levelTime));
+	}
+}
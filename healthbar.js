@@ -5,7 +5,7 @@
  * Expected Inputs: Commands to show, hide, decrease, or refill the health bar, triggered by game events, particularly if it's on screen or not.
  * Expected Outputs: Visual updates to the health bar to reflect current health status or game state changes.
  * Called By: Level class when an area is on the screen and when it's off.
- * Will Call: Phaser library methods for graphical display and tweening for animations.
+ * Will Call: Phaser library methods for graphical display and tweening for animations, and GameEvents to announce running out of energy.
  * @class
  * @author Braeden Ruff
  */
@@ -125,9 +125,8 @@ class HealthBar
                 this.healthBarFill.x = 50 * (1 - scale);
             },
             onComplete: () => {
-                // Once depleted, remove all shapes and reset the score.
-                this.scene.level.clearShapesNoSound();
-                this.scene.score = 0; // Reset score.
+                // Once depleted, the run is over: the scene removes all shapes and resets the score (see GameScene.subscribeToGameEvents()).
+                this.scene.gameEvents.emit('energyDepleted');
             }
         });
     }
@@ -2,10 +2,11 @@
  * Class Name: Instructions
  * Description: Manages the display of instructions for the game, explaining game objectives, the types of triangles, and power-ups available to the player. 
  * This class provides a clear and concise explanation of the game mechanics and how to interact with different game elements.
+ * The next button can be pressed with Enter or the gamepad, and going back (ESC) leaves the instructions (see Menu).
  * Expected Inputs: Activation through the game's main menu or escape menu.
  * Expected Outputs: Displays instructional text and possibly navigational options for returning to the game or main menu.
  * Called By: MainMenu class for initial instruction display or GameScene class when accessed via the escape menu.
- * Will Call: Phaser library methods for creating and manipulating text and graphics.
+ * Will Call: Phaser library methods for creating and manipulating text and graphics, and Menu for the navigation.
  * @class
  * @author Braeden Ruff
  */
@@ -22,6 +23,7 @@ class Instructions
 		this.instructionText = null; // Instruction text block for page 1.
 		this.instructionText2 = null; // Instruction text block for page 2.
 		this.background = null; // Background sprite for the instruction screen.
+		this.menu = new Menu(scene, { onBack: () => this.leave() }); // Navigation of the next button (see Menu).
 		this.create(); // Initializes the instruction UI components.
 	}
 	
@@ -52,11 +54,7 @@ class Instructions
 		}).setOrigin(1, 0).setDepth(10001);
 		
 		 // Second page instruction text, explaining power-ups and additional game mechanics.
-		this.instructionText2 = this.scene.add.text(760, 120, 'There are 3 types of upgrades you may get that are in the shape of pentagons:\n\t\t\t' + 
-		'Clear-friendlies: the first type clears the screen of all friendly shapes, making it easier to navigate to the triangles\n\t\t\t' + 
-		'Intangible: the second type makes the cursor intangible for 1 second. While intangible, you cannot touch triangles, upgrades, squares, or architecture. You may activate it by pressing E, and deactivate it early by clicking E again\n\t\t\t' + 
-		'Slow-time: the last time slows down time for 3 seconds. You may activate it by pressing S, and deativate it early by clicking S again\n\n' + 
-		'You can access the menu by pressing escape, which allows you to view this page again, select your level, or change difficulties.', 
+		this.instructionText2 = this.scene.add.text(760, 120, this.getUpgradeText(), 
 		{ 
 			fontSize: '16px', 
 			fill: '#FFF', 
@@ -75,9 +73,24 @@ class Instructions
 		{
 			this.nextText();
 		});
+		this.menu.add(this.next);
 		this.hide();
 	}
 	
+	/**
+     * Gets the second page's text, naming the keys currently bound to the upgrades and the menu (see Controls).
+     * @returns {string} The text.
+     */
+	getUpgradeText()
+	{
+		const controls = this.scene.controls;
+		return 'There are 3 types of upgrades you may get that are in the shape of pentagons:\n\t\t\t' + 
+		'Clear-friendlies: the first type clears the screen of all friendly shapes, making it easier to navigate to the triangles\n\t\t\t' + 
+		`Intangible: the second type makes the cursor intangible for 1 second. While intangible, you cannot touch triangles, upgrades, squares, or architecture. You may activate it by pressing ${controls.getLabel('intangible')}, and deactivate it early by clicking ${controls.getLabel('intangible')} again\n\t\t\t` + 
+		`Slow-time: the last time slows down time for 3 seconds. You may activate it by pressing ${controls.getLabel('slowtime')}, and deativate it early by clicking ${controls.getLabel('slowtime')} again\n\n` + 
+		`You can access the menu by pressing ${controls.getLabel('menu')}, which allows you to view this page again, select your level, change difficulties, or rebind these keys in Settings.`;
+	}
+	
 	/**
      * Hides the instruction screen and all its components.
      */
@@ -100,8 +113,7 @@ class Instructions
 		{
 			this.next.setVisible(false);
 		}
-		// Reenable the escape key listener (see this.show()).
-		this.scene.input.on('keydown-ESC', this.scene.handleEscape, this);
+		this.menu.close();
     }
 	/**
      * Goes from the first page text to the second page text.
@@ -111,18 +123,7 @@ class Instructions
 		 // If you're on the second page and hit the next button, get off instruction text.
 		if(this.instructionText2.visible)
 		{
-			// If showing the second block, hide the instructions and potentially return to the game or main menu.
-			this.hide();
-			// If you're on the main menu, hide bring the main menu back
-			if(this.scene.difficultyAdjustment === 0)
-			{
-				this.scene.mainMenu.hide();
-				this.scene.mainMenu.create();
-			}
-			else
-			{
-				this.scene.handleEscape();
-			}
+			this.leave();
 			return;
 		}
 		// Otherwise, hide the first block and show the second.
@@ -136,12 +137,27 @@ class Instructions
         }
 	}
 	/**
-     * Shows the instruction screen, making it visible and interactive.
+     * Hides the instructions and returns to where they were opened from: the main menu, or the game.
+     */
+	leave()
+	{
+		this.hide();
+		// If you're on the main menu, hide bring the main menu back
+		if(this.scene.difficultyAdjustment === 0)
+		{
+			this.scene.mainMenu.hide();
+			this.scene.mainMenu.create();
+		}
+		else
+		{
+			this.scene.handleEscape();
+		}
+	}
+	/**
+     * Shows the instruction screen, making it visible and interactive. Its menu takes the escape key, so it doesn't open the escape menu.
      */
 	show()
 	{
-		// Disable the escape key listener to prevent opening the escape menu.
-		this.scene.input.off('keydown-ESC', this.scene.handleEscape, this);
 		// Make the first block of instructions visible and prepare the screen.
         if(this.instructionText) 
 		{
@@ -149,6 +165,7 @@ class Instructions
         }
 		if(this.instructionText2) 
 		{
+			this.instructionText2.setText(this.getUpgradeText()); // The keys may have been rebound since it was created.
 			this.instructionText2.setVisible(false);
         }
 		if(this.background) 
@@ -159,5 +176,6 @@ class Instructions
 		{
 			this.next.setVisible(true);
 		}
+		this.menu.open(0);
 	}
 }
\ No newline at end of file
@@ -1,11 +1,14 @@
+import { LevelFormat } from './levelformat.js';
+
 /**
  * Class Name: Level
  * Description: Manages the game level, including loading level data, spawning shapes,
- * handling interactions with shapes, and determining if a level has been cleared or failed.
+ * handling interactions with shapes, and determining if a level has been cleared or failed. Shapes are touched by sweeping the cursor's
+ * path between frames over them, so fast mouse movement never skips a shape.
  * Expected Inputs: Level data array upon loading a new level.
  * Expected Outputs: Dynamically updates the game state based on user interactions and the game's logic.
  * Called By: GameScene class or any other class responsible for managing game levels.
- * Will Call: Shape classes (Triangle, StealthTriangle, ArmoredTriangle, Square, Architecture, Clear-Friendlies, SlowTime, Intangible) for spawning and managing individual game objects, and callback to scene for some methods.
+ * Will Call: Shape classes (Triangle, StealthTriangle, ArmoredTriangle, Square, Architecture, Clear-Friendlies, SlowTime, Intangible) for spawning and managing individual game objects, LevelClock for level time, ShapeGrid to find the shapes near the cursor, ComboScoring for combos, GameEvents to announce kills, friendly hits, upgrades and the end of the level, and callback to scene for some methods.
  * @class
  * @author Braeden Ruff
  */
@@ -24,24 +27,32 @@ class Level {
         this.squaresSpared = true; // Flag to check if squares are spared
         this.architectureSpared = true; // Flag to check if architecture shapes are spared
         this.trianglesSpared = true; // Flag to check if triangles are spared
+        this.friendliesHarmed = false; // Flag to check if a square or architecture was hit, which loses the level's third star (see StarRating)
 		this.showAreaHP = false; // Flag to showAreaHPbar
 		this.intangibleActive = false; // Flag indicating whether you can become intangible
 		this.intangible = false; // Flag indicating whether you are currently intangible
 		this.slowtimeActive = false; // Flag indicating whether you can slow time
 		this.slowtime = false; // Flag indicating whether time is slowed down
+		this.clock = new LevelClock(); // Level time that every shape's motion and the blackout are evaluated at.
+		this.combo = new ComboScoring(scene); // Combos and combo points, when combo scoring is on.
+		this.lastCursor = null; // Where the cursor was at the last sweep, or null if it was off the canvas (see sweepCursor()).
+		this.grid = new ShapeGrid(scene.sys.game.config.width, scene.sys.game.config.height); // Finds the shapes near the cursor before testing them exactly.
     }
 
     /**
      * Loads the level with the provided data, setting up shapes and level-specific properties.
-     * @param {Array} levelData - An array of data representing different shapes and their properties.
+     * @param {Array} levelData - An array of entries (objects or legacy arrays, see LevelFormat) representing different shapes and their properties.
+     * @param {number} levelNumber - The 1-based level number, used when reporting invalid entries.
      */
-    loadLevel(levelData) {
+    loadLevel(levelData, levelNumber) {
+        // Validate everything up front so a bad entry never leaves a half-spawned level.
+        const entries = LevelFormat.normalizeLevel(levelData, levelNumber);
         
 		// Reset relevant properties to their default states at the start of level loading.
         this.resetLevelState();		
 		
-		levelData.forEach((data) => {
-            this.processLevelData(data);
+		entries.forEach((entry) => {
+            this.processLevelData(entry);
         });
     }
 	
@@ -50,10 +61,14 @@ class Level {
      */
     resetLevelState() {
         Shape.staticId = 0; // Reset the static ID for shapes. Only used to debug.
+        this.clock.reset(); // Level time starts over.
         this.squaresSpared = true; // Flag to check if squares are spared
         this.architectureSpared = true; // Flag to check if architecture shapes are spared
         this.trianglesSpared = true; // Flag to check if triangles are spared
+        this.friendliesHarmed = false; // Flag to check if a square or architecture was hit
         this.resetPowerUpsAndEffects();
+		this.combo.reset(); // Combos don't carry over between levels.
+		this.lastCursor = null; // The cursor's path starts over with the level.
 		
 		// Reset area data
         this.scene.healthBar.hideHealthBarInstant();
@@ -93,50 +108,34 @@ class Level {
 		this.slowtimeActive = false; // Ensure we don't bring power-ups from previous attempts or other levels
 		this.scene.finishSlowtime();
 		
-		if(this.scene.fadeTween)
-		{
-			this.scene.fadeTween.stop();
-			this.scene.blackBackground.alpha = 0;
-			this.scene.fadeTween = null;
-		}
+		this.scene.clearBlackout();
     }
 	
 	/**
      * Processes a single entry in the level data array, creating shapes or setting properties accordingly.
-     * @param {Array} data - A sub-array from the level data array, representing a shape or level property.
+     * @param {Object} entry - A normalized level entry (see LevelFormat), representing a shape or level property.
      */
-    processLevelData(data) 
+    processLevelData(entry) 
 	{
-        // Implementation of how each type of data entry is handled
-        if (data.length === 1) // That's just min score.
+        if (entry.type === 'score') // That's just min score.
 		{
 			// Handle level passable score setup
-			this.levelPassableScore = data[0];
-			// Format and display the score with padding based on levelPassableScore's length
-			this.scene.scoreText.setText('Score: ' + this.scene.score.toString().padStart(this.levelPassableScore.toString().length, '0') + "/" + this.levelPassableScore);
+			this.levelPassableScore = entry.passingScore;
+			this.updateScoreText();
 		} 
-		else if (data.length === 2) // This is only the black screen data currently
+		else if (entry.type === 'blackout') // Black screen fades
 		{
-			if(data[0] === 'black')
-			{
-				// Spawn architecture shapes with their properties
-				this.scene.animateBlackout(data[1]);
-			}
+			this.scene.animateBlackout(entry.fades);
 		} 
-		else if (data.length === 3) // This is architecture
+		else if (entry.type === 'architecture')
 		{
 			// Spawn architecture shapes with their properties
-			const [shape, points, velocityY] = data;
-			this.spawnArchitecture(points, velocityY);
+			this.spawnArchitecture(entry.points, entry.velocity.y);
 		} 
-		else if (data.length === 10) // This is any shape object
+		else // This is any shape object
 		{
 			// Spawn regular shapes (triangle, square) with their properties
-			const [shape, x, y, velocityX, velocityY, angularVelocity, velocityData, scaleData, movementData, movementCircularData] = data;
-			this.spawnShape(shape, x, y, velocityX, velocityY, angularVelocity, velocityData, scaleData, movementData, movementCircularData);
-		} else 
-		{
-			throw new Error("Not Implemented");
+			this.spawnShape(entry);
 		}
     }
 	
@@ -149,63 +148,91 @@ class Level {
         this.architectureSpared = false; // Indicate that architecture shapes are present
         let shape = new Architecture(this.scene, points, velocityY);
         shape.createGraphics(points);
+        shape.shapeType = 'architecture'; // The cursor's sweep handles it as architecture (see sweepCursor()).
+        shape.spawnTime = this.clock.now;
         this.shapes.push(shape);
-        // Set up interaction handling for the architecture shape
-        shape.graphics.on('pointerover', () => {
-            this.handleShapeInteraction(shape, 'architecture');
-        });
     }
 
     /**
-     * Spawns a shape in the level based on the specified parameters.
-     * @param {string} shapeType - The type of shape to spawn ('triangle', 'square').
-     * @param {number} x - The x-coordinate for the shape's starting position.
-     * @param {number} y - The y-coordinate for the shape's starting position.
-     * @param {number} velocityX - The horizontal velocity of the shape.
-     * @param {number} velocityY - The vertical velocity of the shape.
-     * @param {number} angularVelocity - The angular velocity of the shape for rotation.
-     * @param {array} scaleData - Data for scaling the shape.
-     * @param {array} movementData - Data for linear movement animation.
-     * @param {array} movementCircularData - Data for circular movement animation.
+     * Spawns a shape in the level based on a normalized shape entry.
+     * @param {Object} entry - The shape entry (see LevelFormat) with its type, position, velocity, angularVelocity,
+     * velocityChanges, scaling, oscillation and orbit. Armored entries also carry their armor.
+     */
+    spawnShape(entry) {
+        const shapeType = entry.type;
+        if (shapeType === 'triangle' || shapeType === 'armored' || shapeType === 'stealth')
+		{
+			this.trianglesSpared = false;
+		}
+		else if (shapeType === 'square')
+		{
+			this.squaresSpared = false; //make sure there is some squares
+		}
+        let shape = Level.createShape(this.scene, entry);
+		shape.spawnTime = this.clock.now;
+		this.shapes.push(shape);
+		
+        // Sets up the shape's interaction handling. Touching shapes is handled by the cursor's sweep (see sweepCursor()).
+		if(shapeType === 'area')
+		{
+			shape.cursorInside = false; // Whether the cursor is in the area, so the health bar refills when it enters and drains when it leaves.
+		}
+		else if (shapeType === 'armored') 
+		{
+			shape.graphics.on('pointerdown', () => {
+				if (this.clock.paused) return;
+				shape.takeDamage();
+			});
+		}
+    }
+	
+    /**
+     * Creates the shape of a normalized shape entry, with its graphics and motion, but doesn't add it to a level.
+     * Also used by the level editor to preview shapes.
+     * @param {Phaser.Scene} scene - The scene to draw the shape in. Its difficultyAdjustment scales the motion.
+     * @param {Object} entry - The shape entry (see LevelFormat).
+     * @returns {Shape} The shape, spawned at level time 0.
      */
-    spawnShape(shapeType, x, y, velocityX, velocityY, angularVelocity, velocityData, scaleData, movementData, movementCircularData) {
+    static createShape(scene, entry) {
+        const shapeType = entry.type;
+        const x = entry.x;
+        const y = entry.y;
+        const velocityX = entry.velocity.x;
+        const velocityY = entry.velocity.y;
+        const angularVelocity = entry.angularVelocity;
         let shape;
         // Determines the type of shape to spawn and initializes it.
         if (shapeType === 'triangle') 
 		{
-			this.trianglesSpared = false;
-            shape = new Triangle(this.scene, x, y, velocityX, velocityY, angularVelocity);
+            shape = new Triangle(scene, x, y, velocityX, velocityY, angularVelocity);
         } 
 		else if (shapeType === 'square')
 		{
-			this.squaresSpared = false; //make sure there is some squares
-			shape = new Square(this.scene, x, y, velocityX, velocityY, angularVelocity);
+			shape = new Square(scene, x, y, velocityX, velocityY, angularVelocity);
 		}
 		else if (shapeType === 'area')
 		{
-			shape = new Area(this.scene, x, y, velocityX, velocityY, angularVelocity);
+			shape = new Area(scene, x, y, velocityX, velocityY, angularVelocity);
 		}
 		else if (shapeType === 'clear-friendlies')
 		{
-			shape = new ClearFriendlies(this.scene, x, y, velocityX, velocityY, angularVelocity);
+			shape = new ClearFriendlies(scene, x, y, velocityX, velocityY, angularVelocity);
 		}
 		else if (shapeType === 'intangible')
 		{
-			shape = new Intangible(this.scene, x, y, velocityX, velocityY, angularVelocity);
+			shape = new Intangible(scene, x, y, velocityX, velocityY, angularVelocity);
 		}
 		else if (shapeType === 'slowtime')
 		{
-			shape = new SlowTime(this.scene, x, y, velocityX, velocityY, angularVelocity);
+			shape = new SlowTime(scene, x, y, velocityX, velocityY, angularVelocity);
 		}
-		else if (shapeType.startsWith('armored_')) 
+		else if (shapeType === 'armored') 
 		{
-			this.trianglesSpared = false;
-			shape = new ArmoredTriangle(this.scene, x, y, velocityX, velocityY, angularVelocity);
+			shape = new ArmoredTriangle(scene, x, y, velocityX, velocityY, angularVelocity);
 		} 
-		else if (shapeType.startsWith('stealth')) 
+		else if (shapeType === 'stealth') 
 		{
-			this.trianglesSpared = false;
-			shape = new StealthTriangle(this.scene, x, y, velocityX, velocityY, angularVelocity);
+			shape = new StealthTriangle(scene, x, y, velocityX, velocityY, angularVelocity);
 		}  
 		else
 		{
@@ -213,39 +240,122 @@ class Level {
 			throw new Error("Not Implemented");
 		}
 		
-        // Sets up the shape's graphics, movement, and interaction handling.
+        // Sets up the shape's graphics and movement.
+        shape.shapeType = shapeType; // The entry type the shape is handled as (see handleShapeInteraction()).
         shape.createGraphics();
-		shape.animateVelocities(velocityData);
-        shape.animateScale(scaleData);
-        shape.animateMovement(movementData);
-		shape.animateCircularMovement(movementCircularData);
-		this.shapes.push(shape);
-		if(shapeType === 'area')
+		shape.setMotion(entry);
+		if (shapeType === 'armored') 
 		{
-			shape.graphics.on('pointerout', () => {
-				this.scene.healthBar.decreaseHealthBar();
-			});
+			shape.generateSprite(entry.armor); // The armor indicates healthpoints
 		}
-		else if (shapeType.startsWith('armored_')) 
-		{
-			let healthPoints = parseInt(shapeType.charAt(shapeType.length - 1), 10); // Get the last character (it's a digit): indicates healthpoints
-			shape.generateSprite(healthPoints);
-			shape.graphics.on('pointerdown', () => {
-				shape.takeDamage();
-			});
+		return shape;
+    }
+
+    /**
+     * Works out roughly when a level ends if nothing is hit: when its last shape falls past the death plane. Shapes that never fall
+     * (they go up or sideways, or stop) are left out. Used by debug mode for the length of its timeline.
+     * @param {Array<Object>} entries - The level's normalized entries (see LevelFormat).
+     * @param {number} difficultyAdjustment - The difficulty's speed multiplier.
+     * @param {number} deathPlaneY - The y-coordinate past which shapes are removed.
+     * @returns {number} The level time in milliseconds, to within a quarter of a second, or 0 if no shape falls.
+     */
+    static estimateDuration(entries, difficultyAdjustment, deathPlaneY) {
+        const step = 250;
+        const limit = 180000; // Three minutes, longer than any level.
+        let end = 0;
+        entries.forEach(entry => {
+            let startY;
+            let motion;
+            if (entry.type === 'architecture')
+			{
+				startY = Math.min(...entry.points.map(point => point.y));
+				motion = new ShapeMotion({ velocity: { x: 0, y: entry.velocity.y } }, difficultyAdjustment);
+			}
+			else if (LevelFormat.SHAPE_TYPES.includes(entry.type))
+			{
+				startY = entry.y;
+				motion = new ShapeMotion(entry, difficultyAdjustment);
+			}
+			else
+			{
+				return; // The passing score and blackouts don't move.
+			}
+            for (let time = 0; time <= limit; time += step) {
+                if (startY + motion.offsetAt(time).y > deathPlaneY) {
+                    end = Math.max(end, time);
+                    return;
+                }
+            }
+        });
+        return end;
+    }
+	
+	/**
+	 * Sweeps the cursor's path since the last sweep over the shapes, so a fast flick can't pass over a shape without touching it.
+	 * The path is the segment from where the cursor was to where it is now, and every shape near it (see ShapeGrid) that it touches
+	 * (see Shape.sweepHit()) is handled in the order the cursor reached it. The area only cares where the cursor is now: entering it refills the health bar,
+	 * leaving it drains it. Off the canvas the cursor touches nothing, and its path starts over when it comes back.
+	 * Called by GameScene every frame before the level moves on, and by ReplayPlayer for each recorded cursor position instead.
+	 */
+	sweepCursor() {
+		const cursor = this.scene.getLevelCursor();
+		const onCanvas = cursor.x >= 0 && cursor.y >= 0;
+		const from = this.lastCursor || cursor;
+		this.lastCursor = onCanvas ? cursor : null;
+		
+		// The area is tested wherever the cursor is, since leaving it matters too.
+		this.shapes.forEach((shape) => {
+			if (shape.shapeType === 'area' && !shape.dying) {
+				this.sweepArea(shape, onCanvas && shape.containsPoint(cursor.x, cursor.y));
+			}
+		});
+		if (!onCanvas) {
+			return;
 		}
-		shape.graphics.on('pointerover', () => {
-			this.handleShapeInteraction(shape, shapeType);
+		
+		const hits = [];
+		this.grid.build(this.shapes);
+		this.grid.querySegment(from, cursor).forEach((shape) => {
+			if (shape.shapeType === 'area') {
+				return;
+			}
+			const along = shape.sweepHit(from, cursor);
+			if (along !== null) {
+				hits.push({ shape, along });
+			}
 		});
-    }
+		// Shapes reached at the same point along the path are handled in the order they spawned.
+		hits.sort((a, b) => a.along - b.along).forEach(hit => this.handleShapeInteraction(hit.shape, hit.shape.shapeType));
+	}
+	
+	/**
+	 * Refills the health bar when the cursor enters the area, and drains it when the cursor leaves.
+	 * @param {Area} area - The area.
+	 * @param {boolean} inside - Whether the cursor is in the area now.
+	 */
+	sweepArea(area, inside) {
+		if (this.clock.paused || inside === area.cursorInside) {
+			return; // Nothing changes while the level is paused (debug mode).
+		}
+		area.cursorInside = inside;
+		if (inside) {
+			this.handleShapeInteraction(area, 'area');
+		} else {
+			this.scene.healthBar.decreaseHealthBar();
+		}
+	}
 	
 	/**
-     * Handles interaction with shapes when the mouse pointer hovers over them.
+     * Handles interaction with shapes when the cursor touches them (see sweepCursor()).
      * @param {Shape} shape - The shape that was interacted with.
      * @param {string} shapeType - The type of the shape.
      */
 	handleShapeInteraction(shape, shapeType) 
 	{
+		if (this.clock.paused)
+		{
+			return; // Nothing can be hit while the level is paused (debug mode).
+		}
 		const index = this.shapes.indexOf(shape);
         if (index > -1) 
 		{
@@ -269,7 +379,7 @@ class Level {
 					{
 						if(shapeNew.y > -300 * shape.scaleFactor * shape.scaleFactor)
 						{
-							shapeNew.y = this.scene.sys.game.config.height + 100;
+							shapeNew.moveOffscreen();
 							this.removeShape(shapeNew);
 						}
 					}
@@ -279,18 +389,15 @@ class Level {
 			{
 				// Grab the intangible upgrade.
 				this.intangibleActive = true;
-				this.scene.intangibleText.setText('Press E to become Intangible');
+				this.scene.updateIntangibleText();
 			}
 			else if(shapeType === 'slowtime')
 			{
 				// Grab the slowtime upgrade.
 				this.slowtimeActive = true;
-				if(!this.slowtime)
-				{
-					this.scene.slowtimeText.setText('Press S to Slow Time');
-				}
+				this.scene.updateSlowtimeText(); // Keeps the cancel prompt if slow time is already running.
 			}
-			else if (shapeType.startsWith('armored_')) 
+			else if (shapeType === 'armored') 
 			{
 				return; // handled with the click not pointerover (see takeDamage()).
 			}
@@ -301,20 +408,41 @@ class Level {
 			this.removeShape(shape);
 			
 			//console.log(shape.id); //used to debug which shape we're looking at
-            
-            // Adjusts score based on shape type and updates the score display.
+			
+            // Announces what was hit; the score, its display and everything else that counts it subscribe (see GameScene.subscribeToGameEvents()).
+			if(shapeType === 'clear-friendlies' || shapeType === 'intangible' || shapeType === 'slowtime')
+			{
+				this.scene.gameEvents.emit('upgradeCollected', { type: shapeType });
+				if(shapeType === 'clear-friendlies')
+				{
+					this.scene.gameEvents.emit('upgradeActivated', { type: shapeType }); // It takes effect as soon as it's picked up.
+				}
+			}
 			if(shapeType === 'triangle' || shapeType === 'stealth')
 			{
-				this.scene.score += 1;
+				this.scene.gameEvents.emit('shapeKilled', { type: shapeType, x: shape.x, y: shape.y });
 			}
 			if(shapeType === 'architecture' || shapeType === 'square')
 			{
-				this.scene.score -= 1;
+				this.friendliesHarmed = true;
+				this.scene.gameEvents.emit('friendlyHit', { type: shapeType, x: shape.x, y: shape.y });
 			}
-
-            this.scene.scoreText.setText('Score: ' + this.scene.score.toString().padStart(this.levelPassableScore.toString().length, '0') + "/" + this.levelPassableScore);
         }
     }
+	
+	/**
+	 * Displays the score. In a level it's padded to the length of the passing score and shown next to it; endless mode has no passing score.
+	 */
+	updateScoreText()
+	{
+		if(this.scene.endless)
+		{
+			this.scene.scoreText.setText('Score: ' + this.scene.score);
+			return;
+		}
+		// Format and display the score with padding based on levelPassableScore's length
+		this.scene.scoreText.setText('Score: ' + this.scene.score.toString().padStart(this.levelPassableScore.toString().length, '0') + "/" + this.levelPassableScore);
+	}
 	/**
      * Marks a shape for removal from the level and performs death animation.
      * @param {Shape} shape - The shape to be removed.
@@ -327,6 +455,10 @@ class Level {
      * Checks if the level has been cleared based on the remaining shapes and the player's score.
      */
     checkLevelCleared() {
+        if (this.scene.endless) 
+		{
+			return; // Endless mode isn't cleared; it ends when the lives run out (see EndlessMode).
+		}
         if (this.shapes.length === 0) 
 		{			
 	
@@ -341,12 +473,7 @@ class Level {
 				this.scene.intangibleEffectTweenOut.stop();
 				this.scene.intangibleEffectTweenOut = null;
 			}
-			if(this.scene.fadeTween)
-			{
-				this.scene.fadeTween.stop();
-				this.scene.blackBackground.alpha = 0;
-				this.scene.fadeTween = null;
-			}
+			this.scene.clearBlackout();
 			
 			// Get rid of the area.
 			this.showAreaHP = false;
@@ -354,34 +481,37 @@ class Level {
             
 			// Clear or fail setup.
 			let cleared = this.scene.score >= this.levelPassableScore;
-            const message = cleared ? 'Level Cleared!' : 'Level Failed';
-            const color = cleared ? '#00FF00' : '#FF0000'; // Red for failed. Green for cleared.
-			
-			// Unlock achievements.
-			if(!this.squaresSpared && !this.architectureSpared)
-			{
-				this.scene.unlockAchievement("Friendly-Fire");
-				
-				if(!this.trianglesSpared)
-				{
-					this.scene.unlockAchievement("Destructive");
-				}
-			}
-			
-			if(!cleared) // Failed the level, play the sound.
-			{
-				this.scene.sound.play('lose', {volume:0.2});
+			// Announced before the recording is finished, since only recorded runs count in the level stats.
+			this.scene.gameEvents.emit(cleared ? 'levelCleared' : 'levelFailed', { levelIndex: this.scene.currentLevelIndex, score: this.scene.score, time: this.clock.now });
+			this.scene.finishRecording(cleared);
+			if (this.scene.daily && !this.scene.sought) {
+				this.scene.daily.recordResult(this.scene.score, cleared);
 			}
-			else // Won the level, play the sound.
-			{
-				this.scene.sound.play('win', {volume:0.2});
+			const campaignLevel = this.scene.isCampaignLevel();
+			if (campaignLevel) {
+				this.scene.campaign.recordAttempt(this.scene.currentLevelIndex, this.scene.score, cleared, this.clock.now);
 			}
+            const message = cleared ? 'Level Cleared!' : 'Level Failed';
+            const color = cleared ? '#00FF00' : '#FF0000'; // Red for failed. Green for cleared.
 			
 			// Displays a message based on whether the level was cleared or failed.
             this.messageText = this.scene.add.text(this.scene.cameras.main.centerX, this.scene.cameras.main.centerY, message, { fontSize: '40px', fill: color }).setOrigin(0.5);
             
-			// Handles level clearing or retrying based on the outcome (after 2 seconds).
-            const nextAction = cleared ? this.scene.loadNextLevel : this.scene.loadCurrentLevel;
+			// Handles level clearing or retrying based on the outcome (after 2 seconds). A replay or test play just ends.
+            let nextAction = cleared ? this.scene.loadNextLevel : this.scene.loadCurrentLevel;
+            if (this.scene.replayPlayer.playing) {
+                nextAction = this.scene.finishReplay;
+            } else if (this.scene.sought) {
+                nextAction = this.scene.loadCurrentLevel; // A run jumped into in debug mode counts for nothing, so it starts over.
+            } else if (this.scene.testLevel) {
+                nextAction = this.scene.finishTestLevel; // A test play goes back to the level editor.
+            } else if (this.scene.daily && cleared) {
+                nextAction = this.scene.finishDaily; // A cleared daily challenge goes to the level select.
+            } else if (this.scene.bonusLevel && cleared) {
+                nextAction = this.scene.finishBonusLevel; // So does a cleared bonus level.
+            } else if (campaignLevel && this.scene.campaign.isOver()) {
+                nextAction = this.scene.showCampaignSummary; // The campaign run's lives ran out.
+            }
             this.scene.time.delayedCall(2000, nextAction, [], this.scene);
         }
     }
@@ -391,11 +521,28 @@ class Level {
      * @param {number} delta - The time elapsed since the last update.
      */
     update(time, delta) {
+        // Advance level time, slowed down during slow time. The clock stops at each timer (power-ups, replay input) so the shapes are
+        // exactly where they should be when it fires.
+        let remaining = delta;
+        do {
+            remaining = this.clock.advance(remaining);
+            this.updateShapes();
+            this.clock.fireDueTimers();
+        } while (remaining > 0);
+        this.combo.update();
+    }
+    
+    /**
+     * Moves each shape to the current level time and checks for removal and level clearing conditions.
+     */
+    updateShapes() {
+        this.scene.updateBlackout(this.clock.now);
+        
         // Updates each shape and checks for removal based on position or interaction.
 		let onlyArchitecture = true; // Some architecture doesn't move and the level is only cleared if there are no shapes. This flag stops that. We will also clear if there is only an area remaining. 
 		let wontEnd = true; // Some shapes go up or sideways and won't touch the deathplane (this.scene.sys.game.config.height + 50)
         this.shapes.forEach((shape) => {
-			shape.update(time, delta);
+			shape.update(this.clock.now);
 			if(!(shape instanceof Architecture || shape instanceof Area)) // Not architecture.
 			{
 				onlyArchitecture = false;
@@ -413,7 +560,14 @@ class Level {
                     // Updates flags based on the types of shapes remaining.
                     if(shape instanceof Square) { this.squaresSpared = true; }
                     if(shape instanceof Architecture) { this.architectureSpared = true; }
-                    if(shape instanceof Triangle || shape instanceof StealthTriangle || shape instanceof ArmoredTriangle) { this.trianglesSpared = true; }
+                    if(shape instanceof Triangle || shape instanceof StealthTriangle || shape instanceof ArmoredTriangle) 
+					{ 
+						this.trianglesSpared = true; 
+						if(this.scene.endless)
+						{
+							this.scene.endless.loseLife(); // Letting a triangle through costs a life in endless mode.
+						}
+					}
 					if(shape instanceof Area) { this.scene.healthBar.hideHealthBar(); }
                 }
 				// If the area is on the screen, we will show the healthBar 
@@ -444,54 +598,20 @@ class Level {
     }
 	
 	/**
-	 * Checks each shape within the level to determine if the player's pointer is interacting with it.
-	 * This method iterates over all shapes and checks for pointer collision based on the shape's geometry.
-	 * If an interaction is detected, it handles the interaction according to the type of shape.
+	 * Checks each shape within the level to determine if the cursor is over it, and handles the ones it is over (see containsPoint()
+	 * in the shape classes, which accounts for their rotation and scale).
 	 * This is used by intangible since if you stop being intangible while over an object it won't register a shape interaction
 	 */
-	checkAllShapes() {		
-		let pointer = this.scene.input.activePointer; // Get the current position of the player's pointer.
-		
-		this.shapes.forEach((shape, index) => {
-			let shapeGraphics = shape.graphics; // The graphics object associated with the shape.
-			
-			if (shapeGraphics.geom) { // Ensure the shape has a geometry for collision detection.
-				let containsPointer = false; // Flag to indicate if the pointer is within the shape.
-				let shapeType = ''; // String to hold the type of shape for interaction handling.
-				
-				// Adjust pointer coordinates relative to shape position.
-				let x = pointer.x - shape.x;
-				let y = pointer.y - shape.y;
-				
-				// Determine if the pointer is over the shape based on the shape geometry.
-				if (shape instanceof Triangle) {
-					containsPointer = Phaser.Geom.Triangle.Contains(shapeGraphics.geom, x, y);
-					shapeType = 'triangle';
-				} else if (shape instanceof Area) {
-					containsPointer = Phaser.Geom.Rectangle.Contains(shapeGraphics.geom, x, y);
-					shapeType = 'area';
-				} else if (shape instanceof Square) {
-					containsPointer = Phaser.Geom.Triangle.Contains(shapeGraphics.geom, x, y);
-					shapeType = 'square';
-				} else if (shape instanceof Architecture) {
-					containsPointer = Phaser.Geom.Polygon.Contains(shapeGraphics.geom, x, y);
-					shapeType = 'architecture';
-				} else if (shape instanceof ClearFriendlies) {
-					containsPointer = Phaser.Geom.Polygon.Contains(shapeGraphics.geom, x, y);
-					shapeType = 'clear-friendlies';
-				} else if (shape instanceof Intangible) {
-					containsPointer = Phaser.Geom.Polygon.Contains(shapeGraphics.geom, x, y);
-					shapeType = 'intangible';
-				} else if (shape instanceof SlowTime) {
-					containsPointer = Phaser.Geom.Polygon.Contains(shapeGraphics.geom, x, y);
-					shapeType = 'slowtime';
-				} 
-				//don't worry about ArmoredTriangle, it doesn't need this
-
-				if (containsPointer) {
-					// Handle the interaction based on the detected shape type.
-					this.handleShapeInteraction(shape, shapeType);
-				}
+	checkAllShapes() {
+		const cursor = this.scene.getLevelCursor(); // The player's pointer (or a replay's ghost cursor), unless it can't touch the level.
+		if (cursor.x < 0 || cursor.y < 0) {
+			return;
+		}
+		this.grid.build(this.shapes);
+		this.grid.queryPoint(cursor.x, cursor.y).forEach((shape) => {
+			// The area is entered and left with the cursor's sweep (see sweepArea()).
+			if (shape.shapeType !== 'area' && shape.containsPoint(cursor.x, cursor.y)) {
+				this.handleShapeInteraction(shape, shape.shapeType);
 			}
 		});
 	}
@@ -503,12 +623,24 @@ class Level {
 	 */
 	clearShapesNoSound() {
 		this.shapes.forEach((shape) => {
-			shape.y = this.scene.sys.game.config.height + 100; // Move shape off-screen.
+			shape.moveOffscreen(); // Move shape off-screen.
 			if (!shape.toBeRemoved) {
 				// Remove the shape if it has not already been marked for removal.
 				this.removeShape(shape);
 			}
 		});
 	}
+
+	/**
+	 * Draws the shapes on screen again with the scene's palette, after it changes (see Palette). Shapes whose death animation is over
+	 * are skipped, since their graphics are gone.
+	 */
+	redrawShapes() {
+		this.shapes.forEach((shape) => {
+			if (!shape.toBeRemoved) {
+				shape.redraw();
+			}
+		});
+	}
 }
 export {Level};
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * Class Name: LevelClock
+ * Description: The single simulation clock of a level. It measures level time: milliseconds since the level was loaded, advanced by each
+ * frame's delta scaled by the clock's time scale, and frozen while paused. Every timed part of a level (shape motion through ShapeMotion,
+ * and blackouts) is evaluated as a pure function of level time, so slow time is just a time scale, pausing is just not advancing,
+ * and the same level time always gives the same picture regardless of frame rate.
+ * Timers scheduled on the clock fire at exactly their level time: advance() stops at the next due timer so the level can be brought up to
+ * that time before the timer fires. Power-up durations and replay input use them.
+ * Expected Inputs: Frame deltas from Level.update(), the slow time factor, pause/resume requests and timers.
+ * Expected Outputs: The current level time (now), and timer callbacks.
+ * Called By: Level (owns the clock and advances it every frame), GameScene (slow time and power-up timers), ReplayPlayer (replay input),
+ * DebugTimeline (pausing, stepping and jumping in debug mode).
+ * Will Call: Nothing.
+ * @class
+ * @author Braeden Ruff
+ */
+class LevelClock
+{
+	/**
+	 * Constructs a clock at level time 0.
+	 * @constructor
+	 */
+	constructor()
+	{
+		this.now = 0; // Level time in milliseconds.
+		this.timeScale = 1; // How fast level time runs compared to real time (0.1 during slow time).
+		this.paused = false; // While paused, level time doesn't advance.
+		this.timers = []; // Scheduled timers, sorted by the level time they fire at.
+	}
+
+	/**
+	 * Advances level time by a frame, or up to the next due timer if one falls within the frame.
+	 * Call fireDueTimers() afterwards, and advance again by the returned delta until it's 0.
+	 * @param {number} delta - Real milliseconds since the last frame.
+	 * @returns {number} The real milliseconds of the frame left over after stopping at a timer, or 0.
+	 */
+	advance(delta)
+	{
+		if (this.paused)
+		{
+			return 0;
+		}
+		const target = this.now + delta * this.timeScale;
+		if (this.timers.length > 0 && this.timers[0].time <= target)
+		{
+			const used = Math.max(0, this.timers[0].time - this.now) / this.timeScale;
+			this.now = Math.max(this.now, this.timers[0].time);
+			return Math.max(0, delta - used);
+		}
+		this.now = target;
+		return 0;
+	}
+
+	/**
+	 * Fires every timer that is due at the current level time, in the order they were scheduled.
+	 * Timers scheduled by a callback for the current time fire too.
+	 */
+	fireDueTimers()
+	{
+		while (this.timers.length > 0 && this.timers[0].time <= this.now)
+		{
+			const timer = this.timers.shift();
+			timer.callback();
+		}
+	}
+
+	/**
+	 * Schedules a callback after some level time, like Phaser's time.delayedCall() but in level time.
+	 * @param {number} delay - Milliseconds of level time from now.
+	 * @param {function} callback - The function to call.
+	 * @returns {{time: number, remove: function}} The timer. Call remove() to cancel it.
+	 */
+	delayedCall(delay, callback)
+	{
+		const timer = {
+			time: this.now + delay,
+			callback: callback,
+			remove: () => {
+				this.timers = this.timers.filter(other => other !== timer);
+			},
+		};
+		// Insert after every timer at the same time, so timers at the same time fire in the order they were scheduled.
+		const index = this.timers.findIndex(other => other.time > timer.time);
+		this.timers.splice(index === -1 ? this.timers.length : index, 0, timer);
+		return timer;
+	}
+
+	/**
+	 * Restarts level time from 0, unpaused, and cancels every timer. Called when a level is loaded.
+	 */
+	reset()
+	{
+		this.now = 0;
+		this.paused = false;
+		this.timers = [];
+	}
+
+	/**
+	 * Jumps level time forward to a given time without firing the timers on the way. Used by debug mode right after a level is loaded,
+	 * before any timer is scheduled.
+	 * @param {number} time - The level time in milliseconds.
+	 */
+	seek(time)
+	{
+		this.now = time;
+	}
+
+	/**
+	 * Sets how fast level time runs compared to real time.
+	 * @param {number} timeScale - 1 for normal speed, 0.1 for slow time.
+	 */
+	setTimeScale(timeScale)
+	{
+		this.timeScale = timeScale;
+	}
+
+	/**
+	 * Stops level time from advancing.
+	 */
+	pause()
+	{
+		this.paused = true;
+	}
+
+	/**
+	 * Lets level time advance again.
+	 */
+	resume()
+	{
+		this.paused = false;
+	}
+}
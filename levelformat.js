@@ -0,0 +1,318 @@
+/**
+ * Class Name: LevelFormat
+ * Description: Defines the self-describing, object-based level entry format and converts level data into it.
+ * Each entry in a level is an object with a `type` field and named properties instead of a positional array:
+ * - { type: 'score', passingScore }
+ * - { type: 'blackout', fades: [{ delay, duration, repeat }] }
+ * - { type: 'architecture', points: [{x, y}], velocity: { y } }
+ * - { type: 'triangle' | 'square' | 'stealth' | 'armored' | 'area' | 'clear-friendlies' | 'intangible' | 'slowtime',
+ *     x, y, velocity: { x, y }, angularVelocity, armor (armored only, 1-3),
+ *     velocityChanges: [{ delay, velocity: { x, y }, duration }],
+ *     scaling: [{ delay, duration, scale }],
+ *     oscillation: [{ delay, duration, repeat, speed: { x, y } }],
+ *     orbit: { delay, duration, radius, period, startAngle } or null }
+ * Legacy positional arrays (the format the levels were originally written in) are converted to this format, so both can be mixed freely.
+ * Expected Inputs: A level (array of entries, either objects or legacy arrays) and its level number for error reporting.
+ * Expected Outputs: An array of normalized entry objects with every optional field filled in, or an Error listing every invalid entry.
+ * Called By: Level class loadLevel() before spawning anything, and the level editor (EditorScene) to validate and export what it builds.
+ * Will Call: Nothing outside of this class.
+ * @class
+ * @author Braeden Ruff
+ */
+class LevelFormat {
+    /**
+     * Shape types that can be spawned through Level.spawnShape().
+     */
+    static SHAPE_TYPES = ['triangle', 'square', 'stealth', 'armored', 'area', 'clear-friendlies', 'intangible', 'slowtime'];
+
+    /**
+     * Shape types that are worth +1 when killed. A level's max score is the number of these it spawns.
+     */
+    static SCORING_TYPES = ['triangle', 'stealth', 'armored'];
+
+    /**
+     * Validates and normalizes every entry in a level.
+     * @param {Array} levelData - The level entries, as objects or legacy arrays.
+     * @param {number} levelNumber - The 1-based level number, used in error messages.
+     * @returns {Array<Object>} The normalized entries.
+     * @throws {Error} If any entry is invalid. The message lists every problem with its level number and entry index.
+     */
+    static normalizeLevel(levelData, levelNumber) {
+        if (!Array.isArray(levelData)) {
+            throw new Error(`Level ${levelNumber}: level data must be an array of entries`);
+        }
+        const errors = [];
+        const entries = [];
+        levelData.forEach((data, index) => {
+            try {
+                entries.push(LevelFormat.normalizeEntry(data));
+            } catch (error) {
+                errors.push(`Level ${levelNumber}, entry ${index}: ${error.message}`);
+            }
+        });
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+        return entries;
+    }
+
+    /**
+     * Derives the max score of a level from its entries: every triangle, stealth triangle and armored triangle is worth +1.
+     * @param {Array<Object>} entries - The normalized entries of the level.
+     * @returns {number} The highest score that can be achieved in the level.
+     */
+    static computeMaxScore(entries) {
+        return entries.filter(entry => LevelFormat.SCORING_TYPES.includes(entry.type)).length;
+    }
+
+    /**
+     * Drops the optional fields of a normalized entry that hold their defaults (no motion of that kind), the way levels are written by hand.
+     * @param {Object} entry - A normalized entry.
+     * @returns {Object} A copy of the entry without its default fields. Normalizing it gives the entry back.
+     */
+    static compactEntry(entry) {
+        const compact = {};
+        Object.keys(entry).forEach(key => {
+            const value = entry[key];
+            const isDefault = value === null || (Array.isArray(value) && value.length === 0) || (key === 'angularVelocity' && value === 0);
+            if (!isDefault || key === 'fades') { // A blackout always lists its fades.
+                compact[key] = value;
+            }
+        });
+        return compact;
+    }
+
+    /**
+     * Validates a single entry and fills in its optional fields. Legacy arrays are converted first.
+     * @param {Object|Array} data - The entry to normalize.
+     * @returns {Object} The normalized entry.
+     * @throws {Error} If the entry is invalid.
+     */
+    static normalizeEntry(data) {
+        const entry = Array.isArray(data) ? LevelFormat.fromLegacy(data) : data;
+        if (entry === null || typeof entry !== 'object') {
+            throw new Error('entry must be an object or a legacy array');
+        }
+
+        if (entry.type === 'score') {
+            LevelFormat.requireNumber(entry.passingScore, 'passingScore');
+            return { type: 'score', passingScore: entry.passingScore };
+        }
+        if (entry.type === 'blackout') {
+            const fades = LevelFormat.requireArray(entry.fades, 'fades').map((fade, index) => {
+                const name = `fades[${index}]`;
+                LevelFormat.requireObject(fade, name);
+                LevelFormat.requireNumber(fade.delay, name + '.delay');
+                LevelFormat.requireNumber(fade.duration, name + '.duration');
+                LevelFormat.requireNumber(fade.repeat, name + '.repeat');
+                return { delay: fade.delay, duration: fade.duration, repeat: fade.repeat };
+            });
+            return { type: 'blackout', fades };
+        }
+        if (entry.type === 'architecture') {
+            const points = LevelFormat.requireArray(entry.points, 'points').map((point, index) => LevelFormat.normalizePoint(point, `points[${index}]`));
+            if (points.length < 3) {
+                throw new Error('points must contain at least 3 points');
+            }
+            const velocity = entry.velocity === undefined ? { y: 0 } : entry.velocity;
+            LevelFormat.requireObject(velocity, 'velocity');
+            LevelFormat.requireNumber(velocity.y, 'velocity.y');
+            return { type: 'architecture', points, velocity: { y: velocity.y } };
+        }
+        if (LevelFormat.SHAPE_TYPES.includes(entry.type)) {
+            return LevelFormat.normalizeShape(entry);
+        }
+        throw new Error(`unknown entry type '${entry.type}'`);
+    }
+
+    /**
+     * Validates a shape entry and fills in defaults for its optional motion fields.
+     * @param {Object} entry - A shape entry whose type is one of LevelFormat.SHAPE_TYPES.
+     * @returns {Object} The normalized shape entry.
+     */
+    static normalizeShape(entry) {
+        LevelFormat.requireNumber(entry.x, 'x');
+        LevelFormat.requireNumber(entry.y, 'y');
+        const velocity = LevelFormat.normalizePoint(entry.velocity === undefined ? { x: 0, y: 0 } : entry.velocity, 'velocity');
+        const angularVelocity = entry.angularVelocity === undefined ? 0 : entry.angularVelocity;
+        LevelFormat.requireNumber(angularVelocity, 'angularVelocity');
+
+        const velocityChanges = LevelFormat.requireArray(entry.velocityChanges || [], 'velocityChanges').map((change, index) => {
+            const name = `velocityChanges[${index}]`;
+            LevelFormat.requireObject(change, name);
+            LevelFormat.requireNumber(change.delay, name + '.delay');
+            LevelFormat.requireNumber(change.duration, name + '.duration');
+            return { delay: change.delay, velocity: LevelFormat.normalizePoint(change.velocity, name + '.velocity'), duration: change.duration };
+        });
+        const scaling = LevelFormat.requireArray(entry.scaling || [], 'scaling').map((scale, index) => {
+            const name = `scaling[${index}]`;
+            LevelFormat.requireObject(scale, name);
+            LevelFormat.requireNumber(scale.delay, name + '.delay');
+            LevelFormat.requireNumber(scale.duration, name + '.duration');
+            LevelFormat.requireNumber(scale.scale, name + '.scale');
+            return { delay: scale.delay, duration: scale.duration, scale: scale.scale };
+        });
+        const oscillation = LevelFormat.requireArray(entry.oscillation || [], 'oscillation').map((movement, index) => {
+            const name = `oscillation[${index}]`;
+            LevelFormat.requireObject(movement, name);
+            LevelFormat.requireNumber(movement.delay, name + '.delay');
+            LevelFormat.requireNumber(movement.duration, name + '.duration');
+            LevelFormat.requireNumber(movement.repeat, name + '.repeat');
+            return { delay: movement.delay, duration: movement.duration, repeat: movement.repeat, speed: LevelFormat.normalizePoint(movement.speed, name + '.speed') };
+        });
+        let orbit = null;
+        if (entry.orbit) {
+            LevelFormat.requireObject(entry.orbit, 'orbit');
+            ['delay', 'duration', 'radius', 'period'].forEach(key => LevelFormat.requireNumber(entry.orbit[key], 'orbit.' + key));
+            const startAngle = entry.orbit.startAngle === undefined ? 0 : entry.orbit.startAngle;
+            LevelFormat.requireNumber(startAngle, 'orbit.startAngle');
+            orbit = { delay: entry.orbit.delay, duration: entry.orbit.duration, radius: entry.orbit.radius, period: entry.orbit.period, startAngle };
+        }
+
+        const shape = { type: entry.type, x: entry.x, y: entry.y, velocity, angularVelocity, velocityChanges, scaling, oscillation, orbit };
+        if (entry.type === 'armored') {
+            if (![1, 2, 3].includes(entry.armor)) {
+                throw new Error(`armor must be 1, 2 or 3 but was ${entry.armor}`);
+            }
+            shape.armor = entry.armor;
+        }
+        return shape;
+    }
+
+    /**
+     * Converts a legacy positional array entry into the object format. The meaning is inferred from the array length:
+     * 1 is the passing score, 2 is a blackout, 3 is architecture and 10 is a shape.
+     * @param {Array} data - The legacy entry.
+     * @returns {Object} The entry in the object format (not yet validated).
+     * @throws {Error} If the array length doesn't match any legacy entry.
+     */
+    static fromLegacy(data) {
+        if (data.length === 1) {
+            return { type: 'score', passingScore: data[0] };
+        }
+        if (data.length === 2) {
+            const [type, fades] = data;
+            if (type !== 'black') {
+                throw new Error(`unknown legacy entry '${type}'`);
+            }
+            return { type: 'blackout', fades: LevelFormat.legacyList(fades, 'fades').map(([delay, duration, repeat]) => ({ delay, duration, repeat })) };
+        }
+        if (data.length === 3) {
+            const [type, points, velocityY] = data;
+            if (type !== 'architecture') {
+                throw new Error(`unknown legacy entry '${type}'`);
+            }
+            return { type: 'architecture', points, velocity: { y: velocityY } };
+        }
+        if (data.length === 10) {
+            const [shapeType, x, y, velocityX, velocityY, angularVelocity, velocityData, scaleData, movementData, movementCircularData] = data;
+            const entry = {
+                type: shapeType,
+                x,
+                y,
+                velocity: { x: velocityX, y: velocityY },
+                angularVelocity,
+                velocityChanges: LevelFormat.legacyList(velocityData, 'newVelocity').map(([delay, params]) => {
+                    const [newVelocityX, newVelocityY, duration] = LevelFormat.legacyTuple(params, 3, 'newVelocity');
+                    return { delay, velocity: { x: newVelocityX, y: newVelocityY }, duration };
+                }),
+                scaling: LevelFormat.legacyList(scaleData, 'growing').map(([delay, params]) => {
+                    const [duration, scale] = LevelFormat.legacyTuple(params, 2, 'growing');
+                    return { delay, duration, scale };
+                }),
+                oscillation: LevelFormat.legacyList(movementData, 'linearMovementData').map(([delay, params]) => {
+                    const [duration, repeat, speedX, speedY] = LevelFormat.legacyTuple(params, 4, 'linearMovementData');
+                    return { delay, duration, repeat, speed: { x: speedX, y: speedY } };
+                }),
+                orbit: null,
+            };
+            const circular = LevelFormat.legacyList(movementCircularData, 'circularMovementData');
+            if (circular.length > 0) {
+                const [delay, duration, radius, period, startAngle] = LevelFormat.legacyTuple(circular, 5, 'circularMovementData');
+                entry.orbit = { delay, duration, radius, period, startAngle };
+            }
+            if (typeof shapeType === 'string' && shapeType.startsWith('armored_')) {
+                entry.type = 'armored';
+                entry.armor = parseInt(shapeType.charAt(shapeType.length - 1), 10); // The last character is a digit: indicates healthpoints
+            }
+            return entry;
+        }
+        throw new Error(`legacy array of length ${data.length} is not a recognized entry`);
+    }
+
+    /**
+     * Checks that a legacy list field is an array.
+     * @param {*} value - The value to check.
+     * @param {string} name - The legacy column name, used in the error message.
+     * @returns {Array} The value.
+     */
+    static legacyList(value, name) {
+        if (!Array.isArray(value)) {
+            throw new Error(`${name} must be an array`);
+        }
+        return value;
+    }
+
+    /**
+     * Checks that a legacy parameter tuple is an array of the expected length.
+     * @param {*} value - The value to check.
+     * @param {number} length - The expected tuple length.
+     * @param {string} name - The legacy column name, used in the error message.
+     * @returns {Array} The value.
+     */
+    static legacyTuple(value, length, name) {
+        if (!Array.isArray(value) || value.length !== length) {
+            throw new Error(`${name} parameters must be an array of ${length} values`);
+        }
+        return value;
+    }
+
+    /**
+     * Validates an {x, y} pair.
+     * @param {*} point - The value to check.
+     * @param {string} name - The field name, used in the error message.
+     * @returns {{x: number, y: number}} A copy of the point.
+     */
+    static normalizePoint(point, name) {
+        LevelFormat.requireObject(point, name);
+        LevelFormat.requireNumber(point.x, name + '.x');
+        LevelFormat.requireNumber(point.y, name + '.y');
+        return { x: point.x, y: point.y };
+    }
+
+    /**
+     * Throws if the value isn't a finite number.
+     * @param {*} value - The value to check.
+     * @param {string} name - The field name, used in the error message.
+     */
+    static requireNumber(value, name) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`${name} must be a number but was ${JSON.stringify(value)}`);
+        }
+    }
+
+    /**
+     * Throws if the value isn't a plain object.
+     * @param {*} value - The value to check.
+     * @param {string} name - The field name, used in the error message.
+     */
+    static requireObject(value, name) {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error(`${name} must be an object`);
+        }
+    }
+
+    /**
+     * Throws if the value isn't an array.
+     * @param {*} value - The value to check.
+     * @param {string} name - The field name, used in the error message.
+     * @returns {Array} The value.
+     */
+    static requireArray(value, name) {
+        if (!Array.isArray(value)) {
+            throw new Error(`${name} must be an array`);
+        }
+        return value;
+    }
+}
+export {LevelFormat};
@@ -0,0 +1,110 @@
+import { LevelFormat } from './levelformat.js';
+
+/**
+ * Class Name: LevelPack
+ * Description: Represents a level pack loaded from a JSON file. A pack holds its metadata (name, author, version)
+ * and an ordered list of levels, each with a name and its entries in the LevelFormat (object or legacy array) format.
+ * Each level's max score is derived from its entries (see LevelFormat.computeMaxScore). A level may still declare a maxScore,
+ * in which case a warning is logged if it doesn't match the derived value.
+ * A pack may also have bonus levels, each unlocked by a total number of stars at a difficulty (see StarRating).
+ * Packs live in the levelpacks folder and are loaded at runtime through Phaser's loader, so new packs can be shipped without code changes.
+ * The pack to play is chosen with the "pack" URL parameter (e.g. index.html?pack=levelpacks/mypack.json), defaulting to LevelPack.DEFAULT_PATH.
+ * Expected Inputs: The parsed JSON of a level pack file.
+ * Expected Outputs: A validated pack whose levels and max scores are ready to be used by GameScene and LevelSelect.
+ * Called By: GameScene preload() (for the path) and create() (to build the pack from the loaded JSON).
+ * Will Call: LevelFormat to validate every level's entries.
+ * @class
+ * @author Braeden Ruff
+ */
+class LevelPack {
+    /**
+     * The pack that is loaded when no "pack" URL parameter is given.
+     */
+    static DEFAULT_PATH = 'levelpacks/main.json';
+
+    /**
+     * The Phaser JSON cache key the pack is loaded under.
+     */
+    static CACHE_KEY = 'levelpack';
+
+    /**
+     * Builds a level pack from its parsed JSON, validating the metadata and every level.
+     * @constructor
+     * @param {Object} data - The parsed level pack JSON.
+     * @throws {Error} If the pack or any of its levels is invalid.
+     */
+    constructor(data) {
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Level pack must be a JSON object');
+        }
+        if (typeof data.name !== 'string' || data.name.length === 0) {
+            throw new Error('Level pack must have a name');
+        }
+        if (!Array.isArray(data.levels) || data.levels.length === 0) {
+            throw new Error(`Level pack '${data.name}' must have at least one level`);
+        }
+        this.name = data.name; // Display name of the pack.
+        this.author = data.author || ''; // Who made the pack.
+        this.version = data.version || 1; // Version of the pack, for pack authors to track their releases.
+        this.levels = data.levels.map((level, index) => {
+            const levelNumber = index + 1;
+            if (level === null || typeof level !== 'object' || Array.isArray(level)) {
+                throw new Error(`Level ${levelNumber}: level must be an object with a name and entries`);
+            }
+            const entries = LevelFormat.normalizeLevel(level.entries, levelNumber);
+            const maxScore = LevelFormat.computeMaxScore(entries);
+            // A declared max score is only a check: the derived one is always used.
+            if (level.maxScore !== undefined && level.maxScore !== maxScore) {
+                console.warn(`Level pack '${data.name}', level ${levelNumber}: declared maxScore ${level.maxScore} doesn't match the ${maxScore} triangles, stealth triangles and armored triangles in the level. Using ${maxScore}.`);
+            }
+            return {
+                name: level.name || 'Level ' + levelNumber,
+                maxScore: maxScore,
+                entries: entries,
+            };
+        });
+        if (data.bonusLevels !== undefined && !Array.isArray(data.bonusLevels)) {
+            throw new Error(`Level pack '${data.name}': bonusLevels must be a list of levels`);
+        }
+        this.bonusLevels = (data.bonusLevels || []).map((level, index) => { // Bonus levels, unlocked with stars.
+            const name = (level && level.name) || 'Bonus ' + (index + 1);
+            if (level === null || typeof level !== 'object' || Array.isArray(level)) {
+                throw new Error(`${name}: bonus level must be an object with a name, required stars and entries`);
+            }
+            if (!Number.isInteger(level.requiredStars) || level.requiredStars < 0) {
+                throw new Error(`${name}: requiredStars must be a whole number of stars`);
+            }
+            return {
+                name: name,
+                requiredStars: level.requiredStars,
+                entries: LevelFormat.normalizeLevel(level.entries, name),
+            };
+        });
+    }
+
+    /**
+     * Gets the path of the pack to load, from the "pack" URL parameter if there is one.
+     * @returns {string} The path of the level pack JSON file.
+     */
+    static getPath() {
+        const params = new URLSearchParams(window.location.search);
+        return params.get('pack') || LevelPack.DEFAULT_PATH;
+    }
+
+    /**
+     * Gets the entries of every level, in order.
+     * @returns {Array<Array<Object>>} The normalized entries of each level.
+     */
+    getLevelEntries() {
+        return this.levels.map(level => level.entries);
+    }
+
+    /**
+     * Gets the derived max score of every level, in order.
+     * @returns {Array<number>} The max score of each level.
+     */
+    getMaxScores() {
+        return this.levels.map(level => level.maxScore);
+    }
+}
+export {LevelPack};
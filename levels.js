@@ -1,669 +0,0 @@
-/**
- * Level Configuration Documentation
- * 
- * Each level configuration is an array containing various elements that define the properties and behaviors of shapes to be spawned in the game.
- * The first element of each array is the passing score required to clear the level.
- * Following elements define individual shapes with their properties:
- * - Shape Type: 'triangle', 'square', or 'architecture' indicating the type of shape.
- * - Position: x, y coordinates for the shape's starting position, or an array of x, y points.
- * - Velocity: Velocity components (velocityX, velocityY) and angular velocity for rotating the shape.
- * - Scaling and Movement: Arrays defining scaling, linear movement, and circular movement parameters.
- * 
- * Expected Inputs: Each level array is expected to follow the structure defined above with appropriate values for each property.
- * Expected Outputs: The game uses these configurations to spawn and manage shapes according to the level's design.
- * 
- * These configurations are used by the game's level loading system to dynamically create levels with varying challenges.
- * @author Braeden Ruff
- */
-const level1 = [
-    // Array of data defining level 1
-	//shapeType,   x,    y, velocityX, velocityY, angularVel, newVelocity, growing, linearMovementData, circularMovementData
-	[4], //passing score
-	['triangle',  50, -100,         0,      150,          10,          [],      [],                 [],                  []],
-	['triangle', 350, -150,         0,      150,          10,          [],      [],                 [],                  []],
-	['triangle', 150, -350,         0,      150,          10,          [],      [],                 [],                  []],
-	['triangle', 650, -450,         0,      150,          10,          [],      [],                 [],                  []],
-	['triangle', 300, -550,         0,      150,          10,          [],      [],                 [],                  []],
-	['triangle', 420, -790,         0,      150,          10,          [],      [],                 [],                  []],
-];
-
-const level2 = [
-    // Array of data defining level 2
-	//shapeType,   x,     y, velocityX, velocityY, angularVel, newVelocity, growing,          linearMovementData, circularMovementData
-	[4], //passing score
-	['triangle', 400,   -50,         0,       150,         10,          [],      [], [[  0, [1000, -1, 600, 0]]],                  []],
-	['triangle', 350,  -150,         0,       150,         10,          [],      [], [[200, [1000, -1, 250, 0]]],                  []],
-	[  'square', 450,  -350,         0,       150,         10,          [],      [], [[  0, [1000, -1, 600, 0]]],                  []],
-	[  'square', 250,  -450,         0,       150,         10,          [],      [], [[500, [1000, -1, 400, 0]]],                  []],
-	['triangle', 700,  -550,         0,       150,         10,          [],      [], [[100, [1000, -1, 500, 0]]],                  []],
-	['triangle', 420,  -980,         0,       175,         10,          [],      [], [[300, [1000, -1, 220, 0]]],                  []],
-	['triangle', 410, -1080,         0,       250,         10,          [],      [], [[400, [1000, -1, 420, 0]]],                  []],
-	['triangle', 620, -1300,         0,       250,         10,          [],      [], [[600, [1000, -1, 230, 0]]],                  []],
-];                             
-
-const level3 = [
-    // Array of data defining level 3
-	//shapeType,   x,    y, velocityX, velocityY, angularVel,  newVelocity, growing, linearMovementData,    circularMovementData
-	[3], //passing score                                      
-	['triangle', 350,  -50,         0,       100,         10,           [],      [],                 [],  [0, -1, 230, 2500, 0]],
-	['triangle', 250, -150,         0,       100,         10,           [],      [],                 [],  [0, -1, 200, 2000, 0]],
-	[  'square', 550, -350,         0,       100,         10,           [],      [],                 [],  [0, -1, 250, 2500, 0]],
-	[  'square', 650, -600,         0,       200,         10,           [],      [],                 [],  [0, -1,  80, 1000, 0]],
-	['triangle', 300, -550,         0,       100,         10,           [],      [],                 [],  [0, -1, 280, 2500, 0]],
-	['triangle', 420, -790,         0,       100,         10,           [],      [],                 [],  [0, -1, 150, 2000, 0]],
-];                                                                      
-const level4 = [
-    // Array of data defining level 4
-	//shapeType,   x,    y, velocityX, velocityY, angularVel, newVelocity, growing, linearMovementData, circularMovementData
-	[6], //passing score
-	['triangle', 100, -125,         0,       100,         10,          [],      [],                 [],                  []],
-	['triangle', 300, -125,         0,       100,         10,          [],      [],                 [],                  []],
-	['triangle', 500, -125,         0,       100,         10,          [],      [],                 [],                  []],
-	['triangle', 700, -125,         0,       100,         10,          [],      [],                 [],                  []],
-	['triangle', 100, -425,         0,       100,         10,          [],      [],                 [],                  []],
-	['triangle', 300, -425,         0,       100,         10,          [],      [],                 [],                  []],
-	['triangle', 500, -425,         0,       100,         10,          [],      [],                 [],                  []],
-	['triangle', 700, -425,         0,       100,         10,          [],      [],                 [],                  []],
-	//architecture, points, velocityY
-	['architecture', [{x: 50, y: -50}, {x:750, y: -50}, {x:750, y:-100}, {x:50, y:-100}], 100],
-	['architecture', [{x: 50, y:-150}, {x:750, y:-150}, {x:750, y:-200}, {x:50, y:-200}], 100],
-	['architecture', [{x: 50, y:-350}, {x:750, y:-350}, {x:750, y:-400}, {x:50, y:-400}], 100],
-	['architecture', [{x: 50, y:-450}, {x:750, y:-450}, {x:750, y:-500}, {x:50, y:-500}], 100],
-]; 
-const level5 = [
-    // Array of data defining level 5
-	//        shapeType,   x,     y, velocityX, velocityY, angularVel, newVelocity,               growing,                                     linearMovementData, circularMovementData
-	[6], //passing score
-	[        'triangle', 300,   -50,         0,       150,         15,          [],                    [], [[  0, [1000, -1, 600, 0]],[3000, [1000, -1, 0, 130]]],                  []],
-	[        'triangle', 650,  -150,         0,       150,         15,          [],                    [], [[200, [1000, -1, 250, 0]],[3000, [1000, -1, 0, 530]]],                  []],
-	[          'square', 450,  -350,         0,       150,         15,          [],                    [], [[  0, [1000, -1, 600, 0]],[3000, [1000, -1, 0, 520]]],                  []],
-	[          'square', 250,  -450,         0,       150,         15,          [],                    [], [[500, [1000, -1, 400, 0]],[3000, [1000, -1, 0, 230]]],                  []],
-	[        'triangle', 700,  -550,         0,       150,         15,          [],                    [], [[100, [1000, -1, 500, 0]],[3000, [1000, -1, 0, 630]]],                  []],
-	[          'square', 500,  -650,         0,       150,         15,          [],                    [], [[  0, [1000, -1, 300, 0]],[5000, [1000, -1, 0, 220]]],                  []],
-	[          'square', 320,  -750,         0,       150,         15,          [],                    [], [[500, [1000, -1, 200, 0]],[5000, [1000, -1, 0, 730]]],                  []],
-	[        'triangle', 420,  -980,         0,       175,         15,          [],                    [], [[300, [1000, -1, 220, 0]],[3000, [1300, -1, 0, 380]]],                  []],
-	[        'triangle', 410, -1080,         0,       250,         15,          [],                    [], [[400, [1000, -1, 420, 0]],[3000, [2000, -1, 0, 320]]],                  []],
-	[        'triangle', 620, -1300,         0,       250,         15,          [],                    [], [[600, [1000, -1, 230, 0]],[3000, [1500, -1, 0, 420]]],                  []],
-	[        'triangle', 350, -2090,         0,       250,         15,          [],   [[8600, [1000, 3]]], [[  0, [1000, -1, 500, 0]],[3000, [1800, -1, 0, 320]]],                  []],
-	[          'square', 600, -2180,         0,       250,         15,          [],   [[9600, [1000, 3]]], [[  0, [1000, -1, 400, 0]],[3000, [1400, -1, 0, 230]]],                  []],
-	['clear-friendlies', 775, -1505,         0,       300,         10,          [],                    [],                                                     [],                  []],
-];      
-const level6 = [	
-    // Array of data defining level 6
-	//shapeType,   x,     y, velocityX, velocityY, angularVel, newVelocity,               growing, linearMovementData, circularMovementData
-	[20], //passing score
-	['triangle',  50,  -300,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 250,  -300,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 450,  -300,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 650,  -300,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 150,  -300,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 350,  -300,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 550,  -300,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 750,  -300,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 150,  -400,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 350,  -400,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 550,  -400,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 750,  -400,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square',  50,  -400,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 250,  -400,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 450,  -400,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 650,  -400,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle',  50,  -500,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 250,  -500,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 450,  -500,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 650,  -500,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 150,  -500,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 350,  -500,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 550,  -500,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 750,  -500,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 150,  -600,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 350,  -600,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 550,  -600,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 750,  -600,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square',  50,  -600,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 250,  -600,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 450,  -600,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 650,  -600,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle',  50,  -700,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 250,  -700,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 450,  -700,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 650,  -700,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 150,  -700,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 350,  -700,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 550,  -700,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 750,  -700,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 150,  -800,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 350,  -800,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 550,  -800,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	['triangle', 750,  -800,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square',  50,  -800,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 250,  -800,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 450,  -800,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-	[  'square', 650,  -800,         0,       100,         0,          [],         [[0, [0,1.2]]],                 [],                  []],
-];
-const level7 = [
-	// Array of data defining level 7
-	//shapeType,   x,     y, velocityX, velocityY, angularVel, newVelocity, growing, linearMovementData, circularMovementData
-	[5], //passing score
-	['triangle', 100,   -192,         0,       200,         2,                                         [],             [], [], []],
-	[  'square',  50,   -200,         0,       200,         2,                                         [],             [], [], []],
-	[  'square', 150,   -200,         0,       200,         2,                                         [],             [], [], []],
-	['triangle', 300,   -492,         0,       225,         2,                                         [],             [], [], []],
-	[  'square', 250,   -500,         0,       225,         2,                                         [],             [], [], []],
-	[  'square', 350,   -500,         0,       225,         2,                                         [],             [], [], []],
-	['triangle', 120,  -1092,         0,       339,         2,                                         [],             [], [], []],
-	[  'square',  70,  -1100,         0,       339,         2,                                         [],             [], [], []],
-	[  'square', 170,  -1100,         0,       339,         2,                                         [],             [], [], []],
-	['triangle', 720,   -892,         0,       200,         2,                                         [],             [], [], []],
-	[  'square', 670,   -900,         0,       200,         2,                                         [],             [], [], []],
-	[  'square', 770,   -900,         0,       200,         2,                                         [],             [], [], []],
-	['triangle', 520,   -592,         0,       230,         2,                                         [],             [], [], []],
-	[  'square', 470,   -600,         0,       230,         2,                                         [],             [], [], []],
-	[  'square', 570,   -600,         0,       230,         2,                                         [],             [], [], []],
-	['triangle', 420,  -1592,         0,       300,         2,                                         [],             [], [], []],
-	[  'square', 370,  -1600,         0,       300,         2,                                         [],             [], [], []],
-	[  'square', 470,  -1600,         0,       300,         2,                                         [],             [], [], []],
-	[    'area', 100,   -200,         0,       150,         0, [[4000, [150, 0, 0]], [8000, [0, 150, 0]]], [[0, [0,1.5]]], [], []],
-];
-const level8 = [
-	// Array of data defining level 8
-	//        shapeType,   x,      y, velocityX, velocityY, angularVel,              newVelocity,         growing,            linearMovementData, circularMovementData
-	[6], //passing score                        
-	[            'area', 400,    300,         0,        0,          0, [[12000, [0, 150000, 0]]], [[0, [0, 1.5]]],                            [],                  []],
-	[          'square', 400,     80,         0,        0,          2, [[12000, [0, 150000, 0]]],              [], [[100, [1000, -1,  1420, 0]]],                  []],
-	[          'square', 400,    580,         0,        0,          2, [[12000, [0, 150000, 0]]],              [], [[250, [1000, -1,  1420, 0]]],                  []],
-	[          'square', 400,    200,         0,        0,          2, [[12000, [0, 150000, 0]]],              [], [[120, [1000, -1, -1420, 0]]],                  []],
-	[          'square', 400,    420,         0,        0,          2, [[12000, [0, 150000, 0]]],              [], [[350, [1000, -1, -1420, 0]]],                  []],
-	[          'square', 400,    120,         0,        0,          2, [[12000, [0, 150000, 0]]],              [], [[420, [1000, -1, -1420, 0]]],                  []],
-	[       'armored_1', 420,    -90,         0,      100,          1,                        [], [[0, [0, 1.5]]],                            [],                  []],
-	[       'armored_2', 120,    -90,         0,      100,          0,                        [], [[0, [0, 1.5]]],                            [],                  []],
-	[       'armored_3', 620,    -90,         0,      100,          0,                        [], [[0, [0, 1.5]]],                            [],                  []],
-	[       'armored_1', 620,   -190,         0,      100,          0,                        [], [[0, [0, 1.5]]],                            [],                  []],
-	[       'armored_1', 145,   -240,         0,      100,          0,                        [], [[0, [0, 1.5]]],                            [],                  []],
-	[       'armored_3', 520,   -290,         0,      100,          0,                        [], [[0, [0, 1.5]]],                            [],                  []],
-	[       'armored_2', 320,   -390,         0,      100,          0,                        [], [[0, [0, 1.5]]],                            [],                  []],
-	['clear-friendlies', 108,  -1490,         0,      400,          0,                        [],              [],                            [],                  []],
-];
-const level9 = [
-	// Array of data defining level 9
-	//shapeType,    x,    y, velocityX, velocityY, angularVel,                                          newVelocity, growing, linearMovementData, circularMovementData
-	[12], //passing score`
-	['triangle',  120,  649,         0,         0,          2, [[1000, [0, -200, 0]], [8500, [-150000, 150000, 0]]],      [],                 [],                  []],
-	['triangle',  220,  649,         0,         0,          2, [[1550, [0, -200, 0]], [8500, [-150000, 150000, 0]]],      [],                 [],                  []],
-	['triangle',   27,  649,         0,         0,          2, [[2300, [0, -200, 0]], [8500, [-150000, 150000, 0]]],      [],                 [],                  []],
-	['triangle',  236,  649,         0,         0,          2, [[3000, [0, -200, 0]], [8500, [-150000, 150000, 0]]],      [],                 [],                  []],
-	['triangle',  321,  649,         0,         0,          2, [[3723, [0, -200, 0]], [8500, [-150000, 150000, 0]]],      [],                 [],                  []],
-	['triangle',  102,  649,         0,         0,          2, [[3526, [0, -200, 0]], [8500, [-150000, 150000, 0]]],      [],                 [],                  []],
-	['triangle',  125,  649,         0,         0,          2, [[4923, [0, -200, 0]], [8500, [-150000, 150000, 0]]],      [],                 [],                  []],
-	['triangle',  460,  -49,         0,         0,          2, [[1000, [0,  200, 0]], [8500, [ 150000, 150000, 0]]],      [],                 [],                  []],
-	['triangle',  532,  -49,         0,         0,          2, [[2120, [0,  200, 0]], [8500, [ 150000, 150000, 0]]],      [],                 [],                  []],
-	['triangle',  539,  -49,         0,         0,          2, [[2923, [0,  200, 0]], [8500, [ 150000, 150000, 0]]],      [],                 [],                  []],
-	['triangle',  732,  -49,         0,         0,          2, [[3289, [0,  200, 0]], [8500, [ 150000, 150000, 0]]],      [],                 [],                  []],
-	['triangle',  634,  -49,         0,         0,          2, [[3885, [0,  200, 0]], [8500, [ 150000, 150000, 0]]],      [],                 [],                  []],
-	['triangle',  734,  -49,         0,         0,          2, [[4985, [0,  200, 0]], [8500, [ 150000, 150000, 0]]],      [],                 [],                  []],
-	[  'square',  140,  649,         0,         0,          2, [[1503, [0, -200, 0]], [8500, [-150000, 150000, 0]]],      [],                 [],                  []],
-	[  'square',  339,  649,         0,         0,          2, [[1959, [0, -200, 0]], [8500, [-150000, 150000, 0]]],      [],                 [],                  []],
-	[  'square',  200,  649,         0,         0,          2, [[2575, [0, -200, 0]], [8500, [-150000, 150000, 0]]],      [],                 [],                  []],
-	[  'square',   40,  649,         0,         0,          2, [[2698, [0, -200, 0]], [8500, [-150000, 150000, 0]]],      [],                 [],                  []],
-	[  'square',  358,  649,         0,         0,          2, [[2985, [0, -200, 0]], [8500, [-150000, 150000, 0]]],      [],                 [],                  []],
-	[  'square',  190,  649,         0,         0,          2, [[3500, [0, -200, 0]], [8500, [-150000, 150000, 0]]],      [],                 [],                  []],
-	[  'square',  350,  649,         0,         0,          2, [[4102, [0, -200, 0]], [8500, [-150000, 150000, 0]]],      [],                 [],                  []],
-	[  'square',  128,  649,         0,         0,          2, [[4325, [0, -200, 0]], [8500, [-150000, 150000, 0]]],      [],                 [],                  []],
-	[  'square',  452,  -49,         0,         0,          2, [[1423, [0,  200, 0]], [8500, [ 150000, 150000, 0]]],      [],                 [],                  []],
-	[  'square',  567,  -49,         0,         0,          2, [[1698, [0,  200, 0]], [8500, [ 150000, 150000, 0]]],      [],                 [],                  []],
-	[  'square',  765,  -49,         0,         0,          2, [[1897, [0,  200, 0]], [8500, [ 150000, 150000, 0]]],      [],                 [],                  []],
-	[  'square',  612,  -49,         0,         0,          2, [[2201, [0,  200, 0]], [8500, [ 150000, 150000, 0]]],      [],                 [],                  []],
-	[  'square',  453,  -49,         0,         0,          2, [[2963, [0,  200, 0]], [8500, [ 150000, 150000, 0]]],      [],                 [],                  []],
-	[  'square',  476,  -49,         0,         0,          2, [[3652, [0,  200, 0]], [8500, [ 150000, 150000, 0]]],      [],                 [],                  []],
-	[  'square',  721,  -49,         0,         0,          2, [[4120, [0,  200, 0]], [8500, [ 150000, 150000, 0]]],      [],                 [],                  []],
-	[  'square',  429,  -49,         0,         0,          2, [[4340, [0,  200, 0]], [8500, [ 150000, 150000, 0]]],      [],                 [],                  []],
-	[  'square',  550,  -49,         0,         0,          2, [[4764, [0,  200, 0]], [8500, [ 150000, 150000, 0]]],      [],                 [],                  []],
-	['slowtime',  750, -600,         0,       200,          2,                                                   [],      [],                 [],                  []],
-];    
-               
-const level10 = [
-	// Array of data defining level 10
-	//  shapeType,   x,    y, velocityX, velocityY, angularVel,          newVelocity,       growing,             linearMovementData,                                   circularMovementData
-	[6], //passing score
-	[  'triangle', 400, -200,         0,        60,          2,                   [],            [], [[     0, [1000, -1, 20, 120]], [2000, [1000, -1, 0, 520]]], [   0, -1, 150, 2000, 0]],
-	[  'triangle', 350, -123,         0,         0,          2, [[1150, [0, 60, 0]]],            [], [[  1150, [1000, -1, 20, 120]], [3350, [1000, -1, 0, 520]]], [1150, -1, 150, 2000, 0]],
-	[    'square', 420, -112,         0,         0,          2, [[1360, [0, 60, 0]]],            [], [[  1360, [1000, -1, 20, 120]], [3360, [1000, -1, 0, 520]]], [1360, -1, 150, 2000, 0]],
-	[    'square', 445,  -84,         0,         0,          2, [[1825, [0, 60, 0]]],            [], [[  1825, [1000, -1, 20, 120]], [3825, [1000, -1, 0, 520]]], [1825, -1, 150, 2000, 0]],
-	[  'triangle', 412, -200,         0,         0,          2, [[2350, [0, 60, 0]]],            [], [[  2350, [1000, -1, 20, 120]], [4350, [1000, -1, 0, 520]]], [2350, -1, 150, 2000, 0]],
-	[    'square', 366, -144,         0,         0,          2, [[2751, [0, 60, 0]]],            [], [[  2751, [1000, -1, 20, 120]], [4751, [1000, -1, 0, 520]]], [2751, -1, 150, 2000, 0]],
-	[    'square', 325,  -93,         0,         0,          2, [[3052, [0, 60, 0]]],            [], [[  3052, [1000, -1, 20, 120]], [5052, [1000, -1, 0, 520]]], [3052, -1, 150, 2000, 0]],
-	[  'triangle', 470, -132,         0,         0,          2, [[3650, [0, 60, 0]]],            [], [[  3650, [1000, -1, 20, 120]], [5650, [1000, -1, 0, 520]]], [3650, -1, 150, 2000, 0]],
-	[    'square', 415, -102,         0,         0,          2, [[3852, [0, 60, 0]]],            [], [[  3852, [1000, -1, 20, 120]], [5852, [1000, -1, 0, 520]]], [3852, -1, 150, 2000, 0]],
-	[    'square', 420, -230,         0,         0,          2, [[4120, [0, 60, 0]]],            [], [[  4120, [1000, -1, 20, 120]], [6120, [1000, -1, 0, 520]]], [4120, -1, 150, 2000, 0]],
-	[  'triangle', 405, -140,         0,         0,          2, [[4550, [0, 60, 0]]],            [], [[  4550, [1000, -1, 20, 120]], [6550, [1000, -1, 0, 520]]], [4550, -1, 150, 2000, 0]],
-	[    'square', 465, -105,         0,         0,          2, [[4756, [0, 60, 0]]],            [], [[  4756, [1000, -1, 20, 120]], [6756, [1000, -1, 0, 520]]], [4756, -1, 150, 2000, 0]],
-	[    'square', 385, -125,         0,         0,          2, [[5210, [0, 60, 0]]],            [], [[  5210, [1000, -1, 20, 120]], [7210, [1000, -1, 0, 520]]], [5210, -1, 150, 2000, 0]],
-	[   'stealth', 750, -540,         0,       200,          2,                   [], [[0, [0, 2]]],                             [],                                                    []],
-	[   'stealth',  50, -840,         0,       200,          2,                   [], [[0, [0, 2]]],                             [],                                                    []],
-	[  'slowtime', 400, -520,         0,       150,          2,                   [],            [],                             [],                                                    []],
-];
-
-const level11 = [
-	// Array of data defining level 11
-	//  shapeType,   x,     y, velocityX, velocityY, angularVel, newVelocity,        growing, linearMovementData,            circularMovementData
-	[19], //passing score
-	[  'triangle', 645,  -200,         0,       200,          2,          [],             [],                 [],                             []],
-	[  'triangle', 565,  -240,         0,       200,          2,          [],             [],                 [],                             []],
-	[  'triangle', 485,  -280,         0,       200,          2,          [],             [],                 [],                             []],
-	[  'triangle', 405,  -320,         0,       200,          2,          [],             [],                 [],                             []],
-	[  'triangle', 325,  -360,         0,       200,          2,          [],             [],                 [],                             []],
-	[  'triangle', 245,  -400,         0,       200,          2,          [],             [],                 [],                             []],
-	[  'triangle', 165,  -440,         0,       200,          2,          [],             [],                 [],                             []],
-	[  'slowtime', 750, -1420,         0,       400,          2,          [],             [],                 [],                             []],
-	[  'triangle', 400,  -740,         0,       200,          2,          [],             [],                 [],                             []],
-	[  'triangle', 400,  -820,         0,       200,          2,          [],             [],                 [],                             []],
-	[  'triangle', 400,  -900,         0,       200,          2,          [],             [],                 [],                             []],
-	[  'triangle', 400,  -980,         0,       200,          2,          [],             [],                 [],                             []],
-	[  'triangle', 400, -1060,         0,       200,          2,          [],             [],                 [],                             []],
-	['intangible', 750, -2600,         0,       400,          2,          [],             [],                 [],                             []],
-	[   'stealth',  50, -1140,         0,       200,          2,          [],  [[0, [0, 2]]],                 [],                             []],
-	[  'triangle', 165, -1400,         0,       200,          2,          [],             [],                 [],                             []],
-	[  'triangle', 245, -1454,         0,       200,          2,          [],             [],                 [],                             []],
-	[  'triangle', 325, -1508,         0,       200,          2,          [],             [],                 [],                             []],
-	[  'triangle', 405, -1563,         0,       200,          2,          [],             [],                 [],                             []],
-	[  'triangle', 485, -1616,         0,       200,          2,          [],             [],                 [],                             []],
-	[  'triangle', 565, -1670,         0,       200,          2,          [],             [],                 [],                             []],
-	[  'triangle', 645, -1724,         0,       200,          2,          [],             [],                 [],                             []],
-	//architecture, points, velocityY
-	['architecture', [{x:0,y:-450}, {x:75,y:-450}, {x:625,y:-182}, {x:0,y:-182}], 200],
-	['architecture', [{x:216, y:-450}, {x:766,y:-182}, {x:800,y:-182}, {x:800,y:-450}], 200],
-	['architecture', [{x:0, y:-1095}, {x:360, y:-1095}, {x:360, y:-700}, {x:0, y:-700}], 200],
-	['architecture', [{x:440, y:-1095}, {x:800, y:-1095}, {x:800, y:-700}, {x:440, y:-700}], 200],
-	['architecture', [{x:0, y:-1395}, {x:100, y:-1395}, {x:650, y:-1763}, {x:0, y:-1763}], 200],
-	['architecture', [{x:216, y:-1395}, {x:766,y:-1763}, {x:800,y:-1763}, {x:800,y:-1395}], 200],
-	
-];
-
-const level12 = [    
-	// Array of data defining level 12
-	//shapeType,   x,    y, velocityX, velocityY, angularVel,              newVelocity, growing, linearMovementData,            circularMovementData
-	[10],
-	['triangle', 400,  300,         0,         0,          2, [[8500, [0, 150000, 0]]],      [],                 [], [   0, 4000, 150, 4000,     0]],
-	['triangle', 400,  300,         0,         0,          2, [[8500, [0, 150000, 0]]],      [],                 [], [   0, 4000, 150, 4000, 1.256]],
-	['triangle', 400,  300,         0,         0,          2, [[8500, [0, 150000, 0]]],      [],                 [], [   0, 4000, 150, 4000, 2.513]],
-	['triangle', 400,  300,         0,         0,          2, [[8500, [0, 150000, 0]]],      [],                 [], [   0, 4000, 150, 4000, 3.770]],
-	['triangle', 400,  300,         0,         0,          2, [[8500, [0, 150000, 0]]],      [],                 [], [   0, 4000, 150, 4000, 5.027]],
-	['triangle', 400,  300,         0,         0,          2, [[8500, [0, 150000, 0]]],      [],                 [], [4500, 4000, 150, 4000,     0]],
-	['triangle', 400,  300,         0,         0,          2, [[8500, [0, 150000, 0]]],      [],                 [], [4500, 4000, 150, 4000, 1.256]],
-	['triangle', 400,  300,         0,         0,          2, [[8500, [0, 150000, 0]]],      [],                 [], [4500, 4000, 150, 4000, 2.513]],
-	['triangle', 400,  300,         0,         0,          2, [[8500, [0, 150000, 0]]],      [],                 [], [4500, 4000, 150, 4000, 3.770]],
-	['triangle', 400,  300,         0,         0,          2, [[8500, [0, 150000, 0]]],      [],                 [], [4500, 4000, 150, 4000, 5.027]],
-	
-	//architecture, points, velocityY
-	['architecture', [{x:348, y:238}, {x:400, y:119}, {x:452, y:238}, {x:603, y:238}, {x:488, y:312}, {x:533, y:443}, {x:400, y:367}, {x:267, y:443}, {x:312, y:312}, {x:197, y:238}], 0],
-	
-	//blackscreen,     delay, duration, repeat
-	[       'black', [ [2000,     1000,    -1]]],
-];                                              
-const level13 = [
-	// Array of data defining level 13
-	//shapeType,   x,   y, velocityX, velocityY,  angularVel,                newVelocity, growing, linearMovementData, circularMovementData
-	[10], //passing score
-	['triangle', 400, 300,         0,         0,          25, [[ 1150, [ 300,  300, 0]]],      [],                [],                   []],
-	['triangle', 400, 300,         0,         0,          25, [[ 2150, [-300,  300, 0]]],      [],                [],                   []],
-	['triangle', 400, 300,         0,         0,          25, [[ 3150, [   0, -300, 0]]],      [],                [],                   []],
-	['triangle', 400, 300,         0,         0,          25, [[ 4150, [ 300,  300, 0]]],      [],                [],                   []],
-	['triangle', 400, 300,         0,         0,          25, [[ 5150, [-300,  300, 0]]],      [],                [],                   []],
-	['triangle', 400, 300,         0,         0,          25, [[ 6150, [   0, -300, 0]]],      [],                [],                   []],
-	['triangle', 400, 300,         0,         0,          25, [[ 7150, [ 300,  300, 0]]],      [],                [],                   []],
-	['triangle', 400, 300,         0,         0,          25, [[ 9150, [-300,  300, 0]]],      [],                [],                   []],
-	['triangle', 400, 300,         0,         0,          25, [[ 8150, [   0, -300, 0]]],      [],                [],                   []],
-	['triangle', 400, 300,         0,         0,          25, [[10150, [-300,  300, 0]]],      [],                [],                   []],
-	['architecture', [{x:500, y:400}, {x:300,y:400}, {x:400,y:200}], 0],
-];
-const level14 = [
-	// Array of data defining level 14
-	// shapeType,    x,     y, velocityX, velocityY, angularVel,               newVelocity,      growing, linearMovementData,   circularMovementData
-	[9], //passing score
-	[     'area',  400,   100,         0,         0,          0, [[14500, [0, 150000, 0]]],           [],                 [], [0, -1, 200, 5000, 0]],
-	[   'square', -465,   300,       150,        -5,          2, [[ 9500, [0, 150000, 0]]],           [],                 [],                    []],
-	[   'square', 1955,   300,      -220,         5,          2, [[ 9500, [0, 150000, 0]]],           [],                 [],                    []],
-	[   'square', -120,  -105,       150,       120,          2, [[ 9500, [0, 150000, 0]]],           [],                 [],                    []],
-	['armored_1',  420,   -90,         0,       120,          1,                        [],           [],                 [],                    []],
-	['armored_2',  220,  -190,         0,       150,          1,                        [],           [],                 [],                    []],
-	['armored_3',  720,  -550,         0,       170,          1,                        [],           [],                 [],                    []],
-	['armored_1',  550,  -550,         0,       100,          1,                        [],           [],                 [],                    []],
-	['armored_1',  230,  -823,         0,       120,          1,                        [],           [],                 [],                    []],
-	['armored_1',  750,  -950,         0,       110,          1,                        [],           [],                 [],                    []],
-	['armored_3',  320, -1050,         0,       170,          1,                        [], [[0,[0, 2]]],                 [],                    []],
-	['armored_3',  620, -1250,         0,       170,          1,                        [], [[0,[0, 2]]],                 [],                    []],
-	['armored_3',  120, -1130,         0,       170,          1,                        [], [[0,[0, 2]]],                 [],                    []],
-];
-const level15 = [
-	// Array of data defining level 15
-	//  shapeType,   x,     y, velocityX, velocityY, angularVel, newVelocity,       growing,             linearMovementData, circularMovementData
-	[16], //passing score                                        
-	[  'triangle', 120,  -250,        0,        150,          2,          [],            [],                             [],                  []],
-	[  'triangle', 620,  -250,        0,        150,          2,          [],            [],                             [],                  []],
-	[    'square', 400,  -250,        0,        150,          2,          [],            [], [[   0, [1000, -1,  1400, 0]]],                  []],
-	[    'square', 400,  -250,        0,        150,          2,          [],            [], [[ 700, [1000, -1,  1400, 0]]],                  []],
-	[    'square', 400,  -250,        0,        150,          2,          [],            [], [[ 250, [1000, -1,  1400, 0]]],                  []],
-	
-	[  'triangle', 420,  -450,        0,        150,          2,          [],            [],                             [],                  []],
-	[    'square', 400,  -450,        0,        150,          2,          [],            [], [[ 120, [1000, -1,  1400, 0]]],                  []],
-	[    'square', 400,  -450,        0,        150,          2,          [],            [], [[ 320, [1000, -1,  1400, 0]]],                  []],
-	[    'square', 400,  -450,        0,        150,          2,          [],            [], [[ 430, [1000, -1,  1400, 0]]],                  []],
-	[    'square', 400,  -450,        0,        150,          2,          [],            [], [[ 754, [1000, -1, -1400, 0]]],                  []],
-	
-	[  'triangle', 239,  -650,        0,        150,          2,          [],            [],                             [],                  []],
-	[  'triangle', 721,  -650,        0,        150,          2,          [],            [],                             [],                  []],
-	[    'square', 400,  -650,        0,        150,          2,          [],            [], [[ 127, [1000, -1,  1400, 0]]],                  []],
-	[    'square', 400,  -650,        0,        150,          2,          [],            [], [[ 453, [1000, -1, -1400, 0]]],                  []],
-	[    'square', 400,  -650,        0,        150,          2,          [],            [], [[ 785, [1000, -1, -1400, 0]]],                  []],
-	[    'square', 400,  -650,        0,        150,          2,          [],            [], [[1142, [1000, -1,  1400, 0]]],                  []],
-	[    'square', 400,  -650,        0,        150,          2,          [],            [], [[1339, [1000, -1,  1400, 0]]],                  []],
-	['intangible',  25, -1000,        0,        300,          1,          [],            [],                             [],                  []],
-	
-	[    'square', 600,  -950,        0,        150,          2,          [], [[0, [0, 2]]], [[   0, [ 500, -1,  1400, 0]]],                  []],
-	[ 'armored_1', 200, -1000,        0,        150,          1,          [],            [],                             [],                  []],
-	[ 'armored_1', 225, -1050,        0,        150,          1,          [],            [],                             [],                  []],
-	['intangible', 275, -1000,        0,        150,          1,          [],            [],                             [],                  []],
-	[  'triangle', 600, -2800,        0,        250,          2,          [],            [],                             [],                  []],
-	[  'triangle', 600, -2920,        0,        250,          2,          [],            [],                             [],                  []],
-	[  'triangle', 600, -3020,        0,        250,          2,          [],            [],                             [],                  []],
-	[  'triangle', 600, -3120,        0,        250,          2,          [],            [],                             [],                  []],
-	[  'triangle', 600, -3220,        0,        250,          2,          [],            [],                             [],                  []],
-	[  'triangle', 400, -3420,        0,        250,          2,          [],            [],                             [],                  []],
-	[  'triangle', 400, -3520,        0,        250,          2,          [],            [],                             [],                  []],
-	[  'triangle', 400, -3620,        0,        250,          2,          [],            [],                             [],                  []],
-	[  'triangle', 200, -3900,        0,        250,          2,          [],            [],                             [],                  []],
-	[  'triangle', 200, -4000,        0,        250,          2,          [],            [],                             [],                  []],
-	[   'stealth',  50, -3300,        0,        250,          2,          [],            [],                             [],                  []],
-	[   'stealth', 750, -3750,        0,        250,          2,          [],            [],                             [],                  []],
-	
-	//architecture, points, velocityY
-	['architecture', [{x:105.5, y:-1033}, {x:132.5, y:-1111}, {x:215.5, y:-1123}, {x:296.5, y:-1107}, {x:345.5, y:-1035}, {x:321.5, y:-915}, {x:190.5, y:-895}, {x:105.5, y:-946}, {x:104.5, y:-1035}, {x:55.5, y:-1034}, {x:51.5, y:-919}, {x:148.5, y:-850}, {x:343.5, y:-860}, {x:420.5, y:-1036}, {x:359.5, y:-1146}, {x:216.5, y:-1183}, {x:97.5, y:-1163}, {x:52.5, y:-1020}, ], 150],
-	['architecture', [{x:0, y:-2781}, {x:590, y:-2781}, {x:500, y:-3242}, {x:0, y:-3242}], 250],
-	['architecture', [{x:800, y:-2781},{x:610, y:-2781},{x:700, y:-3242}, {x:800, y:-3242}], 250],
-	['architecture', [{x:0, y:-3400},{x:392, y:-3400},{x:350, y:-3700}, {x:0, y:-3700}], 250],
-	['architecture', [{x:800, y:-3400},{x:408, y:-3400},{x:450, y:-3700}, {x:800, y:-3700}], 250],
-	['architecture', [{x:0, y:-3850},{x:195, y:-3850},{x:150, y:-4000}, {x:0, y:-4000}], 250],
-	['architecture', [{x:800, y:-3850},{x:205, y:-3850},{x:250, y:-4000}, {x:800, y:-4000}], 250],
-]
-const level16 = [
-	// Array of data defining level 16
-	//shapeType,   x,    y, velocityX, velocityY, angularVel,           newVelocity,                           growing, linearMovementData, circularMovementData
-	[21], //passing score
-	[  'square', 150,  -20,         0,        50,         -2, [[10000, [0, 20, 0]]], [[0, [0, 0.2]],[100, [28000, 5]]],                 [],                  []],
-	[  'square', 250,  -20,         0,        50,         -2, [[10000, [0, 20, 0]]], [[0, [0, 0.2]],[100, [28000, 5]]],                 [],                  []],
-	[  'square', 350,  -20,         0,        50,         -2, [[10000, [0, 20, 0]]], [[0, [0, 0.2]],[100, [28000, 5]]],                 [],                  []],
-	[  'square', 450,  -20,         0,        50,         -2, [[10000, [0, 20, 0]]], [[0, [0, 0.2]],[100, [28000, 5]]],                 [],                  []],
-	[  'square', 550,  -20,         0,        50,         -2, [[10000, [0, 20, 0]]], [[0, [0, 0.2]],[100, [28000, 5]]],                 [],                  []],
-	[  'square', 650,  -20,         0,        50,         -2, [[10000, [0, 20, 0]]], [[0, [0, 0.2]],[100, [28000, 5]]],                 [],                  []],
-	
-	[  'square', 150, -120,         0,        50,         -2, [[10000, [0, 50, 0]]], [[0, [0, 0.2]],[100, [28000, 5]]],                 [],                  []],
-	[  'square', 150, -220,         0,        50,         -2, [[10000, [0, 50, 0]]], [[0, [0, 0.2]],[100, [28000, 5]]],                 [],                  []],
-	
-	[  'square', 650, -120,         0,        50,         -2, [[10000, [0, 50, 0]]], [[0, [0, 0.2]],[100, [28000, 5]]],                 [],                  []],
-	[  'square', 650, -220,         0,        50,         -2, [[10000, [0, 50, 0]]], [[0, [0, 0.2]],[100, [28000, 5]]],                 [],                  []],
-	
-	[  'square', 150, -320,         0,        50,         -2, [[10000, [0, 50, 0]]], [[0, [0, 0.2]],[100, [28000, 5]]],                 [],                  []],
-	[  'square', 250, -320,         0,        50,         -2, [[10000, [0, 50, 0]]], [[0, [0, 0.2]],[100, [28000, 5]]],                 [],                  []],
-	[  'square', 350, -320,         0,        50,         -2, [[10000, [0, 50, 0]]], [[0, [0, 0.2]],[100, [28000, 5]]],                 [],                  []],
-	[  'square', 450, -320,         0,        50,         -2, [[10000, [0, 50, 0]]], [[0, [0, 0.2]],[100, [28000, 5]]],                 [],                  []],
-	[  'square', 550, -320,         0,        50,         -2, [[10000, [0, 50, 0]]], [[0, [0, 0.2]],[100, [28000, 5]]],                 [],                  []],
-	[  'square', 650, -320,         0,        50,         -2, [[10000, [0, 50, 0]]], [[0, [0, 0.2]],[100, [28000, 5]]],                 [],                  []],
-	
-	['triangle', 253, -127,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-	['triangle', 302, -119,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-	['triangle', 359, -115,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-	['triangle', 432, -130,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-	['triangle', 499, -122,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-	['triangle', 562, -123,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-	['triangle', 452,  -83,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-	['triangle', 252,  -75,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-	['triangle', 552,  -71,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-	
-	['triangle', 247, -241,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-	['triangle', 314, -230,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-	['triangle', 372, -222,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-	['triangle', 443, -214,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-	['triangle', 519, -228,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-	['triangle', 572, -223,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-	
-	['triangle', 253, -167,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-	['triangle', 302, -185,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-	['triangle', 359, -162,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-	['triangle', 432, -187,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-	['triangle', 499, -198,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-	['triangle', 562, -163,         0,        50,          2,                    [],                   [[0, [0, 0.7]]],                 [],                  []],
-];
-const level17 = [
-	// Array of data defining level 17
-	//shapeType,   x,    y, velocityX, velocityY, angularVel, newVelocity,                             growing, linearMovementData, circularMovementData
-	[13], //passing score
-	['triangle', 350, -100,        0,        100,          2,          [], [[0, [0, 1.5]], [100, [7600, 0.7]]],                 [],                  []],
-	['triangle', 350, -200,        0,        100,          2,          [], [[0, [0, 1.5]], [100, [7600, 0.7]]],                 [],                  []],
-	['triangle', 400, -250,        0,        100,          2,          [], [[0, [0, 1.5]], [100, [7600, 0.7]]],                 [],                  []],
-	['triangle', 450, -300,        0,        100,          2,          [], [[0, [0, 1.5]], [100, [7600, 0.7]]],                 [],                  []],
-	['triangle', 500, -350,        0,        100,          2,          [], [[0, [0, 1.5]], [100, [7600, 0.7]]],                 [],                  []],
-	['triangle', 550, -400,        0,        100,          2,          [], [[0, [0, 1.5]], [100, [7600, 0.7]]],                 [],                  []],
-	['triangle', 600, -450,        0,        100,          2,          [], [[0, [0, 1.5]], [100, [7600, 0.7]]],                 [],                  []],
-	['triangle', 650, -500,        0,        100,          2,          [], [[0, [0, 1.5]], [100, [7600, 0.7]]],                 [],                  []],
-	['triangle', 650, -600,        0,        100,          2,          [], [[0, [0, 1.5]], [100, [7600, 0.7]]],                 [],                  []],
-	['triangle', 550, -600,        0,        100,          2,          [], [[0, [0, 1.5]], [100, [7600, 0.7]]],                 [],                  []],
-	['triangle', 450, -600,        0,        100,          2,          [], [[0, [0, 1.5]], [100, [7600, 0.7]]],                 [],                  []],
-	['triangle', 350, -600,        0,        100,          2,          [], [[0, [0, 1.5]], [100, [7600, 0.7]]],                 [],                  []],
-	['triangle', 250, -600,        0,        100,          2,          [], [[0, [0, 1.5]], [100, [7600, 0.7]]],                 [],                  []],
-	['triangle', 200, -650,        0,        100,          2,          [], [[0, [0, 1.5]], [100, [7600, 0.7]]],                 [],                  []],
-	
-	[  'square', 350, -150,        0,        100,          2,          [], [[0, [0, 0.5]], [100, [7600, 1.3]]],                 [],                  []],
-	[  'square', 350, -250,        0,        100,          2,          [], [[0, [0, 0.5]], [100, [7600, 1.3]]],                 [],                  []],
-	[  'square', 450, -250,        0,        100,          2,          [], [[0, [0, 0.5]], [100, [7600, 1.3]]],                 [],                  []],
-	[  'square', 450, -350,        0,        100,          2,          [], [[0, [0, 0.5]], [100, [7600, 1.3]]],                 [],                  []],
-	[  'square', 550, -350,        0,        100,          2,          [], [[0, [0, 0.5]], [100, [7600, 1.3]]],                 [],                  []],
-	[  'square', 600, -400,        0,        100,          2,          [], [[0, [0, 0.5]], [100, [7600, 1.3]]],                 [],                  []],
-	[  'square', 600, -500,        0,        100,          2,          [], [[0, [0, 0.5]], [100, [7600, 1.3]]],                 [],                  []],
-	[  'square', 650, -550,        0,        100,          2,          [], [[0, [0, 0.5]], [100, [7600, 1.3]]],                 [],                  []],
-	[  'square', 600, -600,        0,        100,          2,          [], [[0, [0, 0.5]], [100, [7600, 1.3]]],                 [],                  []],
-	[  'square', 500, -600,        0,        100,          2,          [], [[0, [0, 0.5]], [100, [7600, 1.3]]],                 [],                  []],
-	[  'square', 400, -600,        0,        100,          2,          [], [[0, [0, 0.5]], [100, [7600, 1.3]]],                 [],                  []],
-	[  'square', 300, -600,        0,        100,          2,          [], [[0, [0, 0.5]], [100, [7600, 1.3]]],                 [],                  []],
-	[  'square', 200, -600,        0,        100,          2,          [], [[0, [0, 0.5]], [100, [7600, 1.3]]],                 [],                  []],
-	[  'square', 200, -700,        0,        100,          2,          [], [[0, [0, 0.5]], [100, [7600, 1.3]]],                 [],                  []],
-];
-
-const level18 = [
-    // Array of data defining level 18
-	//        shapeType,   x,     y, velocityX, velocityY, angularVel,                    newVelocity,        growing, linearMovementData, circularMovementData
-	[23], //passing score                                                                                     
-	[          'square',  50,  -150,         0,       250,         10,                             [],             [],                 [],                  []],
-	[          'square', 550,  -175,         0,       250,         10,                             [],             [],                 [],                  []],
-	[          'square', 250,  -200,         0,       250,         10,                             [],             [],                 [],                  []],
-	[        'triangle',  75,  -225,         0,       250,          5,                             [],             [],                 [],                  []],
-	[        'triangle', 705,  -183,         0,       250,          5,                             [],             [],                 [],                  []],
-	[        'triangle', 425,  -250,         0,       250,          5,                             [],             [],                 [],                  []],
-	[          'square', 750,  -225,         0,       250,         10,                             [],             [],                 [],                  []],
-	[          'square', 420,  -325,         0,       250,         10,                             [],             [],                 [],                  []],
-	[          'square',  83,  -350,         0,       250,         10,                             [],             [],                 [],                  []],
-	[        'triangle', 675,  -375,         0,       250,          5,                             [],             [],                 [],                  []],
-	[          'square', 240,  -450,         0,       250,         10,                             [],             [],                 [],                  []],
-	[          'square', 660,  -525,         0,       250,         10,                             [],             [],                 [],                  []],
-	[        'triangle',  80,  -680,         0,       250,          5,                             [],             [],                 [],                  []],
-	[        'triangle', 320,  -760,         0,       250,          5,                             [],             [],                 [],                  []],
-	[        'triangle', 540,  -800,         0,       250,          5,                             [],             [],                 [],                  []],
-	[          'square', 700,  -950,         0,       250,         10,                             [],             [],                 [],                  []],
-	[          'square', 450, -1000,         0,       250,         10,                             [],             [],                 [],                  []],
-	[        'triangle', 76,  -1020,         0,       250,          5,                             [],             [],                 [],                  []],
-	[        'triangle', 88,  -1200,         0,       250,          5,                             [],             [],                 [],                  []],
-	[        'triangle', 620, -1250,         0,       250,          5,                             [],             [],                 [],                  []],
-	[        'triangle', 300, -1320,         0,       250,          5,                             [],             [],                 [],                  []],
-	[          'square', 500, -1400,         0,       250,         10,                             [],             [],                 [],                  []],
-	[        'triangle', 200, -1480,         0,       250,          5,                             [],             [],                 [],                  []],
-	[        'triangle',  50, -1700,         0,       250,          5,                             [],             [],                 [],                  []],
-	[        'triangle',  50, -1800,         0,       250,          5,                             [],             [],                 [],                  []],
-	[        'triangle',  50, -1900,         0,       250,          5,                             [],             [],                 [],                  []],
-	[        'triangle', 700, -1860,         0,       250,          5,                             [],             [],                 [],                  []],
-	[          'square', 600, -1940,         0,       250,         10,                             [],             [],                 [],                  []],
-	[        'triangle', 100, -2400,         0,       250,          5,                             [],             [],                 [],                  []],
-	[        'triangle', 100, -2100,         0,       250,          5,                             [],             [],                 [],                  []],
-	[        'triangle', 700, -2400,         0,       250,          5,                             [],             [],                 [],                  []],
-	[        'triangle', 700, -2100,         0,       250,          5,                             [],             [],                 [],                  []],
-	[        'triangle', 200, -2650,         0,       250,          5,                             [],             [],                 [],                  []],
-	[        'triangle', 250, -2700,         0,       250,          5,                             [],             [],                 [],                  []],
-	[        'triangle', 300, -2750,         0,       250,          5,                             [],             [],                 [],                  []],
-	[        'triangle', 750, -2800,         0,       250,          5,                             [],             [],                 [],                  []],
-	[          'square', 200, -3240,         0,       250,         10,                             [],             [],                 [],                  []],
-	[          'square', 200, -3340,         0,       250,         10,                             [],             [],                 [],                  []],
-	[          'square', 200, -3440,         0,       250,         10,                             [],             [],                 [],                  []],
-	[        'triangle', 200, -3540,         0,       250,          5,                             [],             [],                 [],                  []],
-	['clear-friendlies', 400,  -100,         0,         0,          5,          [[8016, [0, 400, 0]]], [[0,[0, 1.2]]],                 [],                  []],
-	
-	
-	//architecture,	points, velocityY
-	['architecture', [{x: 100, y:-2000}, {x:100, y:-1600}, {x:900, y:-1600}, ], 250],
-	['architecture', [{x: 300, y:-2100}, {x: 300, y:-2400}, {x:308, y:-2446}, {x:339, y:-2488}, {x:362, y:-2521}, {x:404, y:-2542}, {x:450, y:-2550}, {x:496, y:-2542}, {x:538, y:-2521}, {x:561, y:-2488}, {x:592, y:-2446}, 
-					  {x: 600, y:-2400}, {x: 600, y:-2100}, {x:592, y:-2054}, {x:561, y:-2012}, {x:538, y:-1979}, {x:496, y:-1958}, {x:450, y:-1950}, {x:404, y:-1958}, {x:362, y:-1979}, {x:339, y:-2012}, {x:308, y:-2058}], 250],
-	['architecture', [{x: 400, y:-2600}, {x:650, y:-2700}, {x:900, y:-2600}, {x:650, y:-2850}], 250],
-]       
-const level19 = [
-    // Array of data defining level 19
-	//shapeType,   x,     y, velocityX, velocityY, angularVel, newVelocity,                               growing,           linearMovementData,   circularMovementData
-	[17], //passing score                                                   
-	['triangle', 150,  -150,         0,       250,          5,          [],                                    [],                           [],                    []],
-	['triangle', 750,  -150,         0,       250,          5,          [],                                    [],                           [],                    []],
-	['triangle', 150,  -590,         0,       250,          5,          [],                                    [],                           [],                    []],
-	['triangle', 750,  -590,         0,       250,          5,          [],                                    [],                           [],                    []],
-	[  'square', 100,  -850,         0,       250,          5,          [],                                    [], [[  0, [ 250, -1, 1200, 0]]],                    []],
-	[  'square', 300,  -850,         0,       250,          5,          [],                                    [], [[125, [ 250, -1, 1200, 0]]],                    []],
-	[  'square', 500,  -850,         0,       250,          5,          [],                                    [], [[  0, [ 250, -1, 1200, 0]]],                    []],
-	[  'square', 700,  -850,         0,       250,          5,          [],                                    [], [[125, [ 250, -1, 1200, 0]]],                    []],
-	['triangle', 150,  -930,         0,       250,          5,          [],                                    [],                           [],                    []],
-	['triangle', 450,  -930,         0,       250,          5,          [],                                    [],                           [],                    []],
-	['triangle', 750,  -930,         0,       250,          5,          [],                                    [],                           [],                    []],
-	['slowtime', 250,  -958,         0,       250,          5,          [],                                    [],                           [],                    []],
-	['triangle', 400, -1090,         0,       250,          5,          [],                                    [],                           [],                    []],
-	[  'square', 100, -1150,         0,       250,          5,          [],                                    [], [[  0, [ 250, -1, 1200, 0]]],                    []],
-	[  'square', 300, -1150,         0,       250,          5,          [],                                    [], [[125, [ 250, -1, 1200, 0]]],                    []],
-	[  'square', 500, -1150,         0,       250,          5,          [],                                    [], [[  0, [ 250, -1, 1200, 0]]],                    []],
-	[  'square', 700, -1150,         0,       250,          5,          [],                                    [], [[125, [ 250, -1, 1200, 0]]],                    []],
-	[  'square', 100, -1300,         0,       250,          5,          [],                                    [], [[  0, [ 250, -1, 1200, 0]]],                    []],
-	[  'square', 300, -1300,         0,       250,          5,          [],                                    [], [[125, [ 250, -1, 1200, 0]]],                    []],
-	[  'square', 500, -1300,         0,       250,          5,          [],                                    [], [[  0, [ 250, -1, 1200, 0]]],                    []],
-	[  'square', 700, -1300,         0,       250,          5,          [],                                    [], [[125, [ 250, -1, 1200, 0]]],                    []],
-	[  'square', 100, -1450,         0,       250,          5,          [],                                    [], [[  0, [ 250, -1, 1200, 0]]],                    []],
-	[  'square', 300, -1450,         0,       250,          5,          [],                                    [], [[125, [ 250, -1, 1200, 0]]],                    []],
-	[  'square', 500, -1450,         0,       250,          5,          [],                                    [], [[  0, [ 250, -1, 1200, 0]]],                    []],
-	[  'square', 700, -1450,         0,       250,          5,          [],                                    [], [[125, [ 250, -1, 1200, 0]]],                    []],
-	['triangle', 620, -1490,         0,       250,          5,          [],                                    [],                           [], [0, -1, 150, 2000, 0]],
-	['triangle', 220, -1490,         0,       250,          5,          [],                                    [],                           [], [0, -1, 150, 2000, 0]],
-	['triangle', 700, -1780,         0,       250,          5,          [],                                    [],                           [],                    []],
-	[  'square',  50, -2400,         0,       250,         10,          [],                                    [], [[  0, [1000, -1, 0, 1200]]],                    []],
-	['triangle', 150, -2100,         0,       250,          5,          [],                                    [],                           [],                    []],
-	['triangle', 700, -2480,         0,       250,          5,          [],                                    [],                           [],                    []],
-	['triangle', 250, -2700,         0,       250,          2,          [], [[0, [0,   3]], [12000, [1300, 0.5]]],                           [],                    []],
-	['triangle', 550, -2700,         0,       250,          2,          [], [[0, [0,   3]], [12000, [1300, 0.5]]],                           [],                    []],
-	['triangle', 250, -2900,         0,       250,          2,          [], [[0, [0,   3]], [12000, [1300, 0.5]]],                           [],                    []],
-	['triangle', 550, -2900,         0,       250,          2,          [], [[0, [0,   3]], [12000, [1300, 0.5]]],                           [],                    []],
-	['triangle', 200, -3100,         0,       250,          2,          [], [[0, [0,   3]], [12000, [1300, 0.5]]],                           [],                    []],
-	['triangle', 400, -3100,         0,       250,          2,          [], [[0, [0,   3]], [12000, [1300, 0.5]]],                           [],                    []],
-	['triangle', 600, -3100,         0,       250,          2,          [], [[0, [0,   3]], [12000, [1300, 0.5]]],                           [],                    []],
-	[  'square', 100, -2700,         0,       250,          3,          [], [[0, [0, 0.2]], [12000, [1300, 1.5]]],                           [],                    []],
-	[  'square', 400, -2700,         0,       250,          3,          [], [[0, [0, 0.2]], [12000, [1300, 1.5]]],                           [],                    []],
-	[  'square', 700, -2700,         0,       250,          3,          [], [[0, [0, 0.2]], [12000, [1300, 1.5]]],                           [],                    []],
-	[  'square', 150, -2800,         0,       250,          3,          [], [[0, [0, 0.2]], [12000, [1300, 1.5]]],                           [],                    []],
-	[  'square', 400, -2800,         0,       250,          3,          [], [[0, [0, 0.2]], [12000, [1300, 1.5]]],                           [],                    []],
-	[  'square', 550, -2800,         0,       250,          3,          [], [[0, [0, 0.2]], [12000, [1300, 1.5]]],                           [],                    []],
-	[  'square', 700, -2800,         0,       250,          3,          [], [[0, [0, 0.2]], [12000, [1300, 1.5]]],                           [],                    []],
-	[  'square', 100, -2900,         0,       250,          3,          [], [[0, [0, 0.2]], [12000, [1300, 1.5]]],                           [],                    []],
-	[  'square', 400, -2900,         0,       250,          3,          [], [[0, [0, 0.2]], [12000, [1300, 1.5]]],                           [],                    []],
-	[  'square', 700, -2900,         0,       250,          3,          [], [[0, [0, 0.2]], [12000, [1300, 1.5]]],                           [],                    []],
-	[  'square', 150, -3000,         0,       250,          3,          [], [[0, [0, 0.2]], [12000, [1300, 1.5]]],                           [],                    []],
-	[  'square', 400, -3000,         0,       250,          3,          [], [[0, [0, 0.2]], [12000, [1300, 1.5]]],                           [],                    []],
-	[  'square', 550, -3000,         0,       250,          3,          [], [[0, [0, 0.2]], [12000, [1300, 1.5]]],                           [],                    []],
-	[  'square', 700, -3000,         0,       250,          3,          [], [[0, [0, 0.2]], [12000, [1300, 1.5]]],                           [],                    []],
-	[  'square',  50, -3100,         0,       250,          3,          [], [[0, [0, 0.2]], [12000, [1300, 1.5]]],                           [],                    []],
-	[  'square', 150, -3200,         0,       250,          3,          [], [[0, [0, 0.2]], [12000, [1300, 1.5]]],                           [],                    []],
-	[  'square', 400, -3200,         0,       250,          3,          [], [[0, [0, 0.2]], [12000, [1300, 1.5]]],                           [],                    []],
-	[  'square', 550, -3200,         0,       250,          3,          [], [[0, [0, 0.2]], [12000, [1300, 1.5]]],                           [],                    []],
-	[  'square', 700, -3200,         0,       250,          3,          [], [[0, [0, 0.2]], [12000, [1300, 1.5]]],                           [],                    []],
-	
-	//architecture,	points, velocityY
-	['architecture', [{x:800, y:-400}, {x: 625, y:-97}, {x:275, y:-97}, {x:100, y:-400}, {x:274, y:-703}, {x:625, y:-703}], 250],
-	['architecture', [{x:100, y:-1700}, {x: 600, y:-1700}, {x:609, y:-1762}, {x:638, y:-1817}, {x:682, y:-1862}, {x:738, y:-1890}, {x:800, y:-1900}, {x:800, y:-2400},
-		{x:690, y:-2391}, {x:583, y:-2366}, {x:482, y:-2324}, {x:388, y:-2266}, {x:305, y:-2194}, {x:233, y:-2111}, {x:176, y:-2017}, {x:134, y:-1916}, {x:108, y:-1810}], 250],
-]
-
-const level20 = [
-	// Array of data defining level 20
-	//        shapeType,   x,     y, velocityX, velocityY, angularVel, newVelocity,        growing,                                                                          linearMovementData,      circularMovementData
-	[36], //passing score
-	[        'triangle', 530,  -142,         0,       250,          2,          [],             [], 																					     [], 				       []],
-	[        'triangle', 560,  -192,         0,       250,          2,          [],             [], 																					     [], 				       []],
-	[        'triangle', 590,  -242,         0,       250,          2,          [],             [], 																					     [], 				       []],
-	[        'triangle', 620,  -292,         0,       250,          2,          [],             [], 																					     [], 				       []],
-	[        'triangle', 650,  -342,         0,       250,          2,          [],             [], 																					     [], 				       []],
-	[          'square', 600,  -350,         0,       250,          2,          [],  		    [], 																					     [], 				       []],
-	[          'square', 650,  -400,         0,       250,          2,          [],  		    [], 																					     [], 				       []],
-	[          'square', 700,  -350,         0,       250,          2,          [],  	  	    [], 																					     [], 				       []],
-	[        'triangle', 270,  -542,         0,       250,          2,          [],             [], 																					     [], 				       []],
-	[        'triangle', 240,  -592,         0,       250,          2,          [],             [], 																					     [], 				       []],
-	[        'triangle', 210,  -642,         0,       250,          2,          [],             [], 																					     [], 				       []],
-	[        'triangle', 180,  -692,         0,       250,          2,          [],             [], 																					     [], 				       []],
-	[        'triangle', 150,  -742,         0,       250,          2,          [],             [], 																					     [], 				       []],
-	[          'square', 200,  -750,         0,       250,          2,          [],  		    [], 																					     [], 				       []],
-	[          'square', 150,  -800,         0,       250,          2,          [],  		    [], 																					     [], 				       []],
-	[          'square', 100,  -750,         0,       250,          2,          [],  		    [], 																					     [], 				       []],
-	[        'triangle', 470,  -842,         0,       250,          2,          [],             [], 																					     [], 				       []],
-	[        'triangle', 500,  -892,         0,       250,          2,          [],             [], 																					     [], 				       []],
-	[        'triangle', 530,  -942,         0,       250,          2,          [],             [], 																					     [], 				       []],
-	[        'triangle', 560,  -992,         0,       250,          2,          [],             [], 																					     [], 				       []],
-	[        'triangle', 590, -1042,         0,       250,          2,          [],             [], 																					     [], 				       []],
-	[          'square', 540, -1050,         0,       250,          2,          [],  		    [], 																					     [], 				       []],
-	[          'square', 590, -1100,         0,       250,          2,          [],  		    [], 																					     [], 				       []],
-	[          'square', 640, -1050,         0,       250,          2,          [],  		    [], 																					     [], 				       []],
-	[          'square', 400, -1412,         0,       250,          2,          [],  		    [], 																					     [], 				       []],
-	[        'triangle', 620, -1350,         0,       250,          5,          [],             [], 																					     [], [   0, -1, 130, 2000, 0]],
-	[        'triangle', 420, -1490,         0,       250,          5,          [],             [], 																					     [], [ 500, -1, 120, 1000, 0]],
-	[        'triangle', 620, -1670,         0,       250,          5,          [],             [], 																					     [], [1250, -1, 150, 2000, 0]],
-	[        'triangle', 220, -1580,         0,       250,          5,          [],             [], 																  [[0, [1000, -1, 520, 0]]], 				       []],
-	[        'triangle',  35, -2150,         0,       250,          2,          [],             [], 																					     [], 				       []],
-	[         'stealth', 415, -1850,         0,       250,          2,          [],             [], 																					     [], 				       []],
-	[          'square', 490, -2350,         0,       250,          2,          [],             [], 															  [[0, [1000, -1, -320, 1020]]], 				       []],
-	[        'armored_1', 35, -2400,         0,       250,          2,          [],             [], 																					     [], 				       []],
-	[          'square', 115, -2490,         0,       250,          2,          [],             [],											 						  [[0, [1000, -1, 320, 0]]], 				       []],
-	[        'armored_1', 55, -2550,         0,       250,          2,          [],             [], 																					     [], 				       []],
-	[          'square', 115, -2630,         0,       250,          2,          [],             [],    																[[500, [1000, -1, 0, 320]]], 				       []],
-	[        'triangle', 620, -2670,         0,       250,          5,          [],             [], 																					     [], [   0, -1, 180, 3000, 0]],
-	[        'triangle',  35, -2950,         0,       250,          2,          [],             [],    [[12000, [1000, 1, 0, -520]], [12500, [1000, 1, -320, 520]],[13000, [1000, 1, 320, 20]]],                       []],
-	[        'triangle',  50, -3100,         0,       250,          0,          [], [[0, [0,1.5]]], 																					     [],                       []],
-	[        'triangle',  50, -3250,         0,       250,          0,          [], [[0, [0,1.5]]], 																					     [],                       []],
-	[        'triangle', 225, -3250,         0,       250,          0,          [], [[0, [0,1.5]]], 																					     [],                       []],
-	[        'triangle', 400, -3250,         0,       250,          0,          [], [[0, [0,1.5]]], 																					     [],                       []],
-	[        'triangle', 575, -3250,         0,       250,          0,          [], [[0, [0,1.5]]], 																					     [],                       []],
-	[        'triangle', 750, -3250,         0,       250,          0,          [], [[0, [0,1.5]]], 																					     [],                       []],
-	[        'triangle', 750, -3350,         0,       250,          0,          [], [[0, [0,1.5]]], 																					     [],                       []],
-	[        'triangle',  50, -3450,         0,       250,          0,          [], [[0, [0,1.5]]], 																					     [],                       []],
-	[        'triangle', 225, -3450,         0,       250,          0,          [], [[0, [0,1.5]]], 																					     [],                       []],
-	[        'triangle', 400, -3450,         0,       250,          0,          [], [[0, [0,1.5]]], 																					     [],                       []],
-	[        'triangle', 575, -3450,         0,       250,          0,          [], [[0, [0,1.5]]], 																					     [],                       []],
-	[        'triangle', 750, -3450,         0,       250,          0,          [], [[0, [0,1.5]]], 																					     [],                       []],
-	[        'triangle',  50, -3550,         0,       250,          0,          [], [[0, [0,1.5]]], 																					     [],                       []],
-	['clear-friendlies', 750, -2600,         0,       350,          0,          [], [[0, [0,1.5]]], 																					     [],                       []],
-	
-	//architecture,	points, velocityY
-	['architecture', [{x:230, y:-320}, {x: 136, y:-420}, {x:191, y:-470}, {x:230, y:-420}, {x:350, y:-525}, {x:402, y:-475}], 250],
-	['architecture', [{x:600,y:-620},{x:620,y:-556},{x:695,y:-551},{x:638,y:-520},{x:659,y:-439},{x:600,y:-484},{x:541,y:-439},{x:562,y:-520},{x:505,y:-551},{x:580,y:-556}], 250],
-	['architecture', [{x:300,y:-870},{x:320,y:-806},{x:395,y:-801},{x:338,y:-770},{x:359,y:-689},{x:300,y:-734},{x:241,y:-689},{x:262,y:-770},{x:205,y:-801},{x:280,y:-806}], 250],
-	['architecture', [{'x':675,'y':-925},{'x':675,'y':-1075},{'x':679,'y':-1098},{'x':694,'y':-1119},{'x':706,'y':-1135},{'x':727,'y':-1146},{'x':750,'y':-1150},{'x':773,'y':-1146},{'x':794,'y':-1135},{'x':805,'y':-1119},{'x':821,'y':-1098},{'x':825,'y':-1075},{'x':825,'y':-925},{'x':821,'y':-902},{'x':805,'y':-881},{'x':794,'y':-864},{'x':773,'y':-854},{'x':750,'y':-850},{'x':727,'y':-854},{'x':706,'y':-864},{'x':694.5,'y':-881},{'x':679,'y':-904}], 250],
-	['architecture', [{x:600,y:-1520},{x:620,y:-1456},{x:695,y:-1451},{x:638,y:-1420},{x:659,y:-1339},{x:600,y:-1384},{x:541,y:-1339},{x:562,y:-1420},{x:505,y:-1451},{x:580,y:-1456}], 250],
-	['architecture', [{'x':117,'y':-1361},{'x':159,'y':-1319},{'x':230, 'y':-1389},{'x':300,'y':-1319},{'x':343,'y':-1361},{'x':270,'y':-1430},{'x':343, 'y':-1502},{'x':300,'y':-1545},{'x':230,'y':-1470},{'x':159,'y':-1545},{'x':117,'y':-1502}, {'x':190,'y':-1430}],250],
-	['architecture', [{x:450,y:-1620},{x:530,y:-1900},{x:420,y:-1900},{x:520,y:-2330},{x:680,y:-2330},{x:600,y:-2130},{x:730,y:-2130}], 250],
-	['architecture', [{x:210,y:-2010},{x:50,y:-2200},{x:30,y:-2250},{x:40,y:-2310},{x:50,y:-2320},{x:60,y:-2330},{x:100,y:-2340},{x:150,y:-2350},{x:170,y:-2340},{x:185,y:-2325},{x:195,y:-2310},{x:200,y:-2300},{x:210,y:-2280},{x:220,y:-2300},{x:225,y:-2310},{x:235,y:-2325},{x:250,y:-2340},{x:270,y:-2350},{x:320,y:-2340},{x:360,y:-2330},{x:370,y:-2320},{x:380,y:-2310},{x:390,y:-2250},{x:370,y:-2200}], 250],
-	['architecture', [{x:250,y:-2450},{x:0,y:-2700},{x:250,y:-2950},{x:500,y:-2700}], 250],
-	['architecture', [{x:100,y:-3100},{x:100,y:-3200},{x:800,y:-3200},{x:800,y:-3100}], 250],
-	['architecture', [{x:100,y:-3500},{x:100,y:-3600},{x:800,y:-3600},{x:800,y:-3500}], 250],
-	['architecture', [{x:0,y:-3300},{x:0,y:-3400},{x:700,y:-3400},{x:700,y:-3300}], 250],
-];
-	
-/**
- * Usage:
- * These level configurations are imported into the GameScene script where they are used to load levels dynamically.
- * The game engine interprets these configurations to spawn the defined shapes with specified behaviors
- */
-export { level1, level2, level3, level4, level5, level6, level7, level8, level9, level10, level11, level12, level13, level14, level15, level16, level17, level18, level19, level20 };
\ No newline at end of file
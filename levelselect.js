@@ -1,11 +1,13 @@
 /**
  * Class Name: LevelSelect
  * Description: Manages the level selection screen, allowing players to choose from available levels. 
- * Displays level numbers and additional details, and handles user interactions for level selection.
+ * Displays one button per level in the level pack with additional details and the stars earned (see StarRating), and handles user interactions
+ * for level selection. Below the levels are the pack's bonus levels, unlocked by the total stars earned at the current difficulty.
+ * The unlocked levels can also be chosen with the arrow keys or d-pad and Enter (see Menu).
  * Expected Inputs: User interactions for selecting levels.
  * Expected Outputs: Changes the current game scene to the selected level, updating the game state accordingly.
  * Called By: GameScene class when navigating to the level selection from the main menu or escape menu, and the Level class when a level is over
- * Will Call: Phaser library methods for creating UI elements and GameScene methods for loading levels.
+ * Will Call: Phaser library methods for creating UI elements, Menu for the navigation, and GameScene methods for loading levels.
  * @class
  * @author Braeden Ruff
  */
@@ -22,6 +24,9 @@ class LevelSelect {
         this.displayWidth = this.scene.sys.game.config.width; // Full width of the game display.
         this.displayHeight = this.scene.sys.game.config.height; // Full height of the game display.
         this.buttonList = []; // Array to store buttons for each level.
+        this.bonusButtonList = []; // Array to store buttons for each bonus level.
+        this.totalStarsText = null; // Total stars earned at the current difficulty.
+        this.menu = new Menu(scene); // Navigation of the level and bonus level buttons, in that order (see Menu).
         this.create(); // Calls the create method to initialize the level selection UI.
     }
 
@@ -35,16 +40,18 @@ class LevelSelect {
         // Calculate positions and dimensions for level buttons.
         const buttonPadding = 35; // Padding between buttons.
         const buttonSize = 64; // Size of each button, assuming square shape.
+        const columns = 6; // Number of buttons per row.
+        const rows = Math.ceil(this.scene.levels.length / columns); // Enough rows for every level in the level pack.
         // Calculate start positions for the first button.
-        const startX = (this.displayWidth - (6 * buttonSize) - (5 * buttonPadding)) / 2;
-        const startY = (this.displayHeight - (4 * buttonSize) - (3 * buttonPadding)) / 10 * 4;
+        const startX = (this.displayWidth - (columns * buttonSize) - ((columns - 1) * buttonPadding)) / 2;
+        const startY = (this.displayHeight - (rows * buttonSize) - ((rows - 1) * buttonPadding)) / 10 * 4;
 
-        // Dynamically create buttons for levels 1-20.
-        for (let i = 0; i < 20; i++) {
+        // Dynamically create buttons for every level in the level pack.
+        for (let i = 0; i < this.scene.levels.length; i++) {
             let level = i + 1; // Level number.
             // Calculate position for each button based on its index.
-            let x = startX + (i % 6) * (buttonSize + buttonPadding) + buttonSize / 2;
-            let y = startY + Math.floor(i / 6) * (buttonSize + buttonPadding) + buttonSize / 2;
+            let x = startX + (i % columns) * (buttonSize + buttonPadding) + buttonSize / 2;
+            let y = startY + Math.floor(i / columns) * (buttonSize + buttonPadding) + buttonSize / 2;
 
             // Create the main level number button.
             let currButton = this.scene.add.text(x, y - 10, level.toString(), { font: `${buttonSize - 20}px Arial`, fill: '#fff', stroke: '#000', strokeThickness: 4, align: 'center' })
@@ -58,9 +65,14 @@ class LevelSelect {
                 .setOrigin(0.5, 0.5)
                 .setDepth(10001);
 
+            // Create the stars earned below the detail text.
+            let starText = this.scene.add.text(x, y + 34, '', { font: '14px Arial', fill: '#ff0', align: 'center' })
+                .setOrigin(0.5, 0.5)
+                .setDepth(10001);
+
             // Set interaction for each button.
             currButton.on('pointerdown', () => {
-                this.scene.currentLevelIndex = currButton.getData('level') - 1; // the 'level' stores 1-20 while our array is 0-19
+                this.scene.currentLevelIndex = currButton.getData('level') - 1; // the 'level' stores 1-n while our array is 0-(n-1)
                 this.scene.loadCurrentLevel();
 				this.scene.escMenuOpen = false;
                 this.hide(); // Hide the level select menu.
@@ -74,9 +86,36 @@ class LevelSelect {
                 currButton.disableInteractive();
             }
 
-            this.buttonList.push({ currButton, detailText }); // Store button and detail text objects.
+            this.menu.add(currButton);
+            this.buttonList.push({ currButton, detailText, starText }); // Store button, detail text and star text objects.
         }
 
+        // Create the total stars above the levels.
+        this.totalStarsText = this.scene.add.text(this.displayWidth / 2, startY - 50, '', { font: '20px Arial', fill: '#ff0', stroke: '#000', strokeThickness: 4 })
+            .setOrigin(0.5, 0.5)
+            .setDepth(10001);
+
+        // Create a row of buttons for the bonus levels below the levels.
+        const bonusLevels = this.scene.levelPack.bonusLevels;
+        bonusLevels.forEach((bonusLevel, i) => {
+            let x = this.displayWidth / 2 + (i - (bonusLevels.length - 1) / 2) * (buttonSize + buttonPadding) * 2;
+            let y = startY + rows * (buttonSize + buttonPadding) + buttonSize / 2;
+            let currButton = this.scene.add.text(x, y - 10, 'B' + (i + 1), { font: `${buttonSize - 20}px Arial`, fill: '#fff', stroke: '#000', strokeThickness: 4, align: 'center' })
+                .setInteractive()
+                .setOrigin(0.5, 0.5)
+                .setDepth(10001)
+                .on('pointerdown', () => {
+                    this.scene.playBonusLevel(bonusLevel);
+                    this.scene.escMenuOpen = false;
+                    this.hide(); // Hide the level select menu.
+                });
+            let detailText = this.scene.add.text(x, y + 20, '', { font: '10px Arial', fill: '#fff', align: 'center' })
+                .setOrigin(0.5, 0.5)
+                .setDepth(10001);
+            this.menu.add(currButton);
+            this.bonusButtonList.push({ currButton, detailText, bonusLevel });
+        });
+
         this.hide(); // Initially hide the level select UI until specifically shown.
     }
 
@@ -84,17 +123,27 @@ class LevelSelect {
      * Hides the level selection UI, including all buttons and the background.
      */
     hide() {
+        this.menu.close();
         this.buttonList.forEach(buttonObject => {
             buttonObject.currButton.setVisible(false); // Hide each button.
             buttonObject.detailText.setVisible(false); // Hide detail text for each button.
+            buttonObject.starText.setVisible(false); // Hide stars for each button.
+        });
+        this.bonusButtonList.forEach(buttonObject => {
+            buttonObject.currButton.setVisible(false);
+            buttonObject.detailText.setVisible(false);
         });
+        if (this.totalStarsText) {
+            this.totalStarsText.setVisible(false);
+        }
         if (this.background) {
             this.background.setVisible(false); // Hide the background.
         }
     }
 
     /**
-     * Shows the level selection UI, making buttons interactive based on level availability.
+     * Shows the level selection UI, making buttons interactive based on level availability. The current level is focused, or the next
+     * unlocked one after it.
      * @param {number} levelLength - The number of levels available for selection based on difficulty and progression.
      */
     show() {
@@ -112,6 +161,8 @@ class LevelSelect {
                 buttonObject.currButton.setTint(0xffffff); // Normal color
                 buttonObject.currButton.setInteractive();
 				buttonObject.detailText.setVisible(true);
+				buttonObject.starText.setVisible(true);
+				buttonObject.starText.setText(StarRating.toText(this.scene.stars[difficultyIndex][index]));
 				if(this.scene.achievedScores[difficultyIndex][index])
 				{
 					buttonObject.detailText.setText(this.scene.achievedScores[difficultyIndex][index] + '/' + this.scene.maxScores[index]);
@@ -127,8 +178,29 @@ class LevelSelect {
                 buttonObject.currButton.setTint(0xaaaaaa); // Greyed out
                 buttonObject.currButton.disableInteractive();
 				buttonObject.detailText.setVisible(false);
+				buttonObject.starText.setVisible(false);
+            }
+        });
+
+        // Show the total stars, and unlock the bonus levels they're enough for.
+        const totalStars = StarRating.total(this.scene.stars[difficultyIndex]);
+        this.totalStarsText.setVisible(true);
+        this.totalStarsText.setText(`Stars: ${totalStars}/${this.scene.levels.length * StarRating.STARS_PER_LEVEL}`);
+        this.bonusButtonList.forEach(buttonObject => {
+            const unlocked = totalStars >= buttonObject.bonusLevel.requiredStars;
+            buttonObject.currButton.setVisible(true);
+            buttonObject.detailText.setVisible(true);
+            if (unlocked) {
+                buttonObject.currButton.setTint(0xffffff);
+                buttonObject.currButton.setInteractive();
+                buttonObject.detailText.setText(buttonObject.bonusLevel.name);
+            } else {
+                buttonObject.currButton.setTint(0xaaaaaa);
+                buttonObject.currButton.disableInteractive();
+                buttonObject.detailText.setText(`Needs ${buttonObject.bonusLevel.requiredStars} stars`);
             }
         });
+        this.menu.open(this.scene.currentLevelIndex);
 		
 		this.scene.instructions.hide();
 		this.scene.escMenuOpen = false;
@@ -0,0 +1,91 @@
+/**
+ * Class Name: LevelStats
+ * Description: The statistics kept for every level per difficulty (GameScene.stats): attempts (every time the level is started or
+ * restarted), clears, fails, triangles killed, friendly shapes hit, upgrades collected, deaths by running out of energy (see HealthBar),
+ * and the total and best time of the clears (for the average and best completion time). Only recorded runs count, which are the pack's
+ * levels played by the player: replays, test plays, endless runs, daily challenges, bonus levels and runs jumped around in debug mode don't.
+ * Expected Inputs: A level's stats, and the result of a run.
+ * Expected Outputs: New or updated stats, the average completion time, and whether saved stats are well formed.
+ * Called By: GameScene (records the stats), SaveData (validates and copies them), StatsScreen (shows them).
+ * Will Call: Nothing.
+ * @class
+ * @author Braeden Ruff
+ */
+class LevelStats
+{
+	/**
+	 * The counts kept for every level.
+	 */
+	static COUNTS = ['attempts', 'clears', 'fails', 'trianglesKilled', 'friendliesHit', 'upgradesCollected', 'energyDeaths'];
+
+	/**
+	 * Creates the stats of a level that hasn't been played.
+	 * @returns {Object} The stats: every count at 0, no clear time yet.
+	 */
+	static createEmpty()
+	{
+		return {
+			attempts: 0, // Times the level was started or restarted.
+			clears: 0, // Runs that reached the passing score.
+			fails: 0, // Runs that didn't.
+			trianglesKilled: 0, // Triangles, stealth triangles and armored triangles killed.
+			friendliesHit: 0, // Squares and architecture hit.
+			upgradesCollected: 0, // Clear-friendlies, intangible and slowtime upgrades picked up.
+			energyDeaths: 0, // Runs ended by the health bar running out away from the area.
+			totalClearTime: 0, // Sum of the level time of every clear, in milliseconds.
+			bestClearTime: null, // Shortest level time of a clear in milliseconds, or null if never cleared.
+		};
+	}
+
+	/**
+	 * Records the end of a run: a clear (with its time) or a fail.
+	 * @param {Object} stats - The level's stats.
+	 * @param {boolean} cleared - Whether the level was cleared.
+	 * @param {number} time - The level time the run took, in milliseconds.
+	 */
+	static recordResult(stats, cleared, time)
+	{
+		if (!cleared)
+		{
+			stats.fails += 1;
+			return;
+		}
+		stats.clears += 1;
+		stats.totalClearTime += time;
+		stats.bestClearTime = stats.bestClearTime === null ? time : Math.min(stats.bestClearTime, time);
+	}
+
+	/**
+	 * Works out the average completion time.
+	 * @param {Object} stats - The level's stats.
+	 * @returns {number|null} The average level time of the clears in milliseconds, or null if never cleared.
+	 */
+	static getAverageClearTime(stats)
+	{
+		return stats.clears === 0 ? null : stats.totalClearTime / stats.clears;
+	}
+
+	/**
+	 * Copies a level's stats, leaving out anything else a saved object holds.
+	 * @param {Object} stats - The level's stats.
+	 * @returns {Object} A copy of the stats.
+	 */
+	static copy(stats)
+	{
+		const copy = { totalClearTime: stats.totalClearTime, bestClearTime: stats.bestClearTime };
+		LevelStats.COUNTS.forEach(count => copy[count] = stats[count]);
+		return copy;
+	}
+
+	/**
+	 * Checks that saved stats are well formed.
+	 * @param {Object} stats - The saved stats of a level.
+	 * @returns {boolean} Whether every count is a whole number and the times are numbers.
+	 */
+	static isValid(stats)
+	{
+		return stats !== null && typeof stats === 'object' &&
+			LevelStats.COUNTS.every(count => Number.isInteger(stats[count]) && stats[count] >= 0) &&
+			typeof stats.totalClearTime === 'number' && (stats.bestClearTime === null || typeof stats.bestClearTime === 'number');
+	}
+}
@@ -1,11 +1,12 @@
 /**
  * Class Name: MainMenu
- * Description: Manages the main menu interface, including the display of the play button, difficulty selection,
- * and instructions. It facilitates starting the game, setting the difficulty level, and accessing the instructions.
- * Expected Inputs: User interactions with the menu, such as clicking the play button or choosing a difficulty, or the instructions button.
+ * Description: Manages the main menu interface, including the display of the play button, the daily challenge button, difficulty selection,
+ * and instructions. It facilitates starting the game (optionally as a campaign run with limited lives) or today's daily challenge, setting the difficulty level, turning combo scoring on or off, and accessing the instructions.
+ * Both pages can be navigated with the keyboard or gamepad (see Menu); going back from the difficulty selection returns to the first page.
+ * Expected Inputs: User interactions with the menu, such as clicking (or choosing with the keyboard) the play or daily challenge button or a difficulty, or the instructions button.
  * Expected Outputs: Transition to the game scene or instructions, based on user selection.
  * Called By: GameScene class during the game initialization.
- * Will Call: Phaser library methods for UI elements and GameScene methods for starting the game and setting difficulty.
+ * Will Call: Phaser library methods for UI elements, Menu for the navigation, and GameScene methods for starting the game and setting difficulty.
  * @class
  * @author Braeden Ruff
  */
@@ -21,15 +22,21 @@ class MainMenu
 	{
         this.scene = scene; // Reference to the Phaser game scene.
         this.playButton = null; // Button to start the game.
+        this.dailyButton = null; // Button to start today's daily challenge.
         this.difficultyButtons = []; // Buttons for selecting game difficulty.
+        this.campaignButton = null; // Button toggling whether the game is played as a campaign run.
+        this.comboButton = null; // Button toggling combo scoring.
+        this.campaign = false; // Flag indicating whether the game is played as a campaign run (see CampaignRun).
         this.background = null; // Background sprite for the menu.
+        this.menu = null; // Navigation of the play, daily challenge and instructions buttons (see Menu).
+        this.difficultyMenu = null; // Navigation of the difficulty selection (see Menu).
 		this.displayWidth = this.scene.sys.game.config.width; // Game display width.
 		this.displayHeight = this.scene.sys.game.config.height; // Game display height.
         this.create(); // Initialize the menu creation.
     }
 
     /**
-     * Creates and displays the main menu, including background, play button, and instructions button.
+     * Creates and displays the main menu, including background, play button, daily challenge button, and instructions button.
      */
     create() 
 	{
@@ -41,37 +48,115 @@ class MainMenu
             .setInteractive()
             .on('pointerdown', () => this.showDifficultySelection()).setDepth(10001).setOrigin(0.5, 0.5);
 
+        // Add and configure the daily challenge button.
+        this.dailyButton = this.scene.add.text(this.scene.cameras.main.centerX, this.scene.cameras.main.centerY + 25, 'Daily Challenge', { font: '32px Arial', fill: '#fff' })
+            .setInteractive()
+            .on('pointerdown', () => this.showDifficultySelection(true)).setDepth(10001).setOrigin(0.5, 0.5);
+
         // Add and configure the instructions button.
-		this.instructionsButton = this.scene.add.text(this.scene.cameras.main.centerX, this.scene.cameras.main.centerY + 25, 'Instructions', { font: '32px Arial', fill: '#fff' })
+		this.instructionsButton = this.scene.add.text(this.scene.cameras.main.centerX, this.scene.cameras.main.centerY + 75, 'Instructions', { font: '32px Arial', fill: '#fff' })
             .setInteractive()
             .on('pointerdown', () => { this.hide(); this.scene.instructions.show(); }).setDepth(10001).setOrigin(0.5, 0.5);
+
+        this.menu = new Menu(this.scene);
+        [this.playButton, this.dailyButton, this.instructionsButton].forEach(button => this.menu.add(button));
+        this.menu.open();
     }
 
     /**
-     * Hides the play button and instructions button, then displays difficulty selection options.
+     * Hides the play, daily challenge and instructions buttons, then displays difficulty selection options. When playing the levels,
+     * a toggle below them chooses between free play and a campaign run. Another toggle turns combo scoring on or off.
+     * The last difficulty played is focused.
+     * @param {boolean} [daily=false] - Whether the daily challenge is played instead of the levels.
      */
-    showDifficultySelection() {
+    showDifficultySelection(daily = false) {
 		this.playButton.setVisible(false);
+		this.dailyButton.setVisible(false);
 		this.instructionsButton.setVisible(false);
+		this.difficultyMenu = new Menu(this.scene, { onBack: () => this.hideDifficultySelection() });
 
         // Configuration for difficulty selection buttons.
 		const difficulties = ['Easy', 'Medium', 'Hard', 'Insane'];
 		const yOffsetStart = this.displayHeight / 3; // Vertical start position for buttons.
 
-		// Create and configure difficulty buttons.
+		// Create and configure difficulty buttons. The last difficulty played (from the save data) is highlighted.
 		difficulties.forEach((difficulty, index) => {
-			this.difficultyButtons.push(this.scene.add.text(this.scene.cameras.main.centerX, yOffsetStart + (50 * index), difficulty, { font: '24px Arial', fill: '#fff' })
+			const color = difficulty === this.scene.lastDifficulty ? '#ff0' : '#fff';
+			this.difficultyButtons.push(this.difficultyMenu.add(this.scene.add.text(this.scene.cameras.main.centerX, yOffsetStart + (50 * index), difficulty, { font: '24px Arial', fill: color })
 				.setInteractive()
-				.on('pointerdown', () => this.startCutscene(difficulty)).setOrigin(0.5, 0).setDepth(10001));
+				.on('pointerdown', () => this.startCutscene(difficulty, daily, this.campaign)).setOrigin(0.5, 0).setDepth(10001)));
 		});
+
+		// Create and configure the campaign run toggle. A run in progress at the chosen difficulty resumes from its checkpoint.
+		if (!daily) {
+			this.campaignButton = this.difficultyMenu.add(this.scene.add.text(this.scene.cameras.main.centerX, yOffsetStart + (50 * difficulties.length) + 30, this.getCampaignLabel(), { font: '24px Arial', fill: '#fff' })
+				.setInteractive()
+				.on('pointerdown', () => {
+					this.campaign = !this.campaign;
+					this.campaignButton.setText(this.getCampaignLabel());
+				}).setOrigin(0.5, 0).setDepth(10001));
+		}
+
+		// Create and configure the combo scoring toggle (remembered in the save data).
+		this.comboButton = this.difficultyMenu.add(this.scene.add.text(this.scene.cameras.main.centerX, yOffsetStart + (50 * difficulties.length) + 70, this.getComboLabel(), { font: '24px Arial', fill: '#fff' })
+			.setInteractive()
+			.on('pointerdown', () => {
+				this.scene.setComboScoring(!this.scene.comboScoring);
+				this.comboButton.setText(this.getComboLabel());
+			}).setOrigin(0.5, 0).setDepth(10001));
+		this.difficultyMenu.open(Math.max(0, difficulties.indexOf(this.scene.lastDifficulty)));
 	}
 
+    /**
+     * Goes back from the difficulty selection to the play, daily challenge and instructions buttons.
+     */
+    hideDifficultySelection() {
+		this.difficultyButtons.forEach(button => button.destroy());
+		this.difficultyButtons = [];
+		if (this.campaignButton) {
+			this.campaignButton.destroy();
+			this.campaignButton = null;
+		}
+		this.comboButton.destroy();
+		this.comboButton = null;
+		this.difficultyMenu.close();
+		this.difficultyMenu = null;
+
+		this.playButton.setVisible(true);
+		this.dailyButton.setVisible(true);
+		this.instructionsButton.setVisible(true);
+		this.menu.open();
+	}
+
+    /**
+     * Gets the campaign run toggle's label for the current choice.
+     * @returns {string} The label.
+     */
+    getCampaignLabel() {
+        return 'Campaign Run (limited lives): ' + (this.campaign ? 'On' : 'Off');
+    }
+
+    /**
+     * Gets the combo scoring toggle's label for the current setting.
+     * @returns {string} The label.
+     */
+    getComboLabel() {
+        return 'Combo Scoring: ' + (this.scene.comboScoring ? 'On' : 'Off');
+    }
+
     /**
      * Initiates the game based on the selected difficulty and starts the cutscene.
      * @param {string} difficulty - The selected game difficulty.
+     * @param {boolean} [daily=false] - Whether the daily challenge is played after the cutscene instead of the first level.
+     * @param {boolean} [campaign=false] - Whether the levels are played as a campaign run.
      */
-    startCutscene(difficulty) {
+    startCutscene(difficulty, daily = false, campaign = false) {
         this.scene.setDifficulty(difficulty); // Set the game difficulty.
+        if (daily) {
+            this.scene.startDaily(); // Loaded once the cutscene ends.
+        } else if (campaign) {
+            this.scene.startCampaign(); // Its first level is loaded once the cutscene ends.
+        }
         this.scene.showCutscene(); // Show the game's introductory cutscene.
 		this.hide(); // Hide the main menu.
     }
@@ -80,16 +165,44 @@ class MainMenu
      * Hides the menu and cleans up UI elements to prepare for the game or instructions.
      */
     hide() {
+        // Stop navigating the menu.
+        if (this.menu) {
+            this.menu.close();
+            this.menu = null;
+        }
+        if (this.difficultyMenu) {
+            this.difficultyMenu.close();
+            this.difficultyMenu = null;
+        }
+
         // Clean up the play button.
         if (this.playButton) {
             this.playButton.setText('');
             this.playButton = null;
         }
 
+        // Clean up the daily challenge button.
+        if (this.dailyButton) {
+            this.dailyButton.setText('');
+            this.dailyButton = null;
+        }
+
         // Clean up difficulty buttons.
 		this.difficultyButtons.forEach(button => button.setText(''));
         this.difficultyButtons = []; // Clear the array of buttons.
 
+        // Clean up the campaign run toggle.
+        if (this.campaignButton) {
+            this.campaignButton.setText('');
+            this.campaignButton = null;
+        }
+
+        // Clean up the combo scoring toggle.
+        if (this.comboButton) {
+            this.comboButton.setText('');
+            this.comboButton = null;
+        }
+
         // Clean up the background.
         if (this.background) {
             this.background.destroy();
@@ -0,0 +1,299 @@
+/**
+ * Class Name: Menu
+ * Description: The keyboard and gamepad navigation shared by every menu screen (the main menu, escape menu, level select, instructions,
+ * and the screens opened from them). A menu is a list of buttons in focus order; the buttons are the screens' clickable Phaser objects,
+ * and keep working with the mouse. One menu is open at a time (GameScene.activeMenu): opening a menu closes the one before it. The open
+ * menu has a focused button, drawn with a focus ring: the arrow keys (or the gamepad's d-pad) move the focus to the nearest button in
+ * their direction, Tab and Shift+Tab go through the buttons in order, Enter or Space presses the focused button, and the key bound to
+ * the escape menu (ESC by default) goes back to the previous screen if the menu has one. Pointing at a button with the mouse focuses it.
+ * Buttons that are hidden or can't be clicked are skipped.
+ * Expected Inputs: The buttons, what going back does, and key presses from Controls.
+ * Expected Outputs: The focus ring on screen, and presses of the focused button.
+ * Called By: MainMenu, EscapeMenu, LevelSelect, Instructions, StatsScreen, AchievementsScreen and CampaignRun (build their screens on it),
+ * Controls (gives it the keys first) and GamepadControls (the d-pad and buttons).
+ * Will Call: Phaser library methods for drawing the focus ring, and the buttons' pointerdown handlers.
+ * @class
+ * @author Braeden Ruff
+ */
+class Menu
+{
+	/**
+	 * The direction each arrow key moves the focus.
+	 */
+	static DIRECTIONS = { UP: { x: 0, y: -1 }, DOWN: { x: 0, y: 1 }, LEFT: { x: -1, y: 0 }, RIGHT: { x: 1, y: 0 } };
+
+	/**
+	 * The keys that press the focused button.
+	 */
+	static ACTIVATE_KEYS = ['ENTER', 'SPACE'];
+
+	/**
+	 * The focus ring's color.
+	 */
+	static RING_COLOR = 0xFFD700;
+
+	/**
+	 * Constructs a closed menu without buttons.
+	 * @constructor
+	 * @param {Phaser.Scene} scene - The game scene.
+	 * @param {Object} [options] - The menu's options.
+	 * @param {Function} [options.onBack] - Goes back to the previous screen when the escape menu's key is pressed. Without it, the key
+	 * does what it does outside the menus (see GameScene.handleEscape()).
+	 */
+	constructor(scene, options = {})
+	{
+		this.scene = scene;
+		this.items = []; // The buttons, in focus order.
+		this.focusIndex = 0; // The focused button's index in this.items. Kept while closed, so reopening focuses the same button.
+		this.onBack = options.onBack || null;
+		this.ring = null; // The focus ring, while the menu is open.
+	}
+
+	/**
+	 * Adds a button, after the others in focus order. Pointing at it focuses it.
+	 * @param {Phaser.GameObjects.GameObject} item - The button, interactive with a pointerdown handler.
+	 * @returns {Phaser.GameObjects.GameObject} The button.
+	 */
+	add(item)
+	{
+		this.items.push(item);
+		item.on('pointerover', () => {
+			if (this.isOpen())
+			{
+				this.focus(this.items.indexOf(item));
+			}
+		});
+		return item;
+	}
+
+	/**
+	 * Opens the menu, closing the one that was open, and focuses a button. If that button can't be focused, the next one that can is.
+	 * @param {number} [focusIndex] - The button to focus. By default, the one focused when the menu was last open.
+	 */
+	open(focusIndex = this.focusIndex)
+	{
+		if (this.scene.activeMenu && this.scene.activeMenu !== this)
+		{
+			this.scene.activeMenu.close();
+		}
+		this.scene.activeMenu = this;
+		if (!this.ring)
+		{
+			this.ring = this.scene.add.graphics().setDepth(10002); // Above the buttons.
+		}
+		this.focus(this.findFocusable(Math.max(0, focusIndex), 1));
+	}
+
+	/**
+	 * Closes the menu and removes its focus ring. Nothing happens if it isn't open.
+	 */
+	close()
+	{
+		if (!this.isOpen())
+		{
+			return;
+		}
+		this.scene.activeMenu = null;
+		this.ring.destroy();
+		this.ring = null;
+	}
+
+	/**
+	 * Checks whether the menu is the open one.
+	 * @returns {boolean} Whether it's open.
+	 */
+	isOpen()
+	{
+		return this.scene.activeMenu === this;
+	}
+
+	/**
+	 * Checks whether a button can be focused: it's on screen and can be clicked.
+	 * @param {Phaser.GameObjects.GameObject} item - The button.
+	 * @returns {boolean} Whether it can be focused.
+	 */
+	isFocusable(item)
+	{
+		return item.visible && !!item.input && item.input.enabled;
+	}
+
+	/**
+	 * Finds the first button that can be focused, starting at a button and going through the buttons in a direction, wrapping around.
+	 * @param {number} start - The index to start at.
+	 * @param {number} step - 1 to go forward, -1 to go backward.
+	 * @returns {number} The button's index, or -1 if none can be focused.
+	 */
+	findFocusable(start, step)
+	{
+		for (let i = 0; i < this.items.length; i++)
+		{
+			const index = ((start + i * step) % this.items.length + this.items.length) % this.items.length;
+			if (this.isFocusable(this.items[index]))
+			{
+				return index;
+			}
+		}
+		return -1;
+	}
+
+	/**
+	 * Gets the focused button.
+	 * @returns {Phaser.GameObjects.GameObject|null} The button, or null if none is focused or it can't be focused anymore.
+	 */
+	getFocused()
+	{
+		const item = this.items[this.focusIndex];
+		return item && this.isFocusable(item) ? item : null;
+	}
+
+	/**
+	 * Focuses a button and moves the focus ring to it.
+	 * @param {number} index - The button's index, or -1 for none.
+	 */
+	focus(index)
+	{
+		this.focusIndex = index;
+		this.drawRing();
+	}
+
+	/**
+	 * Draws the focus ring around the focused button, or hides it if none is focused.
+	 */
+	drawRing()
+	{
+		if (!this.ring)
+		{
+			return;
+		}
+		this.ring.clear();
+		const item = this.getFocused();
+		if (item)
+		{
+			const bounds = item.getBounds();
+			this.ring.lineStyle(3, Menu.RING_COLOR);
+			this.ring.strokeRect(bounds.x - 6, bounds.y - 4, bounds.width + 12, bounds.height + 8);
+		}
+	}
+
+	/**
+	 * Focuses a button again after the buttons changed (shown, hidden or relabeled): the focused one if it still can be, otherwise the
+	 * next one that can.
+	 */
+	refresh()
+	{
+		this.focus(this.findFocusable(Math.max(0, this.focusIndex), 1));
+	}
+
+	/**
+	 * Moves the focus to the nearest button in a direction, favouring the buttons in line with the focused one. Nothing happens if
+	 * there's no button that way. Without a focused button, the first one is focused.
+	 * @param {{x: number, y: number}} direction - The direction, e.g. { x: 0, y: 1 } for down.
+	 */
+	move(direction)
+	{
+		const focused = this.getFocused();
+		if (!focused)
+		{
+			this.refresh();
+			return;
+		}
+		const from = focused.getBounds();
+		let best = -1;
+		let bestScore = Infinity;
+		this.items.forEach((item, index) => {
+			if (item === focused || !this.isFocusable(item))
+			{
+				return;
+			}
+			const to = item.getBounds();
+			const dx = to.centerX - from.centerX;
+			const dy = to.centerY - from.centerY;
+			const along = dx * direction.x + dy * direction.y; // How far in the direction.
+			const across = Math.abs(dx * direction.y - dy * direction.x); // How far off to the side.
+			const score = along + across * 2;
+			if (along > 0 && score < bestScore)
+			{
+				best = index;
+				bestScore = score;
+			}
+		});
+		if (best !== -1)
+		{
+			this.focus(best);
+		}
+	}
+
+	/**
+	 * Moves the focus to the next or previous button in focus order, wrapping around.
+	 * @param {number} offset - 1 for the next button, -1 for the previous one.
+	 */
+	step(offset)
+	{
+		this.focus(this.findFocusable(this.focusIndex + offset, offset));
+	}
+
+	/**
+	 * Presses the focused button, as if it was clicked. Its label may change, so the focus ring is redrawn if the menu is still open.
+	 */
+	activate()
+	{
+		const item = this.getFocused();
+		if (!item)
+		{
+			return;
+		}
+		item.emit('pointerdown', this.scene.input.activePointer);
+		if (this.isOpen())
+		{
+			this.refresh();
+		}
+	}
+
+	/**
+	 * Goes back to the previous screen, if the menu has one.
+	 * @returns {boolean} Whether it went back.
+	 */
+	back()
+	{
+		if (!this.onBack)
+		{
+			return false;
+		}
+		this.onBack();
+		return true;
+	}
+
+	/**
+	 * Handles a key pressed while the menu is open: the arrows, Tab, Enter and Space navigate, and the escape menu's key goes back.
+	 * @param {string} key - The key's name, like Phaser's key codes.
+	 * @param {KeyboardEvent|null} event - The keydown event, for Shift with Tab.
+	 * @returns {boolean} Whether the menu used the key. Other keys do what they do outside the menus.
+	 */
+	handleKey(key, event = null)
+	{
+		if (key === this.scene.controls.bindings.menu)
+		{
+			return this.back();
+		}
+		if (Menu.DIRECTIONS[key])
+		{
+			this.move(Menu.DIRECTIONS[key]);
+			return true;
+		}
+		if (key === 'TAB')
+		{
+			if (event && event.preventDefault)
+			{
+				event.preventDefault(); // Keep the browser's focus on the game.
+			}
+			this.step(event && event.shiftKey ? -1 : 1);
+			return true;
+		}
+		if (Menu.ACTIVATE_KEYS.includes(key))
+		{
+			this.activate();
+			return true;
+		}
+		return false;
+	}
+}
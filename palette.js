@@ -0,0 +1,306 @@
+/**
+ * Class Name: Palette
+ * Description: The colors the shapes are drawn in (GameScene.palette). Every shape's draw() reads its colors from the palette instead of
+ * hard-coding them, so the whole level can be recolored. Besides the default colors there are schemes for deuteranopia, protanopia and
+ * tritanopia, which keep the triangles, squares, upgrades and areas apart for players who can't tell red, green or blue apart, and a
+ * high-contrast scheme on a black background. Hostile shapes (the triangles) can also be marked so they can be told from the friendly
+ * ones without relying on color: with outlines they're ringed, and with patterns they're striped, while friendly shapes stay plain.
+ * The scheme and marking are chosen on the escape menu's settings page and saved with the rest of the progress (see SaveData).
+ * Expected Inputs: The chosen scheme and marking.
+ * Expected Outputs: The colors of each kind of shape and the background, and the markings drawn on hostile shapes.
+ * Called By: GameScene (keeps the chosen palette and redraws the level when it changes), the shapes (draw with it), EscapeMenu (the
+ * settings page) and SaveData (validates the saved choice).
+ * Will Call: Phaser library methods for drawing the markings.
+ * @class
+ * @author Braeden Ruff
+ */
+class Palette
+{
+	/**
+	 * Every color scheme, with its name on the settings page and its colors: the background, the fill of each kind of shape and the
+	 * outlines drawn around some of them, and the colors of the markings on hostile shapes.
+	 */
+	static SCHEMES = {
+		default: {
+			label: 'Default',
+			colors: {
+				background: 0x2D2D2D,
+				triangle: 0x00FF00,
+				stealth: 0x444444, // Slightly lighter than the background.
+				stealthOutline: 0x181818, // Slightly darker than the background.
+				stealthAlpha: 0.3,
+				square: 0xFFFFFF,
+				architecture: 0x777777,
+				architectureOutline: null, // No outline.
+				upgrade: 0x00FF00,
+				upgradeOutline: 0x000000,
+				area: 0x63040A,
+				areaWidth: 3,
+				hostileOutline: 0xFFFFFF,
+				hostilePattern: 0x000000,
+			},
+		},
+		deuteranopia: {
+			label: 'Deuteranopia',
+			colors: {
+				background: 0x2D2D2D,
+				triangle: 0xE69F00, // Orange, kept apart from the blue upgrades.
+				stealth: 0x444444,
+				stealthOutline: 0x181818,
+				stealthAlpha: 0.3,
+				square: 0xFFFFFF,
+				architecture: 0x8C8C8C,
+				architectureOutline: null,
+				upgrade: 0x56B4E9, // Sky blue.
+				upgradeOutline: 0x000000,
+				area: 0xF0E442, // Yellow, where red would be lost on the dark background.
+				areaWidth: 3,
+				hostileOutline: 0xFFFFFF,
+				hostilePattern: 0x000000,
+			},
+		},
+		protanopia: {
+			label: 'Protanopia',
+			colors: {
+				background: 0x2D2D2D,
+				triangle: 0xF0E442, // Yellow.
+				stealth: 0x444444,
+				stealthOutline: 0x181818,
+				stealthAlpha: 0.3,
+				square: 0xFFFFFF,
+				architecture: 0x8C8C8C,
+				architectureOutline: null,
+				upgrade: 0x0072B2, // Blue.
+				upgradeOutline: 0xFFFFFF,
+				area: 0x56B4E9, // Sky blue, where red would look as dark as the background.
+				areaWidth: 3,
+				hostileOutline: 0xFFFFFF,
+				hostilePattern: 0x000000,
+			},
+		},
+		tritanopia: {
+			label: 'Tritanopia',
+			colors: {
+				background: 0x2D2D2D,
+				triangle: 0xE8575A, // Red, kept apart from the teal upgrades.
+				stealth: 0x444444,
+				stealthOutline: 0x181818,
+				stealthAlpha: 0.3,
+				square: 0xFFFFFF,
+				architecture: 0x8C8C8C,
+				architectureOutline: null,
+				upgrade: 0x00B3B3, // Teal.
+				upgradeOutline: 0x000000,
+				area: 0xFF9EC8, // Pink.
+				areaWidth: 3,
+				hostileOutline: 0xFFFFFF,
+				hostilePattern: 0x000000,
+			},
+		},
+		highContrast: {
+			label: 'High Contrast',
+			colors: {
+				background: 0x000000,
+				triangle: 0x00FF00,
+				stealth: 0x333333, // Still hard to spot, but not lost on the black background.
+				stealthOutline: 0x666666,
+				stealthAlpha: 0.5,
+				square: 0xFFFFFF,
+				architecture: 0x808080,
+				architectureOutline: 0xFFFFFF,
+				upgrade: 0x00FFFF,
+				upgradeOutline: 0xFFFFFF,
+				area: 0xFF0000,
+				areaWidth: 4,
+				hostileOutline: 0xFFFFFF,
+				hostilePattern: 0x000000,
+			},
+		},
+	};
+
+	/**
+	 * The ways hostile shapes can be marked, with their names on the settings page.
+	 */
+	static MARKINGS = {
+		none: 'Off',
+		outlines: 'Outlines',
+		patterns: 'Patterns',
+	};
+
+	/**
+	 * Width of the outline drawn around hostile shapes.
+	 */
+	static OUTLINE_WIDTH = 4;
+
+	/**
+	 * Distance between the stripes drawn across hostile shapes.
+	 */
+	static STRIPE_SPACING = 9;
+
+	/**
+	 * Width of the stripes drawn across hostile shapes.
+	 */
+	static STRIPE_WIDTH = 3;
+
+	/**
+	 * Gets the default choice.
+	 * @returns {{scheme: string, marking: string}} The default scheme and marking.
+	 */
+	static getDefaultSettings()
+	{
+		return { scheme: 'default', marking: 'none' };
+	}
+
+	/**
+	 * Checks that a saved choice is well formed: a scheme from SCHEMES and a marking from MARKINGS.
+	 * @param {Object} settings - The saved choice.
+	 * @returns {boolean} Whether it's valid.
+	 */
+	static isValidSettings(settings)
+	{
+		if (settings === null || typeof settings !== 'object') return false;
+		return Palette.SCHEMES.hasOwnProperty(settings.scheme) && Palette.MARKINGS.hasOwnProperty(settings.marking);
+	}
+
+	/**
+	 * Constructs the palette with the default scheme and no markings.
+	 * @constructor
+	 */
+	constructor()
+	{
+		const settings = Palette.getDefaultSettings();
+		this.scheme = settings.scheme; // The color scheme, one of Palette.SCHEMES.
+		this.marking = settings.marking; // How hostile shapes are marked, one of Palette.MARKINGS.
+	}
+
+	/**
+	 * Uses a saved choice, or the defaults if it isn't valid.
+	 * @param {{scheme: string, marking: string}} settings - The scheme and marking.
+	 */
+	setSettings(settings)
+	{
+		const valid = Palette.isValidSettings(settings) ? settings : Palette.getDefaultSettings();
+		this.scheme = valid.scheme;
+		this.marking = valid.marking;
+	}
+
+	/**
+	 * Gets the choice, to save it.
+	 * @returns {{scheme: string, marking: string}} The scheme and marking.
+	 */
+	getSettings()
+	{
+		return { scheme: this.scheme, marking: this.marking };
+	}
+
+	/**
+	 * Gets the colors of the scheme in use.
+	 * @returns {Object} The colors, as in Palette.SCHEMES.
+	 */
+	getColors()
+	{
+		return Palette.SCHEMES[this.scheme].colors;
+	}
+
+	/**
+	 * Gets the name of the scheme in use, for the settings page.
+	 * @returns {string} The scheme's label.
+	 */
+	getSchemeLabel()
+	{
+		return Palette.SCHEMES[this.scheme].label;
+	}
+
+	/**
+	 * Gets the name of the marking in use, for the settings page.
+	 * @returns {string} The marking's label.
+	 */
+	getMarkingLabel()
+	{
+		return Palette.MARKINGS[this.marking];
+	}
+
+	/**
+	 * Gets the scheme after the one in use, wrapping around, for the settings page to cycle through them.
+	 * @returns {string} The next scheme.
+	 */
+	getNextScheme()
+	{
+		return Palette.getNext(Object.keys(Palette.SCHEMES), this.scheme);
+	}
+
+	/**
+	 * Gets the marking after the one in use, wrapping around, for the settings page to cycle through them.
+	 * @returns {string} The next marking.
+	 */
+	getNextMarking()
+	{
+		return Palette.getNext(Object.keys(Palette.MARKINGS), this.marking);
+	}
+
+	/**
+	 * Gets the value after one in a list, wrapping around.
+	 * @param {Array<string>} values - The values, in order.
+	 * @param {string} value - The current value.
+	 * @returns {string} The next value.
+	 */
+	static getNext(values, value)
+	{
+		return values[(values.indexOf(value) + 1) % values.length];
+	}
+
+	/**
+	 * Marks a hostile shape with the marking in use: an outline around it or stripes across it. Called by the hostile shapes' draw(),
+	 * after they're filled. Nothing is drawn without a marking.
+	 * @param {Phaser.GameObjects.Graphics} graphics - The shape's graphics.
+	 * @param {Array.<{x: number, y: number}>} points - The shape's corners in its own coordinates, in order.
+	 * @param {number} [alpha=1] - The marking's opacity, so it can fade with a shape that's hard to see.
+	 */
+	markHostile(graphics, points, alpha = 1)
+	{
+		const colors = this.getColors();
+		if (this.marking === 'outlines')
+		{
+			graphics.lineStyle(Palette.OUTLINE_WIDTH, colors.hostileOutline, alpha);
+			graphics.strokePoints(points, true);
+		}
+		else if (this.marking === 'patterns')
+		{
+			graphics.lineStyle(Palette.STRIPE_WIDTH, colors.hostilePattern, alpha);
+			Palette.getStripes(points, Palette.STRIPE_SPACING).forEach(stripe => graphics.lineBetween(stripe.x1, stripe.y1, stripe.x2, stripe.y2));
+		}
+	}
+
+	/**
+	 * Cuts diagonal stripes to the inside of a polygon. Each stripe is a line x + y = c, and the polygon's edges cross it in pairs: the
+	 * parts of the line between the first and second crossings, the third and fourth, and so on are inside.
+	 * @param {Array.<{x: number, y: number}>} points - The polygon's corners, in order.
+	 * @param {number} spacing - The distance between the stripes, along the x-axis.
+	 * @returns {Array.<{x1: number, y1: number, x2: number, y2: number}>} The stripes' ends.
+	 */
+	static getStripes(points, spacing)
+	{
+		const sums = points.map(point => point.x + point.y);
+		const stripes = [];
+		for (let c = Math.min(...sums) + spacing / 2; c < Math.max(...sums); c += spacing)
+		{
+			const crossings = [];
+			points.forEach((start, index) => {
+				const end = points[(index + 1) % points.length];
+				const startSide = start.x + start.y - c;
+				const endSide = end.x + end.y - c;
+				if ((startSide < 0) !== (endSide < 0))
+				{
+					const t = startSide / (startSide - endSide);
+					crossings.push({ x: start.x + (end.x - start.x) * t, y: start.y + (end.y - start.y) * t });
+				}
+			});
+			crossings.sort((a, b) => a.x - b.x); // In order along the line.
+			for (let i = 0; i + 1 < crossings.length; i += 2)
+			{
+				stripes.push({ x1: crossings[i].x, y1: crossings[i].y, x2: crossings[i + 1].x, y2: crossings[i + 1].y });
+			}
+		}
+		return stripes;
+	}
+}
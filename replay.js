@@ -0,0 +1,212 @@
+/**
+ * Class Name: Replay
+ * Description: A recording of one run of a level: the level pack, level and difficulty it was played on, and a stream of the player's
+ * input stamped with the level time (see LevelClock) it happened at. The input is the pointer position at every frame and every pointer
+ * move, clicks, and the S, E and R keys. Since shape motion is a pure function of level time, feeding the same input at the same level
+ * times plays the run out exactly the same way (see ReplayPlayer). Score changes are recorded too, for the personal-best ghost (see Ghost);
+ * playback skips them. Replays can be exported to and imported from JSON files to share runs or attach them to bug reports.
+ * Events are stored as compact arrays: ['p', time, x, y] for a pointer position, ['c', time, x, y] for a click, ['k', time, key]
+ * for a key press and ['s', time, score] for a score change. While the pointer is off the canvas or a menu covers the level, it's
+ * recorded at (-1, -1) so it touches nothing.
+ * Expected Inputs: The run's level and difficulty, then the input as it happens.
+ * Expected Outputs: The recorded run, as an object that can be played back or saved as JSON.
+ * Called By: GameScene (records every run and keeps the last one), EscapeMenu (export and import), ReplayPlayer (playback).
+ * Will Call: The browser's Blob and FileReader APIs for export and import.
+ * @class
+ * @author Braeden Ruff
+ */
+class Replay
+{
+	/**
+	 * The current replay format version.
+	 */
+	static VERSION = 1;
+
+	/**
+	 * The keys a replay records.
+	 */
+	static KEYS = ['S', 'E', 'R'];
+
+	/**
+	 * Constructs an empty recording.
+	 * @constructor
+	 * @param {Object} run - What was played.
+	 * @param {string} run.pack - The name of the level pack.
+	 * @param {number} run.level - The 1-based level number.
+	 * @param {string} run.levelName - The level's name, for display.
+	 * @param {string} run.difficulty - 'Easy', 'Medium', 'Hard' or 'Insane'.
+	 */
+	constructor({ pack, level, levelName, difficulty })
+	{
+		this.pack = pack; // Name of the level pack the level is from.
+		this.level = level; // 1-based level number.
+		this.levelName = levelName; // Name of the level.
+		this.difficulty = difficulty; // Difficulty the run was played on.
+		this.events = []; // The input, in the order it happened.
+		this.score = null; // Final score, set once the level ends.
+		this.cleared = null; // Whether the level was cleared, set once the level ends.
+	}
+
+	/**
+	 * Records the pointer position.
+	 * @param {number} time - The level time.
+	 * @param {number} x - The pointer's x-coordinate, or -1 if it's off the canvas.
+	 * @param {number} y - The pointer's y-coordinate, or -1 if it's off the canvas.
+	 */
+	recordPointer(time, x, y)
+	{
+		this.events.push(['p', time, x, y]);
+	}
+
+	/**
+	 * Records a click.
+	 * @param {number} time - The level time.
+	 * @param {number} x - The pointer's x-coordinate.
+	 * @param {number} y - The pointer's y-coordinate.
+	 */
+	recordClick(time, x, y)
+	{
+		this.events.push(['c', time, x, y]);
+	}
+
+	/**
+	 * Records a key press.
+	 * @param {number} time - The level time.
+	 * @param {string} key - 'S', 'E' or 'R'.
+	 */
+	recordKey(time, key)
+	{
+		this.events.push(['k', time, key]);
+	}
+
+	/**
+	 * Records a change of the score.
+	 * @param {number} time - The level time.
+	 * @param {number} score - The new score.
+	 */
+	recordScore(time, score)
+	{
+		this.events.push(['s', time, score]);
+	}
+
+	/**
+	 * Marks the recording as complete once the level ends.
+	 * @param {number} score - The final score.
+	 * @param {boolean} cleared - Whether the level was cleared.
+	 */
+	finish(score, cleared)
+	{
+		this.score = score;
+		this.cleared = cleared;
+	}
+
+	/**
+	 * Gets the replay as plain data for JSON.
+	 * @returns {Object} The replay's data.
+	 */
+	toJSON()
+	{
+		return {
+			version: Replay.VERSION,
+			pack: this.pack,
+			level: this.level,
+			levelName: this.levelName,
+			difficulty: this.difficulty,
+			score: this.score,
+			cleared: this.cleared,
+			events: this.events,
+		};
+	}
+
+	/**
+	 * Builds a replay from parsed JSON, checking that it's well formed.
+	 * @param {Object} data - The parsed replay.
+	 * @returns {Replay} The replay.
+	 * @throws {Error} If the data isn't a valid replay.
+	 */
+	static fromJSON(data)
+	{
+		if (data === null || typeof data !== 'object' || Array.isArray(data))
+		{
+			throw new Error('Replay must be an object.');
+		}
+		if (data.version !== Replay.VERSION)
+		{
+			throw new Error(`Unsupported replay version ${data.version}.`);
+		}
+		if (typeof data.pack !== 'string' || !Number.isInteger(data.level) || data.level < 1)
+		{
+			throw new Error('Replay must name its level pack and level.');
+		}
+		if (!['Easy', 'Medium', 'Hard', 'Insane'].includes(data.difficulty))
+		{
+			throw new Error(`Unknown difficulty '${data.difficulty}'.`);
+		}
+		if (!Array.isArray(data.events))
+		{
+			throw new Error('Replay events must be a list.');
+		}
+		data.events.forEach((event, index) => {
+			const valid = Array.isArray(event) && typeof event[1] === 'number' && (
+				((event[0] === 'p' || event[0] === 'c') && event.length === 4 && typeof event[2] === 'number' && typeof event[3] === 'number') ||
+				(event[0] === 'k' && event.length === 3 && Replay.KEYS.includes(event[2])) ||
+				(event[0] === 's' && event.length === 3 && typeof event[2] === 'number'));
+			if (!valid)
+			{
+				throw new Error(`Replay event ${index} is malformed.`);
+			}
+		});
+		const replay = new Replay({ pack: data.pack, level: data.level, levelName: String(data.levelName || ''), difficulty: data.difficulty });
+		replay.events = data.events;
+		replay.score = typeof data.score === 'number' ? data.score : null;
+		replay.cleared = typeof data.cleared === 'boolean' ? data.cleared : null;
+		return replay;
+	}
+
+	/**
+	 * Downloads the replay as a JSON file.
+	 */
+	exportToFile()
+	{
+		const blob = new Blob([JSON.stringify(this)], { type: 'application/json' });
+		const url = URL.createObjectURL(blob);
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = `CursorCombat-replay-level${this.level}-${this.difficulty}.json`;
+		link.click();
+		URL.revokeObjectURL(url);
+	}
+
+	/**
+	 * Asks the player for a replay file and loads it. Invalid files are reported and ignored.
+	 * @param {function(Replay)} onImported - Called with the loaded replay.
+	 */
+	static importFromFile(onImported)
+	{
+		const input = document.createElement('input');
+		input.type = 'file';
+		input.accept = '.json,application/json';
+		input.addEventListener('change', () => {
+			if (input.files.length === 0)
+			{
+				return;
+			}
+			const reader = new FileReader();
+			reader.onload = () => {
+				let replay;
+				try
+				{
+					replay = Replay.fromJSON(JSON.parse(reader.result));
+				}
+				catch (error)
+				{
+					window.alert('That file is not a valid Cursor Combat replay. ' + error.message);
+					return;
+				}
+				onImported(replay);
+			};
+			reader.readAsText(input.files[0]);
+		});
+		input.click();
+	}
+}
@@ -0,0 +1,157 @@
+/**
+ * Class Name: ReplayPlayer
+ * Description: Plays a Replay back on the current level. Each recorded event is scheduled on the level's LevelClock at the level time it was
+ * recorded at, so the shapes are exactly where they were when it happened. Pointer events move a ghost cursor and sweep its path over
+ * the shapes (see Level.sweepCursor()), like GameScene does for the real pointer each frame. The ghost cursor is also hit-tested against
+ * the interactive objects like Phaser does for the real pointer (only the top object counts), sending the same pointerover, pointerout
+ * and pointerdown events, so clicks reach the armored triangles' handlers from Level.spawnShape(). Key events press S, E and R through GameScene.
+ * While a replay plays, the real pointer and gameplay keys are ignored; ESC stops it.
+ * Expected Inputs: A Replay to play, started by GameScene.playReplay().
+ * Expected Outputs: The recorded run, played out on screen with a ghost cursor.
+ * Called By: GameScene (starts and stops playback, and reschedules it whenever the level is loaded).
+ * Will Call: LevelClock for scheduling, Level.sweepCursor() and Phaser's input plugin for hit-testing, and GameScene.pressGameplayKey() for keys.
+ * @class
+ * @author Braeden Ruff
+ */
+class ReplayPlayer
+{
+	/**
+	 * Constructs an idle replay player.
+	 * @constructor
+	 * @param {Phaser.Scene} scene - The game scene.
+	 */
+	constructor(scene)
+	{
+		this.scene = scene;
+		this.replay = null; // The replay being played.
+		this.playing = false; // Flag indicating whether a replay is playing.
+		this.index = 0; // Index of the next event to play.
+		this.timer = null; // LevelClock timer for the next event.
+		this.pointer = null; // The ghost pointer that is hit-tested instead of the real one.
+		this.over = []; // The objects the ghost pointer is over.
+		this.ghost = null; // The ghost cursor drawn over the level.
+		this.label = null; // Text telling the player a replay is playing.
+	}
+
+	/**
+	 * Starts playing a replay. The level must be loaded right after, which schedules the first event (see scheduleNext()).
+	 * @param {Replay} replay - The replay to play.
+	 */
+	start(replay)
+	{
+		this.replay = replay;
+		this.playing = true;
+		this.index = 0;
+		this.over = [];
+		this.pointer = new Phaser.Input.Pointer(this.scene.input.manager, 0);
+		this.pointer.x = -1;
+		this.pointer.y = -1;
+		this.scene.input.enabled = false; // The real pointer mustn't touch the level.
+		this.ghost = this.scene.add.circle(-100, -100, 6, 0xFFFFFF, 0.8).setStrokeStyle(2, 0x000000).setDepth(10002);
+		this.label = this.scene.add.text(this.scene.cameras.main.centerX, this.scene.cameras.main.height - 30, `Replay: Level ${replay.level} (${replay.difficulty}) - press ESC to stop`, { fontSize: '16px', fill: '#FFF' }).setOrigin(0.5, 0).setDepth(10002);
+	}
+
+	/**
+	 * Schedules the next event on the level clock. Called whenever the level is loaded (which resets the clock) and after each event.
+	 */
+	scheduleNext()
+	{
+		if (this.timer)
+		{
+			this.timer.remove();
+			this.timer = null;
+		}
+		if (!this.playing || this.index >= this.replay.events.length)
+		{
+			return; // Out of input; the level plays out on its own.
+		}
+		const clock = this.scene.level.clock;
+		this.timer = clock.delayedCall(Math.max(0, this.replay.events[this.index][1] - clock.now), () => {
+			this.timer = null;
+			this.playEvent(this.replay.events[this.index++]);
+			this.scheduleNext();
+		});
+	}
+
+	/**
+	 * Plays one recorded event. Score changes are the result of the input, so they're skipped.
+	 * @param {Array} event - The event (see Replay).
+	 */
+	playEvent(event)
+	{
+		if (event[0] === 'p')
+		{
+			this.movePointer(event[2], event[3]);
+		}
+		else if (event[0] === 'c')
+		{
+			this.movePointer(event[2], event[3]);
+			this.over.forEach(gameObject => gameObject.emit('pointerdown', this.pointer));
+		}
+		else if (event[0] === 'k')
+		{
+			this.scene.pressGameplayKey(event[2]);
+		}
+	}
+
+	/**
+	 * Moves the ghost pointer, sweeps its path over the shapes, and sends pointerout and pointerover to the objects it leaves and enters.
+	 * @param {number} x - The x-coordinate, or -1 for off the canvas.
+	 * @param {number} y - The y-coordinate, or -1 for off the canvas.
+	 */
+	movePointer(x, y)
+	{
+		this.pointer.x = x;
+		this.pointer.y = y;
+		this.ghost.setPosition(x, y);
+		if (this.scene.intangibleEffect)
+		{
+			this.scene.intangibleEffect.setPosition(x, y); // The intangible effect follows the cursor.
+		}
+
+		const input = this.scene.input;
+		const hits = x < 0 || y < 0 ? [] : input.sortGameObjects(input.hitTestPointer(this.pointer).filter(gameObject => gameObject.input && gameObject.input.enabled), this.pointer);
+		const over = hits.slice(0, 1); // Like Phaser's topOnly input: only the top object is over.
+		const left = this.over.filter(gameObject => !over.includes(gameObject) && gameObject.scene); // Destroyed objects don't get events.
+		const entered = over.filter(gameObject => !this.over.includes(gameObject));
+		this.over = over;
+		left.forEach(gameObject => gameObject.emit('pointerout', this.pointer));
+		entered.forEach(gameObject => gameObject.emit('pointerover', this.pointer));
+		this.scene.level.sweepCursor();
+	}
+
+	/**
+	 * Gets where the ghost pointer is.
+	 * @returns {{x: number, y: number}} The ghost pointer's position.
+	 */
+	getPosition()
+	{
+		return { x: this.pointer.x, y: this.pointer.y };
+	}
+
+	/**
+	 * Stops playback and removes the ghost cursor, giving the real pointer back to the player.
+	 */
+	stop()
+	{
+		if (this.timer)
+		{
+			this.timer.remove();
+			this.timer = null;
+		}
+		this.playing = false;
+		this.replay = null;
+		this.over = [];
+		if (this.ghost)
+		{
+			this.ghost.destroy();
+			this.ghost = null;
+		}
+		if (this.label)
+		{
+			this.label.destroy();
+			this.label = null;
+		}
+		this.scene.input.enabled = true;
+	}
+}
@@ -0,0 +1,396 @@
+/**
+ * Class Name: SaveData
+ * Description: Persists the player's progress in localStorage so it survives a page refresh. The save is a versioned JSON object holding
+ * the best score of every level per difficulty (a level is unlocked once the level before it has a best score), the stars earned in every
+ * level per difficulty (see StarRating), the stats of every level per difficulty (see LevelStats), the ghost of the best cleared run of every level per difficulty (see Ghost), the longest endless
+ * mode survival time per difficulty, the daily challenge record (best score of the day and the streak of days cleared), the campaign run
+ * in progress per difficulty (see CampaignRun), the unlocked achievements, the mute state, whether the ghost is shown, whether combo
+ * scoring is on, the key bound to each control (see Controls), the shapes' color scheme and marking (see Palette) and the last difficulty played. Saves are kept per level pack, since best scores are stored by level index.
+ * The save can also be exported to and imported from a JSON file, or reset.
+ * Expected Inputs: The name of the level pack being played, and the progress to save from GameScene.
+ * Expected Outputs: The saved progress, validated and migrated to the current version, or an empty save if there is none.
+ * Called By: GameScene when it's created and whenever progress changes, and EscapeMenu for export, import and reset.
+ * Will Call: The browser's localStorage, Blob and FileReader APIs, LevelStats to validate the level stats, Controls to validate the controls and Palette to validate the palette.
+ * @class
+ * @author Braeden Ruff
+ */
+class SaveData
+{
+	/**
+	 * The current save format version. Bump it and add a step to migrate() when the format changes.
+	 */
+	static VERSION = 10;
+
+	/**
+	 * Prefix of the localStorage key. The level pack name is appended to it.
+	 */
+	static STORAGE_PREFIX = 'CursorCombat-save-';
+
+	/**
+	 * Number of difficulties (Easy, Medium, Hard, Insane) that have their own best scores, best runs and endless mode best times.
+	 */
+	static DIFFICULTY_COUNT = 4;
+
+	/**
+	 * Constructs the save data for a level pack.
+	 * @constructor
+	 * @param {string} packName - The name of the level pack the progress belongs to.
+	 */
+	constructor(packName)
+	{
+		this.storageKey = SaveData.STORAGE_PREFIX + packName; // localStorage key of this pack's save.
+	}
+
+	/**
+	 * Creates a save with no progress.
+	 * @returns {Object} An empty save in the current format.
+	 */
+	static createEmpty()
+	{
+		return {
+			version: SaveData.VERSION,
+			bestScores: Array.from({ length: SaveData.DIFFICULTY_COUNT }, () => []), // Best score of every reached level, per difficulty.
+			achievements: [], // Ids of the unlocked achievements (the ids of the #achievementsList items).
+			muted: false, // Whether the game sound is muted.
+			lastDifficulty: null, // The last difficulty played ('Easy', 'Medium', 'Hard' or 'Insane').
+			bestRuns: Array.from({ length: SaveData.DIFFICULTY_COUNT }, () => []), // Ghost of the best cleared run of every level (or null), per difficulty.
+			ghostEnabled: true, // Whether the best run's ghost is drawn while playing.
+			endlessBest: Array.from({ length: SaveData.DIFFICULTY_COUNT }, () => 0), // Longest endless mode survival time in milliseconds, per difficulty.
+			daily: SaveData.createEmptyDaily(), // The daily challenge record.
+			campaignRuns: Array.from({ length: SaveData.DIFFICULTY_COUNT }, () => null), // The campaign run in progress (or null), per difficulty.
+			comboScoring: false, // Whether kills build combos and combo points.
+			stars: Array.from({ length: SaveData.DIFFICULTY_COUNT }, () => []), // Stars earned in every reached level (as flags, see StarRating), per difficulty.
+			stats: Array.from({ length: SaveData.DIFFICULTY_COUNT }, () => []), // Stats of every played level (or null, see LevelStats), per difficulty.
+			controls: Controls.getDefaultBindings(), // The key bound to each control.
+			palette: Palette.getDefaultSettings(), // The shapes' color scheme and how hostile shapes are marked.
+		};
+	}
+
+	/**
+	 * Creates a daily challenge record with nothing played.
+	 * @returns {Object} The record: the date ('YYYY-MM-DD') of the last daily challenge played and its best score, and the number of days in a row
+	 * the daily challenge was cleared, up to the last day it was cleared.
+	 */
+	static createEmptyDaily()
+	{
+		return { date: null, bestScore: null, streak: 0, lastCleared: null };
+	}
+
+	/**
+	 * Loads the save from localStorage. A missing, corrupt or unsupported save gives an empty save instead.
+	 * @returns {Object} The saved progress in the current format.
+	 */
+	load()
+	{
+		try
+		{
+			const json = window.localStorage.getItem(this.storageKey);
+			if (json === null)
+			{
+				return SaveData.createEmpty();
+			}
+			return SaveData.validate(JSON.parse(json));
+		}
+		catch (error)
+		{
+			console.warn('Could not load save data, starting with no progress. ' + error.message);
+			return SaveData.createEmpty();
+		}
+	}
+
+	/**
+	 * Writes the progress to localStorage.
+	 * @param {Object} data - The progress: bestScores, achievements, muted, lastDifficulty, bestRuns, ghostEnabled, endlessBest, daily, campaignRuns, comboScoring, stars, stats, controls and palette.
+	 */
+	save(data)
+	{
+		const saved = Object.assign(SaveData.createEmpty(), data, { version: SaveData.VERSION });
+		try
+		{
+			window.localStorage.setItem(this.storageKey, JSON.stringify(saved));
+		}
+		catch (error)
+		{
+			// Storage can be full or disabled (e.g. private browsing). The game still works, it just won't remember progress.
+			console.warn('Could not save progress. ' + error.message);
+		}
+	}
+
+	/**
+	 * Deletes the save from localStorage.
+	 */
+	clear()
+	{
+		window.localStorage.removeItem(this.storageKey);
+	}
+
+	/**
+	 * Downloads the current save as a JSON file.
+	 */
+	exportToFile()
+	{
+		const blob = new Blob([JSON.stringify(this.load(), null, '\t')], { type: 'application/json' });
+		const url = URL.createObjectURL(blob);
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = this.storageKey + '.json';
+		link.click();
+		URL.revokeObjectURL(url);
+	}
+
+	/**
+	 * Asks the player for a save file and stores it, replacing the current save. Invalid files leave the current save untouched.
+	 * @param {function} onImported - Called once the imported save has been stored.
+	 */
+	importFromFile(onImported)
+	{
+		const input = document.createElement('input');
+		input.type = 'file';
+		input.accept = '.json,application/json';
+		input.addEventListener('change', () => {
+			if (input.files.length === 0)
+			{
+				return;
+			}
+			const reader = new FileReader();
+			reader.onload = () => {
+				let data;
+				try
+				{
+					data = SaveData.validate(JSON.parse(reader.result));
+				}
+				catch (error)
+				{
+					window.alert('That file is not a valid Cursor Combat save. ' + error.message);
+					return;
+				}
+				this.save(data);
+				onImported();
+			};
+			reader.readAsText(input.files[0]);
+		});
+		input.click();
+	}
+
+	/**
+	 * Checks that a parsed save is well formed and migrates it to the current version.
+	 * @param {Object} data - The parsed save.
+	 * @returns {Object} The save in the current format.
+	 * @throws {Error} If the save is malformed or from a newer version of the game.
+	 */
+	static validate(data)
+	{
+		if (data === null || typeof data !== 'object' || Array.isArray(data))
+		{
+			throw new Error('Save data must be an object.');
+		}
+		if (typeof data.version !== 'number' || data.version > SaveData.VERSION)
+		{
+			throw new Error(`Unsupported save version ${data.version}.`);
+		}
+		const migrated = SaveData.migrate(data);
+		if (!Array.isArray(migrated.bestScores) || migrated.bestScores.length !== SaveData.DIFFICULTY_COUNT ||
+			!migrated.bestScores.every(scores => Array.isArray(scores) && scores.every(score => typeof score === 'number')))
+		{
+			throw new Error('bestScores must hold a list of scores for each difficulty.');
+		}
+		if (!Array.isArray(migrated.achievements) || !migrated.achievements.every(id => typeof id === 'string'))
+		{
+			throw new Error('achievements must be a list of achievement ids.');
+		}
+		if (!Array.isArray(migrated.bestRuns) || migrated.bestRuns.length !== SaveData.DIFFICULTY_COUNT || !migrated.bestRuns.every(runs => Array.isArray(runs)))
+		{
+			throw new Error('bestRuns must hold a list of runs for each difficulty.');
+		}
+		if (!Array.isArray(migrated.endlessBest) || migrated.endlessBest.length !== SaveData.DIFFICULTY_COUNT ||
+			!migrated.endlessBest.every(time => typeof time === 'number' && time >= 0))
+		{
+			throw new Error('endlessBest must hold a survival time for each difficulty.');
+		}
+		const daily = migrated.daily;
+		const isDate = value => value === null || (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value));
+		if (daily === null || typeof daily !== 'object' || !isDate(daily.date) || !isDate(daily.lastCleared) ||
+			!(daily.bestScore === null || typeof daily.bestScore === 'number') || typeof daily.streak !== 'number')
+		{
+			throw new Error('daily must hold the daily challenge dates, best score and streak.');
+		}
+		if (!Array.isArray(migrated.campaignRuns) || migrated.campaignRuns.length !== SaveData.DIFFICULTY_COUNT ||
+			!migrated.campaignRuns.every(run => run === null || SaveData.isCampaignRun(run)))
+		{
+			throw new Error('campaignRuns must hold a campaign run (or null) for each difficulty.');
+		}
+		if (!Array.isArray(migrated.stars) || migrated.stars.length !== SaveData.DIFFICULTY_COUNT ||
+			!migrated.stars.every(stars => Array.isArray(stars) && stars.every(star => star === null || (Number.isInteger(star) && star >= 0 && star <= 7))))
+		{
+			throw new Error('stars must hold a list of star flags for each difficulty.');
+		}
+		if (!Array.isArray(migrated.stats) || migrated.stats.length !== SaveData.DIFFICULTY_COUNT ||
+			!migrated.stats.every(stats => Array.isArray(stats) && stats.every(level => level === null || LevelStats.isValid(level))))
+		{
+			throw new Error('stats must hold a list of level stats for each difficulty.');
+		}
+		return {
+			version: SaveData.VERSION,
+			bestScores: migrated.bestScores,
+			achievements: migrated.achievements,
+			muted: migrated.muted === true,
+			lastDifficulty: typeof migrated.lastDifficulty === 'string' ? migrated.lastDifficulty : null,
+			bestRuns: migrated.bestRuns.map(runs => runs.map(run => SaveData.validateRun(run))),
+			ghostEnabled: migrated.ghostEnabled !== false,
+			endlessBest: migrated.endlessBest,
+			daily: { date: daily.date, bestScore: daily.bestScore, streak: daily.streak, lastCleared: daily.lastCleared },
+			campaignRuns: migrated.campaignRuns.map(run => run && { lives: run.lives, checkpoint: run.checkpoint, scores: run.scores, time: run.time, continues: run.continues }),
+			comboScoring: migrated.comboScoring === true,
+			stars: migrated.stars.map(stars => stars.map(star => star || 0)),
+			stats: migrated.stats.map(stats => stats.map(level => level && LevelStats.copy(level))),
+			controls: SaveData.validateControls(migrated.controls),
+			palette: SaveData.validatePalette(migrated.palette),
+		};
+	}
+
+	/**
+	 * Checks that a saved campaign run is well formed.
+	 * @param {Object} run - The saved run (see CampaignRun.toJSON()).
+	 * @returns {boolean} Whether it has its lives, checkpoint, scores, play time and continues.
+	 */
+	static isCampaignRun(run)
+	{
+		const isCount = value => Number.isInteger(value) && value >= 0;
+		return typeof run === 'object' && isCount(run.lives) && isCount(run.checkpoint) && isCount(run.continues) &&
+			typeof run.time === 'number' && run.time >= 0 &&
+			Array.isArray(run.scores) && run.scores.every(score => score === null || typeof score === 'number');
+	}
+
+	/**
+	 * Checks a saved best run. A broken run is dropped rather than rejecting the whole save, since it's only needed for the ghost.
+	 * @param {Object|null} run - The saved run's ghost.
+	 * @returns {Object|null} The run, or null if there is none or it's malformed.
+	 */
+	static validateRun(run)
+	{
+		if (run === null || run === undefined)
+		{
+			return null;
+		}
+		try
+		{
+			Ghost.fromJSON(run);
+			return run;
+		}
+		catch (error)
+		{
+			console.warn('Dropping a malformed best run from the save data. ' + error.message);
+			return null;
+		}
+	}
+
+	/**
+	 * Checks saved bindings, keeping only the key of each action. Stale or broken bindings (e.g. from a renamed control or a hand-edited
+	 * save) are replaced with the defaults rather than rejecting the whole save, like Controls.setBindings() does.
+	 * @param {Object} controls - The saved bindings.
+	 * @returns {Object} The bindings, or the default ones if they aren't valid.
+	 */
+	static validateControls(controls)
+	{
+		if (!Controls.isValidBindings(controls))
+		{
+			console.warn('Saved controls are not valid, using the default keys.');
+			return Controls.getDefaultBindings();
+		}
+		return Object.fromEntries(Object.keys(Controls.ACTIONS).map(action => [action, controls[action]]));
+	}
+
+	/**
+	 * Checks the saved color scheme and marking. An unknown one (e.g. from a removed scheme or a hand-edited save) falls back to the
+	 * defaults rather than rejecting the whole save.
+	 * @param {Object} palette - The saved scheme and marking.
+	 * @returns {{scheme: string, marking: string}} The scheme and marking, or the default ones if they aren't valid.
+	 */
+	static validatePalette(palette)
+	{
+		if (!Palette.isValidSettings(palette))
+		{
+			console.warn('Saved colors are not valid, using the default colors.');
+			return Palette.getDefaultSettings();
+		}
+		return { scheme: palette.scheme, marking: palette.marking };
+	}
+
+	/**
+	 * Upgrades a save from an older version, one version at a time.
+	 * Version 2 added the best runs and the ghost setting, version 3 the endless mode best times, version 4 the daily challenge record,
+	 * version 5 the campaign runs, version 6 the combo scoring setting,
+	 * version 7 the stars, version 8 the level stats, version 9 the controls, version 10 the palette.
+	 * @param {Object} data - The parsed save, at any version up to SaveData.VERSION.
+	 * @returns {Object} The save at SaveData.VERSION.
+	 */
+	static migrate(data)
+	{
+		let migrated = data;
+		if (migrated.version === 1)
+		{
+			migrated = Object.assign({}, migrated, {
+				version: 2,
+				bestRuns: Array.from({ length: SaveData.DIFFICULTY_COUNT }, () => []),
+				ghostEnabled: true,
+			});
+		}
+		if (migrated.version === 2)
+		{
+			migrated = Object.assign({}, migrated, {
+				version: 3,
+				endlessBest: Array.from({ length: SaveData.DIFFICULTY_COUNT }, () => 0),
+			});
+		}
+		if (migrated.version === 3)
+		{
+			migrated = Object.assign({}, migrated, {
+				version: 4,
+				daily: SaveData.createEmptyDaily(),
+			});
+		}
+		if (migrated.version === 4)
+		{
+			migrated = Object.assign({}, migrated, {
+				version: 5,
+				campaignRuns: Array.from({ length: SaveData.DIFFICULTY_COUNT }, () => null),
+			});
+		}
+		if (migrated.version === 5)
+		{
+			migrated = Object.assign({}, migrated, {
+				version: 6,
+				comboScoring: false,
+			});
+		}
+		if (migrated.version === 6)
+		{
+			migrated = Object.assign({}, migrated, {
+				version: 7,
+				stars: Array.from({ length: SaveData.DIFFICULTY_COUNT }, () => []),
+			});
+		}
+		if (migrated.version === 7)
+		{
+			migrated = Object.assign({}, migrated, {
+				version: 8,
+				stats: Array.from({ length: SaveData.DIFFICULTY_COUNT }, () => []),
+			});
+		}
+		if (migrated.version === 8)
+		{
+			migrated = Object.assign({}, migrated, {
+				version: 9,
+				controls: Controls.getDefaultBindings(),
+			});
+		}
+		if (migrated.version === 9)
+		{
+			migrated = Object.assign({}, migrated, {
+				version: 10,
+				palette: Palette.getDefaultSettings(),
+			});
+		}
+		return migrated;
+	}
+}
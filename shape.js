@@ -3,7 +3,7 @@
  * Description: This class serves as the base for all drawable shapes in the game. It provides common properties and methods
  * that are shared across different types of shapes, such as triangles, squares, and custom architecture shapes. It handles
  * the basic physics properties like position, velocity, and angular velocity, as well as graphical properties including scaling
- * and rotation. It supports animations for movement and scaling.
+ * and rotation. Its position, rotation and scale are evaluated from a ShapeMotion at the level's current time (see LevelClock).
  * 
  * Expected Inputs:
  * - scene: The current Phaser scene instance where the shape will be added.
@@ -18,11 +18,15 @@
  * - GameScene and Level class when creating new shapes.
  * 
  * Will call:
- * - Phaser's graphics system for rendering.
- * - Phaser's tweens system for animations.
+ * - Phaser's graphics system for rendering, with the colors of the scene's Palette.
+ * - ShapeMotion for movement, rotation and scaling.
+ * - Phaser's tweens system for the death animation.
  * 
  * Additional Notes:
  * - This class is abstract and meant to be extended by specific shape classes (e.g., Triangle, Square).
+ * - Hit-testing is done on the screen through containsPoint() and intersectsSegment(), which undo the shape's position, rotation and
+ *   scale and test its geometry (graphics.geom) in its own coordinates. Subclasses give their outline and how to test a point in it.
+ * - Subclasses draw with the colors of the scene's palette (see Palette), and redraw() draws them again when it changes.
  * - Static ID management is used to assign unique identifiers to each shape instance for easier management and debugging.
  * @class 
  * @author Braeden Ruff
@@ -48,19 +52,15 @@ class Shape {
         this.velocityX = velocityX; // Horizontal velocity for movement.
         this.velocityY = velocityY; // Vertical velocity for movement.
         this.angularVelocity = angularVelocity; // Rate of rotation.
-        
-        // Additional properties for advanced movement and animation.
-        this.secondVelocityX = 0; // Secondary horizontal velocity for complex movement patterns.
-        this.secondVelocityY = 0; // Secondary vertical velocity for complex movement patterns.
-        this.circularVelocityX = 0; // Horizontal velocity component for circular movement.
-        this.circularVelocityY = 0; // Vertical velocity component for circular movement.
+        this.startX = x; // X-coordinate the shape spawned at. Its position is the motion's offset from here.
+        this.startY = y; // Y-coordinate the shape spawned at.
+        this.spawnTime = 0; // Level time (see LevelClock) at which the shape spawned.
+        this.motion = new ShapeMotion({ velocity: { x: velocityX, y: velocityY }, angularVelocity: angularVelocity }, scene.difficultyAdjustment); // Where the shape is at any level time.
+        this.offscreen = false; // Flag to keep the shape below the screen once it has been cleared away.
         
         this.graphics = null; // Graphics object for rendering. Set in derived classes.
         this.scaleFactor = 1; // Current scale factor for the shape.
 		this.spriteScaleFactor = 1; // Current scale factor for the sprite.
-        this.movementTween = null; // Tween for movement animations.
-        this.growingTween = null; // Tween for scaling animations.
-		this.velocityTween = null; // Tween for velocity change animations.
         this.rotation = 0; // Current rotation angle in radians.
         this.id = Shape.staticId++; // Unique identifier for the shape.
         this.toBeRemoved = false; // Flag to mark the shape for removal.
@@ -76,25 +76,192 @@ class Shape {
     }
 	
 	/**
-     * Regularly updates each shape in the level and checks for level clearing conditions.
-     * @param {number} time - The current time.
-     * @param {number} delta - The time elapsed since the last update.
+     * Moves the shape to where its motion puts it at the given level time.
+     * @param {number} levelTime - The level time from the level's LevelClock.
      */
-    update(time, delta) {
-        // Calculate movement since the last frame
-        const deltaX = ((this.velocityX * this.scene.difficultyAdjustment + this.secondVelocityX + this.circularVelocityX) * delta * this.scene.slowtimeFactor) / 1000; // Convert velocity to units per ms and multiply by delta
-        const deltaY = ((this.velocityY * this.scene.difficultyAdjustment + this.secondVelocityY + this.circularVelocityY) * delta * this.scene.slowtimeFactor) / 1000; // Convert velocity to units per ms and multiply by delta
-        const deltaAngle = (this.angularVelocity * delta * this.scene.slowtimeFactor * this.scene.difficultyAdjustment) / 1000; // Convert angular velocity to degrees per ms and multiply by delta
+    update(levelTime) {
+        const time = levelTime - this.spawnTime; // Time since the shape spawned.
+        const offset = this.motion.offsetAt(time);
 		
-        // Update position and rotation
-        this.x += deltaX; // Assuming no horizontal movement for simplicity
-        this.y += deltaY;
-        this.rotation = this.rotation + deltaAngle; // Ensure rotation is defined and increment it
+        // Update position, rotation and scale
+        this.x = this.startX + offset.x;
+        this.y = this.offscreen ? this.scene.sys.game.config.height + 100 : this.startY + offset.y;
+        this.rotation = this.motion.rotationAt(time);
+        this.scaleFactor = this.motion.scaleAt(time);
 
         // Update graphics to reflect new position and rotation
         this.updateGraphics();
     }
 	
+	/**
+	 * Gives the shape the motion of its level entry: velocity changes, scaling, oscillation and orbit on top of its velocity and angular velocity.
+	 * @param {Object} entry - The shape's level entry (see LevelFormat).
+	 */
+	setMotion(entry) {
+		this.motion = new ShapeMotion(entry, this.scene.difficultyAdjustment);
+	}
+	
+	/**
+	 * Converts a point on the screen to the shape's own coordinates, undoing its position, rotation and scale, so it can be tested
+	 * against the shape's geometry (graphics.geom) the way Phaser hit-tests the graphics.
+	 * @param {number} x - The x-coordinate on the screen.
+	 * @param {number} y - The y-coordinate on the screen.
+	 * @returns {{x: number, y: number}} The point in the shape's coordinates.
+	 */
+	toLocal(x, y) {
+		const dx = x - this.x;
+		const dy = y - this.y;
+		const cos = Math.cos(this.rotation);
+		const sin = Math.sin(this.rotation);
+		return { x: (dx * cos + dy * sin) / this.scaleFactor, y: (dy * cos - dx * sin) / this.scaleFactor };
+	}
+	
+	/**
+	 * Converts a point in the shape's own coordinates to the screen, applying its scale, rotation and position.
+	 * @param {number} x - The x-coordinate in the shape's coordinates.
+	 * @param {number} y - The y-coordinate in the shape's coordinates.
+	 * @returns {{x: number, y: number}} The point on the screen.
+	 */
+	toWorld(x, y) {
+		const cos = Math.cos(this.rotation);
+		const sin = Math.sin(this.rotation);
+		return { x: this.x + (x * cos - y * sin) * this.scaleFactor, y: this.y + (x * sin + y * cos) * this.scaleFactor };
+	}
+	
+	/**
+	 * To be implemented in subclasses -> gets the outline of the shape's geometry in its own coordinates.
+	 * @abstract
+	 * @returns {Array.<{x: number, y: number}>} The outline's corners, in order.
+	 */
+	getOutline() {
+		throw new Error("Method 'getOutline()' must be implemented.");
+	}
+	
+	/**
+	 * Draws the shape again from its outline, with the palette's colors (after the palette changes, see Palette).
+	 */
+	redraw() {
+		this.graphics.clear();
+		this.draw(this.getOutline());
+	}
+	
+	/**
+	 * To be implemented in subclasses -> checks whether a point in the shape's own coordinates is inside its geometry.
+	 * @abstract
+	 * @param {number} x - The x-coordinate in the shape's coordinates.
+	 * @param {number} y - The y-coordinate in the shape's coordinates.
+	 * @returns {boolean} Whether the point is inside.
+	 */
+	containsLocal(x, y) {
+		throw new Error("Method 'containsLocal()' must be implemented.");
+	}
+	
+	/**
+	 * Checks whether the shape can be touched: it has geometry, and isn't scaled down to nothing.
+	 * @returns {boolean} Whether it can be touched.
+	 */
+	isTouchable() {
+		return Boolean(this.graphics && this.graphics.geom) && this.scaleFactor !== 0;
+	}
+	
+	/**
+	 * Checks whether a point on the screen is inside the shape, as it's positioned, rotated and scaled now.
+	 * @param {number} x - The x-coordinate on the screen.
+	 * @param {number} y - The y-coordinate on the screen.
+	 * @returns {boolean} Whether the point is inside.
+	 */
+	containsPoint(x, y) {
+		if (!this.isTouchable()) {
+			return false;
+		}
+		const local = this.toLocal(x, y);
+		return this.containsLocal(local.x, local.y);
+	}
+	
+	/**
+	 * Checks whether a straight path on the screen touches the shape, as it is now.
+	 * @param {{x: number, y: number}} from - Where the path starts, on the screen.
+	 * @param {{x: number, y: number}} to - Where the path ends, on the screen.
+	 * @returns {boolean} Whether the path touches the shape.
+	 */
+	intersectsSegment(from, to) {
+		return this.sweepHit(from, to) !== null;
+	}
+	
+	/**
+	 * Finds where a straight path on the screen first touches the shape, as it is now. A path of length 0 tests a single point.
+	 * @param {{x: number, y: number}} from - Where the path starts, on the screen.
+	 * @param {{x: number, y: number}} to - Where the path ends, on the screen.
+	 * @returns {number|null} How far along the path it first touches the shape, from 0 (where it starts, also if it starts inside
+	 * the shape) to 1 (where it ends), or null if it misses the shape.
+	 */
+	sweepHit(from, to) {
+		if (!this.isTouchable()) {
+			return null; // Nothing to touch.
+		}
+		const start = this.toLocal(from.x, from.y);
+		if (this.containsLocal(start.x, start.y)) {
+			return 0;
+		}
+		// Otherwise the path touches the shape where it first crosses an edge.
+		const end = this.toLocal(to.x, to.y);
+		const outline = this.getOutline();
+		let first = null;
+		outline.forEach((corner, index) => {
+			const along = Shape.crossSegments(start, end, corner, outline[(index + 1) % outline.length]);
+			if (along !== null && (first === null || along < first)) {
+				first = along;
+			}
+		});
+		return first;
+	}
+	
+	/**
+	 * Gets the box around the shape on the screen, as it's positioned, rotated and scaled now (see ShapeGrid).
+	 * @returns {{left: number, top: number, right: number, bottom: number}} The bounding box.
+	 */
+	getBounds() {
+		const corners = this.getOutline().map(corner => this.toWorld(corner.x, corner.y));
+		return {
+			left: Math.min(...corners.map(corner => corner.x)),
+			top: Math.min(...corners.map(corner => corner.y)),
+			right: Math.max(...corners.map(corner => corner.x)),
+			bottom: Math.max(...corners.map(corner => corner.y)),
+		};
+	}
+	
+	/**
+	 * Finds where a path crosses an edge.
+	 * @param {{x: number, y: number}} start - Where the path starts.
+	 * @param {{x: number, y: number}} end - Where the path ends.
+	 * @param {{x: number, y: number}} edgeStart - One end of the edge.
+	 * @param {{x: number, y: number}} edgeEnd - The other end of the edge.
+	 * @returns {number|null} How far along the path it crosses the edge, from 0 to 1, or null if it doesn't (or runs along it).
+	 */
+	static crossSegments(start, end, edgeStart, edgeEnd) {
+		const pathX = end.x - start.x;
+		const pathY = end.y - start.y;
+		const edgeX = edgeEnd.x - edgeStart.x;
+		const edgeY = edgeEnd.y - edgeStart.y;
+		const denominator = pathX * edgeY - pathY * edgeX;
+		if (denominator === 0) {
+			return null; // Parallel, or a path of length 0.
+		}
+		const offsetX = edgeStart.x - start.x;
+		const offsetY = edgeStart.y - start.y;
+		const along = (offsetX * edgeY - offsetY * edgeX) / denominator; // How far along the path.
+		const alongEdge = (offsetX * pathY - offsetY * pathX) / denominator; // How far along the edge.
+		return along >= 0 && along <= 1 && alongEdge >= 0 && alongEdge <= 1 ? along : null;
+	}
+	
+	/**
+	 * Moves the shape below the screen, past the death plane, and keeps it there. Used to clear shapes away without killing them on screen.
+	 */
+	moveOffscreen() {
+		this.offscreen = true;
+		this.y = this.scene.sys.game.config.height + 100;
+	}
+	
     /**
 	 * Updates the graphical representation of the shape to reflect its current state.
 	 * This includes position, rotation, and scale adjustments.
@@ -124,133 +291,14 @@ class Shape {
 	}
     
 	/**
-	 * Initiates scaling animations for the shape based on specified parameters.
-	 * @param {Array} growingParamsArray - An array of parameters for scaling animations.
-	 * Each element is an array containing delay before start, growth speed, and final size.
+	 * Removes the shape's graphics and sprites right away, without the death animation. Used by the level editor's preview.
 	 */
-	animateScale(growingParamsArray) {
-		if (!this.graphics) return; // Exit if there's no graphics object to animate.
-
-		const initiateGrowing = (growParams, delayBeforeStart = 0) => {
-			if (growParams.length !== 2) {
-				throw new Error("Not Implemented"); // Validate growParams format.
-			}
-			const [growSpeed, endSize] = growParams; // Destructure growth parameters.
-			
-			this.scene.time.delayedCall(delayBeforeStart, () => { // Delay animation start if specified.
-				if (this.growingTween) {
-					this.growingTween.stop(); // Stop any existing growing animation.
-					this.growingTween = null;
-				}
-				// Create a new tween for scaling.
-				this.growingTween = this.scene.tweens.add({
-					targets: this.graphics,
-					scaleX: endSize,
-					scaleY: endSize,
-					ease: 'Linear',
-					duration: growSpeed / this.scene.difficultyAdjustment,
-					repeat: 0,
-					yoyo: false,
-					onUpdate: () => {
-						this.scaleFactor = this.graphics.scaleX; // Update scaleFactor during animation.
-					},
-					onComplete: () => {
-						this.scaleFactor = endSize; // Ensure scaleFactor matches end size after completion.
-					}
-				});
-			});
-		};
-
-		growingParamsArray.forEach(([delayBeforeMovement, growParams]) => {
-			initiateGrowing(growParams, delayBeforeMovement / this.scene.difficultyAdjustment); // Initiate each scaling animation.
-		});
+	destroy() {
+		if (this.graphics) this.graphics.destroy();
+		if (this.centerSprite) this.centerSprite.destroy();
+		if (this.armored_sprite) this.armored_sprite.destroy();
 	}
-	
-	/**
-	 * Animates the object's velocity change over time based on provided parameters.
-	 * This method allows for dynamic changes in velocity, useful for creating movement patterns.
-	 * @param {Array} velocityArray - An array containing velocity change parameters: delay before change, new velocities (X and Y), and duration to change velocities.
-	 */
-	animateVelocities(velocityArray) {
-		if (!this.graphics) return; // Ensure there is a graphics object to apply animations to.
-		if (velocityArray.length === 0) return; // Ensure there are parameters to process.
-
-		// Defines a function to initiate the velocity change animation.
-		const initiateMovement = (velocityParams, delayBeforeStart = 0) => {
-			// Validate that the parameters array has the correct format.
-			if (velocityParams.length !== 3) {
-				throw new Error("Not Implemented"); // Improper format error.
-			}
-			// Destructure the velocity parameters for easier access.
-			const [newVelocityX, newVelocityY, durationOfChange] = velocityParams;
-
-			// Delay the start of the animation if specified.
-			this.scene.time.delayedCall(delayBeforeStart, () => {
-				if (this.velocityTween) {
-					// If an animation is already in progress, stop it before starting a new one.
-					this.velocityTween.stop();
-					this.velocityTween = null;
-				}
-				// Create a new tween animation for changing velocity.
-				this.velocityTween = this.scene.tweens.add({
-					targets: this,
-					props: {
-						velocityX: { from: this.velocityX, to: newVelocityX },
-						velocityY: { from: this.velocityY, to: newVelocityY }
-					},
-					ease: 'Linear', // Use linear interpolation for a smooth transition.
-					duration: durationOfChange / this.scene.difficultyAdjustment, // Adjust duration based on game difficulty.
-				});
-			});
-		};
-
-		// Iterate over each set of velocity change parameters and initiate the animation.
-		velocityArray.forEach(([delayBeforeMovement, velocityParams]) => {
-			initiateMovement(velocityParams, delayBeforeMovement / this.scene.difficultyAdjustment);
-		});
-	}
-	
-	/**
-	 * Initiates movement animations for the shape based on specified parameters.
-	 * @param {Array} movementParamsArray - An array of parameters for movement animations.
-	 * Each element is an array containing duration, repeat interval, and movement speeds in X and Y directions.
-	 */
-	animateMovement(movementParamsArray) {
-		if (!this.graphics) return; // Exit if there's no graphics object to animate.
-		if (movementParamsArray.length === 0) return; // Exit if there are no movement parameters.
-
-		const initiateMovement = (params, delayBeforeStart = 0) => {
-			if (params.length !== 4) {
-				throw new Error("Not Implemented"); // Validate movement parameters format.
-			}
-			const [durationOfMovement, repeatInterval, movementSpeedX, movementSpeedY] = params;
-
-			this.scene.time.delayedCall(delayBeforeStart, () => { // Delay animation start if specified.
-				if (this.movementTween) {
-					this.movementTween.stop(); // Stop any existing movement animation.
-					this.movementTween = null;
-				}
-				this.secondVelocityX = 0;
-				this.secondVelocityY = 0;
-				// Create a new tween for movement.
-				this.movementTween = this.scene.tweens.add({
-					targets: this,
-					props: {
-						secondVelocityX: { from: this.secondVelocityX - movementSpeedX * this.scene.difficultyAdjustment, to: this.secondVelocityX + movementSpeedX * this.scene.difficultyAdjustment },
-						secondVelocityY: { from: this.secondVelocityY - movementSpeedY * this.scene.difficultyAdjustment, to: this.secondVelocityY + movementSpeedY * this.scene.difficultyAdjustment }
-					},
-					ease: 'Linear',
-					duration: durationOfMovement / this.scene.difficultyAdjustment,
-					yoyo: true, // Allow back-and-forth animation.
-					repeat: repeatInterval === -1 ? -1 : repeatInterval - 1 // Set repeat interval.
-				});
-			});
-		};
-		movementParamsArray.forEach(([delayBeforeMovement, movementParams]) => {
-			initiateMovement(movementParams, delayBeforeMovement / this.scene.difficultyAdjustment); // Initiate each movement animation.
-		});
-	}
-	
+    
 	/**
 	 * Performs the animation and logic for the object's death. This includes fading out the object
 	 * and marking it for removal from the game. Optionally, plays a sound effect if the object is visible.
@@ -290,42 +338,4 @@ class Shape {
 		});
 	}
 
-
-	/**
-	 * Initiates circular movement animations for the shape based on specified parameters.
-	 * @param {Array} movementParams - Parameters for circular movement including delay before start, duration, radius, and speed.
-	 */
-	animateCircularMovement(movementParams) {
-		if (!this.graphics) return; // Exit if there's no graphics object to animate.
-		if (movementParams.length === 0) return; // No circular movement.
-		if (movementParams.length !== 5) {
-			throw new Error("Not Implemented"); // Validate circular movement parameters format.
-		}
-		const [delayBeforeStart, duration, radius, speed, startAngel] = movementParams;
-
-		let angVel = 2 * Math.PI / (speed / 1000 / this.scene.difficultyAdjustment); // Calculate angular velocity for complete circle.
-		
-		let elapsed = 0; // Initialize elapsed time.
-		this.scene.time.delayedCall(delayBeforeStart / this.scene.difficultyAdjustment, () => {
-			this.scene.time.addEvent({
-			delay: 20, // Update interval for smoother circular motion.
-			callback: () => {
-				elapsed += 20; // Increment elapsed time.
-
-				let currentAngle = angVel * (elapsed / 1000) + startAngel; // Calculate current angle.
-
-				// Update velocity components based on circular motion.
-				this.circularVelocityX = radius * angVel * Math.cos(currentAngle);
-				this.circularVelocityY = radius * angVel * Math.sin(currentAngle);
-
-				if (elapsed >= duration / this.scene.difficultyAdjustment && duration !== -1) {
-					this.circularVelocityX = 0; // Reset velocities if duration is exceeded.
-					this.circularVelocityY = 0;
-				}
-			},
-			callbackScope: this,
-			loop: true // Continue updating until stopped.
-			});
-		});
-	}
 }
\ No newline at end of file
@@ -0,0 +1,107 @@
+/**
+ * Class Name: ShapeGrid
+ * Description: The broadphase of the cursor's hit-testing (Level.grid). The canvas is split into square cells, and each shape that can
+ * be touched is filed under every cell its bounding box overlaps (see Shape.getBounds()). A query only returns the shapes filed under
+ * the cells it covers, so the exact tests (Shape.sweepHit(), Shape.containsPoint()) only run on shapes near the cursor. Shapes move
+ * every frame, so the grid is rebuilt before each query. Shapes off the canvas are left out, since the cursor can't reach them.
+ * Expected Inputs: The level's shapes, and the points and paths to query.
+ * Expected Outputs: The shapes that might touch a point or path, in the level's order.
+ * Called By: Level (sweepCursor() and checkAllShapes()).
+ * Will Call: Shape.getBounds().
+ * @class
+ * @author Braeden Ruff
+ */
+class ShapeGrid
+{
+	/**
+	 * The width and height of a cell, in pixels. A bit more than the largest shapes, so most are filed under a few cells.
+	 */
+	static CELL_SIZE = 100;
+
+	/**
+	 * Constructs an empty grid over the canvas.
+	 * @constructor
+	 * @param {number} width - The canvas width.
+	 * @param {number} height - The canvas height.
+	 */
+	constructor(width, height)
+	{
+		this.width = width;
+		this.height = height;
+		this.cells = new Map(); // The shapes filed under each cell, by the cell's key.
+		this.order = new Map(); // Each filed shape's index in the level's shapes.
+	}
+
+	/**
+	 * Files the shapes that can be touched under the cells their bounding boxes overlap, replacing the previous ones.
+	 * Dying shapes are left out.
+	 * @param {Array<Shape>} shapes - The level's shapes.
+	 */
+	build(shapes)
+	{
+		this.cells.clear();
+		this.order.clear();
+		shapes.forEach((shape, index) => {
+			if (shape.dying || !shape.isTouchable()) return;
+			const bounds = shape.getBounds();
+			if (bounds.right < 0 || bounds.bottom < 0 || bounds.left > this.width || bounds.top > this.height) return; // Off the canvas.
+			this.order.set(shape, index);
+			this.forEachCell(bounds.left, bounds.top, bounds.right, bounds.bottom, key => {
+				if (!this.cells.has(key))
+				{
+					this.cells.set(key, []);
+				}
+				this.cells.get(key).push(shape);
+			});
+		});
+	}
+
+	/**
+	 * Calls a callback with the key of every cell a box on the canvas overlaps. The parts off the canvas are ignored.
+	 * @param {number} left - The box's left edge.
+	 * @param {number} top - The box's top edge.
+	 * @param {number} right - The box's right edge.
+	 * @param {number} bottom - The box's bottom edge.
+	 * @param {function(string)} callback - Called with each cell's key.
+	 */
+	forEachCell(left, top, right, bottom, callback)
+	{
+		const firstColumn = Math.floor(Math.max(0, left) / ShapeGrid.CELL_SIZE);
+		const lastColumn = Math.floor(Math.min(this.width, right) / ShapeGrid.CELL_SIZE);
+		const firstRow = Math.floor(Math.max(0, top) / ShapeGrid.CELL_SIZE);
+		const lastRow = Math.floor(Math.min(this.height, bottom) / ShapeGrid.CELL_SIZE);
+		for (let column = firstColumn; column <= lastColumn; column++)
+		{
+			for (let row = firstRow; row <= lastRow; row++)
+			{
+				callback(column + ',' + row);
+			}
+		}
+	}
+
+	/**
+	 * Finds the shapes that might touch a straight path: the ones filed under the cells around it.
+	 * @param {{x: number, y: number}} from - Where the path starts.
+	 * @param {{x: number, y: number}} to - Where the path ends.
+	 * @returns {Array<Shape>} The shapes, in the level's order.
+	 */
+	querySegment(from, to)
+	{
+		const found = new Set();
+		this.forEachCell(Math.min(from.x, to.x), Math.min(from.y, to.y), Math.max(from.x, to.x), Math.max(from.y, to.y), key => {
+			(this.cells.get(key) || []).forEach(shape => found.add(shape));
+		});
+		return Array.from(found).sort((a, b) => this.order.get(a) - this.order.get(b));
+	}
+
+	/**
+	 * Finds the shapes that might contain a point: the ones filed under its cell.
+	 * @param {number} x - The point's x-coordinate.
+	 * @param {number} y - The point's y-coordinate.
+	 * @returns {Array<Shape>} The shapes, in the level's order.
+	 */
+	queryPoint(x, y)
+	{
+		return this.querySegment({ x, y }, { x, y });
+	}
+}
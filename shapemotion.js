@@ -0,0 +1,223 @@
+/**
+ * Class Name: ShapeMotion
+ * Description: Evaluates a shape's motion as a pure function of the time since it spawned, from the motion fields of its level entry
+ * (see LevelFormat) and the difficulty. This replaces per-frame velocity integration, tweens and timer loops, so the same time always
+ * gives the same position, rotation and scale. The motion components are:
+ * - velocity and velocityChanges: the base velocity, changed linearly to each new velocity over its duration. A change that starts while
+ *   another is still running takes over from the current velocity. Scaled by the difficulty.
+ * - oscillation: an extra velocity that sweeps from -speed to +speed and back (a triangle wave) over 2 * duration, repeated `repeat` times
+ *   (-1 for forever), after which it rests at -speed. A later oscillation replaces an earlier one.
+ * - orbit: an extra circular velocity that moves the shape around a circle of `radius`, once per `period`, for `duration` (-1 for forever).
+ * - angularVelocity and scaling: the rotation rate, and scale changes applied linearly like velocity changes.
+ * Delays, durations and periods are divided by the difficulty adjustment, and speeds multiplied by it, so harder difficulties run faster.
+ * Expected Inputs: A normalized shape entry (or any object with some of its motion fields) and the difficulty adjustment.
+ * Expected Outputs: The offset from the spawn position, rotation and scale at any time after spawning.
+ * Called By: Shape (its constructor and setMotion()), and anything that needs to know where a shape will be at a given time.
+ * Will Call: Nothing.
+ * @class
+ * @author Braeden Ruff
+ */
+class ShapeMotion
+{
+	/**
+	 * Builds the motion of a shape.
+	 * @constructor
+	 * @param {Object} entry - The shape's motion: velocity, angularVelocity, velocityChanges, scaling, oscillation and orbit. Missing fields mean no motion of that kind.
+	 * @param {number} difficultyAdjustment - The difficulty's speed multiplier (0.5 on Easy to 1.5 on Insane).
+	 */
+	constructor(entry, difficultyAdjustment)
+	{
+		const velocity = entry.velocity || { x: 0, y: 0 };
+		const adjustment = difficultyAdjustment;
+		this.difficultyAdjustment = adjustment;
+		this.angularVelocity = entry.angularVelocity || 0;
+
+		// Base velocity and scale as piecewise-linear keyframes [time, value].
+		const velocityChanges = (entry.velocityChanges || []).map(change => ({ start: change.delay / adjustment, duration: change.duration / adjustment, value: change.velocity }));
+		this.velocityX = ShapeMotion.buildKeyframes(velocity.x, velocityChanges.map(change => ({ start: change.start, duration: change.duration, value: change.value.x })));
+		this.velocityY = ShapeMotion.buildKeyframes(velocity.y, velocityChanges.map(change => ({ start: change.start, duration: change.duration, value: change.value.y })));
+		this.scale = ShapeMotion.buildKeyframes(1, (entry.scaling || []).map(scale => ({ start: scale.delay / adjustment, duration: scale.duration / adjustment, value: scale.scale })));
+
+		// Oscillations, each active until the next one starts.
+		const oscillations = (entry.oscillation || []).map(movement => ({
+			start: movement.delay / adjustment,
+			halfPeriod: movement.duration / adjustment,
+			cycles: movement.repeat === -1 ? Infinity : movement.repeat,
+			amplitudeX: movement.speed.x * adjustment,
+			amplitudeY: movement.speed.y * adjustment,
+		})).sort((a, b) => a.start - b.start);
+		oscillations.forEach((oscillation, index) => {
+			oscillation.end = index + 1 < oscillations.length ? oscillations[index + 1].start : Infinity;
+		});
+		this.oscillations = oscillations;
+
+		// Circular movement.
+		this.orbit = null;
+		if (entry.orbit)
+		{
+			this.orbit = {
+				start: entry.orbit.delay / adjustment,
+				end: entry.orbit.duration === -1 ? Infinity : (entry.orbit.delay + entry.orbit.duration) / adjustment,
+				radius: entry.orbit.radius,
+				angularSpeed: 2 * Math.PI * adjustment / entry.orbit.period, // Radians per millisecond.
+				startAngle: entry.orbit.startAngle,
+			};
+		}
+	}
+
+	/**
+	 * Builds piecewise-linear keyframes from an initial value and a list of linear changes.
+	 * A change that starts before the previous one finishes starts from the value reached so far.
+	 * @param {number} initial - The value at time 0.
+	 * @param {Array<{start: number, duration: number, value: number}>} changes - The changes.
+	 * @returns {Array<Array<number>>} The keyframes as [time, value] pairs, sorted by time.
+	 */
+	static buildKeyframes(initial, changes)
+	{
+		let keyframes = [[0, initial]];
+		// A stable sort keeps the level's order for changes that start at the same time, so the later one wins.
+		changes.slice().sort((a, b) => a.start - b.start).forEach(change => {
+			const current = ShapeMotion.valueAt(keyframes, change.start);
+			keyframes = keyframes.filter(([time]) => time <= change.start);
+			keyframes.push([change.start, current], [change.start + change.duration, change.value]);
+		});
+		return keyframes;
+	}
+
+	/**
+	 * Evaluates piecewise-linear keyframes.
+	 * @param {Array<Array<number>>} keyframes - [time, value] pairs, sorted by time.
+	 * @param {number} time - The time to evaluate at.
+	 * @returns {number} The value at that time. Before the first and after the last keyframe the value holds.
+	 */
+	static valueAt(keyframes, time)
+	{
+		let value = keyframes[0][1];
+		for (let i = 0; i < keyframes.length; i++)
+		{
+			const [keyTime, keyValue] = keyframes[i];
+			if (time < keyTime)
+			{
+				const [previousTime, previousValue] = keyframes[i - 1];
+				return previousValue + (keyValue - previousValue) * (time - previousTime) / (keyTime - previousTime);
+			}
+			value = keyValue;
+		}
+		return value;
+	}
+
+	/**
+	 * Integrates piecewise-linear keyframes from 0 to a time.
+	 * @param {Array<Array<number>>} keyframes - [time, value] pairs, sorted by time, starting at time 0.
+	 * @param {number} time - The end of the integral.
+	 * @returns {number} The integral (value x milliseconds).
+	 */
+	static integralTo(keyframes, time)
+	{
+		let total = 0;
+		for (let i = 1; i < keyframes.length; i++)
+		{
+			const [previousTime, previousValue] = keyframes[i - 1];
+			const [keyTime, keyValue] = keyframes[i];
+			if (time <= previousTime)
+			{
+				return total;
+			}
+			if (keyTime === previousTime)
+			{
+				continue; // An instant change covers no time.
+			}
+			const end = Math.min(time, keyTime);
+			const endValue = previousValue + (keyValue - previousValue) * (end - previousTime) / (keyTime - previousTime);
+			total += (previousValue + endValue) / 2 * (end - previousTime);
+		}
+		const [lastTime, lastValue] = keyframes[keyframes.length - 1];
+		if (time > lastTime)
+		{
+			total += lastValue * (time - lastTime);
+		}
+		return total;
+	}
+
+	/**
+	 * Integrates a triangle wave that starts at -amplitude, rises to +amplitude over halfPeriod and falls back over the next halfPeriod,
+	 * for a number of cycles, and then rests at -amplitude.
+	 * @param {number} amplitude - The peak value.
+	 * @param {number} halfPeriod - The time to go from -amplitude to +amplitude.
+	 * @param {number} cycles - The number of full cycles (Infinity for forever).
+	 * @param {number} elapsed - The time since the wave started.
+	 * @returns {number} The integral (value x milliseconds).
+	 */
+	static triangleIntegral(amplitude, halfPeriod, cycles, elapsed)
+	{
+		if (halfPeriod <= 0)
+		{
+			return 0;
+		}
+		const period = 2 * halfPeriod;
+		const activeTime = Math.min(elapsed, period * cycles);
+		// Full cycles average out to 0, so only the partial cycle and the rest afterwards count.
+		const phase = activeTime === period * cycles ? 0 : activeTime % period;
+		let total;
+		if (phase <= halfPeriod)
+		{
+			total = -amplitude * phase + amplitude * phase * phase / halfPeriod;
+		}
+		else
+		{
+			const falling = phase - halfPeriod;
+			total = amplitude * falling - amplitude * falling * falling / halfPeriod;
+		}
+		return total - amplitude * (elapsed - activeTime);
+	}
+
+	/**
+	 * Gets how far the shape has moved from its spawn position.
+	 * @param {number} time - Milliseconds of level time since the shape spawned.
+	 * @returns {{x: number, y: number}} The offset in pixels.
+	 */
+	offsetAt(time)
+	{
+		const t = Math.max(0, time);
+		// Velocities are in pixels per second, so integrals over milliseconds are divided by 1000.
+		let x = ShapeMotion.integralTo(this.velocityX, t) * this.difficultyAdjustment / 1000;
+		let y = ShapeMotion.integralTo(this.velocityY, t) * this.difficultyAdjustment / 1000;
+
+		this.oscillations.forEach(oscillation => {
+			if (t > oscillation.start)
+			{
+				const elapsed = Math.min(t, oscillation.end) - oscillation.start;
+				x += ShapeMotion.triangleIntegral(oscillation.amplitudeX, oscillation.halfPeriod, oscillation.cycles, elapsed) / 1000;
+				y += ShapeMotion.triangleIntegral(oscillation.amplitudeY, oscillation.halfPeriod, oscillation.cycles, elapsed) / 1000;
+			}
+		});
+
+		if (this.orbit && t > this.orbit.start)
+		{
+			const angle = this.orbit.angularSpeed * (Math.min(t, this.orbit.end) - this.orbit.start) + this.orbit.startAngle;
+			x += this.orbit.radius * (Math.sin(angle) - Math.sin(this.orbit.startAngle));
+			y += this.orbit.radius * (Math.cos(this.orbit.startAngle) - Math.cos(angle));
+		}
+		return { x, y };
+	}
+
+	/**
+	 * Gets the shape's rotation.
+	 * @param {number} time - Milliseconds of level time since the shape spawned.
+	 * @returns {number} The rotation in radians.
+	 */
+	rotationAt(time)
+	{
+		return this.angularVelocity * this.difficultyAdjustment * Math.max(0, time) / 1000;
+	}
+
+	/**
+	 * Gets the shape's scale.
+	 * @param {number} time - Milliseconds of level time since the shape spawned.
+	 * @returns {number} The scale factor.
+	 */
+	scaleAt(time)
+	{
+		return ShapeMotion.valueAt(this.scale, Math.max(0, time));
+	}
+}
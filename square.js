@@ -20,12 +20,14 @@
  * Functions:
  * - createGraphics(): Sets up the square's graphical representation and interaction.
  * - draw(halfWidth, halfHeight): Draws the square shape based on provided dimensions.
+ * - redraw(): Draws it again after the palette changes (see Palette).
+ * - getOutline(), containsLocal(x, y): The square's geometry, for hit-testing (see Shape.containsPoint()).
  *
  * Called by:
  * This class is instantiated by the Level class when loading a level that includes squares as part of its design.
  *
  * Will call:
- * - Phaser's graphics system methods to create and manage the square's graphical representation.
+ * - Phaser's graphics system methods to create and manage the square's graphical representation, with the scene's Palette.
  * @class
  * @author Braeden Ruff
  */
@@ -54,13 +56,13 @@ class Square extends Shape {
     }
 
     /**
-     * Draws the square on the scene.
+     * Draws the square on the scene, in the palette's colors (see Palette).
      * @param {number} halfWidth - Half of the square's width.
      * @param {number} halfHeight - Half of the square's height.
      */
     draw(halfWidth, halfHeight) {
         // Set the fill color and line style for the square.
-        this.graphics.fillStyle(0xFFFFFF, 1);
+        this.graphics.fillStyle(this.scene.palette.getColors().square, 1);
         this.graphics.lineStyle(0, 0x000000);
         
         // Begin the path for the square shape.
@@ -75,4 +77,37 @@ class Square extends Shape {
         this.graphics.fillPath();
         this.graphics.strokePath();
     }
+
+    /**
+     * Draws the square again from its geometry, with the palette's colors (after the palette changes, see Palette).
+     */
+    redraw() {
+        const geom = this.graphics.geom;
+        this.graphics.clear();
+        this.draw(geom.width / 2, geom.height / 2);
+    }
+
+    /**
+     * Gets the square's corners in its own coordinates.
+     * @returns {Array.<{x: number, y: number}>} The corners, in order.
+     */
+    getOutline() {
+        const geom = this.graphics.geom;
+        return [
+            { x: geom.x, y: geom.y },
+            { x: geom.x + geom.width, y: geom.y },
+            { x: geom.x + geom.width, y: geom.y + geom.height },
+            { x: geom.x, y: geom.y + geom.height },
+        ];
+    }
+
+    /**
+     * Checks whether a point in the square's own coordinates is inside it.
+     * @param {number} x - The x-coordinate in the square's coordinates.
+     * @param {number} y - The y-coordinate in the square's coordinates.
+     * @returns {boolean} Whether the point is inside.
+     */
+    containsLocal(x, y) {
+        return Phaser.Geom.Rectangle.Contains(this.graphics.geom, x, y);
+    }
 }
@@ -0,0 +1,92 @@
+/**
+ * Class Name: StarRating
+ * Description: Rates a cleared level with up to 3 stars: one for clearing it (reaching its passing score), one for reaching its max score,
+ * and one for not harming any square or architecture. Each star is earned on its own, so they can be collected over several runs; the
+ * stars of a level are kept as a set of flags per difficulty (GameScene.stars) and drawn in the level select grid. The total number of
+ * stars at a difficulty unlocks the level pack's bonus levels.
+ * Expected Inputs: A run's score, the level's passing and max score, and whether a friendly shape was harmed.
+ * Expected Outputs: The stars earned, as flags, a count or text.
+ * Called By: GameScene (records the stars of cleared levels), LevelSelect (draws them and unlocks the bonus levels).
+ * Will Call: Nothing.
+ * @class
+ * @author Braeden Ruff
+ */
+class StarRating
+{
+	/**
+	 * Star for clearing the level.
+	 */
+	static CLEARED = 1;
+
+	/**
+	 * Star for reaching the level's max score.
+	 */
+	static MAX_SCORE = 2;
+
+	/**
+	 * Star for clearing the level without harming a square or architecture.
+	 */
+	static NO_FRIENDLIES_HARMED = 4;
+
+	/**
+	 * Number of stars a level can earn.
+	 */
+	static STARS_PER_LEVEL = 3;
+
+	/**
+	 * Works out the stars a run earned. A failed run earns none.
+	 * @param {number} score - The run's score.
+	 * @param {number} passingScore - The level's passing score.
+	 * @param {number} maxScore - The level's max score.
+	 * @param {boolean} friendliesHarmed - Whether a square or architecture was hit in the run.
+	 * @returns {number} The stars earned, as flags.
+	 */
+	static rate(score, passingScore, maxScore, friendliesHarmed)
+	{
+		if (score < passingScore)
+		{
+			return 0;
+		}
+		let stars = StarRating.CLEARED;
+		if (score >= maxScore)
+		{
+			stars |= StarRating.MAX_SCORE;
+		}
+		if (!friendliesHarmed)
+		{
+			stars |= StarRating.NO_FRIENDLIES_HARMED;
+		}
+		return stars;
+	}
+
+	/**
+	 * Counts stars.
+	 * @param {number} stars - The stars, as flags (undefined for a level without any).
+	 * @returns {number} The number of stars, 0 to 3.
+	 */
+	static count(stars)
+	{
+		return [StarRating.CLEARED, StarRating.MAX_SCORE, StarRating.NO_FRIENDLIES_HARMED].filter(star => (stars & star) !== 0).length;
+	}
+
+	/**
+	 * Counts the stars of every level.
+	 * @param {Array<number>} levelStars - The stars of each level at a difficulty, as flags.
+	 * @returns {number} The total number of stars.
+	 */
+	static total(levelStars)
+	{
+		return levelStars.reduce((total, stars) => total + StarRating.count(stars), 0);
+	}
+
+	/**
+	 * Shows a level's stars as text, e.g. '★★☆' for two stars.
+	 * @param {number} stars - The stars, as flags.
+	 * @returns {string} A filled star for each star earned, then an empty one for each star left.
+	 */
+	static toText(stars)
+	{
+		const earned = StarRating.count(stars);
+		return '★'.repeat(earned) + '☆'.repeat(StarRating.STARS_PER_LEVEL - earned);
+	}
+}
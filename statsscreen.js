@@ -0,0 +1,141 @@
+/**
+ * Class Name: StatsScreen
+ * Description: The stats screen, opened from the escape menu. It shows a table of every level's stats at a difficulty (see LevelStats):
+ * attempts, clears, fails, triangles killed, friendlies hit, upgrades collected, energy deaths, and the average and best completion
+ * time, with the totals below. It opens on the current difficulty; the arrows beside the title switch between difficulties.
+ * Expected Inputs: Clicks on the arrows and the Back button (or choosing them with the keyboard or gamepad, see Menu), or ESC to go back.
+ * Expected Outputs: The stats table on screen.
+ * Called By: EscapeMenu (opens it), GameScene (closes it on ESC).
+ * Will Call: LevelStats for the average time, Phaser library methods for the text, Menu for the navigation, and EscapeMenu to go back to it.
+ * @class
+ * @author Braeden Ruff
+ */
+class StatsScreen
+{
+	/**
+	 * Difficulties, in the order of GameScene.stats.
+	 */
+	static DIFFICULTIES = ['Easy', 'Medium', 'Hard', 'Insane'];
+
+	/**
+	 * Formats a completion time for the table.
+	 * @param {number|null} time - The time in milliseconds, or null if the level was never cleared.
+	 * @returns {string} The time in seconds with tenths (e.g. 12.3s), or '-'.
+	 */
+	static formatTime(time)
+	{
+		return time === null ? '-' : (time / 1000).toFixed(1) + 's';
+	}
+
+	/**
+	 * Constructs the stats screen. It's created when it's shown.
+	 * @constructor
+	 * @param {Phaser.Scene} scene - The game scene.
+	 */
+	constructor(scene)
+	{
+		this.scene = scene;
+		this.difficultyIndex = 0; // The difficulty whose stats are shown.
+		this.objects = []; // The screen's game objects while it's shown.
+		this.table = null; // The stats table text.
+		this.title = null; // The title, naming the difficulty.
+		this.menu = null; // Navigation of the arrows and the Back button while it's shown (see Menu).
+	}
+
+	/**
+	 * Checks whether the stats screen is shown.
+	 * @returns {boolean} Whether it's shown.
+	 */
+	isShown()
+	{
+		return this.objects.length > 0;
+	}
+
+	/**
+	 * Shows the stats screen with the stats of the current difficulty.
+	 */
+	show()
+	{
+		const config = this.scene.sys.game.config;
+		const centerX = this.scene.cameras.main.centerX;
+		this.difficultyIndex = this.scene.difficultyIndex;
+
+		const background = this.scene.add.sprite(0, 0, 'background-menu').setOrigin(0, 0).setDisplaySize(config.width, config.height).setDepth(10000).setInteractive(); // Interactive so we can't click shapes
+		this.title = this.scene.add.text(centerX, 30, '', { font: '28px Arial', fill: '#fff', stroke: '#000', strokeThickness: 4 }).setOrigin(0.5, 0.5).setDepth(10001);
+		const previous = this.scene.add.text(centerX - 150, 30, '<', { font: '28px Arial', fill: '#fff', stroke: '#000', strokeThickness: 4 })
+			.setInteractive()
+			.on('pointerdown', () => this.showDifficulty(this.difficultyIndex + StatsScreen.DIFFICULTIES.length - 1))
+			.setOrigin(0.5, 0.5).setDepth(10001);
+		const next = this.scene.add.text(centerX + 150, 30, '>', { font: '28px Arial', fill: '#fff', stroke: '#000', strokeThickness: 4 })
+			.setInteractive()
+			.on('pointerdown', () => this.showDifficulty(this.difficultyIndex + 1))
+			.setOrigin(0.5, 0.5).setDepth(10001);
+		this.table = this.scene.add.text(centerX, 60, '', { font: '13px monospace', fill: '#fff', stroke: '#000', strokeThickness: 3 }).setOrigin(0.5, 0).setDepth(10001);
+		const back = this.scene.add.text(centerX, config.height - 30, 'Back', { font: '24px Arial', fill: '#fff' })
+			.setInteractive()
+			.on('pointerdown', () => this.back())
+			.setOrigin(0.5, 0.5).setDepth(10001);
+		this.objects = [background, this.title, previous, next, this.table, back];
+		this.showDifficulty(this.difficultyIndex);
+
+		this.menu = new Menu(this.scene, { onBack: () => this.back() });
+		[back, previous, next].forEach(button => this.menu.add(button));
+		this.menu.open();
+	}
+
+	/**
+	 * Hides the stats screen and goes back to the escape menu.
+	 */
+	back()
+	{
+		this.hide();
+		this.scene.escMenu.create();
+	}
+
+	/**
+	 * Fills in the table with the stats of a difficulty.
+	 * @param {number} difficultyIndex - The difficulty, wrapped around if it's past the last one.
+	 */
+	showDifficulty(difficultyIndex)
+	{
+		this.difficultyIndex = difficultyIndex % StatsScreen.DIFFICULTIES.length;
+		this.title.setText('Stats - ' + StatsScreen.DIFFICULTIES[this.difficultyIndex]);
+
+		const columns = ['Level', 'Tries', 'Clears', 'Fails', 'Kills', 'Friendly', 'Upgrades', 'Energy', 'Average', 'Best'];
+		const widths = [5, 6, 7, 6, 6, 9, 9, 7, 9, 8];
+		const row = cells => cells.map((cell, index) => index === 0 ? String(cell).padEnd(widths[index]) : String(cell).padStart(widths[index])).join('');
+
+		const stats = this.scene.stats[this.difficultyIndex];
+		const total = LevelStats.createEmpty();
+		const rows = this.scene.levels.map((entries, levelIndex) => {
+			const level = stats[levelIndex] || LevelStats.createEmpty();
+			LevelStats.COUNTS.forEach(count => total[count] += level[count]);
+			total.totalClearTime += level.totalClearTime;
+			if (level.bestClearTime !== null)
+			{
+				total.bestClearTime = (total.bestClearTime || 0) + level.bestClearTime; // The best times add up to a best run through the game.
+			}
+			return row([levelIndex + 1, level.attempts, level.clears, level.fails, level.trianglesKilled, level.friendliesHit, level.upgradesCollected,
+				level.energyDeaths, StatsScreen.formatTime(LevelStats.getAverageClearTime(level)), StatsScreen.formatTime(level.bestClearTime)]);
+		});
+		const totalRow = row(['Total', total.attempts, total.clears, total.fails, total.trianglesKilled, total.friendliesHit, total.upgradesCollected,
+			total.energyDeaths, StatsScreen.formatTime(LevelStats.getAverageClearTime(total)), StatsScreen.formatTime(total.bestClearTime)]);
+		this.table.setText([row(columns)].concat(rows, ['', totalRow]).join('\n'));
+	}
+
+	/**
+	 * Hides the stats screen and removes its game objects.
+	 */
+	hide()
+	{
+		if (this.menu)
+		{
+			this.menu.close();
+			this.menu = null;
+		}
+		this.objects.forEach(object => object.destroy());
+		this.objects = [];
+		this.table = null;
+		this.title = null;
+	}
+}
@@ -6,7 +6,7 @@
  * Expected Outputs: A stealth triangle rendered on the game scene with modified visual properties for reduced visibility.
  * Called By: Any class or function responsible for spawning or rendering stealth triangles within the game, typically within the context of level design or enemy generation. 
  * Additionally, createGraphics of the Triangle class calls this if it's a stealth Triangle
- * Will Call: Phaser's graphics methods for drawing shapes, specifically fillStyle and lineStyle, to customize the appearance of the triangle.
+ * Will Call: Phaser's graphics methods for drawing shapes, specifically fillStyle and lineStyle, to customize the appearance of the triangle, with the colors of the scene's Palette.
  * @class
  * @author Braeden Ruff
  */
@@ -14,12 +14,13 @@
 class StealthTriangle extends Triangle
 {
 	/**
-     * Draws the Triangle on the scene.
+     * Draws the Triangle on the scene, in the palette's colors (see Palette). Its marking is as faint as the triangle.
      * @param {Array} points - An array of points defining the pentagon's vertices.
      */
     draw(points) {
-        this.graphics.fillStyle(0x444444, 0.3); // Slightly lighter than background. (#2d2d2d)
-        this.graphics.lineStyle(2, 0x181818, 0.3); // Slightly darker than background. (#2d2d2d)
+        const colors = this.scene.palette.getColors();
+        this.graphics.fillStyle(colors.stealth, colors.stealthAlpha); // Slightly lighter than background.
+        this.graphics.lineStyle(2, colors.stealthOutline, colors.stealthAlpha); // Slightly darker than background.
 
 		// Draw the lines.
         this.graphics.beginPath();
@@ -30,5 +31,6 @@ class StealthTriangle extends Triangle
         this.graphics.closePath();
         this.graphics.fillPath();
         this.graphics.strokePath();
+        this.scene.palette.markHostile(this.graphics, points, colors.stealthAlpha);
     }
 }
\ No newline at end of file
@@ -0,0 +1,26 @@
+/**
+ * Class Name: TimeFormat
+ * Description: Formats play times for display as a clock, shared by the modes that show how long a run has lasted.
+ * Expected Inputs: A time in milliseconds.
+ * Expected Outputs: The time as text.
+ * Called By: EndlessMode (the survival time) and CampaignRun (the run's play time).
+ * Will Call: Nothing.
+ * @class
+ * @author Braeden Ruff
+ */
+class TimeFormat
+{
+	/**
+	 * Formats a time as a clock.
+	 * @param {number} time - The time in milliseconds.
+	 * @returns {string} The time as minutes, seconds and tenths (e.g. 1:05.3).
+	 */
+	static formatClock(time)
+	{
+		const tenths = Math.floor(time / 100);
+		const minutes = Math.floor(tenths / 600);
+		const seconds = (tenths % 600) / 10;
+		return minutes + ':' + seconds.toFixed(1).padStart(4, '0');
+	}
+}
+export {TimeFormat};
@@ -0,0 +1,608 @@
+/**
+ * Program Name: Phaser Stand-in
+ * Description: A minimal, deterministic, GPU-free stand-in for the parts of Phaser 3 that the game logic uses, so levels can be
+ *              simulated headlessly in Node. Game objects record their transform but draw nothing, the clock and tweens only advance
+ *              when step() is called with a fixed delta, and pointer input is hit-tested the way Phaser does it: in the game object's
+ *              local space (accounting for position, rotation and scale), top-most object only, polled every frame.
+ * Expected Inputs: Calls from the game classes (Shape, Level, HealthBar, GameScene...) as if they were talking to Phaser,
+ *                  and a cursor position, clicks and key presses from the simulation harness.
+ * Expected Outputs: The same events (pointerover, pointerout, pointerdown, delayed calls, tween updates) the game would get in a browser.
+ * Called By: tools/simulate.mjs.
+ * Will Call: Nothing outside of this file.
+ * @author Braeden Ruff
+ */
+
+let displayOrder = 0; // Creation order of game objects, used to break depth ties like Phaser's display list.
+
+/**
+ * Class Name: GameObjectStub
+ * Description: Stands in for every Phaser game object (Graphics, Sprite, Text, Rectangle, Arc, Image). It keeps the
+ * properties the game reads and writes, supports event listeners, and can be made interactive with a hit area.
+ * @class
+ */
+class GameObjectStub {
+    /**
+     * @constructor
+     * @param {SceneStub} scene - The scene the object belongs to.
+     * @param {number} x - The x-coordinate.
+     * @param {number} y - The y-coordinate.
+     */
+    constructor(scene, x = 0, y = 0) {
+        this.scene = scene;
+        this.x = x;
+        this.y = y;
+        this.rotation = 0;
+        this.scaleX = 1;
+        this.scaleY = 1;
+        this.alpha = 1;
+        this.depth = 0;
+        this.visible = true;
+        this.text = '';
+        this.width = 64; // Texture size is unknown without a renderer; only used for sprite scaling.
+        this.height = 64;
+        this.hitArea = null; // Set by setInteractive() when a hit area is given.
+        this.hitAreaCallback = null;
+        this.interactive = false;
+        this.destroyed = false;
+        this.order = displayOrder++;
+        this.listeners = {};
+        this.data = {};
+    }
+
+    setPosition(x, y) { this.x = x; this.y = y; return this; }
+    setRotation(rotation) { this.rotation = rotation; return this; }
+    setScale(x, y = x) { this.scaleX = x; this.scaleY = y; return this; }
+    setDepth(depth) { this.depth = depth; return this; }
+    setAlpha(alpha) { this.alpha = alpha; return this; }
+    setVisible(visible) { this.visible = visible; return this; }
+    setOrigin() { return this; }
+    setDisplaySize(width, height) { this.width = width; this.height = height; return this; }
+    setText(text) { this.text = text; return this; }
+    setTexture() { return this; }
+    setTint() { return this; }
+    setStrokeStyle() { return this; }
+    setData(key, value) { this.data[key] = value; return this; }
+    getData(key) { return this.data[key]; }
+    fillStyle() { return this; }
+    lineStyle() { return this; }
+    beginPath() { return this; }
+    moveTo() { return this; }
+    lineTo() { return this; }
+    closePath() { return this; }
+    fillPath() { return this; }
+    strokePath() { return this; }
+    fillRect() { return this; }
+    fillCircle() { return this; }
+    lineBetween() { return this; }
+    strokePoints() { return this; }
+    clear() { return this; }
+
+    /**
+     * Makes the object interactive. Without a hit area it can only receive events emitted directly.
+     * @param {Object} [hitArea] - A geometry object in local space.
+     * @param {function} [hitAreaCallback] - The Contains function for the geometry.
+     */
+    setInteractive(hitArea, hitAreaCallback) {
+        if (hitArea) {
+            this.hitArea = hitArea;
+            this.hitAreaCallback = hitAreaCallback;
+        }
+        this.interactive = true;
+        this.scene.input.register(this);
+        return this;
+    }
+
+    /**
+     * Phaser's interactive object data; the replay player only checks that it's enabled.
+     */
+    get input() {
+        return this.interactive ? { enabled: true } : null;
+    }
+
+    disableInteractive() {
+        this.interactive = false;
+        return this;
+    }
+
+    on(event, callback, context) {
+        (this.listeners[event] = this.listeners[event] || []).push({ callback, context });
+        return this;
+    }
+
+    once(event, callback, context) {
+        const wrapper = (...args) => { this.off(event, wrapper); callback.apply(context, args); };
+        return this.on(event, wrapper);
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = callback ? this.listeners[event].filter(listener => listener.callback !== callback) : [];
+        }
+        return this;
+    }
+
+    emit(event, ...args) {
+        (this.listeners[event] || []).slice().forEach(listener => listener.callback.apply(listener.context, args));
+    }
+
+    /**
+     * Tests a world-space point against the hit area, transforming it into local space like Phaser's input plugin.
+     * @param {number} x - World x.
+     * @param {number} y - World y.
+     * @returns {boolean} Whether the point is inside the hit area.
+     */
+    hitTest(x, y) {
+        if (!this.hitArea || this.scaleX === 0 || this.scaleY === 0) {
+            return false;
+        }
+        const dx = x - this.x;
+        const dy = y - this.y;
+        const cos = Math.cos(-this.rotation);
+        const sin = Math.sin(-this.rotation);
+        const localX = (dx * cos - dy * sin) / this.scaleX;
+        const localY = (dx * sin + dy * cos) / this.scaleY;
+        return this.hitAreaCallback(this.hitArea, localX, localY);
+    }
+
+    destroy() {
+        this.destroyed = true;
+        this.interactive = false;
+        this.listeners = {};
+    }
+}
+
+/**
+ * Class Name: TweenStub
+ * Description: A linear tween driven by the stand-in tween manager. Supports the config keys the game uses: targets, props or
+ * top-level properties (as a number or {from, to}), duration, delay, hold, yoyo, repeat, repeatDelay, onUpdate and onComplete,
+ * plus timeScale and stop().
+ * @class
+ */
+class TweenStub {
+    static RESERVED = ['targets', 'props', 'ease', 'duration', 'delay', 'hold', 'yoyo', 'repeat', 'repeatDelay', 'onUpdate', 'onComplete', 'onStart', 'callbackScope', 'timeScale', 'paused', 'loop'];
+
+    /**
+     * @constructor
+     * @param {Object} config - The Phaser tween config.
+     */
+    constructor(config) {
+        this.targets = Array.isArray(config.targets) ? config.targets : [config.targets];
+        const props = Object.assign({}, config.props);
+        Object.keys(config).forEach(key => {
+            if (!TweenStub.RESERVED.includes(key)) {
+                props[key] = config[key];
+            }
+        });
+        this.props = props;
+        this.duration = config.duration === undefined ? 1000 : config.duration;
+        this.delay = config.delay || 0;
+        this.hold = config.hold || 0;
+        this.yoyo = config.yoyo === true;
+        this.repeat = config.repeat || 0;
+        this.repeatDelay = config.repeatDelay || 0;
+        this.onUpdate = config.onUpdate;
+        this.onComplete = config.onComplete;
+        this.callbackScope = config.callbackScope;
+        this.timeScale = 1;
+        this.elapsed = 0; // Time since the tween was added, including the delay.
+        this.started = false;
+        this.finished = false;
+        this.values = []; // Per target and property: {target, key, from, to}.
+        this.value = 0; // Current value of the first property, returned by getValue().
+    }
+
+    /**
+     * Captures start values the way Phaser does: when the delay is over.
+     */
+    start() {
+        this.started = true;
+        this.targets.forEach(target => {
+            Object.keys(this.props).forEach(key => {
+                const spec = this.props[key];
+                const from = typeof spec === 'object' && spec.from !== undefined ? spec.from : target[key];
+                const to = typeof spec === 'object' ? spec.to : spec;
+                this.values.push({ target, key, from, to });
+            });
+        });
+    }
+
+    /**
+     * Advances the tween.
+     * @param {number} delta - Milliseconds since the last step, before this tween's time scale.
+     */
+    update(delta) {
+        if (this.finished) {
+            return;
+        }
+        this.elapsed += delta * this.timeScale;
+        if (this.elapsed < this.delay) {
+            return;
+        }
+        if (!this.started) {
+            this.start();
+        }
+        const active = this.elapsed - this.delay;
+        // One cycle is the forward run, the hold, the yoyo back, then the delay before the next repeat.
+        const cycle = this.duration + this.hold + (this.yoyo ? this.duration : 0);
+        const period = cycle + this.repeatDelay;
+        const cycles = this.repeat === -1 ? Infinity : this.repeat + 1;
+        let progress;
+        if (active >= period * (cycles - 1) + cycle) {
+            progress = this.yoyo ? 0 : 1;
+            this.finished = true;
+        } else {
+            const inCycle = active % period;
+            if (inCycle < this.duration) {
+                progress = this.duration === 0 ? 1 : inCycle / this.duration;
+            } else if (inCycle < this.duration + this.hold) {
+                progress = 1;
+            } else if (this.yoyo && inCycle < cycle) {
+                progress = 1 - (inCycle - this.duration - this.hold) / this.duration;
+            } else {
+                progress = this.yoyo ? 0 : 1;
+            }
+        }
+        this.values.forEach((value, index) => {
+            const current = value.from + (value.to - value.from) * progress;
+            value.target[value.key] = current;
+            if (index === 0) {
+                this.value = current;
+            }
+        });
+        if (this.onUpdate) {
+            this.onUpdate.call(this.callbackScope, this, this.targets[0]);
+        }
+        if (this.finished && this.onComplete) {
+            this.onComplete.call(this.callbackScope, this, this.targets);
+        }
+    }
+
+    getValue() {
+        return this.value;
+    }
+
+    /**
+     * Stops the tween where it is, without calling onComplete (like Phaser's stop()).
+     */
+    stop() {
+        this.finished = true;
+    }
+
+    remove() {
+        this.stop();
+    }
+}
+
+/**
+ * Class Name: TimerEventStub
+ * Description: A delayed or looping callback on the stand-in clock.
+ * @class
+ */
+class TimerEventStub {
+    /**
+     * @constructor
+     * @param {Object} config - delay, callback, args, callbackScope and loop, like Phaser's TimerEvent config.
+     */
+    constructor(config) {
+        this.delay = config.delay || 0;
+        this.callback = config.callback;
+        this.args = config.args || [];
+        this.callbackScope = config.callbackScope;
+        this.loop = config.loop === true;
+        this.elapsed = 0;
+        this.removed = false;
+    }
+
+    remove() {
+        this.removed = true;
+    }
+}
+
+/**
+ * Class Name: ClockStub
+ * Description: Stands in for scene.time. Events added during a step only start counting on the next step, like Phaser's clock.
+ * @class
+ */
+class ClockStub {
+    constructor() {
+        this.now = 0;
+        this.timeScale = 1;
+        this.events = [];
+        this.pending = [];
+    }
+
+    delayedCall(delay, callback, args, callbackScope) {
+        return this.addEvent({ delay, callback, args, callbackScope });
+    }
+
+    addEvent(config) {
+        const event = new TimerEventStub(config);
+        this.pending.push(event);
+        return event;
+    }
+
+    removeAllEvents() {
+        this.events.concat(this.pending).forEach(event => event.remove());
+        this.events = [];
+        this.pending = [];
+    }
+
+    /**
+     * Advances the clock and fires every event that is due.
+     * @param {number} time - The game time after this step.
+     * @param {number} delta - Milliseconds since the last step.
+     */
+    update(time, delta) {
+        this.now = time;
+        this.events = this.events.concat(this.pending).filter(event => !event.removed);
+        this.pending = [];
+        const scaledDelta = delta * this.timeScale;
+        this.events.slice().forEach(event => {
+            if (event.removed) {
+                return;
+            }
+            event.elapsed += scaledDelta;
+            if (event.elapsed >= event.delay) {
+                if (event.loop && event.delay > 0) {
+                    event.elapsed -= event.delay;
+                } else {
+                    event.remove();
+                }
+                event.callback.apply(event.callbackScope, event.args);
+            }
+        });
+        this.events = this.events.filter(event => !event.removed);
+    }
+}
+
+/**
+ * Class Name: TweenManagerStub
+ * Description: Stands in for scene.tweens. Tweens added during a step start on the next step, like Phaser's tween manager.
+ * @class
+ */
+class TweenManagerStub {
+    constructor() {
+        this.tweens = [];
+        this.pending = [];
+    }
+
+    add(config) {
+        const tween = new TweenStub(config);
+        this.pending.push(tween);
+        return tween;
+    }
+
+    update(delta) {
+        this.tweens = this.tweens.concat(this.pending).filter(tween => !tween.finished);
+        this.pending = [];
+        this.tweens.slice().forEach(tween => tween.update(delta));
+        this.tweens = this.tweens.filter(tween => !tween.finished);
+    }
+}
+
+/**
+ * Class Name: InputStub
+ * Description: Stands in for scene.input. The harness moves activePointer and calls poll() every step; the top-most interactive object
+ * under the pointer gets pointerover and loses it with pointerout, as with Phaser's topOnly input and setPollAlways(true).
+ * Input is ignored while the pointer is off the canvas, as GameScene disables input on pointerleave.
+ * @class
+ */
+class InputStub extends GameObjectStub {
+    /**
+     * @constructor
+     * @param {SceneStub} scene - The scene whose canvas the pointer is on.
+     */
+    constructor(scene) {
+        super(scene);
+        this.activePointer = { x: -1, y: -1 };
+        this.enabled = true;
+        this.objects = [];
+        this.over = null; // The object the pointer is currently over.
+        this.keyboard = new GameObjectStub(scene);
+        this.manager = {}; // Phaser's input manager, only passed to Pointer constructors.
+    }
+
+    register(gameObject) {
+        if (!this.objects.includes(gameObject)) {
+            this.objects.push(gameObject);
+        }
+    }
+
+    setPollAlways() {
+        return this;
+    }
+
+    /**
+     * Finds the top-most interactive object under the pointer.
+     * @returns {?GameObjectStub} The object, or null.
+     */
+    hitTop() {
+        const { x, y } = this.activePointer;
+        const { width, height } = this.scene.sys.game.config;
+        if (!this.enabled || x < 0 || y < 0 || x > width || y > height) {
+            return null;
+        }
+        this.objects = this.objects.filter(object => !object.destroyed);
+        let top = null;
+        this.objects.forEach(object => {
+            if (object.interactive && object.hitTest(x, y)) {
+                if (!top || object.depth > top.depth || (object.depth === top.depth && object.order > top.order)) {
+                    top = object;
+                }
+            }
+        });
+        return top;
+    }
+
+    /**
+     * Finds every interactive object under a pointer, like Phaser's hitTestPointer() (it doesn't check whether input is enabled).
+     * @param {{x: number, y: number}} pointer - The pointer.
+     * @returns {Array<GameObjectStub>} The objects, in no particular order.
+     */
+    hitTestPointer(pointer) {
+        const { width, height } = this.scene.sys.game.config;
+        if (pointer.x < 0 || pointer.y < 0 || pointer.x > width || pointer.y > height) {
+            return [];
+        }
+        return this.objects.filter(object => !object.destroyed && object.interactive && object.hitTest(pointer.x, pointer.y));
+    }
+
+    /**
+     * Sorts objects top-most first, like Phaser's sortGameObjects().
+     * @param {Array<GameObjectStub>} gameObjects - The objects.
+     * @returns {Array<GameObjectStub>} The sorted objects.
+     */
+    sortGameObjects(gameObjects) {
+        return gameObjects.slice().sort((a, b) => b.depth - a.depth || b.order - a.order);
+    }
+
+    /**
+     * Emits pointerout/pointerover if the top-most object under the pointer changed.
+     */
+    poll() {
+        const top = this.hitTop();
+        if (top === this.over) {
+            return;
+        }
+        const previous = this.over;
+        this.over = top;
+        if (previous && !previous.destroyed) {
+            previous.emit('pointerout', this.activePointer);
+        }
+        if (top) {
+            top.emit('pointerover', this.activePointer);
+        }
+    }
+
+    /**
+     * Clicks at the pointer: pointerdown on the top-most object under it, then on the input plugin itself.
+     */
+    click() {
+        const top = this.hitTop();
+        if (top) {
+            top.emit('pointerdown', this.activePointer);
+        }
+        this.emit('pointerdown', this.activePointer);
+    }
+}
+
+/**
+ * Checks whether a point is inside a triangle.
+ */
+function triangleContains(triangle, x, y) {
+    const { x1, y1, x2, y2, x3, y3 } = triangle;
+    const d1 = (x - x2) * (y1 - y2) - (x1 - x2) * (y - y2);
+    const d2 = (x - x3) * (y2 - y3) - (x2 - x3) * (y - y3);
+    const d3 = (x - x1) * (y3 - y1) - (x3 - x1) * (y - y1);
+    const hasNegative = d1 < 0 || d2 < 0 || d3 < 0;
+    const hasPositive = d1 > 0 || d2 > 0 || d3 > 0;
+    return !(hasNegative && hasPositive);
+}
+
+/**
+ * Checks whether a point is inside a polygon (even-odd rule, like Phaser.Geom.Polygon.Contains).
+ */
+function polygonContains(polygon, x, y) {
+    let inside = false;
+    const points = polygon.points;
+    for (let i = -1, j = points.length - 1; ++i < points.length; j = i) {
+        const ix = points[i].x;
+        const iy = points[i].y;
+        const jx = points[j].x;
+        const jy = points[j].y;
+        if (((iy <= y && y < jy) || (jy <= y && y < iy)) && (x < (jx - ix) * (y - iy) / (jy - iy) + ix)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Builds the global Phaser object the game's classes expect.
+ * @returns {Object} The Phaser stand-in.
+ */
+function createPhaser() {
+    class Point {
+        constructor(x = 0, y = 0) { this.x = x; this.y = y; }
+    }
+    class Triangle {
+        constructor(x1 = 0, y1 = 0, x2 = 0, y2 = 0, x3 = 0, y3 = 0) { Object.assign(this, { x1, y1, x2, y2, x3, y3 }); }
+        static Contains(triangle, x, y) { return triangleContains(triangle, x, y); }
+    }
+    class Rectangle {
+        constructor(x = 0, y = 0, width = 0, height = 0) { Object.assign(this, { x, y, width, height }); }
+        static Contains(rectangle, x, y) {
+            return rectangle.width > 0 && rectangle.height > 0 && x >= rectangle.x && x <= rectangle.x + rectangle.width && y >= rectangle.y && y <= rectangle.y + rectangle.height;
+        }
+    }
+    class Polygon {
+        /**
+         * Accepts an array of points, of [x, y] pairs, or a flat array of numbers, like Phaser.Geom.Polygon.
+         */
+        constructor(points = []) {
+            this.points = [];
+            if (typeof points[0] === 'number') {
+                for (let i = 0; i < points.length; i += 2) {
+                    this.points.push(new Point(points[i], points[i + 1]));
+                }
+            } else {
+                this.points = points.map(point => Array.isArray(point) ? new Point(point[0], point[1]) : new Point(point.x, point.y));
+            }
+        }
+        static Contains(polygon, x, y) { return polygonContains(polygon, x, y); }
+    }
+    class Scene {
+        constructor(config) { this.sys = { settings: config }; }
+    }
+    class Pointer {
+        constructor(manager, id) { this.manager = manager; this.id = id; this.x = 0; this.y = 0; }
+    }
+    return {
+        AUTO: 0,
+        Scene,
+        Geom: { Point, Triangle, Rectangle, Polygon },
+        Input: { Pointer },
+        Math: { DegToRad: degrees => degrees * Math.PI / 180 },
+    };
+}
+
+/**
+ * Gives a scene (a GameScene instance, or any object) the Phaser systems the game logic uses.
+ * @param {Object} scene - The scene to equip.
+ * @param {number} width - The canvas width.
+ * @param {number} height - The canvas height.
+ * @returns {Object} The scene, with add, time, tweens, input, sound, cameras and sys set up.
+ */
+function equipScene(scene, width = 800, height = 600) {
+    const create = (x, y) => new GameObjectStub(scene, x, y);
+    scene.sys = { game: { config: { width, height }, canvas: new GameObjectStub(scene), events: new GameObjectStub(scene) } };
+    scene.add = {
+        graphics: (config = {}) => create(config.x || 0, config.y || 0),
+        sprite: create,
+        image: create,
+        text: (x, y, text) => create(x, y).setText(text),
+        rectangle: create,
+        circle: create,
+    };
+    scene.time = new ClockStub();
+    scene.tweens = new TweenManagerStub();
+    scene.input = new InputStub(scene);
+    scene.sound = { mute: false, play() {}, add: () => ({ play() {}, stop() {} }), pauseAll() {}, stopAll() {}, setMute() {} };
+    scene.cameras = { main: { width, height, centerX: width / 2, centerY: height / 2, flash() {} } };
+    return scene;
+}
+
+/**
+ * Advances an equipped scene by one fixed step, in Phaser's order: clock and tweens, pointer polling, then the scene's update().
+ * @param {Object} scene - A scene set up with equipScene().
+ * @param {number} time - The game time after this step.
+ * @param {number} delta - Milliseconds since the last step.
+ */
+function stepScene(scene, time, delta) {
+    scene.time.update(time, delta);
+    scene.tweens.update(delta);
+    scene.input.poll();
+    scene.update(time, delta);
+}
+
+export { createPhaser, equipScene, stepScene };
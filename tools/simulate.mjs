@@ -0,0 +1,401 @@
+/**
+ * Program Name: Headless Level Simulation
+ * Description: Runs a level headlessly in Node, on a fixed timestep, with a scripted cursor path, and reports the outcome:
+ *              the final score, which shapes were killed and which escaped, and whether the level was cleared.
+ *              The real game classes (Shape and its subclasses, ShapeMotion, LevelClock, Level, HealthBar, LevelFormat, LevelPack and GameScene's gameplay methods)
+ *              are loaded unchanged into a sandbox with the Phaser stand-in from phaserstub.mjs, so no browser or GPU is needed
+ *              and the same path always gives the same result. Use it to catch level and scoring regressions in CI.
+ * Expected Inputs: A level pack, a 1-based level number, a difficulty and a cursor path. The path is a list of waypoints
+ *                  { time, x, y } in milliseconds since the level started; the cursor moves in a straight line between them.
+ *                  A waypoint may also have click: true (click there, e.g. to damage armored triangles) and/or key: 'S' or 'E'
+ *                  (press Slow Time or Intangible there). Positions off the 800x600 canvas don't touch anything.
+ *                  Instead of a path, a replay recorded in the game (see replay.js) can be played back; it brings its own level and difficulty.
+ * Expected Outputs: A result object (printed as JSON from the command line):
+ *                   { level, difficulty, cleared, timedOut, score, passingScore, maxScore, duration, killed, escaped, achievements }
+ *                   where killed and escaped list { id, type, time } for each shape. Runs from a path also have the recorded replay.
+ * Usage: node tools/simulate.mjs <level number> [Easy|Medium|Hard|Insane] [path.json] [--pack levelpacks/main.json] [--step 16.666] [--record replay.json]
+ *        node tools/simulate.mjs --replay replay.json [--pack levelpacks/main.json] [--step 16.666]
+ *        node tools/simulate.mjs --check [tools/fixtures] [--update]
+ *        Without a path the cursor stays off the canvas, so nothing is killed. --record saves the run as a replay file.
+ *        --check runs every regression fixture (see checkFixtures()) and exits with code 1 if any outcome changed; --update
+ *        writes the new outcomes into the fixtures instead, after a deliberate change to the levels or scoring.
+ * Called By: Developers and CI, from the command line or by importing simulateLevel() and checkFixtures().
+ * Will Call: The game's own source files, evaluated in a Node vm context, and tools/phaserstub.mjs.
+ * @author Braeden Ruff
+ */
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+import { createPhaser, equipScene, stepScene } from './phaserstub.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Game source files in dependency order (base classes before subclasses, modules after what they import).
+const SOURCES = [
+    'levelclock.js', 'shapemotion.js', 'palette.js', 'shape.js', 'shapegrid.js', 'triangle.js', 'square.js', 'architecture.js', 'area.js', 'healthbar.js', 'armored_triangle.js', 'stealth_triangle.js',
+    'upgrade.js', 'clearfriendlies.js', 'intangible.js', 'slowtime.js', 'replay.js', 'replayplayer.js', 'ghost.js', 'ghostoverlay.js', 'controls.js', 'touchcontrols.js', 'gamepadcontrols.js', 'gameevents.js', 'comboscoring.js', 'starrating.js',
+    'levelstats.js', 'achievements.js', 'wavegenerator.js', 'levelformat.js', 'levelpack.js', 'level.js', 'debugtimeline.js', 'timeformat.js', 'endless.js', 'dailychallenge.js', 'campaign.js', 'GameScene.js',
+];
+
+const DEFAULT_STEP = 1000 / 60; // One frame at 60 fps.
+const DEFAULT_MAX_DURATION = 180000; // Give up after 3 minutes of level time.
+
+// The difficulties GameScene.setDifficulty() knows, as it spells them.
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard', 'Insane'];
+
+// The regression fixtures --check runs by default.
+const DEFAULT_FIXTURES = 'tools/fixtures';
+
+const USAGE = [
+    `Usage: node tools/simulate.mjs <level number> [${DIFFICULTIES.join('|')}] [path.json] [--pack levelpacks/main.json] [--step 16.666] [--record replay.json]`,
+    '       node tools/simulate.mjs --replay replay.json [--pack levelpacks/main.json] [--step 16.666]',
+    `       node tools/simulate.mjs --check [${DEFAULT_FIXTURES}] [--update]`,
+].join('\n');
+
+/**
+ * Loads the game's classes into a fresh sandbox. ES module syntax is stripped since every class ends up in the sandbox's global scope,
+ * just like the classic scripts loaded by index.html.
+ * @returns {Object} The sandbox's classes: GameScene, Level, HealthBar, GhostOverlay, LevelPack, LevelFormat and Replay.
+ */
+function loadGame() {
+    const context = vm.createContext({ Phaser: createPhaser(), console, Math, JSON, URLSearchParams });
+    SOURCES.forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8')
+            .replace(/^import .*$/gm, '')
+            .replace(/^export \{.*\};?$/gm, '')
+            .replace(/^export default .*$/gm, '');
+        vm.runInContext(source, context, { filename: file });
+    });
+    return vm.runInContext('({ GameScene, Level, HealthBar, GhostOverlay, LevelPack, LevelFormat, Replay })', context);
+}
+
+/**
+ * Gets the cursor position at a time along a waypoint path.
+ * @param {Array<{time: number, x: number, y: number}>} waypoints - The path, sorted by time.
+ * @param {number} time - Milliseconds since the level started.
+ * @returns {{x: number, y: number}} The interpolated position.
+ */
+function cursorAt(waypoints, time) {
+    if (waypoints.length === 0) {
+        return { x: -1, y: -1 };
+    }
+    if (time <= waypoints[0].time) {
+        return { x: waypoints[0].x, y: waypoints[0].y };
+    }
+    for (let i = 1; i < waypoints.length; i++) {
+        const from = waypoints[i - 1];
+        const to = waypoints[i];
+        if (time <= to.time) {
+            const progress = to.time === from.time ? 1 : (time - from.time) / (to.time - from.time);
+            return { x: from.x + (to.x - from.x) * progress, y: from.y + (to.y - from.y) * progress };
+        }
+    }
+    const last = waypoints[waypoints.length - 1];
+    return { x: last.x, y: last.y };
+}
+
+/**
+ * Finds a difficulty by name, in any case ('hard' is Hard).
+ * @param {string} difficulty - The difficulty's name.
+ * @returns {string} The difficulty, spelled as GameScene.setDifficulty() expects.
+ */
+function normalizeDifficulty(difficulty) {
+    const match = DIFFICULTIES.find(name => name.toLowerCase() === String(difficulty).toLowerCase());
+    if (!match) {
+        throw new Error(`Unknown difficulty '${difficulty}'. Expected one of: ${DIFFICULTIES.join(', ')}.`);
+    }
+    return match;
+}
+
+/**
+ * Simulates one level.
+ * @param {Object} options - The simulation options.
+ * @param {Object} options.pack - The parsed level pack JSON.
+ * @param {number} options.level - The 1-based level number.
+ * @param {string} [options.difficulty='Hard'] - 'Easy', 'Medium', 'Hard' or 'Insane', in any case.
+ * @param {Array<Object>} [options.path=[]] - The cursor waypoints (see the file header).
+ * @param {Object} [options.replay] - A parsed replay file to play back instead of a path. Its level and difficulty are used.
+ * @param {number} [options.step] - The fixed timestep in milliseconds.
+ * @param {number} [options.maxDuration] - The level time after which the simulation gives up.
+ * @returns {Object} The result (see the file header).
+ */
+function simulateLevel({ pack, level, difficulty = 'Hard', path: waypoints = [], replay: replayData = null, step = DEFAULT_STEP, maxDuration = DEFAULT_MAX_DURATION }) {
+    const { GameScene, Level, HealthBar, GhostOverlay, LevelPack, Replay } = loadGame();
+    const levelPack = new LevelPack(pack);
+    const replay = replayData ? Replay.fromJSON(replayData) : null;
+    if (replay) {
+        ({ level, difficulty } = replay);
+    }
+    difficulty = normalizeDifficulty(difficulty);
+    if (!Number.isInteger(level) || level < 1 || level > levelPack.levels.length) {
+        throw new Error(`Level must be between 1 and ${levelPack.levels.length}`);
+    }
+    const sortedPath = waypoints.slice().sort((a, b) => a.time - b.time);
+
+    // A GameScene with stand-in systems instead of create(): no menus, cutscene or DOM, just the gameplay.
+    const scene = equipScene(new GameScene());
+    scene.saveData = { save() {} };
+    scene.levelPack = levelPack;
+    scene.levels = levelPack.getLevelEntries();
+    scene.maxScores = levelPack.getMaxScores();
+    scene.scoreText = scene.add.text(16, 16, '');
+    scene.levelText = scene.add.text(16, 46, '');
+    scene.intangibleText = scene.add.text(760, 30, '');
+    scene.slowtimeText = scene.add.text(760, 50, '');
+    scene.healthBar = new HealthBar(scene);
+    scene.ghostOverlay = new GhostOverlay(scene);
+    scene.level = new Level(scene);
+    scene.input.on('pointerdown', pointer => scene.recordClick(pointer));
+    scene.setDifficulty(difficulty);
+
+    const result = {
+        level,
+        difficulty,
+        cleared: false,
+        timedOut: false,
+        score: 0,
+        passingScore: 0,
+        maxScore: scene.maxScores[level - 1],
+        duration: 0,
+        killed: [],
+        escaped: [],
+        achievements: [],
+    };
+    let time = 0;
+    let finished = false;
+
+    // Record each shape the first time it's removed: on screen it was killed, off screen it escaped (or was cleared away).
+    const removeShape = scene.level.removeShape.bind(scene.level);
+    scene.level.removeShape = (shape) => {
+        if (!shape.dying) {
+            const record = { id: shape.id, type: shape.constructor.name, time: Math.round(time) };
+            if (shape.y <= scene.sys.game.config.height + 50) {
+                result.killed.push(record);
+            } else {
+                result.escaped.push(record);
+            }
+        }
+        removeShape(shape);
+    };
+    scene.unlockAchievement = (achievementName) => {
+        if (!result.achievements.includes(achievementName)) {
+            result.achievements.push(achievementName);
+        }
+    };
+
+    if (replay) {
+        scene.playReplay(replay);
+    } else {
+        scene.currentLevelIndex = level - 1;
+        scene.loadCurrentLevel();
+    }
+
+    // checkLevelCleared() decides the outcome and schedules one of these; the level is over once it fires.
+    scene.loadNextLevel = () => { finished = true; result.cleared = true; };
+    scene.loadCurrentLevel = () => { finished = true; result.cleared = false; };
+    scene.finishReplay = () => { finished = true; result.cleared = scene.score >= scene.level.levelPassableScore; };
+    // R restarts the level as part of the same run.
+    const loadLevel = GameScene.prototype.loadCurrentLevel.bind(scene);
+    scene.resetLevel = () => { scene.time.removeAllEvents(); loadLevel(true); };
+
+    let nextWaypoint = 0;
+    while (!finished) {
+        if (time >= maxDuration) {
+            result.timedOut = true;
+            break;
+        }
+        time += step;
+        const cursor = cursorAt(sortedPath, time);
+        scene.input.activePointer.x = cursor.x;
+        scene.input.activePointer.y = cursor.y;
+        // Clicks and key presses happen on the first step at or after their waypoint.
+        while (nextWaypoint < sortedPath.length && sortedPath[nextWaypoint].time <= time) {
+            const waypoint = sortedPath[nextWaypoint++];
+            if (waypoint.click) {
+                scene.input.click();
+            }
+            if (waypoint.key) {
+                scene.handleGameplayKey(waypoint.key);
+            }
+        }
+        stepScene(scene, time, step);
+    }
+
+    result.score = scene.score;
+    result.passingScore = scene.level.levelPassableScore;
+    result.duration = Math.round(time);
+    const recording = scene.lastReplay || scene.recording; // A run that timed out is still being recorded.
+    if (!replay && recording) {
+        result.replay = recording.toJSON();
+    }
+    return result;
+}
+
+/**
+ * Gets the part of a result a regression fixture expects: the score, whether the level was cleared, and the shapes killed and escaped.
+ * @param {Object} result - The result of simulateLevel().
+ * @returns {{score: number, cleared: boolean, killed: Array<Object>, escaped: Array<Object>}} The outcome.
+ */
+function getOutcome(result) {
+    return { score: result.score, cleared: result.cleared, killed: result.killed, escaped: result.escaped };
+}
+
+/**
+ * Describes how an outcome differs from the expected one.
+ * @param {Object} expected - The fixture's expected outcome.
+ * @param {Object} actual - The outcome of the run.
+ * @returns {Array<string>} A line per field that differs; empty if they're the same.
+ */
+function compareOutcomes(expected, actual) {
+    const differences = [];
+    Object.keys(actual).forEach(key => {
+        if (JSON.stringify(expected[key]) === JSON.stringify(actual[key])) {
+            return;
+        }
+        if (Array.isArray(actual[key]) && Array.isArray(expected[key])) {
+            const index = actual[key].findIndex((shape, i) => JSON.stringify(shape) !== JSON.stringify(expected[key][i]));
+            const at = index === -1 ? expected[key].length : index;
+            differences.push(`${key}: expected ${expected[key].length} shapes, got ${actual[key].length}; first difference at #${at + 1}: ` +
+                `expected ${JSON.stringify(expected[key][at])}, got ${JSON.stringify(actual[key][at])}`);
+        } else {
+            differences.push(`${key}: expected ${JSON.stringify(expected[key])}, got ${JSON.stringify(actual[key])}`);
+        }
+    });
+    return differences;
+}
+
+/**
+ * Formats JSON with one list item per line, so fixtures stay readable and their diffs show which waypoint or shape changed.
+ * @param {*} value - The value to format.
+ * @param {string} [indent=''] - The indentation of the line the value starts on.
+ * @returns {string} The JSON text.
+ */
+function formatJSON(value, indent = '') {
+    if (Array.isArray(value)) {
+        return value.length === 0 ? '[]' : '[\n' + value.map(item => indent + '    ' + JSON.stringify(item)).join(',\n') + '\n' + indent + ']';
+    }
+    if (value !== null && typeof value === 'object') {
+        return '{\n' + Object.keys(value).map(key => `${indent}    ${JSON.stringify(key)}: ${formatJSON(value[key], indent + '    ')}`).join(',\n') + '\n' + indent + '}';
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Runs the regression fixtures and compares their outcomes with the expected ones. A fixture is a JSON file with the level,
+ * the difficulty, a cursor path (or a recorded replay instead) and the expected outcome (see getOutcome()):
+ * { description, level, difficulty, path, expected: { score, cleared, killed, escaped } }. It may name its own pack.
+ * @param {string} directory - The directory holding the fixtures.
+ * @param {string} packFile - The level pack for fixtures that don't name one.
+ * @param {boolean} update - Whether to write the outcomes into the fixtures instead of comparing them.
+ * @returns {number} The number of fixtures whose outcome changed.
+ */
+function checkFixtures(directory, packFile, update) {
+    const files = fs.readdirSync(directory).filter(file => file.endsWith('.json')).sort();
+    if (files.length === 0) {
+        throw new Error(`No fixtures found in ${directory}`);
+    }
+    const packs = {}; // Parsed level packs, by file.
+    let failures = 0;
+    files.forEach(file => {
+        const fixtureFile = path.join(directory, file);
+        const fixture = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'));
+        const packPath = path.resolve(ROOT, fixture.pack || packFile);
+        packs[packPath] = packs[packPath] || JSON.parse(fs.readFileSync(packPath, 'utf8'));
+        const outcome = getOutcome(simulateLevel({
+            pack: packs[packPath],
+            level: fixture.level,
+            difficulty: fixture.difficulty,
+            path: fixture.path || [],
+            replay: fixture.replay || null,
+        }));
+        if (update) {
+            fixture.expected = outcome;
+            fs.writeFileSync(fixtureFile, formatJSON(fixture) + '\n');
+            console.log(`updated ${file}`);
+            return;
+        }
+        const differences = fixture.expected ? compareOutcomes(fixture.expected, outcome) : ['no expected outcome (run with --update)'];
+        if (differences.length === 0) {
+            console.log(`ok      ${file}`);
+        } else {
+            failures++;
+            console.log(`FAILED  ${file}`);
+            differences.forEach(difference => console.log('        ' + difference));
+        }
+    });
+    if (!update) {
+        console.log(`${files.length - failures} of ${files.length} fixtures passed.`);
+    }
+    return failures;
+}
+
+/**
+ * Runs the simulation (or the regression fixtures, with --check) from the command line and prints the result as JSON. Exits with
+ * code 1 if the level wasn't cleared or a fixture's outcome changed, or with the error and the usage if the arguments are wrong
+ * (an unknown difficulty, a level that doesn't exist or a missing file).
+ * @param {Array<string>} args - The command line arguments after the script name.
+ */
+function main(args) {
+    try {
+        run(args);
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        process.exit(1);
+    }
+}
+
+/**
+ * Parses the command line arguments, runs the simulation and prints the result (see main()).
+ * @param {Array<string>} args - The command line arguments after the script name.
+ */
+function run(args) {
+    const options = { pack: 'levelpacks/main.json', step: DEFAULT_STEP, record: null, replay: null, check: false, update: false };
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--pack') {
+            options.pack = args[++i];
+        } else if (args[i] === '--step') {
+            options.step = Number(args[++i]);
+        } else if (args[i] === '--record') {
+            options.record = args[++i];
+        } else if (args[i] === '--replay') {
+            options.replay = args[++i];
+        } else if (args[i] === '--check') {
+            options.check = true;
+        } else if (args[i] === '--update') {
+            options.update = true;
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    if (options.check) {
+        const failures = checkFixtures(path.resolve(ROOT, positional[0] || DEFAULT_FIXTURES), options.pack, options.update);
+        process.exit(failures === 0 ? 0 : 1);
+    }
+    const [levelNumber, difficulty = 'Hard', pathFile] = positional;
+    if (!levelNumber && !options.replay) {
+        console.error(USAGE);
+        process.exit(2);
+    }
+    const { replay, ...result } = simulateLevel({
+        pack: JSON.parse(fs.readFileSync(path.resolve(ROOT, options.pack), 'utf8')),
+        level: Number(levelNumber),
+        difficulty,
+        path: pathFile ? JSON.parse(fs.readFileSync(pathFile, 'utf8')) : [],
+        replay: options.replay ? JSON.parse(fs.readFileSync(options.replay, 'utf8')) : null,
+        step: options.step,
+    });
+    if (options.record && replay) {
+        fs.writeFileSync(options.record, JSON.stringify(replay));
+    }
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(result.cleared ? 0 : 1);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main(process.argv.slice(2));
+}
+
+export { simulateLevel, cursorAt, checkFixtures };
@@ -0,0 +1,164 @@
+/**
+ * Class Name: TouchControls
+ * Description: Touch mode (GameScene.touchControls), for playing on phones and tablets without a hovering mouse. It turns on by itself
+ * the first time the screen is touched, and off again when a mouse moves. In touch mode the finger dragged on the level is the cursor:
+ * it only touches shapes while it's down, and its path starts over each time it comes down (see GameScene.getLevelCursor()). A tap
+ * damages armored triangles like a click, and on-screen buttons along the bottom of the screen stand in for the keyboard: Slow Time,
+ * Intangible, Reset and Menu (the escape menu) trigger the same actions as their keys (see Controls). A second finger can tap the
+ * buttons while the first one steers.
+ * Expected Inputs: Pointer events from Phaser, and taps on the buttons.
+ * Expected Outputs: The finger's position as the cursor, the actions of the buttons, and the buttons on screen.
+ * Called By: GameScene (creates it, shows the buttons after the cutscene and asks it where the cursor is).
+ * Will Call: Phaser library methods for the input and the buttons, Controls to trigger the actions, and GameScene to update the prompts.
+ * @class
+ * @author Braeden Ruff
+ */
+class TouchControls
+{
+	/**
+	 * The on-screen buttons, left to right, with the action each one triggers (see Controls.ACTIONS).
+	 */
+	static BUTTONS = [
+		{ action: 'slowtime', label: 'Slow Time' },
+		{ action: 'intangible', label: 'Intangible' },
+		{ action: 'reset', label: 'Reset' },
+		{ action: 'menu', label: 'Menu' },
+	];
+
+	/**
+	 * Constructs the touch controls, off and without buttons until create() is called.
+	 * @constructor
+	 * @param {Phaser.Scene} scene - The game scene.
+	 */
+	constructor(scene)
+	{
+		this.scene = scene;
+		this.enabled = false; // Flag indicating whether touch mode is on.
+		this.shown = false; // Flag indicating whether the buttons should be on screen in touch mode (after the cutscene).
+		this.buttons = []; // The on-screen buttons, in the order of TouchControls.BUTTONS.
+		this.cursorPointer = null; // The finger that is the cursor, while it's down on the level.
+	}
+
+	/**
+	 * Listens to the pointers and creates the buttons, hidden.
+	 */
+	create()
+	{
+		this.scene.input.addPointer(1); // A second finger for the buttons.
+		this.scene.input.on('pointerdown', (pointer, currentlyOver) => this.handlePointerDown(pointer, currentlyOver));
+		this.scene.input.on('pointerup', pointer => this.handlePointerUp(pointer));
+		this.scene.input.on('pointermove', pointer => {
+			if (!pointer.wasTouch && this.enabled)
+			{
+				this.setEnabled(false); // Back to the mouse.
+			}
+		});
+
+		const width = this.scene.sys.game.config.width / TouchControls.BUTTONS.length;
+		TouchControls.BUTTONS.forEach((button, index) => {
+			this.buttons.push(this.scene.add.text(width * (index + 0.5), this.scene.sys.game.config.height - 10, button.label,
+				{ font: '22px Arial', fill: '#fff', backgroundColor: '#000000', padding: { x: 14, y: 10 } })
+				.setOrigin(0.5, 1).setAlpha(0.6).setDepth(9000) // Under the menus.
+				.setInteractive()
+				.on('pointerdown', () => this.scene.controls.trigger(button.action)));
+		});
+		this.updateButtons();
+	}
+
+	/**
+	 * Turns touch mode on when the screen is touched, and makes the finger the cursor unless it came down on a button.
+	 * @param {Phaser.Input.Pointer} pointer - The pointer that went down.
+	 * @param {Array<Phaser.GameObjects.GameObject>} currentlyOver - The interactive objects under it.
+	 */
+	handlePointerDown(pointer, currentlyOver)
+	{
+		if (!pointer.wasTouch)
+		{
+			return;
+		}
+		if (!this.enabled)
+		{
+			this.setEnabled(true);
+		}
+		if (!currentlyOver.some(gameObject => this.isButton(gameObject)))
+		{
+			this.cursorPointer = pointer;
+		}
+	}
+
+	/**
+	 * Lifts the cursor when its finger leaves the screen.
+	 * @param {Phaser.Input.Pointer} pointer - The pointer that went up.
+	 */
+	handlePointerUp(pointer)
+	{
+		if (pointer === this.cursorPointer)
+		{
+			this.cursorPointer = null;
+		}
+	}
+
+	/**
+	 * Turns touch mode on or off, showing or hiding the buttons and updating the prompts to match.
+	 * @param {boolean} enabled - Whether touch mode is on.
+	 */
+	setEnabled(enabled)
+	{
+		this.enabled = enabled;
+		this.cursorPointer = null;
+		this.updateButtons();
+		this.scene.updateControlPrompts();
+	}
+
+	/**
+	 * Lets the buttons be on screen in touch mode. They're kept off the main menu and cutscene.
+	 * @param {boolean} shown - Whether the buttons can be shown.
+	 */
+	setShown(shown)
+	{
+		this.shown = shown;
+		this.updateButtons();
+	}
+
+	/**
+	 * Shows the buttons in touch mode once they can be shown, and hides them otherwise.
+	 */
+	updateButtons()
+	{
+		this.buttons.forEach(button => button.setVisible(this.enabled && this.shown));
+	}
+
+	/**
+	 * Checks whether a game object is one of the buttons.
+	 * @param {Phaser.GameObjects.GameObject} gameObject - The game object.
+	 * @returns {boolean} Whether it's a button.
+	 */
+	isButton(gameObject)
+	{
+		return this.buttons.includes(gameObject);
+	}
+
+	/**
+	 * Gets the name of an action's button, for prompts like 'Tap Slow Time to Slow Time'.
+	 * @param {string} action - The action, one of Controls.ACTIONS.
+	 * @returns {string|null} The button's label, or null if the action has no button.
+	 */
+	getLabel(action)
+	{
+		const button = TouchControls.BUTTONS.find(current => current.action === action);
+		return button ? button.label : null;
+	}
+
+	/**
+	 * Gets where the finger acting as the cursor is.
+	 * @returns {{x: number, y: number}} Its position, or (-1, -1) while no finger is down on the level.
+	 */
+	getCursor()
+	{
+		if (!this.cursorPointer || !this.cursorPointer.isDown)
+		{
+			return { x: -1, y: -1 };
+		}
+		return { x: this.cursorPointer.x, y: this.cursorPointer.y };
+	}
+}
@@ -19,12 +19,13 @@
  * Functions:
  * - createGraphics(): Sets up the triangle's graphical representation and interaction.
  * - draw(points): Draws the triangle shape based on provided points.
+ * - getOutline(), containsLocal(x, y): The triangle's geometry, for hit-testing (see Shape.containsPoint()).
  *
  * Called by:
  * This class is instantiated by the Level class when loading a level that includes triangles as part of its design.
  *
  * Will call:
- * - Phaser's graphics system methods to create and manage the triangle's graphical representation.
+ * - Phaser's graphics system methods to create and manage the triangle's graphical representation, with the scene's Palette.
  * @class
  * @author Braeden Ruff
  */
@@ -49,12 +50,12 @@ class Triangle extends Shape {
     }
 
     /**
-     * Draws the triangle on the scene.
+     * Draws the triangle on the scene, in the palette's colors and marked as hostile (see Palette).
      * @param {Array} points - An array of points defining the triangle's vertices.
      */
     draw(points) {
         // Set the fill color and line style for the triangle.
-        this.graphics.fillStyle(0x00FF00, 1);
+        this.graphics.fillStyle(this.scene.palette.getColors().triangle, 1);
         this.graphics.lineStyle(0, 0x000000);
         
         // Begin the path for the triangle shape.
@@ -67,5 +68,25 @@ class Triangle extends Shape {
         this.graphics.closePath();
         this.graphics.fillPath();
         this.graphics.strokePath();
+        this.scene.palette.markHostile(this.graphics, points);
+    }
+
+    /**
+     * Gets the triangle's corners in its own coordinates.
+     * @returns {Array.<{x: number, y: number}>} The corners, in order.
+     */
+    getOutline() {
+        const geom = this.graphics.geom;
+        return [{ x: geom.x1, y: geom.y1 }, { x: geom.x2, y: geom.y2 }, { x: geom.x3, y: geom.y3 }];
+    }
+
+    /**
+     * Checks whether a point in the triangle's own coordinates is inside it.
+     * @param {number} x - The x-coordinate in the triangle's coordinates.
+     * @param {number} y - The y-coordinate in the triangle's coordinates.
+     * @returns {boolean} Whether the point is inside.
+     */
+    containsLocal(x, y) {
+        return Phaser.Geom.Triangle.Contains(this.graphics.geom, x, y);
     }
 }
\ No newline at end of file
@@ -6,7 +6,7 @@
  * Expected Inputs: Instantiation with position and possibly type specifications for different upgrades.
  * Expected Outputs: A graphical representation of the upgrade in the form of a pentagon, set as interactive to respond to player actions (pointerover).
  * Called By: Level class -> loadLevel()->spawnShape() spawns upgrades within the game environment.
- * Will Call: Phaser library methods for graphics and interaction, leveraging geometry for shape drawing and interaction detection.
+ * Will Call: Phaser library methods for graphics and interaction, leveraging geometry for shape drawing and interaction detection, and the scene's Palette for its colors.
  * @class
  * @author Braeden Ruff
  */
@@ -59,12 +59,13 @@ class Upgrade extends Shape
     }
 
     /**
-     * Draws the pentagon on the scene.
+     * Draws the pentagon on the scene, in the palette's colors (see Palette).
      * @param {Array} points - An array of points defining the pentagon's vertices.
      */
     draw(points) {
-        this.graphics.fillStyle(0x00FF00, 1); // Green
-        this.graphics.lineStyle(2, 0x000000); // Adjusted line style for visibility
+        const colors = this.scene.palette.getColors();
+        this.graphics.fillStyle(colors.upgrade, 1); // Green in the default palette.
+        this.graphics.lineStyle(2, colors.upgradeOutline); // Adjusted line style for visibility
 
         this.graphics.beginPath();
         this.graphics.moveTo(points[0].x, points[0].y);
@@ -75,4 +76,22 @@ class Upgrade extends Shape
         this.graphics.fillPath();
         this.graphics.strokePath();
     }
+
+    /**
+     * Gets the pentagon's corners in its own coordinates.
+     * @returns {Array.<{x: number, y: number}>} The corners, in order.
+     */
+    getOutline() {
+        return this.graphics.geom.points;
+    }
+
+    /**
+     * Checks whether a point in the upgrade's own coordinates is inside the pentagon.
+     * @param {number} x - The x-coordinate in the upgrade's coordinates.
+     * @param {number} y - The y-coordinate in the upgrade's coordinates.
+     * @returns {boolean} Whether the point is inside.
+     */
+    containsLocal(x, y) {
+        return Phaser.Geom.Polygon.Contains(this.graphics.geom, x, y);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,353 @@
+/**
+ * Class Name: WaveGenerator
+ * Description: Generates the waves of endless mode from templates of the patterns the fixed levels are built from: falling rows,
+ * oscillating triangles, orbiting shapes, architecture lanes, armored clusters, stealth swarms and blackouts. Each wave is a list of
+ * level entries (see LevelFormat) positioned above the screen, as if the wave were a small level starting at level time 0.
+ * Waves can also be stacked above each other into a whole level that plays like a hand-made one (the daily challenge).
+ * The intensity (1 per minute survived) ramps the difficulty up: shapes fall faster, waves are bigger and come sooner, harder templates
+ * unlock, and waves start to combine templates and add blackouts.
+ * Everything random comes from a seeded generator (mulberry32), so the same seed always gives the same waves.
+ * Expected Inputs: A seed, and the intensity when each wave is generated.
+ * Expected Outputs: Waves of level entries and how long to wait before the next wave, or a whole level.
+ * Called By: EndlessMode, whenever a wave is due, and DailyChallenge for the day's level.
+ * Will Call: Nothing.
+ * @class
+ * @author Braeden Ruff
+ */
+class WaveGenerator
+{
+	/**
+	 * The templates, with the intensity each one unlocks at.
+	 */
+	static TEMPLATES = [
+		{ name: 'fallingRow', unlock: 0 },
+		{ name: 'oscillatingTriangles', unlock: 0 },
+		{ name: 'orbitingShapes', unlock: 0.5 },
+		{ name: 'armoredCluster', unlock: 1 },
+		{ name: 'architectureLanes', unlock: 1 },
+		{ name: 'stealthSwarm', unlock: 1.5 },
+	];
+
+	/**
+	 * Intensity from which blackouts can be added to a wave.
+	 */
+	static BLACKOUT_UNLOCK = 2;
+
+	/**
+	 * Power-up shape types that may drop in with a wave.
+	 */
+	static UPGRADES = ['slowtime', 'intangible', 'clear-friendlies'];
+
+	/**
+	 * Constructs a generator.
+	 * @constructor
+	 * @param {number} seed - The seed, a whole number. The same seed generates the same waves.
+	 */
+	constructor(seed)
+	{
+		this.seed = seed; // The seed the waves are generated from.
+		this.state = seed >>> 0; // Internal state of the random number generator.
+	}
+
+	/**
+	 * Gets the next random number (mulberry32).
+	 * @returns {number} A number from 0 (inclusive) to 1 (exclusive).
+	 */
+	random()
+	{
+		this.state = (this.state + 0x6D2B79F5) >>> 0;
+		let value = this.state;
+		value = Math.imul(value ^ (value >>> 15), value | 1);
+		value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+		return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+	}
+
+	/**
+	 * Gets a random number in a range.
+	 * @param {number} min - The lowest value.
+	 * @param {number} max - The highest value (exclusive).
+	 * @returns {number} The number.
+	 */
+	between(min, max)
+	{
+		return min + (max - min) * this.random();
+	}
+
+	/**
+	 * Gets a random whole number in a range.
+	 * @param {number} min - The lowest value.
+	 * @param {number} max - The highest value (inclusive).
+	 * @returns {number} The number.
+	 */
+	integerBetween(min, max)
+	{
+		return Math.floor(this.between(min, max + 1));
+	}
+
+	/**
+	 * Picks a random element of a list.
+	 * @param {Array} list - The list.
+	 * @returns {*} One of its elements.
+	 */
+	pick(list)
+	{
+		return list[Math.floor(this.random() * list.length)];
+	}
+
+	/**
+	 * Generates the next wave.
+	 * @param {number} intensity - How far the run has ramped up: 0 at the start, 1 more per minute survived.
+	 * @param {number} [top=0] - The y-coordinate the wave starts above.
+	 * @returns {{entries: Array<Object>, delay: number, speed: number}} The wave's level entries, the milliseconds of level time until
+	 * the next wave, and the wave's fall speed.
+	 */
+	nextWave(intensity, top = 0)
+	{
+		const speed = Math.min(400, 120 + 40 * intensity); // Fall speed in pixels per second, before the difficulty adjustment.
+		const available = WaveGenerator.TEMPLATES.filter(template => intensity >= template.unlock);
+		const count = this.random() < Math.min(0.5, 0.15 * intensity) ? 2 : 1; // Later waves combine templates.
+
+		let entries = [];
+		for (let i = 0; i < count; i++)
+		{
+			// Combined templates are stacked, each starting above the last.
+			const templateTop = entries.length > 0 ? WaveGenerator.topOfAll(entries) - 100 : top;
+			const template = this.pick(available);
+			entries = entries.concat(this[template.name](intensity, speed, templateTop));
+		}
+		if (intensity >= WaveGenerator.BLACKOUT_UNLOCK && this.random() < 0.2)
+		{
+			entries.push(this.blackout(intensity));
+		}
+		if (intensity >= 1 && this.random() < 0.1)
+		{
+			entries.push(this.shape(this.pick(WaveGenerator.UPGRADES), this.between(100, 700), top - 50, speed * 0.8));
+		}
+		return { entries, delay: Math.max(1800, 5000 - 600 * intensity), speed };
+	}
+
+	/**
+	 * Generates a whole level: waves stacked above the screen, ramping up from one intensity to another, that all spawn when the level
+	 * loads and fall in one after the other. Blackouts start when their wave reaches the screen.
+	 * @param {number} waveCount - The number of waves.
+	 * @param {number} startIntensity - The intensity of the first wave.
+	 * @param {number} endIntensity - The intensity of the last wave.
+	 * @returns {Array<Object>} The level's entries, without a passing score.
+	 */
+	generateLevel(waveCount, startIntensity, endIntensity)
+	{
+		let entries = [];
+		let top = 0;
+		for (let i = 0; i < waveCount; i++)
+		{
+			const intensity = startIntensity + (endIntensity - startIntensity) * i / Math.max(1, waveCount - 1);
+			const wave = this.nextWave(intensity, top);
+			const arrival = Math.round(-top / wave.speed * 1000); // When the wave's bottom reaches the screen.
+			wave.entries.forEach(entry => {
+				if (entry.type === 'blackout')
+				{
+					entry.fades.forEach(fade => fade.delay += arrival);
+				}
+			});
+			entries = entries.concat(wave.entries);
+			top = WaveGenerator.topOfAll(wave.entries) - 200;
+		}
+		return entries;
+	}
+
+	/**
+	 * Gets the top of a group of entries.
+	 * @param {Array<Object>} entries - Shape, architecture and blackout entries.
+	 * @returns {number} The highest y-coordinate of any of them.
+	 */
+	static topOfAll(entries)
+	{
+		return Math.min(...entries.map(entry => WaveGenerator.topOf(entry)));
+	}
+
+	/**
+	 * Gets the top of an entry, to stack templates above each other.
+	 * @param {Object} entry - A shape or architecture entry.
+	 * @returns {number} Its highest y-coordinate.
+	 */
+	static topOf(entry)
+	{
+		if (entry.type === 'architecture')
+		{
+			return Math.min(...entry.points.map(point => point.y));
+		}
+		return entry.type === 'blackout' ? 0 : entry.y;
+	}
+
+	/**
+	 * Builds a shape entry falling straight down with a random spin.
+	 * @param {string} type - The shape type (see LevelFormat.SHAPE_TYPES).
+	 * @param {number} x - The x-coordinate.
+	 * @param {number} y - The y-coordinate, above the screen.
+	 * @param {number} speed - The fall speed.
+	 * @returns {Object} The entry.
+	 */
+	shape(type, x, y, speed)
+	{
+		return {
+			type,
+			x: Math.round(x),
+			y: Math.round(y),
+			velocity: { x: 0, y: Math.round(speed) },
+			angularVelocity: this.integerBetween(10, 60) * (this.random() < 0.5 ? -1 : 1),
+		};
+	}
+
+	/**
+	 * A row of triangles across the screen, with some squares mixed in to avoid.
+	 * @param {number} intensity - The run's intensity.
+	 * @param {number} speed - The fall speed.
+	 * @param {number} top - The y-coordinate to start above.
+	 * @returns {Array<Object>} The entries.
+	 */
+	fallingRow(intensity, speed, top)
+	{
+		const count = Math.min(8, 3 + Math.floor(2 * intensity));
+		const spacing = 640 / (count - 1);
+		const friendlyChance = Math.min(0.4, 0.15 + 0.1 * intensity);
+		const triangle = this.integerBetween(0, count - 1); // At least one triangle.
+		const entries = [];
+		for (let i = 0; i < count; i++)
+		{
+			const type = i !== triangle && this.random() < friendlyChance ? 'square' : 'triangle';
+			entries.push(this.shape(type, 80 + spacing * i, top - 50, speed));
+		}
+		return entries;
+	}
+
+	/**
+	 * Triangles, one above the other, swinging from side to side.
+	 * @param {number} intensity - The run's intensity.
+	 * @param {number} speed - The fall speed.
+	 * @param {number} top - The y-coordinate to start above.
+	 * @returns {Array<Object>} The entries.
+	 */
+	oscillatingTriangles(intensity, speed, top)
+	{
+		const count = Math.min(6, 2 + Math.floor(intensity));
+		const entries = [];
+		for (let i = 0; i < count; i++)
+		{
+			const entry = this.shape('triangle', this.between(250, 550), top - 50 - 120 * i, speed);
+			entry.oscillation = [{ delay: this.integerBetween(0, 5) * 100, duration: 1000, repeat: -1, speed: { x: this.integerBetween(4, 12) * 50, y: 0 } }];
+			entries.push(entry);
+		}
+		return entries;
+	}
+
+	/**
+	 * Triangles circling as they fall, sometimes with a square circling among them.
+	 * @param {number} intensity - The run's intensity.
+	 * @param {number} speed - The fall speed.
+	 * @param {number} top - The y-coordinate to start above.
+	 * @returns {Array<Object>} The entries.
+	 */
+	orbitingShapes(intensity, speed, top)
+	{
+		const count = Math.min(4, 1 + Math.floor(intensity));
+		const entries = [];
+		for (let i = 0; i < count + 1; i++)
+		{
+			const type = i === count ? 'square' : 'triangle';
+			if (type === 'square' && this.random() < 0.5)
+			{
+				break;
+			}
+			const entry = this.shape(type, this.between(200, 600), top - 200 - 150 * i, speed * 0.7);
+			entry.orbit = { delay: 0, duration: -1, radius: this.integerBetween(6, 15) * 10, period: this.integerBetween(15, 30) * 100, startAngle: this.between(0, 2 * Math.PI) };
+			entries.push(entry);
+		}
+		return entries;
+	}
+
+	/**
+	 * A tight group of armored triangles that need several clicks each.
+	 * @param {number} intensity - The run's intensity.
+	 * @param {number} speed - The fall speed.
+	 * @param {number} top - The y-coordinate to start above.
+	 * @returns {Array<Object>} The entries.
+	 */
+	armoredCluster(intensity, speed, top)
+	{
+		const count = Math.min(5, 2 + Math.floor(intensity / 2));
+		const centerX = this.between(200, 600);
+		const entries = [];
+		for (let i = 0; i < count; i++)
+		{
+			const entry = this.shape('armored', centerX + this.between(-80, 80), top - 60 - this.between(0, 160), speed * 0.6);
+			entry.armor = this.integerBetween(1, Math.min(3, 1 + Math.floor(intensity)));
+			entries.push(entry);
+		}
+		return entries;
+	}
+
+	/**
+	 * Walls of architecture falling down with triangles in the lanes between them, so the cursor has to move along the lanes.
+	 * @param {number} intensity - The run's intensity.
+	 * @param {number} speed - The fall speed.
+	 * @param {number} top - The y-coordinate to start above.
+	 * @returns {Array<Object>} The entries.
+	 */
+	architectureLanes(intensity, speed, top)
+	{
+		const lanes = this.integerBetween(2, 3);
+		const laneWidth = 600 / lanes;
+		const height = this.integerBetween(3, 5) * 100;
+		const bottom = top - 50;
+		const entries = [];
+		for (let i = 0; i <= lanes; i++)
+		{
+			const x = 100 + laneWidth * i;
+			entries.push({
+				type: 'architecture',
+				points: [{ x: x - 15, y: bottom }, { x: x + 15, y: bottom }, { x: x + 15, y: bottom - height }, { x: x - 15, y: bottom - height }],
+				velocity: { y: Math.round(speed * 0.8) },
+			});
+		}
+		for (let i = 0; i < lanes; i++)
+		{
+			const triangles = this.integerBetween(1, Math.min(3, 1 + Math.floor(intensity)));
+			for (let j = 0; j < triangles; j++)
+			{
+				entries.push(this.shape('triangle', 100 + laneWidth * (i + 0.5), bottom - (j + 0.5) * height / triangles, speed * 0.8));
+			}
+		}
+		return entries;
+	}
+
+	/**
+	 * Stealth triangles scattered across the screen.
+	 * @param {number} intensity - The run's intensity.
+	 * @param {number} speed - The fall speed.
+	 * @param {number} top - The y-coordinate to start above.
+	 * @returns {Array<Object>} The entries.
+	 */
+	stealthSwarm(intensity, speed, top)
+	{
+		const count = Math.min(6, 2 + Math.floor(intensity));
+		const entries = [];
+		for (let i = 0; i < count; i++)
+		{
+			entries.push(this.shape('stealth', this.between(80, 720), top - 50 - this.between(0, 300), speed));
+		}
+		return entries;
+	}
+
+	/**
+	 * A blackout starting shortly after the wave, longer and more often repeated at higher intensity.
+	 * @param {number} intensity - The run's intensity.
+	 * @returns {Object} The blackout entry. Its delay is from the start of the wave.
+	 */
+	blackout(intensity)
+	{
+		return {
+			type: 'blackout',
+			fades: [{ delay: this.integerBetween(5, 15) * 100, duration: this.integerBetween(4, 8) * 100, repeat: this.integerBetween(0, Math.min(2, Math.floor(intensity) - 1)) }],
+		};
+	}
+}